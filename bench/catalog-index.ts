@@ -0,0 +1,91 @@
+/**
+ * Benchmark: recommendation latency with an indexed catalog
+ *
+ * Generates a synthetic catalog, indexes it and measures generateRecommendations
+ * latency for a series of random boards, reporting p50/p95/p99. A full scan
+ * over the plain array is timed for comparison.
+ *
+ * Usage (compile with TypeScript and @types/node, then run the output with node):
+ *   tsc --outDir build --target es2020 --module commonjs bench/catalog-index.ts
+ *   node build/bench/catalog-index.js [--items 250000] [--queries 50] [--limit 10] [--baseline-runs 3]
+ */
+
+import { performance } from 'perf_hooks';
+import { createRecommendationEngine } from '../lib/core';
+import { createCatalogIndex } from '../lib/catalog-index';
+import { generateSyntheticItem } from '../lib/synthetic';
+import { mulberry32 } from '../lib/utils';
+
+function parseArgs(): { items: number; queries: number; limit: number; baselineRuns: number } {
+  const args = process.argv.slice(2);
+  const value = (name: string, fallback: number) => {
+    const idx = args.indexOf(`--${name}`);
+    return idx >= 0 && args[idx + 1] ? Number(args[idx + 1]) : fallback;
+  };
+  return {
+    items: value('items', 250000),
+    queries: value('queries', 50),
+    limit: value('limit', 10),
+    baselineRuns: value('baseline-runs', 3)
+  };
+}
+
+function percentile(sorted: number[], p: number): number {
+  if (sorted.length === 0) return 0;
+  const idx = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, idx)];
+}
+
+function report(label: string, timings: number[]): void {
+  const sorted = [...timings].sort((a, b) => a - b);
+  const mean = timings.reduce((sum, t) => sum + t, 0) / Math.max(1, timings.length);
+  console.log(
+    `${label.padEnd(22)} runs=${String(timings.length).padStart(3)}  ` +
+    `mean=${mean.toFixed(1).padStart(8)}ms  p50=${percentile(sorted, 50).toFixed(1).padStart(8)}ms  ` +
+    `p95=${percentile(sorted, 95).toFixed(1).padStart(8)}ms  p99=${percentile(sorted, 99).toFixed(1).padStart(8)}ms`
+  );
+}
+
+function main(): void {
+  const { items: itemCount, queries, limit, baselineRuns } = parseArgs();
+  const random = mulberry32(42);
+  const brands = Array.from({ length: 200 }, (_, i) => `Brand ${i}`);
+
+  let start = performance.now();
+  const catalog = Array.from({ length: itemCount }, (_, i) => generateSyntheticItem(random, `item-${i}`, brands));
+  console.log(`Generated ${itemCount} items in ${(performance.now() - start).toFixed(0)}ms`);
+
+  start = performance.now();
+  const index = createCatalogIndex(catalog);
+  console.log(`Indexed ${index.size} items in ${(performance.now() - start).toFixed(0)}ms`);
+
+  const boards = Array.from({ length: Math.max(queries, baselineRuns) }, (_, q) => ({
+    id: `board-${q}`,
+    name: `Board ${q}`,
+    pins: Array.from({ length: 24 }, (_, i) => generateSyntheticItem(random, `pin-${q}-${i}`, brands))
+  }));
+
+  const indexed: number[] = [];
+  boards.slice(0, queries).forEach(board => {
+    const engine = createRecommendationEngine();
+    engine.analyzePinterestBoard(board);
+    const t0 = performance.now();
+    engine.generateRecommendations(index, limit);
+    indexed.push(performance.now() - t0);
+  });
+
+  const fullScan: number[] = [];
+  boards.slice(0, baselineRuns).forEach(board => {
+    const engine = createRecommendationEngine();
+    engine.analyzePinterestBoard(board);
+    const t0 = performance.now();
+    engine.generateRecommendations(catalog, limit);
+    fullScan.push(performance.now() - t0);
+  });
+
+  console.log('');
+  report('indexed retrieval', indexed);
+  if (fullScan.length > 0) report('full scan', fullScan);
+}
+
+main();
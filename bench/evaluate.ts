@@ -0,0 +1,190 @@
+/**
+ * Benchmark: offline recommendation quality
+ *
+ * Evaluates one or more engine configurations on a labeled dataset, or on a
+ * generated synthetic one, and writes a Markdown or JSON report. With two or
+ * more configurations each is compared against the first; with --baseline
+ * each is compared against the first run of an earlier JSON report, which is
+ * how a change to scoring or profile code is checked: save a report before
+ * the change and pass it as the baseline after.
+ *
+ * A configuration file is JSON with an optional `name`, `engine` options
+ * (`recencyHalfLifeDays`, `clustering`, `shopper`), `recommendations` options
+ * as for generateRecommendations, and `model`, the path of a trained weights
+ * file.
+ *
+ * Usage (compile with TypeScript and @types/node, then run the output with node):
+ *   tsc --outDir build --target es2020 --module commonjs bench/evaluate.ts
+ *   node build/bench/evaluate.js [--dataset <path>] [--config <path>]... [--baseline <report.json>] [--k 10]
+ *     [--out report.md|report.json] [--users 40] [--catalog-size 2000] [--seed 42] [--save-dataset <path>]
+ */
+
+import { promises as fs } from 'fs';
+import { basename, dirname, extname, resolve } from 'path';
+import {
+  EvaluationConfiguration,
+  EvaluationDataset,
+  EvaluationReport,
+  EvaluationRun,
+  RunComparison,
+  compareRuns,
+  createEvaluationReport,
+  evaluateConfiguration,
+  loadEvaluationDataset,
+  renderEvaluationMarkdown
+} from '../lib/evaluation';
+import { generateSyntheticDataset } from '../lib/synthetic';
+
+const USAGE = `Usage: evaluate [options]
+
+Data:
+  --dataset <path>      Labeled dataset JSON (default: a synthetic dataset)
+  --users <n>           Synthetic users (default: 40)
+  --catalog-size <n>    Synthetic catalog items (default: 2000)
+  --seed <n>            Synthetic data seed (default: 42)
+  --save-dataset <path> Write the dataset used to a JSON file
+
+Configurations:
+  --config <path>       Configuration JSON (repeatable; default: the stock engine)
+  --baseline <path>     Earlier JSON report whose first run every configuration is compared against
+
+Output:
+  --k <n>               Recommendations per case (default: 10)
+  --alpha <p>           Significance level; intervals cover 1 - alpha (default: 0.05)
+  --format <name>       markdown or json (default: json when --out ends in .json, else markdown)
+  --out <path>          Write the report to a file instead of standard output
+`;
+
+const VALUE_OPTIONS = new Set([
+  'dataset', 'users', 'catalog-size', 'seed', 'save-dataset', 'config', 'baseline', 'k', 'alpha', 'format', 'out'
+]);
+
+const CONFIGURATION_FIELDS = ['name', 'engine', 'recommendations', 'model'];
+const ENGINE_FIELDS = ['recencyHalfLifeDays', 'clustering', 'shopper'];
+
+function parseArgs(argv: string[]): Map<string, string[]> {
+  const options = new Map<string, string[]>();
+  for (let i = 0; i < argv.length; i++) {
+    const [name, inline] = argv[i].replace(/^--/, '').split(/=(.*)/s, 2);
+    if (!argv[i].startsWith('--') || !VALUE_OPTIONS.has(name)) throw new Error(`Unknown argument: ${argv[i]}`);
+    const value = inline ?? argv[++i];
+    if (value === undefined) throw new Error(`--${name} needs a value`);
+    options.set(name, [...(options.get(name) || []), value]);
+  }
+  return options;
+}
+
+function option(options: Map<string, string[]>, name: string): string | undefined {
+  const values = options.get(name);
+  return values ? values[values.length - 1] : undefined;
+}
+
+function numberOption(options: Map<string, string[]>, name: string, fallback: number, integer: boolean = true): number {
+  const value = option(options, name);
+  if (value === undefined) return fallback;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || (integer && !Number.isInteger(parsed))) {
+    throw new Error(`--${name} must be ${integer ? 'a whole number' : 'a number'}: ${value}`);
+  }
+  return parsed;
+}
+
+async function readJson(path: string): Promise<any> {
+  try {
+    return JSON.parse(await fs.readFile(path, 'utf8'));
+  } catch (error) {
+    if (error instanceof SyntaxError) throw new Error(`${path}: invalid JSON: ${error.message}`);
+    throw error;
+  }
+}
+
+async function loadConfiguration(path: string): Promise<EvaluationConfiguration> {
+  const document = await readJson(path);
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error(`${path}: expected a configuration object`);
+  }
+  const unknownFields = Object.keys(document).filter(field => !CONFIGURATION_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw new Error(`${path}: unknown fields: ${unknownFields.join(', ')} (expected ${CONFIGURATION_FIELDS.join(', ')})`);
+  }
+  const unknownEngine = Object.keys(document.engine || {}).filter(field => !ENGINE_FIELDS.includes(field));
+  if (unknownEngine.length > 0) {
+    throw new Error(`${path}: unsupported engine options: ${unknownEngine.join(', ')} (expected ${ENGINE_FIELDS.join(', ')})`);
+  }
+
+  return {
+    name: String(document.name || basename(path, extname(path))),
+    ...(document.engine && { engine: document.engine }),
+    ...(document.recommendations && { recommendations: document.recommendations }),
+    ...(document.model && {
+      model: typeof document.model === 'string' ? await readJson(resolve(dirname(path), document.model)) : document.model
+    })
+  };
+}
+
+async function loadBaseline(path: string): Promise<EvaluationRun> {
+  const report = await readJson(path) as EvaluationReport;
+  const run = Array.isArray(report?.runs) ? report.runs[0] : undefined;
+  if (!run || !Array.isArray(run.cases)) throw new Error(`${path}: expected a JSON evaluation report`);
+  return run;
+}
+
+async function loadDataset(options: Map<string, string[]>): Promise<EvaluationDataset> {
+  const path = option(options, 'dataset');
+  if (!path) {
+    return generateSyntheticDataset({
+      users: numberOption(options, 'users', 40),
+      catalogSize: numberOption(options, 'catalog-size', 2000),
+      seed: numberOption(options, 'seed', 42)
+    });
+  }
+  const { value, warnings } = await loadEvaluationDataset(path);
+  warnings.forEach(warning => process.stderr.write(`warning: ${warning}\n`));
+  return value;
+}
+
+async function main(argv: string[]): Promise<void> {
+  if (argv.includes('--help')) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  const options = parseArgs(argv);
+  const k = numberOption(options, 'k', 10);
+  const alpha = numberOption(options, 'alpha', 0.05, false);
+  const out = option(options, 'out');
+  const format = option(options, 'format') || (out && extname(out).toLowerCase() === '.json' ? 'json' : 'markdown');
+  if (format !== 'markdown' && format !== 'json') throw new Error(`--format must be markdown or json: ${format}`);
+
+  const dataset = await loadDataset(options);
+  const datasetPath = option(options, 'save-dataset');
+  if (datasetPath) await fs.writeFile(datasetPath, JSON.stringify(dataset), 'utf8');
+
+  const configurations: EvaluationConfiguration[] = [];
+  for (const path of options.get('config') || []) configurations.push(await loadConfiguration(path));
+  if (configurations.length === 0) configurations.push({ name: 'default' });
+
+  const runs = configurations.map(configuration => {
+    const started = Date.now();
+    const run = evaluateConfiguration(dataset, configuration, k);
+    process.stderr.write(`${configuration.name}: ${dataset.cases.length} cases in ${Date.now() - started}ms\n`);
+    return run;
+  });
+
+  const baselinePath = option(options, 'baseline');
+  const baseline = baselinePath ? await loadBaseline(baselinePath) : runs[0];
+  const comparisons: RunComparison[] = (baselinePath ? runs : runs.slice(1))
+    .map(run => compareRuns(baseline, run, { alpha }));
+
+  const report = createEvaluationReport(dataset, runs, comparisons);
+  const text = format === 'json' ? JSON.stringify(report, null, 2) + '\n' : renderEvaluationMarkdown(report);
+  if (out) {
+    await fs.writeFile(out, text, 'utf8');
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  process.stderr.write(`evaluate: ${error.message}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,311 @@
+/**
+ * Command-line tool: analyze exported boards and produce recommendation reports
+ *
+ * Reads boards, catalogs and wardrobes from JSON or CSV exports and writes
+ * text tables, JSON or a standalone HTML report. Board arguments may be
+ * directories, so a folder of exported boards can be processed in one run.
+ *
+ * Usage (compile with TypeScript and @types/node, then run the output with node):
+ *   tsc --outDir build --target es2020 --module commonjs bin/pinboard.ts
+ *   node build/bin/pinboard.js analyze <board...> [--format table|json|html] [--out file]
+ *   node build/bin/pinboard.js recommend --board <path> --catalog <path> [--limit 10] [--budget 200]
+ *     [--currency EUR] [--categories tops,dresses] [--each] [--month 6 --hemisphere southern]
+ *   node build/bin/pinboard.js gaps --board <path> [--wardrobe owned.csv] [--catalog <path>]
+ *   node build/bin/pinboard.js diff-profiles <before> <after>
+ */
+
+import { promises as fs } from 'fs';
+import {
+  FashionItem,
+  FashionRecommendationEngine,
+  PinterestBoard,
+  RecommendationOptions,
+  createRecommendationEngine
+} from '../lib/core';
+import { loadBoardFiles, loadCatalogFile, loadProfileFile, loadWardrobeFile } from '../lib/inputs';
+import { ReportDocument, ReportSection, renderHtmlReport, renderTextReport } from '../lib/report';
+import { diffProfiles } from '../lib/profile-history';
+import { Hemisphere, SeasonContext, loadForecast } from '../lib/season';
+import { VisualIndex } from '../lib/visual';
+
+const USAGE = `Usage: pinboard <command> [options]
+
+Commands:
+  analyze <board...>                  Style profile of each board
+  recommend --board <path> --catalog <path>
+                                      Recommend catalog items for the boards
+  gaps --board <path>                 Wardrobe gaps, with fill-ins when --catalog is given
+  diff-profiles <before> <after>      How a profile changed; each side is a saved
+                                      profile, saved engine state or board export
+
+Inputs:
+  --board <path>        Board JSON or CSV, or a directory of them (repeatable)
+  --each                One report section per board instead of merging the boards
+  --catalog <path>      JSON array of items, Google Merchant XML, CSV or JSON-LD feed
+  --wardrobe <path>     Saved wardrobe JSON, array of owned items, or order-history CSV
+  --visual-index <path> Saved image descriptors; favors items that look like the pins
+
+Recommendation options:
+  --limit <n>           Recommendations per section (default: 10)
+  --budget <amount>     Leave out items above this price
+  --currency <code>     Currency to quote prices and budget in (default: USD)
+  --categories <list>   Only recommend from these categories, comma-separated
+  --occasion <name>     Recommend for one board's occasion
+  --month <1-12>        Favor items that suit the coming season
+  --hemisphere <name>   northern or southern (default: northern)
+  --forecast <path>     Forecast JSON; its first two weeks set the temperature range
+
+Output:
+  --format <name>       table, json or html (default: html when --out ends in .html, else table)
+  --out <path>          Write the report to a file instead of standard output
+  --locale <code>       Language of reasons: en or es (default: en)
+`;
+
+const VALUE_OPTIONS = new Set([
+  'board', 'catalog', 'wardrobe', 'limit', 'budget', 'currency', 'categories', 'occasion',
+  'month', 'hemisphere', 'forecast', 'format', 'out', 'locale', 'visual-index'
+]);
+const FLAG_OPTIONS = new Set(['each', 'help']);
+const CATEGORIES: FashionItem['category'][] = ['tops', 'bottoms', 'dresses', 'outerwear', 'shoes', 'accessories'];
+
+/**
+ * Command line split into its parts
+ */
+interface ParsedArgs {
+  command?: string;
+  positionals: string[];
+  options: Map<string, string[]>;
+  flags: Set<string>;
+}
+
+/**
+ * Error in how the tool was invoked, reported with the usage text
+ */
+class UsageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function parseArgs(argv: string[]): ParsedArgs {
+  const parsed: ParsedArgs = { positionals: [], options: new Map(), flags: new Set() };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      if (parsed.command === undefined) parsed.command = arg;
+      else parsed.positionals.push(arg);
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s, 2);
+    if (FLAG_OPTIONS.has(name)) {
+      parsed.flags.add(name);
+    } else if (VALUE_OPTIONS.has(name)) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) throw new UsageError(`--${name} needs a value`);
+      parsed.options.set(name, [...(parsed.options.get(name) || []), value]);
+    } else {
+      throw new UsageError(`Unknown option: --${name}`);
+    }
+  }
+  return parsed;
+}
+
+function option(args: ParsedArgs, name: string): string | undefined {
+  const values = args.options.get(name);
+  return values ? values[values.length - 1] : undefined;
+}
+
+function numberOption(args: ParsedArgs, name: string): number | undefined {
+  const value = option(args, name);
+  if (value === undefined) return undefined;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) throw new UsageError(`--${name} must be a number: ${value}`);
+  return parsed;
+}
+
+function required(args: ParsedArgs, name: string): string[] {
+  const values = args.options.get(name);
+  if (!values || values.length === 0) throw new UsageError(`--${name} is required`);
+  return values;
+}
+
+async function loadBoards(paths: string[]): Promise<{ boards: PinterestBoard[]; warnings: string[] }> {
+  const { value: boards, warnings } = await loadBoardFiles(paths);
+  if (boards.length === 0) throw new Error(`No board files found in ${paths.join(', ')}`);
+  return { boards, warnings };
+}
+
+/**
+ * Build an engine for one or more boards with the shopper options applied
+ */
+async function createEngine(boards: PinterestBoard[], args: ParsedArgs): Promise<FashionRecommendationEngine> {
+  const engine = createRecommendationEngine();
+  const budget = numberOption(args, 'budget');
+  const currency = option(args, 'currency');
+  if (budget !== undefined || currency) {
+    engine.setShopperPreferences({ ...(currency && { currency }), ...(budget !== undefined && { budget }) });
+  }
+
+  const wardrobePath = option(args, 'wardrobe');
+  if (wardrobePath) engine.setWardrobe((await loadWardrobeFile(wardrobePath)).value);
+
+  const visualIndexPath = option(args, 'visual-index');
+  if (visualIndexPath) engine.setVisualIndex(await VisualIndex.load(visualIndexPath));
+
+  if (boards.length === 1) {
+    engine.analyzePinterestBoard(boards[0]);
+  } else {
+    engine.analyzeBoards(boards.map(board => ({ board })));
+  }
+  return engine;
+}
+
+async function seasonOption(args: ParsedArgs): Promise<SeasonContext | undefined> {
+  const month = numberOption(args, 'month');
+  const forecast = option(args, 'forecast');
+  if (month === undefined && !forecast) return undefined;
+
+  const hemisphere = option(args, 'hemisphere') || 'northern';
+  if (hemisphere !== 'northern' && hemisphere !== 'southern') {
+    throw new UsageError(`--hemisphere must be northern or southern: ${hemisphere}`);
+  }
+  return {
+    month: month ?? new Date().getMonth() + 1,
+    hemisphere: hemisphere as Hemisphere,
+    ...(forecast && { temperature: await loadForecast(forecast, { days: 14 }) })
+  };
+}
+
+async function loadCatalog(args: ParsedArgs, path: string): Promise<{ items: FashionItem[]; warnings: string[] }> {
+  const { value, warnings } = await loadCatalogFile(path);
+  const categories = option(args, 'categories');
+  if (!categories) return { items: value, warnings };
+
+  const wanted = categories.split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+  const unknown = wanted.filter(c => !CATEGORIES.includes(c as FashionItem['category']));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown categories: ${unknown.join(', ')} (expected ${CATEGORIES.join(', ')})`);
+  }
+  return { items: value.filter(item => wanted.includes(item.category)), warnings };
+}
+
+async function analyzeCommand(args: ParsedArgs): Promise<ReportDocument> {
+  const paths = [...args.positionals, ...(args.options.get('board') || [])];
+  if (paths.length === 0) throw new UsageError('analyze needs at least one board file or directory');
+  const { boards, warnings } = await loadBoards(paths);
+
+  const sections: ReportSection[] = boards.map(board => ({
+    heading: `${board.name} (${board.pins.length} pins)`,
+    profile: createRecommendationEngine().analyzePinterestBoard(board)
+  }));
+  if (warnings.length > 0) sections[0].warnings = warnings;
+  return report('Board analysis', sections);
+}
+
+async function recommendCommand(args: ParsedArgs): Promise<ReportDocument> {
+  const { boards, warnings } = await loadBoards(required(args, 'board'));
+  const catalog = await loadCatalog(args, required(args, 'catalog')[0]);
+  const limit = numberOption(args, 'limit') ?? 10;
+  const season = await seasonOption(args);
+  const options: RecommendationOptions = {
+    ...(option(args, 'occasion') && { occasion: option(args, 'occasion') }),
+    ...(season && { season })
+  };
+
+  const groups = args.flags.has('each') ? boards.map(board => [board]) : [boards];
+  const sections: ReportSection[] = [];
+  for (const group of groups) {
+    const engine = await createEngine(group, args);
+    const { recommendations, diversity } = engine.generateRecommendationReport(catalog.items, limit, options);
+    sections.push({
+      heading: group.map(board => board.name).join(' + '),
+      profile: engine.getStyleProfile()!,
+      recommendations,
+      diversity
+    });
+  }
+  sections[0].warnings = [...warnings, ...catalog.warnings];
+  return report('Recommendations', sections);
+}
+
+async function gapsCommand(args: ParsedArgs): Promise<ReportDocument> {
+  const { boards, warnings } = await loadBoards(required(args, 'board'));
+  const catalogPath = option(args, 'catalog');
+  const catalog = catalogPath ? await loadCatalog(args, catalogPath) : { items: [], warnings: [] };
+  const limit = numberOption(args, 'limit') ?? 3;
+
+  const groups = args.flags.has('each') ? boards.map(board => [board]) : [boards];
+  const sections: ReportSection[] = [];
+  for (const group of groups) {
+    const engine = await createEngine(group, args);
+    sections.push({
+      heading: group.map(board => board.name).join(' + '),
+      gaps: engine.findWardrobeGaps({ catalog: catalog.items, recommendationsPerGap: limit })
+    });
+  }
+  sections[0].warnings = [...warnings, ...catalog.warnings];
+  return report('Wardrobe gaps', sections);
+}
+
+async function diffCommand(args: ParsedArgs): Promise<ReportDocument> {
+  if (args.positionals.length !== 2) throw new UsageError('diff-profiles needs exactly two profiles');
+  const [before, after] = await Promise.all(args.positionals.map(path => loadProfileFile(path)));
+  return report('Profile comparison', [{
+    heading: `${args.positionals[0]} → ${args.positionals[1]}`,
+    profile: after.value,
+    diff: diffProfiles(before.value, after.value),
+    warnings: [...before.warnings, ...after.warnings]
+  }]);
+}
+
+function report(title: string, sections: ReportSection[]): ReportDocument {
+  return { title, generatedAt: new Date().toISOString(), sections };
+}
+
+async function main(argv: string[]): Promise<number> {
+  const args = parseArgs(argv);
+  if (args.flags.has('help') || !args.command) {
+    process.stdout.write(USAGE);
+    return args.command || args.flags.has('help') ? 0 : 2;
+  }
+
+  const commands: Record<string, (args: ParsedArgs) => Promise<ReportDocument>> = {
+    'analyze': analyzeCommand,
+    'recommend': recommendCommand,
+    'gaps': gapsCommand,
+    'diff-profiles': diffCommand
+  };
+  const run = commands[args.command];
+  if (!run) throw new UsageError(`Unknown command: ${args.command}`);
+
+  const document = await run(args);
+  const out = option(args, 'out');
+  const format = option(args, 'format') || (out && /\.html?$/i.test(out) ? 'html' : 'table');
+  const locale = option(args, 'locale') || 'en';
+
+  let output: string;
+  if (format === 'json') output = JSON.stringify(document, null, 2) + '\n';
+  else if (format === 'html') output = renderHtmlReport(document, { locale });
+  else if (format === 'table') output = renderTextReport(document, { locale });
+  else throw new UsageError(`Unknown format: ${format} (expected table, json or html)`);
+
+  if (out) {
+    await fs.writeFile(out, output, 'utf8');
+    process.stderr.write(`Wrote ${out}\n`);
+  } else {
+    process.stdout.write(output);
+  }
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  error => {
+    process.stderr.write(`pinboard: ${error.message}\n`);
+    if (error instanceof UsageError) process.stderr.write(`\n${USAGE}`);
+    process.exitCode = error instanceof UsageError ? 2 : 1;
+  }
+);
@@ -0,0 +1,87 @@
+/**
+ * Recommendation service entry point
+ *
+ * Loads a catalog and serves the JSON API from lib/server until stopped.
+ * Posted feedback can be appended to a JSONL file for trainWeights.
+ *
+ * Usage (compile with TypeScript and @types/node, then run the output with node):
+ *   tsc --outDir build --target es2020 --module commonjs bin/server.ts
+ *   node build/bin/server.js --catalog <path> [--port 3000] [--host 127.0.0.1] [--feedback events.jsonl]
+ *     [--currency EUR] [--max-users 1000]
+ */
+
+import { promises as fs } from 'fs';
+import { loadCatalogFile } from '../lib/inputs';
+import { createRecommendationService } from '../lib/server';
+
+const USAGE = `Usage: pinboard-server --catalog <path> [options]
+
+Options:
+  --catalog <path>      JSON array of items, Google Merchant XML, CSV or JSON-LD feed (required)
+  --port <n>            Port to listen on (default: PORT or 3000)
+  --host <address>      Interface to bind (default: all)
+  --feedback <path>     Append posted feedback to this JSONL file
+  --currency <code>     Currency to quote prices in (default: USD)
+  --max-users <n>       Users whose profiles are kept in memory (default: 1000)
+`;
+
+const VALUE_OPTIONS = new Set(['catalog', 'port', 'host', 'feedback', 'currency', 'max-users']);
+
+function parseArgs(argv: string[]): Map<string, string> {
+  const options = new Map<string, string>();
+  for (let i = 0; i < argv.length; i++) {
+    const [name, inline] = argv[i].replace(/^--/, '').split(/=(.*)/s, 2);
+    if (!argv[i].startsWith('--') || !VALUE_OPTIONS.has(name)) throw new Error(`Unknown argument: ${argv[i]}`);
+    const value = inline ?? argv[++i];
+    if (value === undefined) throw new Error(`--${name} needs a value`);
+    options.set(name, value);
+  }
+  return options;
+}
+
+function integer(value: string | undefined, name: string, fallback: number): number {
+  if (value === undefined) return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) throw new Error(`--${name} must be a whole number: ${value}`);
+  return parsed;
+}
+
+async function main(argv: string[]): Promise<void> {
+  if (argv.includes('--help')) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  const options = parseArgs(argv);
+  const catalogPath = options.get('catalog');
+  if (!catalogPath) throw new Error(`--catalog is required\n\n${USAGE}`);
+
+  const { value: catalog, warnings } = await loadCatalogFile(catalogPath);
+  warnings.forEach(warning => process.stderr.write(`warning: ${warning}\n`));
+
+  const feedbackPath = options.get('feedback');
+  const currency = options.get('currency');
+  const service = createRecommendationService({
+    catalog,
+    ...(currency && { engine: { shopper: { currency } } }),
+    maxUsers: integer(options.get('max-users'), 'max-users', 1000) || 1000,
+    ...(feedbackPath && {
+      onFeedback: events => fs.appendFile(feedbackPath, events.map(event => JSON.stringify(event)).join('\n') + '\n', 'utf8')
+    }),
+    onError: error => process.stderr.write(`${error.stack || error.message}\n`)
+  });
+
+  const port = integer(options.get('port') ?? process.env.PORT, 'port', 3000);
+  const server = await service.listen(port, options.get('host'));
+  const address = server.address();
+  const bound = address && typeof address === 'object' ? address.port : port;
+  process.stderr.write(`Serving ${catalog.length} catalog items on port ${bound}\n`);
+
+  const stop = () => server.close(() => process.exit(0));
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+main(process.argv.slice(2)).catch(error => {
+  process.stderr.write(`pinboard-server: ${error.message}\n`);
+  process.exitCode = 1;
+});
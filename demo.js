@@ -19,6 +19,8 @@ import {
   sampleArray
 } from './lib/utils';
 
+import { formatReasons } from './lib/reasons';
+
 /**
  * Fashion Recommendation App Demo
  * 
@@ -383,7 +385,7 @@ class FashionRecommendationApp {
     });
 
     console.log('\n✨ Style Preferences:');
-    profile.preferredStyles.slice(0, 5).forEach((style, idx) => {
+    profile.styleKeywords.slice(0, 5).forEach((style, idx) => {
       console.log(`   ${idx + 1}. ${style}`);
     });
 
@@ -400,7 +402,7 @@ class FashionRecommendationApp {
     }
 
     console.log('\n🏷️  Favorite Brands:');
-    profile.favoriteBrands.slice(0, 5).forEach((brand, idx) => {
+    profile.favoredBrands.slice(0, 5).forEach((brand, idx) => {
       console.log(`   ${idx + 1}. ${brand}`);
     });
 
@@ -445,7 +447,11 @@ class FashionRecommendationApp {
       console.log(`   Colors: ${item.colors.join(', ')}`);
       console.log(`   Style: ${item.style.join(', ')}`);
       console.log(`   Match Score: ${matchPercentage}% ⭐`);
-      console.log(`   Why: ${rec.reason}`);
+      console.log(`   Why: ${formatReasons(rec.reasons).join('; ')}`);
+      const cited = rec.reasons.find(reason => reason.pins.length > 0);
+      if (cited) {
+        console.log(`   Because you saved: ${cited.pins.map(pin => pin.title).join(', ')}`);
+      }
       console.log('');
     });
   }
@@ -461,7 +467,7 @@ class FashionRecommendationApp {
     console.log('🔎 WARDROBE GAP ANALYSIS');
     console.log('═'.repeat(60));
 
-    const gaps = this.engine.findWardrobeGaps(this.currentBoard);
+    const gaps = this.engine.findWardrobeGaps({ catalog: this.catalog });
 
     if (gaps.length === 0) {
       console.log('✅ Your wardrobe looks well-balanced!\n');
@@ -474,7 +480,13 @@ class FashionRecommendationApp {
       console.log(`${idx + 1}. ${gap.category.toUpperCase()}`);
       console.log(`   Current items: ${gap.currentCount}`);
       console.log(`   Suggestion: Add ${gap.suggestedCount} more items`);
-      console.log(`   Priority: ${gap.priority}\n`);
+      console.log(`   Priority: ${gap.priority}`);
+      console.log(`   Why: ${gap.reason}`);
+      gap.recommendations.forEach(rec => {
+        const price = rec.price ? formatPrice(rec.price.amount, rec.price.currency) : 'price unknown';
+        console.log(`   → ${rec.item.title} (${price})`);
+      });
+      console.log('');
     });
   }
 
@@ -492,6 +504,35 @@ class FashionRecommendationApp {
     return filtered;
   }
 
+  /**
+   * Plan purchases that get the most out of a total budget
+   */
+  planShopping(budget: number): void {
+    console.log(`🛒 SHOPPING PLAN (Budget: ${formatPrice(budget)})`);
+    console.log('═'.repeat(60));
+
+    const plan = this.engine.planShopping(this.catalog, { budget, budgetChange: 50, objective: { outfit: 0.5 } });
+    plan.items.forEach((rec, idx) => {
+      console.log(`${idx + 1}. ${rec.item.title} - ${formatPrice(rec.price ? rec.price.amount : 0, plan.currency)}`);
+    });
+    console.log(`\n   Total cost: ${formatPrice(plan.totalCost, plan.currency)}`);
+    console.log(`   Left over: ${formatPrice(plan.remaining, plan.currency)}`);
+    if (plan.completesOutfit) {
+      console.log('   Completes an outfit with your wardrobe');
+    }
+
+    const { increase, decrease } = plan.alternatives || {};
+    if (increase && increase.add.length > 0) {
+      console.log(`   With ${formatPrice(increase.budget, plan.currency)}: add ${increase.add.map(rec => rec.item.title).join(', ')}` +
+        (increase.remove.length > 0 ? `, drop ${increase.remove.map(rec => rec.item.title).join(', ')}` : ''));
+    }
+    if (decrease && decrease.remove.length > 0) {
+      console.log(`   With ${formatPrice(decrease.budget, plan.currency)}: drop ${decrease.remove.map(rec => rec.item.title).join(', ')}` +
+        (decrease.add.length > 0 ? `, add ${decrease.add.map(rec => rec.item.title).join(', ')}` : ''));
+    }
+    console.log('\n');
+  }
+
   /**
    * Group recommendations by category
    */
@@ -555,7 +596,7 @@ class FashionRecommendationApp {
       const matchPercentage = (rec.score * 100).toFixed(0);
       console.log(`${idx + 1}. ${rec.item.name}`);
       console.log(`   ${formatPrice(rec.item.price || 0)} | ${matchPercentage}% match`);
-      console.log(`   ${rec.reason}\n`);
+      console.log(`   ${formatReasons(rec.reasons).join('; ')}\n`);
     });
 
     return topPicks;
@@ -615,6 +656,9 @@ function runDemo(): void {
       console.log('\n');
     }
 
+    // Plan purchases within a budget
+    app.planShopping(300);
+
     // Summary
     console.log('✅ DEMO COMPLETE!');
     console.log('═'.repeat(60));
@@ -626,6 +670,7 @@ function runDemo(): void {
     console.log('  ✓ Budget filtering');
     console.log('  ✓ Category grouping');
     console.log('  ✓ Shopping budget calculation');
+    console.log('  ✓ Budget-constrained shopping plan');
     console.log('\n');
 
   } catch (error) {
@@ -0,0 +1,331 @@
+/**
+ * Aesthetic clustering within a board
+ *
+ * Boards often mix several distinct looks. This module clusters pins by their
+ * color, style and category features with spherical k-means, picks the
+ * number of clusters by silhouette score, and names each cluster after the
+ * closest entry in a lexicon of well-known aesthetics such as "dark academia"
+ * or "coastal grandmother".
+ *
+ * @module lib/aesthetics
+ */
+
+import { FashionItem } from './core';
+import { colorSimilarity } from './color';
+import { normalizeText } from './utils';
+
+/**
+ * A named aesthetic and the signals that characterize it
+ */
+export interface AestheticDefinition {
+  name: string;
+  colors: string[];
+  styles: string[];
+  categories?: FashionItem['category'][];
+}
+
+/**
+ * A group of pins sharing one aesthetic
+ */
+export interface PinCluster {
+  name: string;
+  /** Share of the board's pins in this cluster (0-1) */
+  share: number;
+  pins: FashionItem[];
+}
+
+/**
+ * Options for clustering
+ */
+export interface ClusterOptions {
+  /** Largest number of clusters to try (default: 4) */
+  maxClusters?: number;
+  /** Smallest cluster allowed, as a share of the pins (default: 0.15) */
+  minClusterShare?: number;
+  /** Fewest pins a board needs before it is split at all (default: 6) */
+  minPins?: number;
+  /** Aesthetics used for naming (default: AESTHETIC_LEXICON) */
+  lexicon?: AestheticDefinition[];
+}
+
+type FeatureVector = Map<string, number>;
+
+/**
+ * Well-known aesthetics used to name clusters
+ */
+export const AESTHETIC_LEXICON: AestheticDefinition[] = [
+  {
+    name: 'dark academia',
+    colors: ['brown', 'burgundy', 'charcoal', 'olive', 'camel', 'black', 'maroon'],
+    styles: ['vintage', 'classic', 'preppy', 'sophisticated', 'retro']
+  },
+  {
+    name: 'coastal grandmother',
+    colors: ['white', 'cream', 'beige', 'navy', 'blue', 'ivory'],
+    styles: ['relaxed', 'classic', 'casual', 'elegant', 'comfortable']
+  },
+  {
+    name: 'minimalist',
+    colors: ['black', 'white', 'gray', 'beige', 'cream'],
+    styles: ['minimalist', 'modern', 'classic', 'professional']
+  },
+  {
+    name: 'quiet luxury',
+    colors: ['camel', 'cream', 'navy', 'beige', 'ivory', 'tan'],
+    styles: ['elegant', 'sophisticated', 'luxury', 'timeless', 'classic', 'luxurious']
+  },
+  {
+    name: 'boho',
+    colors: ['rust', 'mustard', 'olive', 'cream', 'brown', 'tan'],
+    styles: ['bohemian', 'vintage', 'romantic', 'relaxed']
+  },
+  {
+    name: 'romantic',
+    colors: ['pink', 'blush', 'lavender', 'cream', 'ivory', 'white'],
+    styles: ['romantic', 'feminine', 'elegant', 'delicate'],
+    categories: ['dresses']
+  },
+  {
+    name: 'streetwear',
+    colors: ['black', 'white', 'gray', 'olive'],
+    styles: ['streetwear', 'sporty', 'edgy', 'casual', 'trendy'],
+    categories: ['shoes', 'outerwear']
+  },
+  {
+    name: 'grunge',
+    colors: ['black', 'charcoal', 'burgundy', 'gray'],
+    styles: ['grunge', 'edgy', 'vintage']
+  },
+  {
+    name: 'preppy',
+    colors: ['navy', 'white', 'red', 'green', 'khaki'],
+    styles: ['preppy', 'classic', 'chic']
+  },
+  {
+    name: 'athleisure',
+    colors: ['black', 'gray', 'white', 'lavender', 'mint'],
+    styles: ['athleisure', 'sporty', 'comfortable', 'casual']
+  }
+];
+
+/**
+ * Split pins into named aesthetic clusters
+ *
+ * @param pins - Pins to cluster
+ * @param options - Clustering options
+ * @returns Clusters sorted by share, largest first
+ */
+export function clusterPins(pins: FashionItem[], options: ClusterOptions = {}): PinCluster[] {
+  const {
+    maxClusters = 4,
+    minClusterShare = 0.15,
+    minPins = 6,
+    lexicon = AESTHETIC_LEXICON
+  } = options;
+
+  if (pins.length === 0) return [];
+
+  const vectors = pins.map(pinFeatures);
+  let best: { assignments: number[]; k: number; silhouette: number } = {
+    assignments: pins.map(() => 0),
+    k: 1,
+    silhouette: 0
+  };
+
+  if (pins.length >= minPins) {
+    const minSize = Math.max(2, Math.ceil(pins.length * minClusterShare));
+
+    for (let k = 2; k <= Math.min(maxClusters, Math.floor(pins.length / minSize)); k++) {
+      const assignments = sphericalKMeans(vectors, k);
+      const sizes = countSizes(assignments, k);
+      if (sizes.some(size => size < minSize)) continue;
+
+      const score = silhouette(vectors, assignments, k);
+      // A split must be clearly better than keeping the board whole
+      if (score > Math.max(best.silhouette, 0.15)) {
+        best = { assignments, k, silhouette: score };
+      }
+    }
+  }
+
+  const groups: FashionItem[][] = Array.from({ length: best.k }, () => []);
+  best.assignments.forEach((cluster, idx) => groups[cluster].push(pins[idx]));
+
+  const usedNames = new Map<string, number>();
+  return groups
+    .filter(group => group.length > 0)
+    .sort((a, b) => b.length - a.length)
+    .map(group => {
+      const baseName = nameCluster(group, lexicon);
+      const count = (usedNames.get(baseName) || 0) + 1;
+      usedNames.set(baseName, count);
+      return {
+        name: count > 1 ? `${baseName} ${count}` : baseName,
+        share: group.length / pins.length,
+        pins: group
+      };
+    });
+}
+
+/**
+ * Name a group of pins after the best matching aesthetic
+ *
+ * @param pins - Pins in the cluster
+ * @param lexicon - Aesthetics to choose from
+ * @returns Aesthetic name, or a description built from the top style and color
+ */
+export function nameCluster(pins: FashionItem[], lexicon: AestheticDefinition[] = AESTHETIC_LEXICON): string {
+  const styles = topValues(pins.flatMap(pin => pin.style.map(s => normalizeText(s))));
+  const colors = topValues(pins.flatMap(pin => pin.colors.map(c => normalizeText(c))));
+  const categories = topValues(pins.map(pin => pin.category));
+
+  let bestName = '';
+  let bestScore = 0;
+
+  lexicon.forEach(aesthetic => {
+    const styleScore = overlap(styles, aesthetic.styles, (a, b) => (a === b ? 1 : 0));
+    const colorScore = overlap(colors, aesthetic.colors, colorSimilarity);
+    const categoryScore = aesthetic.categories ? overlap(categories, aesthetic.categories, (a, b) => (a === b ? 1 : 0)) : 0;
+    const score = styleScore * 0.55 + colorScore * 0.35 + categoryScore * 0.1;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestName = aesthetic.name;
+    }
+  });
+
+  if (bestScore >= 0.3) return bestName;
+  return [styles[0], colors[0]].filter(Boolean).join(' ') || 'mixed';
+}
+
+/**
+ * Sparse features for a pin: colors, styles and category
+ */
+function pinFeatures(pin: FashionItem): FeatureVector {
+  const vector: FeatureVector = new Map();
+  const add = (key: string, value: number) => vector.set(key, (vector.get(key) || 0) + value);
+
+  pin.colors.forEach(color => add(`color:${normalizeText(color)}`, 1 / pin.colors.length));
+  pin.style.forEach(style => add(`style:${normalizeText(style)}`, 1.5 / pin.style.length));
+  add(`category:${pin.category}`, 0.5);
+
+  return normalize(vector);
+}
+
+/**
+ * Spherical k-means (cosine similarity) with farthest-point seeding
+ */
+function sphericalKMeans(vectors: FeatureVector[], k: number, iterations: number = 20): number[] {
+  const centroids: FeatureVector[] = [vectors[0]];
+  while (centroids.length < k) {
+    let farthest = 0;
+    let farthestSimilarity = Infinity;
+    vectors.forEach((vector, idx) => {
+      const similarity = Math.max(...centroids.map(c => dot(vector, c)));
+      if (similarity < farthestSimilarity) {
+        farthestSimilarity = similarity;
+        farthest = idx;
+      }
+    });
+    centroids.push(vectors[farthest]);
+  }
+
+  let assignments = vectors.map(() => 0);
+  for (let iter = 0; iter < iterations; iter++) {
+    const next = vectors.map(vector => {
+      let best = 0;
+      let bestSimilarity = -Infinity;
+      centroids.forEach((c, idx) => {
+        const similarity = dot(vector, c);
+        if (similarity > bestSimilarity) {
+          bestSimilarity = similarity;
+          best = idx;
+        }
+      });
+      return best;
+    });
+
+    const changed = next.some((cluster, idx) => cluster !== assignments[idx]);
+    assignments = next;
+
+    for (let c = 0; c < k; c++) {
+      const sum: FeatureVector = new Map();
+      vectors.forEach((vector, idx) => {
+        if (assignments[idx] !== c) return;
+        vector.forEach((value, key) => sum.set(key, (sum.get(key) || 0) + value));
+      });
+      if (sum.size > 0) centroids[c] = normalize(sum);
+    }
+
+    if (!changed && iter > 0) break;
+  }
+
+  return assignments;
+}
+
+/**
+ * Mean silhouette coefficient using cosine distance
+ */
+function silhouette(vectors: FeatureVector[], assignments: number[], k: number): number {
+  const scores = vectors.map((vector, idx) => {
+    const meanDistance = new Array(k).fill(0);
+    const counts = new Array(k).fill(0);
+    vectors.forEach((other, j) => {
+      if (j === idx) return;
+      meanDistance[assignments[j]] += 1 - dot(vector, other);
+      counts[assignments[j]]++;
+    });
+
+    const own = assignments[idx];
+    if (counts[own] === 0) return 0;
+    const a = meanDistance[own] / counts[own];
+    const b = Math.min(...meanDistance.map((d, c) => (c === own || counts[c] === 0 ? Infinity : d / counts[c])));
+    return b === Infinity ? 0 : (b - a) / Math.max(a, b, 1e-9);
+  });
+
+  return scores.reduce((sum, s) => sum + s, 0) / scores.length;
+}
+
+function countSizes(assignments: number[], k: number): number[] {
+  const sizes = new Array(k).fill(0);
+  assignments.forEach(cluster => { sizes[cluster]++; });
+  return sizes;
+}
+
+/**
+ * Share of the top values matched by a definition's values
+ */
+function overlap(values: string[], reference: string[], similarity: (a: string, b: string) => number): number {
+  const top = values.slice(0, 4);
+  if (top.length === 0) return 0;
+  const total = top.reduce((sum, value) => sum + Math.max(0, ...reference.map(ref => similarity(value, ref))), 0);
+  return total / top.length;
+}
+
+/**
+ * Values ordered by frequency
+ */
+function topValues(values: string[]): string[] {
+  const counts = new Map<string, number>();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).map(([value]) => value);
+}
+
+function dot(a: FeatureVector, b: FeatureVector): number {
+  let sum = 0;
+  a.forEach((value, key) => {
+    const other = b.get(key);
+    if (other !== undefined) sum += value * other;
+  });
+  return sum;
+}
+
+function normalize(vector: FeatureVector): FeatureVector {
+  let norm = 0;
+  vector.forEach(value => { norm += value * value; });
+  norm = Math.sqrt(norm);
+  if (norm === 0) return vector;
+  const result: FeatureVector = new Map();
+  vector.forEach((value, key) => result.set(key, value / norm));
+  return result;
+}
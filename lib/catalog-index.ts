@@ -0,0 +1,290 @@
+/**
+ * Indexed catalog store for fast candidate retrieval
+ *
+ * Keeps inverted indexes from category, color, style keyword, brand and
+ * price bucket to catalog items. Retrieval walks only the posting lists a
+ * style profile touches, accumulating a cheap approximation of the scoring
+ * model's signals, and returns the most plausible items for full scoring.
+ * Items that share nothing indexed with the profile are never scored.
+ *
+ * @module lib/catalog-index
+ */
+
+import { FashionItem, StyleProfile } from './core';
+import { colorSimilarity } from './color';
+import { normalizeText, selectTopK } from './utils';
+import { DEFAULT_CURRENCY, ExchangeRateTable, createExchangeRateTable, priceIn } from './pricing';
+
+/**
+ * Fields with an inverted index
+ */
+export type IndexedField = 'category' | 'color' | 'style' | 'brand' | 'price';
+
+/**
+ * Options for candidate retrieval
+ */
+export interface RetrievalOptions {
+  /** Most candidates to return (default: 2000) */
+  maxCandidates?: number;
+  /** Smallest color similarity that counts as a color hit (default: 0.5) */
+  minColorSimilarity?: number;
+  /** Per-field weights of the retrieval score (default: the built-in signal weights) */
+  weights?: Partial<Record<IndexedField, number>>;
+}
+
+/**
+ * Options for building a catalog index
+ */
+export interface CatalogIndexOptions {
+  /** Exchange rates for bucketing prices in one currency (default: the built-in offline rates) */
+  exchangeRates?: ExchangeRateTable;
+}
+
+// Mirrors the default scoring weights so retrieval ranks like the scorer would
+const DEFAULT_RETRIEVAL_WEIGHTS: Record<IndexedField, number> = {
+  category: 0.15,
+  color: 0.3,
+  style: 0.4,
+  brand: 0.1,
+  price: 0.05
+};
+
+/**
+ * Catalog with inverted indexes for candidate retrieval
+ */
+export class CatalogIndex {
+  private items: Array<FashionItem | undefined> = [];
+  /** Effective price of each item in the base currency, NaN when unknown */
+  private prices: number[] = [];
+  private positions = new Map<string, number>();
+  private postings: Record<IndexedField, Map<string, number[]>> = {
+    category: new Map(),
+    color: new Map(),
+    style: new Map(),
+    brand: new Map(),
+    price: new Map()
+  };
+  private liveCount = 0;
+  private exchangeRates: ExchangeRateTable;
+
+  constructor(items: FashionItem[] = [], options: CatalogIndexOptions = {}) {
+    this.exchangeRates = options.exchangeRates || createExchangeRateTable();
+    this.addAll(items);
+  }
+
+  /**
+   * Add an item, replacing any item with the same id
+   *
+   * @param item - Item to index
+   */
+  public add(item: FashionItem): void {
+    this.remove(item.id);
+
+    const position = this.items.length;
+    const price = priceIn(item, this.exchangeRates.getBaseCurrency(), this.exchangeRates);
+    this.items.push(item);
+    this.prices.push(price ?? NaN);
+    this.positions.set(item.id, position);
+    this.liveCount++;
+
+    this._post('category', item.category, position);
+    new Set(item.colors.map(c => normalizeText(c))).forEach(color => this._post('color', color, position));
+    new Set(item.style.map(s => normalizeText(s))).forEach(style => this._post('style', style, position));
+    if (item.brand) this._post('brand', normalizeText(item.brand), position);
+    if (price !== undefined) this._post('price', String(priceBucket(price)), position);
+  }
+
+  /**
+   * Add several items
+   *
+   * @param items - Items to index
+   */
+  public addAll(items: FashionItem[]): void {
+    items.forEach(item => this.add(item));
+  }
+
+  /**
+   * Remove an item. Its posting entries are skipped until the index is rebuilt.
+   *
+   * @param id - Item id
+   * @returns True if the item was indexed
+   */
+  public remove(id: string): boolean {
+    const position = this.positions.get(id);
+    if (position === undefined) return false;
+
+    this.items[position] = undefined;
+    this.positions.delete(id);
+    this.liveCount--;
+
+    // Compact once tombstones outnumber live items
+    if (this.items.length > 1000 && this.liveCount < this.items.length / 2) {
+      this._rebuild();
+    }
+    return true;
+  }
+
+  /**
+   * Get an item by id
+   *
+   * @param id - Item id
+   */
+  public get(id: string): FashionItem | undefined {
+    const position = this.positions.get(id);
+    return position === undefined ? undefined : this.items[position];
+  }
+
+  /**
+   * All indexed items
+   */
+  public getItems(): FashionItem[] {
+    return this.items.filter((item): item is FashionItem => item !== undefined);
+  }
+
+  /**
+   * Number of indexed items
+   */
+  public get size(): number {
+    return this.liveCount;
+  }
+
+  /**
+   * Items with an exact indexed value
+   *
+   * @param field - Indexed field
+   * @param value - Value to look up; prices are looked up by amount in the base currency
+   * @returns Matching items
+   */
+  public lookup(field: IndexedField, value: string | number): FashionItem[] {
+    const key = field === 'price' ? String(priceBucket(Number(value))) : normalizeText(String(value));
+    return this._resolve(this.postings[field].get(key) || []);
+  }
+
+  /**
+   * Retrieve the items most likely to score well against a profile
+   *
+   * @param profile - Style profile to retrieve for
+   * @param options - Candidate limit and retrieval weights
+   * @returns Up to maxCandidates items, best first
+   */
+  public retrieve(profile: StyleProfile, options: RetrievalOptions = {}): FashionItem[] {
+    const { maxCandidates = 2000, minColorSimilarity = 0.5 } = options;
+    const weights = { ...DEFAULT_RETRIEVAL_WEIGHTS, ...options.weights };
+    const scores = new Float32Array(this.items.length);
+    const seen = new Uint8Array(this.items.length);
+    const touched: number[] = [];
+
+    const accumulate = (positions: number[] | undefined, weight: number, perItem?: (item: FashionItem, position: number) => number) => {
+      if (!positions || weight <= 0) return;
+      positions.forEach(position => {
+        const item = this.items[position];
+        if (!item) return;
+        const score = weight * (perItem ? perItem(item, position) : 1);
+        if (score <= 0) return;
+        if (!seen[position]) {
+          seen[position] = 1;
+          touched.push(position);
+        }
+        scores[position] += score;
+      });
+    };
+
+    // Profile values count by their weight relative to the strongest, as in the scorer
+    const relative = (shares: Record<string, number>) => {
+      const max = Math.max(0, ...Object.values(shares));
+      return Object.entries(shares).map(([key, share]) => ({ key, weight: max > 0 ? share / max : 0 }));
+    };
+
+    relative(profile.categoryWeights).forEach(({ key, weight }) => {
+      accumulate(this.postings.category.get(key), weights.category * weight);
+    });
+
+    // Each indexed color is compared with the profile once, then applied to its whole posting list
+    const colorWeights = new Map(relative(profile.colorWeights).map(({ key, weight }) => [key, weight]));
+    const colorImportance = profile.dominantColors.map(c => 0.5 + 0.5 * (colorWeights.get(c) || 0));
+    this.postings.color.forEach((positions, color) => {
+      const similarity = profile.dominantColors.reduce((best, c, idx) =>
+        Math.max(best, colorSimilarity(color, c) * colorImportance[idx]), 0);
+      if (similarity >= minColorSimilarity) {
+        accumulate(positions, weights.color * similarity, item => 1 / item.colors.length);
+      }
+    });
+
+    relative(profile.styleWeights).forEach(({ key, weight }) => {
+      accumulate(this.postings.style.get(key), weights.style * (0.5 + 0.5 * weight), item => 1 / item.style.length);
+    });
+
+    relative(profile.brandWeights).forEach(({ key, weight }) => {
+      accumulate(this.postings.brand.get(key), weights.brand * weight);
+    });
+
+    if (profile.priceRange && this.exchangeRates.supports(profile.currency || DEFAULT_CURRENCY)) {
+      const toBase = (amount: number) =>
+        this.exchangeRates.convert(amount, profile.currency || DEFAULT_CURRENCY, this.exchangeRates.getBaseCurrency());
+      const min = toBase(profile.priceRange.min);
+      const max = toBase(profile.priceRange.max);
+      for (let bucket = priceBucket(min); bucket <= priceBucket(max); bucket++) {
+        accumulate(this.postings.price.get(String(bucket)), weights.price, (_, position) =>
+          this.prices[position] >= min && this.prices[position] <= max ? 1 : 0);
+      }
+    }
+
+    return selectTopK(touched, maxCandidates, position => scores[position])
+      .map(position => this.items[position]!);
+  }
+
+  /**
+   * Append a position to a posting list
+   * @private
+   */
+  private _post(field: IndexedField, key: string, position: number): void {
+    const list = this.postings[field].get(key);
+    if (list) {
+      list.push(position);
+    } else {
+      this.postings[field].set(key, [position]);
+    }
+  }
+
+  /**
+   * Map positions to live items
+   * @private
+   */
+  private _resolve(positions: number[]): FashionItem[] {
+    return positions
+      .map(position => this.items[position])
+      .filter((item): item is FashionItem => item !== undefined);
+  }
+
+  /**
+   * Rebuild every index without tombstones
+   * @private
+   */
+  private _rebuild(): void {
+    const live = this.getItems();
+    this.items = [];
+    this.prices = [];
+    this.positions.clear();
+    (Object.keys(this.postings) as IndexedField[]).forEach(field => this.postings[field].clear());
+    this.liveCount = 0;
+    this.addAll(live);
+  }
+}
+
+/**
+ * Build an index over catalog items
+ *
+ * @param items - Items to index
+ * @param options - Exchange rates for price bucketing
+ * @returns New CatalogIndex instance
+ */
+export function createCatalogIndex(items: FashionItem[] = [], options: CatalogIndexOptions = {}): CatalogIndex {
+  return new CatalogIndex(items, options);
+}
+
+/**
+ * Half-octave price bucket, so each bucket spans prices within ~41% of each other
+ */
+function priceBucket(price: number): number {
+  return price <= 1 ? 0 : Math.floor(Math.log2(price) * 2);
+}
@@ -0,0 +1,753 @@
+/**
+ * Catalog ingestion from retailer product feeds
+ *
+ * Parses Google Merchant Center RSS/Atom feeds, CSV exports with a column
+ * mapping and schema.org Product JSON-LD into fashion items. Every record runs
+ * through the same enrichment pipeline as pins and is validated before it is
+ * accepted; rejected records come back with the reason. A Catalog keeps the
+ * imported items so a later import of the same feed only patches what changed.
+ *
+ * @module lib/catalog
+ */
+
+import { promises as fs } from 'fs';
+import { extname } from 'path';
+import { FashionItem } from './core';
+import type { SizeAvailability } from './pricing';
+import { classifyCategory, enrichFashionItem, parsePrice, EnrichmentInput, EnrichmentOptions } from './enrichment';
+import { getValidationErrors, normalizeText, parseColors, parseCsv } from './utils';
+import { extractFabrics } from './season';
+
+/**
+ * Supported feed formats
+ */
+export type FeedFormat = 'google-merchant' | 'csv' | 'json-ld';
+
+/**
+ * One product as read from a feed, before enrichment
+ */
+export interface FeedRecord {
+  id?: string;
+  title?: string;
+  description?: string;
+  link?: string;
+  imageUrl?: string;
+  price?: string;
+  /** Discounted price, when the product is on sale */
+  salePrice?: string;
+  availability?: string;
+  /** Size, or a list such as "S, M, L" or "S:in stock, M:out of stock" */
+  size?: string;
+  brand?: string;
+  color?: string;
+  /** Fabric composition, such as "cotton/linen" or "100% wool" */
+  material?: string;
+  /** Category text or taxonomy path such as "Apparel > Clothing > Dresses" */
+  category?: string;
+}
+
+/**
+ * Feed fields that can be mapped from CSV columns
+ */
+export type CatalogField = keyof FeedRecord;
+
+/**
+ * Options for importing a feed
+ */
+export interface CatalogImportOptions extends EnrichmentOptions {
+  /** CSV header to read each field from, overriding the built-in aliases */
+  columns?: Partial<Record<CatalogField, string>>;
+  /** CSV field delimiter (default: comma) */
+  delimiter?: string;
+}
+
+/**
+ * A record that was not imported
+ */
+export interface RejectedRecord {
+  /** 1-based position of the record in the feed */
+  index: number;
+  id?: string;
+  reason: string;
+}
+
+/**
+ * Items parsed from a feed
+ */
+export interface CatalogImportResult {
+  items: FashionItem[];
+  rejected: RejectedRecord[];
+}
+
+/**
+ * Price and stock changes to one item during a re-import
+ */
+export interface CatalogChange {
+  id: string;
+  price?: { from?: number; to?: number };
+  salePrice?: { from?: number; to?: number };
+  availability?: { from?: FashionItem['availability']; to?: FashionItem['availability'] };
+  sizes?: { from?: SizeAvailability[]; to?: SizeAvailability[] };
+  /** True when other fields changed and the item was enriched again */
+  reenriched: boolean;
+}
+
+/**
+ * Outcome of importing a feed into a Catalog
+ */
+export interface CatalogSyncReport {
+  added: string[];
+  updated: CatalogChange[];
+  unchanged: number;
+  rejected: RejectedRecord[];
+  /** Ids in the catalog that the feed no longer lists */
+  missing: string[];
+}
+
+/**
+ * Options for syncing a feed into a Catalog
+ */
+export interface CatalogSyncOptions extends CatalogImportOptions {
+  /** Mark items the feed no longer lists as out of stock (default: false) */
+  markMissingOutOfStock?: boolean;
+}
+
+// Common header names in product CSV exports, checked in order
+const CSV_COLUMN_ALIASES: Record<CatalogField, string[]> = {
+  id: ['id', 'sku', 'product id', 'item id', 'mpn', 'gtin'],
+  title: ['title', 'name', 'product name', 'product title'],
+  description: ['description', 'product description', 'body'],
+  link: ['link', 'url', 'product url', 'product link'],
+  imageUrl: ['image link', 'image url', 'image', 'image_link', 'main image'],
+  price: ['price', 'regular price', 'list price'],
+  salePrice: ['sale price', 'sale_price', 'discounted price', 'special price', 'promo price'],
+  availability: ['availability', 'stock status', 'in stock', 'stock'],
+  size: ['size', 'sizes', 'available sizes'],
+  brand: ['brand', 'vendor', 'manufacturer', 'designer'],
+  color: ['color', 'colour'],
+  material: ['material', 'fabric', 'composition'],
+  category: ['product type', 'product_type', 'category', 'google product category', 'google_product_category', 'type']
+};
+
+const AVAILABILITY_ALIASES: Record<string, FashionItem['availability']> = {
+  'in stock': 'in_stock',
+  'instock': 'in_stock',
+  'available': 'in_stock',
+  'limitedavailability': 'in_stock',
+  'onlineonly': 'in_stock',
+  'instoreonly': 'in_stock',
+  'yes': 'in_stock',
+  'true': 'in_stock',
+  'out of stock': 'out_of_stock',
+  'outofstock': 'out_of_stock',
+  'soldout': 'out_of_stock',
+  'sold out': 'out_of_stock',
+  'discontinued': 'out_of_stock',
+  'no': 'out_of_stock',
+  'false': 'out_of_stock',
+  'preorder': 'preorder',
+  'pre order': 'preorder',
+  'presale': 'preorder',
+  'backorder': 'backorder',
+  'back order': 'backorder'
+};
+
+/**
+ * Parse a Google Merchant Center RSS 2.0 or Atom feed
+ *
+ * @param xml - Feed XML
+ * @returns One record per item or entry
+ */
+export function parseGoogleMerchantFeed(xml: string): FeedRecord[] {
+  const blocks = extractElements(xml, 'item');
+  const entries = blocks.length > 0 ? blocks : extractElements(xml, 'entry');
+
+  return entries.map(block => ({
+    id: childText(block, 'id'),
+    title: childText(block, 'title'),
+    description: childText(block, 'description') || childText(block, 'summary'),
+    link: childText(block, 'link') || block.match(/<link\b[^>]*\bhref="([^"]*)"/i)?.[1],
+    imageUrl: childText(block, 'image_link'),
+    price: childText(block, 'price'),
+    salePrice: childText(block, 'sale_price'),
+    availability: childText(block, 'availability'),
+    size: childText(block, 'size'),
+    brand: childText(block, 'brand'),
+    color: childText(block, 'color'),
+    material: childText(block, 'material'),
+    category: childText(block, 'product_type') || childText(block, 'google_product_category')
+  }));
+}
+
+/**
+ * Parse a product CSV export
+ *
+ * @param csv - CSV text with a header row
+ * @param options - Column mapping and delimiter
+ * @returns One record per data row
+ */
+export function parseCatalogCsv(csv: string, options: Pick<CatalogImportOptions, 'columns' | 'delimiter'> = {}): FeedRecord[] {
+  const rows = parseCsv(csv, options.delimiter);
+  if (rows.length === 0) return [];
+
+  const headers = Object.keys(rows[0]);
+  const columns: Partial<Record<CatalogField, string>> = {};
+
+  (Object.keys(CSV_COLUMN_ALIASES) as CatalogField[]).forEach(field => {
+    const override = options.columns?.[field];
+    if (override) {
+      const header = override.trim().toLowerCase();
+      if (!headers.includes(header)) {
+        throw new Error(`Column not found for ${field}: ${override}`);
+      }
+      columns[field] = header;
+    } else {
+      columns[field] = CSV_COLUMN_ALIASES[field].find(alias => headers.includes(alias));
+    }
+  });
+
+  return rows.map(row => {
+    const record: FeedRecord = {};
+    (Object.keys(columns) as CatalogField[]).forEach(field => {
+      const header = columns[field];
+      if (header && row[header]) record[field] = row[header];
+    });
+    return record;
+  });
+}
+
+/**
+ * Extract schema.org Product records from JSON-LD
+ *
+ * Accepts raw JSON or scraped HTML containing ld+json script tags, and walks
+ * arrays, @graph containers and ItemList elements to find every Product.
+ *
+ * @param text - JSON or HTML
+ * @returns One record per Product, and one per variant of a ProductGroup
+ */
+export function parseJsonLdProducts(text: string): FeedRecord[] {
+  const scripts = Array.from(text.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi))
+    .map(match => match[1]);
+  const documents = scripts.length > 0 ? scripts : [text];
+
+  const products: any[] = [];
+  documents.forEach(doc => {
+    let json: unknown;
+    try {
+      json = JSON.parse(doc.trim());
+    } catch {
+      return;
+    }
+    collectProducts(json, products);
+  });
+
+  return products.map(product => {
+    const offers = Array.isArray(product.offers) ? product.offers[0] : product.offers;
+    const specifications: any[] = [offers?.priceSpecification].flat().filter(Boolean);
+    // A strikethrough specification holds the list price, making the offer price a sale price
+    const listPrice = specifications.find(spec => /StrikethroughPrice|ListPrice/i.test(String(spec.priceType)));
+    const offerPrice = offers?.price ?? offers?.lowPrice ?? specifications.find(spec => spec !== listPrice)?.price;
+    const price = listPrice?.price ?? offerPrice;
+    const salePrice = listPrice ? offerPrice : undefined;
+    const currency = offers?.priceCurrency ?? specifications[0]?.priceCurrency;
+    const image = Array.isArray(product.image) ? product.image[0] : product.image;
+
+    return {
+      id: stringValue(product.sku ?? product.productID ?? product['@id'] ?? product.url),
+      title: stringValue(product.name),
+      description: stringValue(product.description),
+      link: stringValue(product.url ?? offers?.url),
+      imageUrl: stringValue(typeof image === 'object' && image !== null ? image.url ?? image.contentUrl : image),
+      price: price !== undefined ? `${price}${currency ? ` ${currency}` : ''}` : undefined,
+      salePrice: salePrice !== undefined ? `${salePrice}${currency ? ` ${currency}` : ''}` : undefined,
+      availability: stringValue(offers?.availability),
+      size: stringValue(product.size),
+      brand: stringValue(typeof product.brand === 'object' && product.brand !== null ? product.brand.name : product.brand),
+      color: stringValue(product.color),
+      material: stringValue(product.material),
+      category: stringValue(product.category)
+    };
+  });
+}
+
+/**
+ * Guess a feed's format from its file name or content
+ *
+ * @param text - Feed content
+ * @param fileName - Optional file name
+ * @returns Detected format
+ */
+export function detectFeedFormat(text: string, fileName?: string): FeedFormat {
+  const extension = fileName ? extname(fileName).toLowerCase() : '';
+  if (extension === '.csv' || extension === '.tsv') return 'csv';
+  if (extension === '.xml' || extension === '.rss' || extension === '.atom') return 'google-merchant';
+  if (extension === '.json' || extension === '.jsonld' || extension === '.html' || extension === '.htm') return 'json-ld';
+
+  const start = text.trimStart();
+  if (start.startsWith('<?xml') || /^<(rss|feed)\b/i.test(start)) return 'google-merchant';
+  if (start.startsWith('{') || start.startsWith('[') || /application\/ld\+json/i.test(start)) return 'json-ld';
+  return 'csv';
+}
+
+/**
+ * Parse feed text in any supported format
+ *
+ * @param text - Feed content
+ * @param format - Feed format
+ * @param options - Column mapping and delimiter for CSV
+ * @returns Feed records
+ */
+export function parseFeed(text: string, format: FeedFormat, options: CatalogImportOptions = {}): FeedRecord[] {
+  switch (format) {
+    case 'google-merchant':
+      return parseGoogleMerchantFeed(text);
+    case 'csv':
+      return parseCatalogCsv(text, options);
+    case 'json-ld':
+      return parseJsonLdProducts(text);
+    default:
+      throw new Error(`Unsupported feed format: ${format}`);
+  }
+}
+
+/**
+ * Enrich and validate feed records into fashion items
+ *
+ * @param records - Records from a feed parser
+ * @param options - Enrichment options
+ * @returns Valid items and rejected records with reasons
+ */
+export function recordsToItems(records: FeedRecord[], options: EnrichmentOptions = {}): CatalogImportResult {
+  const result: CatalogImportResult = { items: [], rejected: [] };
+  const seen = new Set<string>();
+
+  records.forEach((record, idx) => {
+    const index = idx + 1;
+    const outcome = recordToItem(record, options);
+    if (typeof outcome === 'string') {
+      result.rejected.push({ index, id: record.id, reason: outcome });
+      return;
+    }
+    if (seen.has(outcome.id)) {
+      result.rejected.push({ index, id: outcome.id, reason: `Duplicate id: ${outcome.id}` });
+      return;
+    }
+    seen.add(outcome.id);
+    result.items.push(outcome);
+  });
+
+  return result;
+}
+
+/**
+ * Import a feed into fashion items
+ *
+ * @param text - Feed content
+ * @param format - Feed format
+ * @param options - Column mapping and enrichment options
+ * @returns Valid items and rejected records with reasons
+ */
+export function importCatalog(text: string, format: FeedFormat, options: CatalogImportOptions = {}): CatalogImportResult {
+  return recordsToItems(parseFeed(text, format, options), options);
+}
+
+/**
+ * Import a feed file, or every feed file in a directory (for example a
+ * folder of scraped product pages)
+ *
+ * @param path - File or directory path
+ * @param options - Format override, column mapping and enrichment options
+ * @returns Valid items and rejected records with reasons
+ */
+export async function importCatalogFile(
+  path: string,
+  options: CatalogImportOptions & { format?: FeedFormat } = {}
+): Promise<CatalogImportResult> {
+  return recordsToItems(await readFeedRecords(path, options), options);
+}
+
+/**
+ * Imported catalog items, kept so re-imports only apply what changed
+ */
+export class Catalog {
+  private items = new Map<string, FashionItem>();
+  private fingerprints = new Map<string, string>();
+
+  /**
+   * Import a feed, adding new items and updating changed ones
+   *
+   * Records whose content is unchanged apart from prices and stock are
+   * patched in place without running enrichment again.
+   *
+   * @param text - Feed content
+   * @param format - Feed format
+   * @param options - Column mapping, enrichment and missing-item options
+   * @returns What was added, updated, rejected and no longer listed
+   */
+  public sync(text: string, format: FeedFormat, options: CatalogSyncOptions = {}): CatalogSyncReport {
+    return this._syncRecords(parseFeed(text, format, options), options);
+  }
+
+  /**
+   * Import a feed file or directory of feed files
+   *
+   * @param path - File or directory path
+   * @param options - Format override, column mapping, enrichment and missing-item options
+   * @returns What was added, updated, rejected and no longer listed
+   */
+  public async syncFile(path: string, options: CatalogSyncOptions & { format?: FeedFormat } = {}): Promise<CatalogSyncReport> {
+    return this._syncRecords(await readFeedRecords(path, options), options);
+  }
+
+  /**
+   * Get an item by id
+   *
+   * @param id - Item id
+   */
+  public get(id: string): FashionItem | undefined {
+    return this.items.get(id);
+  }
+
+  /**
+   * All items in the catalog
+   */
+  public getItems(): FashionItem[] {
+    return Array.from(this.items.values());
+  }
+
+  /**
+   * Number of items in the catalog
+   */
+  public get size(): number {
+    return this.items.size;
+  }
+
+  /**
+   * Apply parsed records to the catalog
+   * @private
+   */
+  private _syncRecords(records: FeedRecord[], options: CatalogSyncOptions): CatalogSyncReport {
+    const report: CatalogSyncReport = { added: [], updated: [], unchanged: 0, rejected: [], missing: [] };
+    const seen = new Set<string>();
+
+    records.forEach((record, idx) => {
+      const index = idx + 1;
+      if (record.id && seen.has(record.id)) {
+        report.rejected.push({ index, id: record.id, reason: `Duplicate id: ${record.id}` });
+        return;
+      }
+
+      const existing = record.id ? this.items.get(record.id) : undefined;
+      const fingerprint = recordFingerprint(record);
+
+      if (existing && this.fingerprints.get(existing.id) === fingerprint) {
+        seen.add(existing.id);
+        const offer = parseOffer(record);
+        if (typeof offer === 'string') {
+          report.rejected.push({ index, id: record.id, reason: offer });
+          return;
+        }
+
+        const patched = applyOffer(existing, offer);
+        const change = describeChange(existing, patched, false);
+        if (change) {
+          this.items.set(existing.id, patched);
+          report.updated.push(change);
+        } else {
+          report.unchanged++;
+        }
+        return;
+      }
+
+      const outcome = recordToItem(record, options);
+      if (typeof outcome === 'string') {
+        report.rejected.push({ index, id: record.id, reason: outcome });
+        return;
+      }
+
+      seen.add(outcome.id);
+      this.items.set(outcome.id, outcome);
+      this.fingerprints.set(outcome.id, fingerprint);
+      if (existing) {
+        report.updated.push(describeChange(existing, outcome, true)!);
+      } else {
+        report.added.push(outcome.id);
+      }
+    });
+
+    this.items.forEach((item, id) => {
+      if (seen.has(id)) return;
+      report.missing.push(id);
+      if (options.markMissingOutOfStock && item.availability !== 'out_of_stock') {
+        this.items.set(id, { ...item, availability: 'out_of_stock' });
+      }
+    });
+
+    return report;
+  }
+}
+
+/**
+ * Create an empty catalog
+ *
+ * @returns New Catalog instance
+ */
+export function createCatalog(): Catalog {
+  return new Catalog();
+}
+
+/**
+ * Enrich and validate one record
+ *
+ * @returns The item, or the reason it was rejected
+ */
+function recordToItem(record: FeedRecord, options: EnrichmentOptions): FashionItem | string {
+  if (!record.id) return 'Missing id';
+  if (!record.title) return 'Missing title';
+
+  const offer = parseOffer(record);
+  if (typeof offer === 'string') return offer;
+
+  const known: NonNullable<EnrichmentInput['known']> = {};
+  const category = record.category ? classifyFeedCategory(record.category) : null;
+  if (category) known.category = category;
+  if (record.color) {
+    // Feed colors such as "Navy Blue" map to palette names as pin text does; unknown names are kept
+    const colors = record.color.split(/[\/,;&|]|\band\b/i).map(c => normalizeText(c)).filter(Boolean)
+      .flatMap(color => {
+        const named = parseColors(color);
+        return named.length > 0 ? named : [color];
+      });
+    known.colors = Array.from(new Set(colors));
+  }
+  if (record.brand) known.brand = record.brand;
+  if (offer.price !== undefined) known.price = offer.price;
+  if (offer.salePrice !== undefined) known.salePrice = offer.salePrice;
+  if (offer.currency) known.currency = offer.currency;
+  if (offer.sizes) known.sizes = offer.sizes;
+  const fabrics = record.material ? extractFabrics(record.material) : [];
+  if (fabrics.length > 0) known.fabrics = fabrics;
+
+  const item = enrichFashionItem({
+    id: record.id,
+    title: record.title,
+    description: record.description,
+    link: record.link,
+    imageUrl: record.imageUrl,
+    known
+  }, options);
+
+  if (item.inference?.category.source === 'default') {
+    return `Could not determine a fashion category for "${record.title}"`;
+  }
+  if (offer.availability) item.availability = offer.availability;
+
+  const errors = getValidationErrors(item);
+  return errors.length > 0 ? errors.join('; ') : item;
+}
+
+/**
+ * Prices and stock read from a record
+ */
+interface Offer {
+  price?: number;
+  salePrice?: number;
+  currency?: string;
+  availability?: FashionItem['availability'];
+  sizes?: SizeAvailability[];
+}
+
+/**
+ * Parse a record's prices, availability and sizes
+ *
+ * @returns The offer, or the reason the record was rejected
+ */
+function parseOffer(record: FeedRecord): Offer | string {
+  const availability = normalizeAvailability(record.availability);
+  if (availability === null) return `Unknown availability: ${record.availability}`;
+
+  const offer: Offer = {};
+  if (availability) offer.availability = availability;
+
+  if (record.price) {
+    const parsed = parsePrice(record.price);
+    if (!parsed) return `Unreadable price: ${record.price}`;
+    offer.price = parsed.amount;
+    if (parsed.currency) offer.currency = parsed.currency;
+  }
+
+  if (record.salePrice) {
+    const parsed = parsePrice(record.salePrice);
+    if (!parsed) return `Unreadable sale price: ${record.salePrice}`;
+    if (parsed.currency && offer.currency && parsed.currency !== offer.currency) {
+      return `Sale price currency ${parsed.currency} differs from price currency ${offer.currency}`;
+    }
+    offer.salePrice = parsed.amount;
+    offer.currency = offer.currency || parsed.currency;
+  }
+
+  if (record.size) {
+    const sizes = parseSizes(record.size, availability);
+    if (typeof sizes === 'string') return sizes;
+    offer.sizes = sizes;
+  }
+
+  return offer;
+}
+
+/**
+ * Parse "S, M, L" or "S:in stock, M:out of stock". Sizes without their own
+ * status take the record's availability.
+ *
+ * @returns Sizes, or the reason they could not be read
+ */
+function parseSizes(text: string, availability: FashionItem['availability']): SizeAvailability[] | string {
+  const sizes: SizeAvailability[] = [];
+  for (const entry of text.split(/[,;|]/).map(e => e.trim()).filter(Boolean)) {
+    const [size, status] = entry.split(':').map(part => part.trim());
+    const sizeAvailability = status ? normalizeAvailability(status) : availability;
+    if (sizeAvailability === null) return `Unknown availability for size ${size}: ${status}`;
+    sizes.push({ size, inStock: sizeAvailability !== 'out_of_stock' });
+  }
+  return sizes;
+}
+
+/**
+ * Replace an item's prices and stock with an offer's
+ */
+function applyOffer(item: FashionItem, offer: Offer): FashionItem {
+  const { price, salePrice, currency, availability, sizes, ...rest } = item;
+  return {
+    ...rest,
+    ...(offer.price !== undefined && { price: offer.price }),
+    ...(offer.salePrice !== undefined && { salePrice: offer.salePrice }),
+    ...(offer.currency && { currency: offer.currency }),
+    ...(offer.availability && { availability: offer.availability }),
+    ...(offer.sizes && { sizes: offer.sizes })
+  };
+}
+
+/**
+ * Read records from a file, or from every supported file in a directory
+ */
+async function readFeedRecords(path: string, options: CatalogImportOptions & { format?: FeedFormat }): Promise<FeedRecord[]> {
+  const stat = await fs.stat(path);
+  const files = stat.isDirectory()
+    ? (await fs.readdir(path))
+      .filter(name => ['.csv', '.tsv', '.xml', '.rss', '.atom', '.json', '.jsonld', '.html', '.htm'].includes(extname(name).toLowerCase()))
+      .sort()
+      .map(name => `${path.replace(/\/$/, '')}/${name}`)
+    : [path];
+
+  const records: FeedRecord[] = [];
+  for (const file of files) {
+    const text = await fs.readFile(file, 'utf8');
+    const format = options.format || detectFeedFormat(text, file);
+    const delimiter = options.delimiter || (extname(file).toLowerCase() === '.tsv' ? '\t' : undefined);
+    records.push(...parseFeed(text, format, { ...options, delimiter }));
+  }
+  return records;
+}
+
+/**
+ * Map category text or a taxonomy path to a fashion category, most specific segment first
+ */
+function classifyFeedCategory(text: string): FashionItem['category'] | null {
+  const segments = text.split(/>|\//).map(s => s.trim()).filter(Boolean).reverse();
+  for (const segment of segments) {
+    // Taxonomies use plurals ("Dresses", "Blouses") where keywords are singular
+    for (const candidate of [segment, segment.replace(/s$/i, ''), segment.replace(/es$/i, '')]) {
+      const match = classifyCategory(candidate);
+      if (match) return match.category;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize availability text
+ *
+ * @returns The availability, undefined when not given, or null when unrecognized
+ */
+function normalizeAvailability(value?: string): FashionItem['availability'] | null {
+  if (!value) return undefined;
+  const key = value.replace(/^https?:\/\/schema\.org\//i, '').replace(/[_-]/g, ' ').trim().toLowerCase();
+  return AVAILABILITY_ALIASES[key] ?? AVAILABILITY_ALIASES[key.replace(/\s/g, '')] ?? null;
+}
+
+function describeChange(existing: FashionItem, updated: FashionItem, reenriched: boolean): CatalogChange | null {
+  const change: CatalogChange = { id: existing.id, reenriched };
+  if (existing.price !== updated.price) change.price = { from: existing.price, to: updated.price };
+  if (existing.salePrice !== updated.salePrice) change.salePrice = { from: existing.salePrice, to: updated.salePrice };
+  if (existing.availability !== updated.availability) {
+    change.availability = { from: existing.availability, to: updated.availability };
+  }
+  if (JSON.stringify(existing.sizes) !== JSON.stringify(updated.sizes)) {
+    change.sizes = { from: existing.sizes, to: updated.sizes };
+  }
+  return change.price || change.salePrice || change.availability || change.sizes || reenriched ? change : null;
+}
+
+function recordFingerprint(record: FeedRecord): string {
+  const { price, salePrice, availability, size, ...content } = record;
+  return JSON.stringify(Object.keys(content).sort().map(key => [key, content[key as keyof typeof content]]));
+}
+
+function collectProducts(node: any, products: any[]): void {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectProducts(child, products));
+    return;
+  }
+  if (typeof node !== 'object' || node === null) return;
+
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  if (types.includes('Product')) {
+    products.push(node);
+    return;
+  }
+  // Variants inherit the group's brand when they don't name their own
+  if (types.includes('ProductGroup') && Array.isArray(node.hasVariant)) {
+    node.hasVariant.forEach((variant: any) => collectProducts({ brand: node.brand, ...variant }, products));
+    return;
+  }
+
+  if (node['@graph']) collectProducts(node['@graph'], products);
+  if (node.itemListElement) collectProducts(node.itemListElement, products);
+  if (node.item) collectProducts(node.item, products);
+  if (node.mainEntity) collectProducts(node.mainEntity, products);
+}
+
+function stringValue(value: unknown): string | undefined {
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).trim();
+  return text || undefined;
+}
+
+function extractElements(xml: string, tag: string): string[] {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'gi');
+  return Array.from(xml.matchAll(pattern)).map(match => match[1]);
+}
+
+/**
+ * Text of a child element, preferring the Google "g:" namespace
+ */
+function childText(block: string, name: string): string | undefined {
+  for (const tag of [`g:${name}`, name]) {
+    const match = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+    if (match) return stringValue(decodeXml(match[1]));
+  }
+  return undefined;
+}
+
+function decodeXml(text: string): string {
+  const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) return cdata[1];
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
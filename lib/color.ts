@@ -0,0 +1,451 @@
+/**
+ * Color model for fashion recommendation system
+ *
+ * This module defines the named color palette shared with parseColors and
+ * converts between hex, sRGB and CIELAB so that image pixels and color names
+ * can be compared in a perceptual color space.
+ *
+ * @module lib/color
+ */
+
+/**
+ * A color in CIELAB space (D65 white point)
+ */
+export type Lab = [number, number, number];
+
+/**
+ * A color in 8-bit sRGB
+ */
+export type Rgb = [number, number, number];
+
+/**
+ * Reference colors for every name parseColors recognizes. "grey" is kept as
+ * an alias of "gray" so lookups by either spelling work; nearest-name
+ * searches return the first spelling.
+ */
+export const NAMED_COLORS: Record<string, string> = {
+  black: '#0d0d0d',
+  white: '#fafafa',
+  gray: '#8a8a8a',
+  grey: '#8a8a8a',
+  red: '#c8102e',
+  blue: '#2a5db0',
+  green: '#2e8b57',
+  yellow: '#f2d024',
+  orange: '#f28c28',
+  purple: '#6a3d9a',
+  pink: '#f4a6c1',
+  brown: '#6f4e37',
+  beige: '#e3d5b8',
+  tan: '#d2b48c',
+  navy: '#1f2a44',
+  maroon: '#800000',
+  burgundy: '#800020',
+  teal: '#008080',
+  turquoise: '#40e0d0',
+  lavender: '#c8b6e2',
+  cream: '#f3ecd6',
+  ivory: '#fffff0',
+  charcoal: '#36454f',
+  olive: '#708238',
+  khaki: '#c3b091',
+  coral: '#ff7f50',
+  mint: '#aee6c8',
+  sage: '#9caf88',
+  mustard: '#e1ad01',
+  rust: '#b7410e',
+  camel: '#c19a6b',
+  nude: '#e3bc9a',
+  blush: '#e8b4b8',
+  emerald: '#009b77',
+  cobalt: '#0047ab',
+  crimson: '#dc143c'
+};
+
+/**
+ * Names recognized in free text, in palette order
+ */
+export const COLOR_NAMES: string[] = Object.keys(NAMED_COLORS);
+
+const NAMED_LAB: Array<[string, Lab]> = COLOR_NAMES
+  .filter(name => name !== 'grey')
+  .map(name => [name, rgbToLab(hexToRgb(NAMED_COLORS[name]))]);
+
+/**
+ * Parse a hex color such as "#c19a6b" or "fff"
+ *
+ * @param hex - Hex color string, with or without leading #
+ * @returns RGB triple
+ */
+export function hexToRgb(hex: string): Rgb {
+  let value = hex.trim().replace(/^#/, '');
+  if (value.length === 3) {
+    value = value.split('').map(c => c + c).join('');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(value)) {
+    throw new Error(`Invalid hex color: ${hex}`);
+  }
+  const num = parseInt(value, 16);
+  return [(num >> 16) & 255, (num >> 8) & 255, num & 255];
+}
+
+/**
+ * Format an RGB triple as a hex color
+ *
+ * @param rgb - RGB triple
+ * @returns Hex color string with leading #
+ */
+export function rgbToHex(rgb: Rgb): string {
+  return '#' + rgb.map(c => Math.round(Math.min(255, Math.max(0, c))).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert sRGB to CIELAB (D65)
+ *
+ * @param rgb - RGB triple
+ * @returns Lab triple
+ */
+export function rgbToLab(rgb: Rgb): Lab {
+  const [r, g, b] = rgb.map(c => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  });
+
+  const x = (r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047;
+  const y = r * 0.2126 + g * 0.7152 + b * 0.0722;
+  const z = (r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883;
+
+  const f = (t: number) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Convert CIELAB (D65) back to sRGB
+ *
+ * @param lab - Lab triple
+ * @returns RGB triple, clamped to 0-255
+ */
+export function labToRgb(lab: Lab): Rgb {
+  const fy = (lab[0] + 16) / 116;
+  const fx = fy + lab[1] / 500;
+  const fz = fy - lab[2] / 200;
+
+  const inv = (t: number) => (t * t * t > 0.008856 ? t * t * t : (t - 16 / 116) / 7.787);
+  const x = inv(fx) * 0.95047;
+  const y = inv(fy);
+  const z = inv(fz) * 1.08883;
+
+  const linear = [
+    x * 3.2406 + y * -1.5372 + z * -0.4986,
+    x * -0.9689 + y * 1.8758 + z * 0.0415,
+    x * 0.0557 + y * -0.204 + z * 1.057
+  ];
+
+  return linear.map(v => {
+    const c = v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    return Math.round(Math.min(1, Math.max(0, c)) * 255);
+  }) as Rgb;
+}
+
+/**
+ * Euclidean distance in Lab space (CIE76 ΔE)
+ *
+ * @param a - First Lab color
+ * @param b - Second Lab color
+ * @returns Color difference
+ */
+export function labDistance(a: Lab, b: Lab): number {
+  return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+}
+
+/**
+ * Resolve a color name or hex code to Lab
+ *
+ * @param color - Palette name ("sage") or hex code ("#9caf88")
+ * @returns Lab triple, or null if the color is unknown
+ */
+export function colorToLab(color: string): Lab | null {
+  const key = color.trim().toLowerCase();
+  if (NAMED_COLORS[key]) return rgbToLab(hexToRgb(NAMED_COLORS[key]));
+  try {
+    return rgbToLab(hexToRgb(key));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the palette name closest to a Lab color
+ *
+ * @param lab - Lab color to name
+ * @returns Closest palette name
+ */
+export function nearestColorName(lab: Lab): string {
+  let best = NAMED_LAB[0][0];
+  let bestDistance = Infinity;
+
+  NAMED_LAB.forEach(([name, reference]) => {
+    const distance = labDistance(lab, reference);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = name;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * How two colors relate when worn together
+ */
+export type ColorRelation = 'match' | 'similar' | 'analogous' | 'complementary' | 'neutral' | 'none';
+
+/**
+ * Colors that read as wardrobe neutrals regardless of their measured chroma
+ */
+export const FASHION_NEUTRALS = new Set([
+  'black', 'white', 'gray', 'grey', 'charcoal', 'beige', 'cream', 'ivory',
+  'navy', 'tan', 'camel', 'khaki', 'nude', 'brown'
+]);
+
+/**
+ * Convert Lab to cylindrical LCh (hue in degrees)
+ *
+ * @param lab - Lab triple
+ * @returns Lightness, chroma and hue angle
+ */
+export function labToLch(lab: Lab): [number, number, number] {
+  const c = Math.sqrt(lab[1] * lab[1] + lab[2] * lab[2]);
+  let h = (Math.atan2(lab[2], lab[1]) * 180) / Math.PI;
+  if (h < 0) h += 360;
+  return [lab[0], c, h];
+}
+
+/**
+ * CIEDE2000 color difference
+ *
+ * @param lab1 - First Lab color
+ * @param lab2 - Second Lab color
+ * @returns ΔE00, where ~2 is barely noticeable and 10+ reads as a different color
+ */
+export function deltaE2000(lab1: Lab, lab2: Lab): number {
+  const [l1, a1, b1] = lab1;
+  const [l2, a2, b2] = lab2;
+  const rad = Math.PI / 180;
+
+  const c1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const c2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const cBar7 = Math.pow((c1 + c2) / 2, 7);
+  const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + Math.pow(25, 7))));
+
+  const a1p = a1 * (1 + g);
+  const a2p = a2 * (1 + g);
+  const c1p = Math.sqrt(a1p * a1p + b1 * b1);
+  const c2p = Math.sqrt(a2p * a2p + b2 * b2);
+  const hue = (b: number, a: number) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+
+  const dLp = l2 - l1;
+  const dCp = c2p - c1p;
+  let dhp = 0;
+  if (c1p * c2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin((dhp / 2) * rad);
+
+  const lBarP = (l1 + l2) / 2;
+  const cBarP = (c1p + c2p) / 2;
+  let hBarP = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hBarP /= 2;
+    else hBarP = h1p + h2p < 360 ? (hBarP + 360) / 2 : (hBarP - 360) / 2;
+  }
+
+  const t = 1
+    - 0.17 * Math.cos((hBarP - 30) * rad)
+    + 0.24 * Math.cos(2 * hBarP * rad)
+    + 0.32 * Math.cos((3 * hBarP + 6) * rad)
+    - 0.2 * Math.cos((4 * hBarP - 63) * rad);
+  const dTheta = 30 * Math.exp(-Math.pow((hBarP - 275) / 25, 2));
+  const cBarP7 = Math.pow(cBarP, 7);
+  const rc = 2 * Math.sqrt(cBarP7 / (cBarP7 + Math.pow(25, 7)));
+  const sl = 1 + (0.015 * Math.pow(lBarP - 50, 2)) / Math.sqrt(20 + Math.pow(lBarP - 50, 2));
+  const sc = 1 + 0.045 * cBarP;
+  const sh = 1 + 0.015 * cBarP * t;
+  const rt = -Math.sin(2 * dTheta * rad) * rc;
+
+  return Math.sqrt(
+    Math.pow(dLp / sl, 2) +
+    Math.pow(dCp / sc, 2) +
+    Math.pow(dHp / sh, 2) +
+    rt * (dCp / sc) * (dHp / sh)
+  );
+}
+
+/**
+ * Whether a color works as a neutral
+ *
+ * @param color - Palette name or hex code
+ * @returns True for named wardrobe neutrals and low-chroma colors
+ */
+export function isNeutralColor(color: string): boolean {
+  if (FASHION_NEUTRALS.has(color.trim().toLowerCase())) return true;
+  const lab = colorToLab(color);
+  return lab !== null && labToLch(lab)[1] < 10;
+}
+
+// Item colors come from a small vocabulary, so pairwise results are cached.
+// The caches are cleared rather than evicted if free-form hex codes fill them.
+const PAIR_CACHE_LIMIT = 20000;
+const similarityCache = new Map<string, number>();
+const relationCache = new Map<string, ColorRelation>();
+
+function cachedPair<T>(cache: Map<string, T>, color1: string, color2: string, compute: () => T): T {
+  const key = `${color1}\u0000${color2}`;
+  let value = cache.get(key);
+  if (value === undefined) {
+    if (cache.size >= PAIR_CACHE_LIMIT) cache.clear();
+    value = compute();
+    cache.set(key, value);
+  }
+  return value;
+}
+
+/**
+ * Perceptual similarity between two colors
+ *
+ * @param color1 - Palette name or hex code
+ * @param color2 - Palette name or hex code
+ * @returns 1 for identical colors falling to 0 at ΔE00 of 40 or more;
+ *   unknown colors only match by exact name
+ */
+export function colorSimilarity(color1: string, color2: string): number {
+  return cachedPair(similarityCache, color1, color2, () => computeColorSimilarity(color1, color2));
+}
+
+function computeColorSimilarity(color1: string, color2: string): number {
+  const lab1 = colorToLab(color1);
+  const lab2 = colorToLab(color2);
+  if (!lab1 || !lab2) {
+    return normalizeColorName(color1) === normalizeColorName(color2) ? 1 : 0;
+  }
+
+  const delta = deltaE2000(lab1, lab2);
+  if (delta <= 2) return 1;
+  return Math.max(0, 1 - (delta - 2) / 38);
+}
+
+/**
+ * Classify how two colors relate when worn together
+ *
+ * @param color1 - Palette name or hex code
+ * @param color2 - Palette name or hex code
+ * @returns Relationship between the colors
+ */
+export function colorRelation(color1: string, color2: string): ColorRelation {
+  return cachedPair(relationCache, color1, color2, () => computeColorRelation(color1, color2));
+}
+
+function computeColorRelation(color1: string, color2: string): ColorRelation {
+  const similarity = colorSimilarity(color1, color2);
+  if (similarity >= 0.95) return 'match';
+  if (similarity >= 0.5) return 'similar';
+  if (isNeutralColor(color1) || isNeutralColor(color2)) return 'neutral';
+
+  const lab1 = colorToLab(color1);
+  const lab2 = colorToLab(color2);
+  if (!lab1 || !lab2) return 'none';
+
+  let hueGap = Math.abs(labToLch(lab1)[2] - labToLch(lab2)[2]);
+  if (hueGap > 180) hueGap = 360 - hueGap;
+
+  // Garment palettes are read loosely: neighbours within ~2 steps of a 12-hue wheel
+  if (hueGap <= 75) return 'analogous';
+  if (hueGap >= 130) return 'complementary';
+  return 'none';
+}
+
+/**
+ * Score for each relationship when pairing a candidate color with a palette
+ */
+export const RELATION_SCORES: Record<ColorRelation, number> = {
+  match: 1,
+  similar: 0.8,
+  analogous: 0.6,
+  complementary: 0.55,
+  neutral: 0.5,
+  none: 0
+};
+
+/**
+ * Best pairing of a color against a palette
+ *
+ * @param color - Candidate color
+ * @param palette - Colors to pair against
+ * @param weights - Importance of each palette color (0-1) that its pairing scores are scaled by (default: all 1)
+ * @returns Best score, the relationship and the palette color it pairs with
+ */
+export function bestColorPairing(
+  color: string,
+  palette: string[],
+  weights?: number[]
+): { score: number; relation: ColorRelation; pairedWith: string | null } {
+  let best: { score: number; relation: ColorRelation; pairedWith: string | null } = {
+    score: 0,
+    relation: 'none',
+    pairedWith: null
+  };
+
+  palette.forEach((paletteColor, idx) => {
+    const relation = colorRelation(color, paletteColor);
+    const score = (relation === 'match' || relation === 'similar'
+      ? Math.max(RELATION_SCORES[relation], colorSimilarity(color, paletteColor))
+      : RELATION_SCORES[relation]) * (weights ? weights[idx] : 1);
+    if (score > best.score) {
+      best = { score, relation, pairedWith: paletteColor };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Describe the overall character of a palette
+ *
+ * @param colors - Palette names or hex codes
+ * @returns A short description such as "earthy", "pastel" or "neutral"
+ */
+export function describePalette(colors: string[]): string {
+  const lchs = colors
+    .map(color => colorToLab(color))
+    .filter((lab): lab is Lab => lab !== null)
+    .map(lab => labToLch(lab));
+  if (lchs.length === 0) return 'signature';
+
+  const share = (test: (lch: [number, number, number]) => boolean) =>
+    lchs.filter(test).length / lchs.length;
+
+  if (colors.filter(c => isNeutralColor(c)).length / colors.length >= 0.8) return 'neutral';
+  if (share(([l, c, h]) => h >= 30 && h <= 135 && c >= 8 && c <= 80 && l >= 25 && l <= 95) >= 0.6) return 'earthy';
+  if (share(([l, c]) => l >= 75 && c >= 8 && c <= 40) >= 0.6) return 'pastel';
+  if (share(([l, c]) => l <= 55 && c >= 35) >= 0.6) return 'jewel-toned';
+  if (share(([, c]) => c >= 55) >= 0.6) return 'bold';
+  if (share(([l]) => l <= 35) >= 0.6) return 'dark';
+  return 'eclectic';
+}
+
+function normalizeColorName(color: string): string {
+  const key = color.trim().toLowerCase();
+  return key === 'grey' ? 'gray' : key;
+}
@@ -7,7 +7,36 @@
  * @module lib/core
  */
 
-import { extractColors, calculateSimilarity, normalizeText, groupByCategory } from './utils';
+import { extractColors, calculateSimilarity, normalizeText, selectTopK } from './utils';
+import { getFieldConfidence } from './enrichment';
+import { ScoringModel, ScoringSignal, ScoreBreakdown, SignalWeights, createDefaultScoringModel } from './scoring';
+import type { LearnedModel } from './feedback';
+import type { ItemInference } from './enrichment';
+import { ClusterOptions, clusterPins } from './aesthetics';
+import { Outfit, OutfitOptions, composeOutfits } from './outfits';
+import { GapOptions, WardrobeGap, analyzeWardrobeGaps } from './gaps';
+import { WardrobeStore } from './wardrobe';
+import { EngineState, SCHEMA_VERSION, migrateEngineState } from './persistence';
+import type { ProfileHistory } from './profile-history';
+import { CatalogIndex, RetrievalOptions } from './catalog-index';
+import { RecommendationReason, buildReasons } from './reasons';
+import { DiversityMetrics, DiversityOptions, measureDiversity, rerankForDiversity } from './diversity';
+import type { FabricWeight, SeasonContext } from './season';
+import type { VisualIndex, VisualMatch, VisualSearchOptions } from './visual';
+import { ShoppingPlan, ShoppingPlanOptions, optimizeShoppingPlan } from './shopping-plan';
+import {
+  DEFAULT_CURRENCY,
+  ExchangeRateTable,
+  PriceDistribution,
+  PricePercentiles,
+  SizeAvailability,
+  buildPriceDistribution,
+  computePricePercentiles,
+  createExchangeRateTable,
+  isAvailableInSize,
+  priceIn,
+  saleDiscount
+} from './pricing';
 
 /**
  * Represents a fashion item from Pinterest or catalog
@@ -20,9 +49,28 @@ export interface FashionItem {
   category: 'tops' | 'bottoms' | 'dresses' | 'outerwear' | 'shoes' | 'accessories';
   colors: string[];
   style: string[];
+  /** List price, in `currency` */
   price?: number;
+  /** Discounted price, in `currency`, when the item is on sale */
+  salePrice?: number;
+  /** ISO 4217 code of the prices (default: USD) */
+  currency?: string;
   brand?: string;
   tags: string[];
+  /** ISO timestamp of when the item was pinned or listed */
+  createdAt?: string;
+  /** Outbound link to the product or source page */
+  link?: string;
+  /** Confidence and provenance of fields filled in by the enrichment pipeline */
+  inference?: ItemInference;
+  /** Stock status reported by the retailer's feed */
+  availability?: 'in_stock' | 'out_of_stock' | 'preorder' | 'backorder';
+  /** Stock per size, when the retailer reports it */
+  sizes?: SizeAvailability[];
+  /** Fabrics the item is made of, such as "linen" or "wool" */
+  fabrics?: string[];
+  /** How warm the item wears */
+  fabricWeight?: FabricWeight;
 }
 
 /**
@@ -31,18 +79,50 @@ export interface FashionItem {
 export interface PinterestBoard {
   id: string;
   name: string;
+  description?: string;
   pins: FashionItem[];
 }
 
+/**
+ * Share of the weighted pins behind each value of a profile field, largest
+ * first and summing to 1
+ */
+export type WeightedFrequencies = Record<string, number>;
+
 /**
  * Style profile derived from user's Pinterest board
  */
 export interface StyleProfile {
+  /** Top colors, strongest first */
   dominantColors: string[];
+  /** Top categories, strongest first */
   preferredCategories: string[];
+  /** Top style keywords, strongest first */
   styleKeywords: string[];
+  /** Typical price range, the 10th to 90th percentile of pin prices, in `currency` */
   priceRange?: { min: number; max: number };
+  /** Distribution of pin prices, in `currency` */
+  priceDistribution?: PriceDistribution;
+  /** Currency of the price fields (default: USD) */
+  currency?: string;
+  /** Top brands, strongest first */
   favoredBrands: string[];
+  /** Weighted share of every pinned color */
+  colorWeights: WeightedFrequencies;
+  /** Weighted share of every pinned style keyword */
+  styleWeights: WeightedFrequencies;
+  /** Weighted share of every pinned category */
+  categoryWeights: WeightedFrequencies;
+  /** Weighted share of every pinned brand */
+  brandWeights: WeightedFrequencies;
+  /** Pins per category, unweighted */
+  categoryDistribution: Partial<Record<FashionItem['category'], number>>;
+  /** Number of pins the profile was built from */
+  totalItems: number;
+  /** Weighted mean pin price, in `currency` */
+  averagePrice?: number;
+  /** Weighted pin price percentiles, in `currency` */
+  pricePercentiles?: PricePercentiles;
 }
 
 /**
@@ -51,15 +131,163 @@ export interface StyleProfile {
 export interface Recommendation {
   item: FashionItem;
   score: number;
-  reasons: string[];
+  /** Why the item was recommended, with the pins that led to it */
+  reasons: RecommendationReason[];
+  /** Per-signal scores that add up to `score` */
+  breakdown: ScoreBreakdown;
+  /** Board whose aesthetic the item matches best */
+  sourceBoard?: { id: string; name: string; occasion: string };
+  /** Name of the board aesthetic the item matches best */
+  aesthetic?: string;
+  /** How the user's owned wardrobe changed the score */
+  wardrobe?: {
+    /** Owned items the recommendation can be worn with */
+    pairsWith: number;
+    /** Closest owned item, when the recommendation nearly duplicates it */
+    duplicateOf?: { id: string; title: string; similarity: number };
+    /** Amount added to (or, if negative, taken from) the score */
+    adjustment: number;
+  };
+  /** What the item costs in the shopper's currency */
+  price?: {
+    amount: number;
+    currency: string;
+    /** List price, when the item is on sale */
+    was?: number;
+  };
+  /** True when the item was mixed in as a pick slightly outside the profile */
+  serendipitous?: boolean;
+}
+
+/**
+ * Recommendations together with how varied they are
+ */
+export interface RecommendationReport {
+  recommendations: Recommendation[];
+  diversity: DiversityMetrics;
+}
+
+/**
+ * A board to analyze together with others
+ */
+export interface BoardInput {
+  board: PinterestBoard;
+  /** Relative influence of the whole board on the merged profile (default: 1) */
+  weight?: number;
+  /** Occasion label such as "Work" or "Wedding guest" (default: the board name) */
+  occasion?: string;
+}
+
+/**
+ * Style profile of a single board kept alongside the merged profile
+ */
+export interface BoardProfile {
+  boardId: string;
+  boardName: string;
+  occasion: string;
+  weight: number;
+  profile: StyleProfile;
+  pins: FashionItem[];
+}
+
+/**
+ * A named sub-aesthetic found within the analyzed pins
+ */
+export interface AestheticProfile {
+  name: string;
+  /** Share of the pins in this aesthetic (0-1) */
+  share: number;
+  profile: StyleProfile;
+  pins: FashionItem[];
+}
+
+/**
+ * Shopping preferences that restrict and price recommendations
+ */
+export interface ShopperPreferences {
+  /** Currency to show prices and read the budget in (default: USD) */
+  currency?: string;
+  /** Sizes the shopper wears, per category */
+  sizes?: Partial<Record<FashionItem['category'], string[]>>;
+  /** Most the shopper will spend on one item, in their currency */
+  budget?: number;
+}
+
+/**
+ * Options for constructing a recommendation engine
+ */
+export interface EngineOptions {
+  /** Scoring model to rank with (default: the built-in signals) */
+  scoringModel?: ScoringModel;
+  /** Options for splitting pins into aesthetics */
+  clustering?: ClusterOptions;
+  /** Items the user owns; near-duplicates are penalized and good pairings boosted */
+  wardrobe?: WardrobeStore;
+  /** Currency, sizes and budget of the shopper */
+  shopper?: ShopperPreferences;
+  /** Exchange rates for comparing prices across currencies (default: the built-in offline rates) */
+  exchangeRates?: ExchangeRateTable;
+  /** Days after which a pin counts half as much as the newest pin (default: 180; 0 turns decay off) */
+  recencyHalfLifeDays?: number;
+  /** History to snapshot the merged profile into after every analysis */
+  history?: { store: ProfileHistory; userId: string };
+  /** Image descriptors of pins and catalog items; adds the visual similarity signal */
+  visualIndex?: VisualIndex;
 }
 
+/**
+ * Per-call options for generateRecommendations
+ */
+export interface RecommendationOptions {
+  /** Signal weights to use for this call only */
+  weights?: SignalWeights;
+  /** Recommend for one occasion's board profile instead of the merged profile */
+  occasion?: string;
+  /** Spread results across the board's aesthetics by their share (default: true) */
+  diversify?: boolean;
+  /** Re-rank for variety with caps and serendipity, or false to rank by score alone (default: MMR with no caps) */
+  diversity?: DiversityOptions | false;
+  /** Candidate retrieval options, used when recommending from a CatalogIndex */
+  retrieval?: RetrievalOptions;
+  /** Keep items that are out of stock in the shopper's size or over budget (default: false) */
+  includeUnavailable?: boolean;
+  /** Month, hemisphere and forecast to favor seasonally fitting items for */
+  season?: SeasonContext;
+}
+
+// Candidates per requested result that get wardrobe, board and aesthetic re-ranking
+const RERANK_POOL_FACTOR = 5;
+
 /**
  * Main class for fashion recommendation engine
  */
 export class FashionRecommendationEngine {
   private styleProfile: StyleProfile | null = null;
   private boardData: PinterestBoard | null = null;
+  private boardProfiles = new Map<string, BoardProfile>();
+  private aesthetics: AestheticProfile[] = [];
+  private scoringModel: ScoringModel;
+  private clusterOptions: ClusterOptions;
+  private wardrobe: WardrobeStore | null;
+  private shopper: ShopperPreferences = {};
+  private exchangeRates: ExchangeRateTable;
+  private recencyHalfLifeDays: number;
+  private history: EngineOptions['history'];
+  private visualIndex: VisualIndex | null;
+
+  constructor(options: EngineOptions = {}) {
+    this.scoringModel = options.scoringModel || createDefaultScoringModel();
+    this.clusterOptions = options.clustering || {};
+    this.wardrobe = options.wardrobe || null;
+    this.exchangeRates = options.exchangeRates || createExchangeRateTable();
+    this.recencyHalfLifeDays = options.recencyHalfLifeDays ?? 180;
+    this.history = options.history;
+    this.visualIndex = options.visualIndex || null;
+    if (!Number.isFinite(this.recencyHalfLifeDays) || this.recencyHalfLifeDays < 0) {
+      throw new Error(`Invalid recency half-life: ${options.recencyHalfLifeDays}`);
+    }
+    if (options.shopper) this.setShopperPreferences(options.shopper);
+  }
 
   /**
    * Initialize the recommendation engine with Pinterest board data
@@ -67,36 +295,383 @@ export class FashionRecommendationEngine {
    * @param board - Pinterest board containing user's saved fashion items
    */
   public analyzePinterestBoard(board: PinterestBoard): StyleProfile {
-    this.boardData = board;
-    this.styleProfile = this._buildStyleProfile(board);
+    return this.analyzeBoards([{ board }]);
+  }
+
+  /**
+   * Analyze several boards into one merged profile, keeping a sub-profile per
+   * occasion. Each board's total influence is its weight, however many pins it has.
+   *
+   * @param boards - Boards with optional weights and occasion labels
+   * @returns Merged style profile
+   */
+  public analyzeBoards(boards: BoardInput[]): StyleProfile {
+    if (boards.length === 0) {
+      throw new Error('At least one board is required.');
+    }
+
+    const pins: FashionItem[] = [];
+    const pinWeights: number[] = [];
+    this.boardProfiles = new Map();
+
+    boards.forEach(({ board, weight = 1, occasion = board.name }) => {
+      if (weight < 0) {
+        throw new Error(`Board weight must not be negative: ${board.name}`);
+      }
+      if (this.boardProfiles.has(occasion)) {
+        throw new Error(`Duplicate occasion: ${occasion}`);
+      }
+
+      this.boardProfiles.set(occasion, {
+        boardId: board.id,
+        boardName: board.name,
+        occasion,
+        weight,
+        profile: this._buildStyleProfile(board.pins),
+        pins: board.pins
+      });
+
+      board.pins.forEach(pin => {
+        pins.push(pin);
+        pinWeights.push(board.pins.length > 0 ? weight / board.pins.length : 0);
+      });
+    });
+
+    this.boardData = boards.length === 1
+      ? boards[0].board
+      : {
+        id: boards.map(b => b.board.id).join('+'),
+        name: boards.map(b => b.board.name).join(' + '),
+        pins
+      };
+    this.styleProfile = this._buildStyleProfile(pins, pinWeights);
+    this.aesthetics = clusterPins(pins, this.clusterOptions).map(cluster => ({
+      name: cluster.name,
+      share: cluster.share,
+      profile: this._buildStyleProfile(cluster.pins),
+      pins: cluster.pins
+    }));
+
+    if (this.history) {
+      this.history.store.record(this.history.userId, this.styleProfile, {
+        boardIds: boards.map(b => b.board.id)
+      });
+    }
     return this.styleProfile;
   }
 
+  /**
+   * Save everything learned from the analyzed boards, plus shopper
+   * preferences, scoring weights and the wardrobe, as versioned JSON
+   *
+   * @returns State that restoreState or fromJSON can load
+   */
+  public toJSON(): EngineState {
+    const pins = this.boardData?.pins || [];
+    const positions = new Map<FashionItem, number>();
+    pins.forEach((pin, idx) => {
+      if (!positions.has(pin)) positions.set(pin, idx);
+    });
+    const indexesOf = (subset: FashionItem[]) => subset.map(pin => positions.get(pin)!);
+
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      profile: this.styleProfile,
+      board: this.boardData && {
+        id: this.boardData.id,
+        name: this.boardData.name,
+        ...(this.boardData.description && { description: this.boardData.description })
+      },
+      pins,
+      boards: this.getBoardProfiles().map(({ pins: boardPins, ...board }) => ({ ...board, pinIndexes: indexesOf(boardPins) })),
+      aesthetics: this.aesthetics.map(({ pins: aestheticPins, ...aesthetic }) => ({
+        ...aesthetic,
+        pinIndexes: indexesOf(aestheticPins)
+      })),
+      shopper: this.shopper,
+      recencyHalfLifeDays: this.recencyHalfLifeDays,
+      weights: this.scoringModel.getWeights(),
+      ...(this.wardrobe && { wardrobe: this.wardrobe.toJSON() })
+    };
+  }
+
+  /**
+   * Restore state saved with toJSON, upgrading older schema versions
+   *
+   * @param document - Saved state
+   */
+  public restoreState(document: EngineState): void {
+    const state = migrateEngineState(document);
+    const pinsAt = (indexes: number[]) => indexes.map(idx => {
+      if (!state.pins[idx]) throw new Error(`Saved engine state refers to a missing pin: ${idx}`);
+      return state.pins[idx];
+    });
+
+    this.scoringModel.setWeights(state.weights || {});
+    this.recencyHalfLifeDays = state.recencyHalfLifeDays;
+    this.setShopperPreferences(state.shopper || {});
+    if (state.wardrobe) this.wardrobe = WardrobeStore.fromJSON(state.wardrobe);
+
+    this.styleProfile = state.profile;
+    this.boardData = state.board && { ...state.board, pins: state.pins };
+    this.boardProfiles = new Map(state.boards.map(({ pinIndexes, ...board }) =>
+      [board.occasion, { ...board, pins: pinsAt(pinIndexes) }]));
+    this.aesthetics = state.aesthetics.map(({ pinIndexes, ...aesthetic }) => ({ ...aesthetic, pins: pinsAt(pinIndexes) }));
+  }
+
+  /**
+   * Create an engine from state saved with toJSON
+   *
+   * @param document - Saved state
+   * @param options - Engine options; the saved state overrides shopper, recency and wardrobe
+   * @returns Restored engine
+   */
+  public static fromJSON(document: EngineState, options: EngineOptions = {}): FashionRecommendationEngine {
+    const engine = new FashionRecommendationEngine(options);
+    engine.restoreState(document);
+    return engine;
+  }
+
+  /**
+   * Get the per-board sub-profiles from the last analysis
+   */
+  public getBoardProfiles(): BoardProfile[] {
+    return Array.from(this.boardProfiles.values());
+  }
+
+  /**
+   * Get the aesthetics found in the analyzed pins, largest first
+   */
+  public getAesthetics(): AestheticProfile[] {
+    return this.aesthetics;
+  }
+
   /**
    * Generate recommendations based on analyzed style profile
    * 
-   * @param catalogItems - Available fashion items to recommend from
+   * Items the user owns, and items out of stock in their size or over their
+   * budget, are left out. Every other candidate gets the cheap weighted score.
+   * Wardrobe adjustments, source boards and aesthetics are only worked out for
+   * a pool of the best-scoring candidates, which is then re-ranked for variety
+   * unless `diversity` is false. Reasons are only built for the items returned.
+   * 
+   * @param catalog - Available fashion items, or an index to retrieve candidates from
    * @param limit - Maximum number of recommendations to return
-   * @returns Array of recommended items with scores
+   * @param options - Per-call options such as signal weight overrides
+   * @returns Array of recommended items with scores, in display order
    */
   public generateRecommendations(
-    catalogItems: FashionItem[],
-    limit: number = 10
+    catalog: FashionItem[] | CatalogIndex,
+    limit: number = 10,
+    options: RecommendationOptions = {}
   ): Recommendation[] {
-    if (!this.styleProfile) {
-      throw new Error('Style profile not initialized. Call analyzePinterestBoard first.');
+    return this._rankRecommendations(catalog, limit, options).results;
+  }
+
+  /**
+   * Generate recommendations along with metrics on how varied they are
+   *
+   * @param catalog - Available fashion items, or an index to retrieve candidates from
+   * @param limit - Maximum number of recommendations to return
+   * @param options - Per-call options such as signal weight overrides
+   * @returns Recommendations and their diversity metrics
+   */
+  public generateRecommendationReport(
+    catalog: FashionItem[] | CatalogIndex,
+    limit: number = 10,
+    options: RecommendationOptions = {}
+  ): RecommendationReport {
+    const { results, profile, categories } = this._rankRecommendations(catalog, limit, options);
+    return { recommendations: results, diversity: measureDiversity(results, profile, categories) };
+  }
+
+  /**
+   * Plan which recommendations to buy within a total budget
+   *
+   * Candidates are the best-scoring recommendations, priced in the shopper's
+   * currency. Filling wardrobe gaps earns a bonus, and owned items count
+   * toward complete outfits.
+   *
+   * @param catalog - Available fashion items, or an index to retrieve candidates from
+   * @param options - Budget, caps and objective weights, the number of candidates to plan
+   *   from (default: 100) and per-call scoring options
+   * @returns The best plan, with alternatives for a changed budget when asked
+   */
+  public planShopping(
+    catalog: FashionItem[] | CatalogIndex,
+    options: Omit<ShoppingPlanOptions, 'gaps' | 'owned'> &
+      Pick<RecommendationOptions, 'weights' | 'occasion' | 'season'> & { candidates?: number }
+  ): ShoppingPlan {
+    const { candidates = 100, weights, occasion, season, ...planOptions } = options;
+    const pool = this.generateRecommendations(catalog, candidates, { weights, occasion, season, diversity: false });
+    return optimizeShoppingPlan(pool, {
+      ...planOptions,
+      gaps: this.findWardrobeGaps({ recommendationsPerGap: 0 }),
+      ...(this.wardrobe && { owned: this.wardrobe.getItems() })
+    });
+  }
+
+  /**
+   * Assemble complete outfits from the catalog
+   *
+   * @param catalogItems - Available fashion items to build looks from
+   * @param options - Outfit options plus per-call scoring options
+   * @returns Outfits ranked by fit, color harmony and style coherence
+   */
+  public buildOutfits(
+    catalogItems: FashionItem[],
+    options: OutfitOptions & Pick<RecommendationOptions, 'weights' | 'occasion' | 'season'> = {}
+  ): Outfit[] {
+    const { profile, pins } = this._resolveProfile(options.occasion);
+    const currency = this._shopperCurrency();
+    const candidates = catalogItems
+      .filter(item => this._isPurchasable(item))
+      .map(item => ({
+        item,
+        fit: this._calculateRecommendationScore(item, profile, pins, options.weights, options.season).score,
+        price: priceIn(item, currency, this.exchangeRates)
+      }));
+    return composeOutfits(candidates, profile, { ...options, currency });
+  }
+
+  /**
+   * Build outfits around an item the user pinned or already owns
+   *
+   * @param anchor - Item every look must include
+   * @param catalogItems - Available fashion items to complete the look with
+   * @param options - Outfit options plus per-call scoring options
+   * @returns Outfits containing the anchor; its price is not counted
+   */
+  public completeTheLook(
+    anchor: FashionItem,
+    catalogItems: FashionItem[],
+    options: Omit<OutfitOptions, 'anchor'> & Pick<RecommendationOptions, 'weights' | 'occasion' | 'season'> = {}
+  ): Outfit[] {
+    return this.buildOutfits(catalogItems, { ...options, anchor });
+  }
+
+  /**
+   * Set the wardrobe of items the user owns
+   *
+   * @param wardrobe - Owned-item store, or null to stop accounting for it
+   */
+  public setWardrobe(wardrobe: WardrobeStore | null): void {
+    this.wardrobe = wardrobe;
+  }
+
+  /**
+   * Get the wardrobe of items the user owns
+   */
+  public getWardrobe(): WardrobeStore | null {
+    return this.wardrobe;
+  }
+
+  /**
+   * Set the shopper's currency, sizes and budget
+   *
+   * @param preferences - Shopping preferences; replaces any set before
+   */
+  public setShopperPreferences(preferences: ShopperPreferences): void {
+    const currency = preferences.currency?.trim().toUpperCase();
+    if (currency && !this.exchangeRates.supports(currency)) {
+      throw new Error(`Unknown currency: ${preferences.currency}`);
+    }
+    if (preferences.budget !== undefined && (!Number.isFinite(preferences.budget) || preferences.budget <= 0)) {
+      throw new Error(`Invalid budget: ${preferences.budget}`);
+    }
+    this.shopper = { ...preferences, ...(currency && { currency }) };
+  }
+
+  /**
+   * Get the shopper's currency, sizes and budget
+   */
+  public getShopperPreferences(): ShopperPreferences {
+    return this.shopper;
+  }
+
+  /**
+   * Replace the exchange rates used to compare prices
+   *
+   * @param rates - Exchange-rate table
+   */
+  public setExchangeRates(rates: ExchangeRateTable): void {
+    this.exchangeRates = rates;
+  }
+
+  /**
+   * Set the image descriptors to compare pins and catalog items by. While
+   * set, how much an item looks like the pins is part of its score.
+   *
+   * @param index - Visual index, or null to stop comparing images
+   */
+  public setVisualIndex(index: VisualIndex | null): void {
+    this.visualIndex = index;
+  }
+
+  /**
+   * Get the image descriptors used to compare pins and catalog items
+   */
+  public getVisualIndex(): VisualIndex | null {
+    return this.visualIndex;
+  }
+
+  /**
+   * Find catalog items that look like a pin ("shop this pin")
+   *
+   * The pin's image is fetched and described if it is not indexed yet.
+   * Catalog items whose images are not indexed are skipped, as are items out
+   * of stock in the shopper's size or over budget.
+   *
+   * @param pin - Pin to match
+   * @param catalogItems - Items to search
+   * @param options - Limit, threshold and categories, or sameCategory to only match the pin's category
+   * @returns Look-alike items, most similar first
+   */
+  public async shopThePin(
+    pin: FashionItem,
+    catalogItems: FashionItem[],
+    options: VisualSearchOptions & { sameCategory?: boolean } = {}
+  ): Promise<VisualMatch[]> {
+    if (!this.visualIndex) {
+      throw new Error('Visual index not set. Call setVisualIndex first.');
     }
+    const { sameCategory, ...search } = options;
+    const descriptor = await this.visualIndex.describe(pin);
+    const candidates = catalogItems.filter(item => item.id !== pin.id && this._isPurchasable(item));
+    return this.visualIndex.findSimilar(descriptor, candidates, {
+      ...search,
+      ...(sameCategory && { categories: [pin.category] })
+    });
+  }
 
-    const scoredItems = catalogItems.map(item => ({
-      item,
-      score: this._calculateRecommendationScore(item, this.styleProfile!),
-      reasons: this._generateReasons(item, this.styleProfile!)
-    }));
+  /**
+   * Get the scoring model used to rank items
+   */
+  public getScoringModel(): ScoringModel {
+    return this.scoringModel;
+  }
+
+  /**
+   * Register an additional ranking signal
+   *
+   * @param signal - Signal to register
+   * @param weight - Weight to use instead of the signal's default
+   */
+  public registerSignal(signal: ScoringSignal, weight?: number): void {
+    this.scoringModel.register(signal, weight);
+  }
 
-    // Sort by score descending and return top items
-    return scoredItems
-      .sort((a, b) => b.score - a.score)
-      .slice(0, limit);
+  /**
+   * Apply signal weights learned from user feedback
+   *
+   * @param model - Model produced by trainWeights
+   */
+  public loadModel(model: LearnedModel): void {
+    if (model.version !== 1) {
+      throw new Error(`Unsupported model version: ${model.version}`);
+    }
+    this.scoringModel.setWeights(model.weights);
   }
 
   /**
@@ -107,187 +682,435 @@ export class FashionRecommendationEngine {
   }
 
   /**
-   * Find gaps in user's wardrobe based on their style
+   * Find gaps in the user's wardrobe against a capsule template for their style
    * 
-   * @returns Categories that are underrepresented in the board
+   * @param options - Owned inventory, catalog to fill gaps from and template override
+   * @returns Gaps ordered by priority, each with its best matching catalog items
    */
-  public findWardrobeGaps(): string[] {
-    if (!this.boardData) {
+  public findWardrobeGaps(options: GapOptions = {}): WardrobeGap[] {
+    if (!this.boardData || !this.styleProfile) {
       return [];
     }
 
-    const allCategories = ['tops', 'bottoms', 'dresses', 'outerwear', 'shoes', 'accessories'];
-    const grouped = groupByCategory(this.boardData.pins);
-    const categoryCount = new Map<string, number>();
+    const { catalog = [], recommendationsPerGap = 3 } = options;
+    const owned = options.owned || (this.wardrobe && this.wardrobe.size > 0 ? this.wardrobe.getItems() : undefined);
+    const ownedIds = new Set((owned || []).map(item => item.id));
+    const gaps = analyzeWardrobeGaps(this.boardData.pins, this.styleProfile, { ...options, owned });
 
-    allCategories.forEach(cat => {
-      categoryCount.set(cat, grouped[cat]?.length || 0);
+    gaps.forEach(gap => {
+      const candidates = catalog.filter(item => item.category === gap.category && !ownedIds.has(item.id));
+      if (candidates.length === 0) return;
+      gap.recommendations = this.generateRecommendations(
+        candidates,
+        recommendationsPerGap,
+        { diversify: false }
+      );
     });
 
-    const avgCount = Array.from(categoryCount.values()).reduce((a, b) => a + b, 0) / allCategories.length;
-    
-    // Return categories below average
-    return allCategories.filter(cat => (categoryCount.get(cat) || 0) < avgCount * 0.5);
+    return gaps;
   }
 
   /**
-   * Build style profile from Pinterest board data
+   * Build style profile from pins, optionally weighting each pin. Newer pins
+   * count more, halving in influence every recency half-life.
    * @private
    */
-  private _buildStyleProfile(board: PinterestBoard): StyleProfile {
+  private _buildStyleProfile(pins: FashionItem[], pinWeights?: number[]): StyleProfile {
     const allColors: string[] = [];
+    const colorWeights: number[] = [];
     const allStyles: string[] = [];
+    const styleWeights: number[] = [];
     const categories: string[] = [];
+    const categoryWeights: number[] = [];
     const brands: string[] = [];
+    const brandWeights: number[] = [];
     const prices: number[] = [];
+    const priceWeights: number[] = [];
+    const categoryDistribution: StyleProfile['categoryDistribution'] = {};
+    const currency = this._shopperCurrency();
+    const recency = this._recencyWeights(pins);
+
+    // Enriched pins contribute in proportion to how confidently each field was inferred
+    pins.forEach((pin, idx) => {
+      const pinWeight = (pinWeights ? pinWeights[idx] : 1) * recency[idx];
+      const colorConfidence = getFieldConfidence(pin, 'colors') * pinWeight;
+      pin.colors.forEach(color => {
+        allColors.push(color);
+        colorWeights.push(colorConfidence);
+      });
+
+      const styleConfidence = getFieldConfidence(pin, 'style') * pinWeight;
+      pin.style.forEach(style => {
+        allStyles.push(style);
+        styleWeights.push(styleConfidence);
+      });
 
-    board.pins.forEach(pin => {
-      allColors.push(...pin.colors);
-      allStyles.push(...pin.style);
       categories.push(pin.category);
-      if (pin.brand) brands.push(pin.brand);
-      if (pin.price) prices.push(pin.price);
+      categoryWeights.push(getFieldConfidence(pin, 'category') * pinWeight);
+      categoryDistribution[pin.category] = (categoryDistribution[pin.category] || 0) + 1;
+
+      if (pin.brand) {
+        brands.push(pin.brand);
+        brandWeights.push(getFieldConfidence(pin, 'brand') * pinWeight);
+      }
+      const price = priceIn(pin, currency, this.exchangeRates);
+      if (price) {
+        prices.push(price);
+        priceWeights.push(pinWeight);
+      }
     });
 
     // Find most common colors
-    const colorFreq = this._getFrequencyMap(allColors);
+    const colorFreq = this._getFrequencyMap(allColors, colorWeights);
     const dominantColors = this._getTopN(colorFreq, 5);
 
     // Find most common styles
-    const styleFreq = this._getFrequencyMap(allStyles);
+    const styleFreq = this._getFrequencyMap(allStyles, styleWeights);
     const styleKeywords = this._getTopN(styleFreq, 8);
 
     // Find preferred categories
-    const categoryFreq = this._getFrequencyMap(categories);
+    const categoryFreq = this._getFrequencyMap(categories, categoryWeights);
     const preferredCategories = this._getTopN(categoryFreq, 3);
 
     // Find favored brands
-    const brandFreq = this._getFrequencyMap(brands);
+    const brandFreq = this._getFrequencyMap(brands, brandWeights);
     const favoredBrands = this._getTopN(brandFreq, 5);
 
-    // Calculate price range
-    const priceRange = prices.length > 0 ? {
-      min: Math.min(...prices),
-      max: Math.max(...prices)
-    } : undefined;
+    // Typical price range leaves out the cheapest and dearest tenth, so one outlier pin can't stretch it
+    const pricePercentiles = computePricePercentiles(prices, priceWeights);
+    const priceWeightTotal = priceWeights.reduce((sum, w) => sum + w, 0);
+    const averagePrice = priceWeightTotal > 0
+      ? prices.reduce((sum, price, idx) => sum + price * priceWeights[idx], 0) / priceWeightTotal
+      : undefined;
 
     return {
       dominantColors,
       preferredCategories,
       styleKeywords,
-      priceRange,
-      favoredBrands
+      priceRange: pricePercentiles && { min: pricePercentiles.p10, max: pricePercentiles.p90 },
+      priceDistribution: buildPriceDistribution(prices, currency, priceWeights),
+      currency,
+      favoredBrands,
+      colorWeights: this._toShares(colorFreq),
+      styleWeights: this._toShares(styleFreq),
+      categoryWeights: this._toShares(categoryFreq),
+      brandWeights: this._toShares(brandFreq),
+      categoryDistribution,
+      totalItems: pins.length,
+      ...(averagePrice !== undefined && { averagePrice }),
+      ...(pricePercentiles && { pricePercentiles })
     };
   }
 
+  /**
+   * Recency weight of each pin: 1 for the newest dated pin, halving every
+   * half-life before it. Undated pins count fully.
+   * @private
+   */
+  private _recencyWeights(pins: FashionItem[]): number[] {
+    const times = pins.map(pin => (pin.createdAt ? Date.parse(pin.createdAt) : NaN));
+    const dated = times.filter(time => Number.isFinite(time));
+    if (this.recencyHalfLifeDays <= 0 || dated.length === 0) return pins.map(() => 1);
+
+    const newest = Math.max(...dated);
+    const halfLifeMs = this.recencyHalfLifeDays * 24 * 60 * 60 * 1000;
+    return times.map(time => (Number.isFinite(time) ? Math.pow(0.5, (newest - time) / halfLifeMs) : 1));
+  }
+
+  /**
+   * Profile and pins to score against: the merged profile, or one occasion's
+   * @private
+   */
+  private _resolveProfile(occasion?: string): { profile: StyleProfile; pins: FashionItem[]; scopedBoard?: BoardProfile } {
+    if (!this.styleProfile) {
+      throw new Error('Style profile not initialized. Call analyzePinterestBoard first.');
+    }
+    if (occasion === undefined) {
+      return { profile: this.styleProfile, pins: this.boardData!.pins };
+    }
+
+    const scopedBoard = this.boardProfiles.get(occasion);
+    if (!scopedBoard) {
+      throw new Error(`Unknown occasion: ${occasion}`);
+    }
+    return { profile: scopedBoard.profile, pins: scopedBoard.pins, scopedBoard };
+  }
+
   /**
    * Calculate recommendation score for an item
    * @private
    */
-  private _calculateRecommendationScore(item: FashionItem, profile: StyleProfile): number {
-    let score = 0;
+  private _calculateRecommendationScore(
+    item: FashionItem,
+    profile: StyleProfile,
+    pins: FashionItem[],
+    weights?: SignalWeights,
+    season?: SeasonContext
+  ): { score: number; breakdown: ScoreBreakdown } {
+    return this.scoringModel.score(item, {
+      profile,
+      pins,
+      exchangeRates: this.exchangeRates,
+      season,
+      ...(this.visualIndex && { visual: this.visualIndex })
+    }, weights);
+  }
 
-    // Color matching (30% weight)
-    const colorMatch = this._calculateColorMatch(item.colors, profile.dominantColors);
-    score += colorMatch * 0.3;
+  /**
+   * Find the board whose own profile scores an item highest
+   * @private
+   */
+  private _findSourceBoard(item: FashionItem, weights?: SignalWeights, season?: SeasonContext): BoardProfile | undefined {
+    const boards = Array.from(this.boardProfiles.values());
+    if (boards.length <= 1) return boards[0];
 
-    // Style matching (40% weight)
-    const styleMatch = this._calculateStyleMatch(item.style, profile.styleKeywords);
-    score += styleMatch * 0.4;
+    let best: BoardProfile | undefined;
+    let bestScore = -Infinity;
 
-    // Category preference (15% weight)
-    const categoryMatch = profile.preferredCategories.includes(item.category) ? 1 : 0.5;
-    score += categoryMatch * 0.15;
+    boards.forEach(boardProfile => {
+      const { score } = this._calculateRecommendationScore(item, boardProfile.profile, boardProfile.pins, weights, season);
+      if (score > bestScore) {
+        bestScore = score;
+        best = boardProfile;
+      }
+    });
 
-    // Brand preference (10% weight)
-    const brandMatch = item.brand && profile.favoredBrands.includes(item.brand) ? 1 : 0.5;
-    score += brandMatch * 0.1;
+    return best;
+  }
 
-    // Price range (5% weight)
-    if (item.price && profile.priceRange) {
-      const priceMatch = item.price >= profile.priceRange.min && item.price <= profile.priceRange.max ? 1 : 0.5;
-      score += priceMatch * 0.05;
-    } else {
-      score += 0.025; // Neutral score if no price data
-    }
+  /**
+   * Score, annotate, re-rank and explain candidates
+   * @private
+   */
+  private _rankRecommendations(
+    catalog: FashionItem[] | CatalogIndex,
+    limit: number,
+    options: RecommendationOptions
+  ): { results: Recommendation[]; profile: StyleProfile; categories: Set<string> } {
+    const { profile, pins, scopedBoard } = this._resolveProfile(options.occasion);
+
+    const wardrobe = this.wardrobe;
+    const catalogItems = catalog instanceof CatalogIndex ? catalog.retrieve(profile, options.retrieval) : catalog;
+    const candidates = catalogItems.filter(item =>
+      !(wardrobe && wardrobe.has(item.id)) && (options.includeUnavailable || this._isPurchasable(item)));
+
+    const scoredItems = candidates.map(item => {
+      const { score, breakdown } = this._calculateRecommendationScore(item, profile, pins, options.weights, options.season);
+      const recommendation: Recommendation = { item, score, reasons: [], breakdown };
+      return recommendation;
+    });
+
+    const diversity = options.diversity === false ? null : options.diversity || {};
+    const diversify = !scopedBoard && this.aesthetics.length > 1 && options.diversify !== false;
+    const adjustForWardrobe = wardrobe !== null && wardrobe.size > 0;
+    const needsPool = diversity !== null || diversify || adjustForWardrobe ||
+      this.boardProfiles.size > 1 || this.aesthetics.length > 1;
+    // Exploratory picks come from further down the ranking, so look deeper for them
+    const poolFactor = diversity?.serendipity ? RERANK_POOL_FACTOR * 2 : RERANK_POOL_FACTOR;
+    const pool = selectTopK(scoredItems, needsPool ? limit * poolFactor : limit, rec => rec.score);
+
+    pool.forEach(recommendation => {
+      if (adjustForWardrobe) {
+        this._applyWardrobe(recommendation, wardrobe!);
+      }
+
+      const source = scopedBoard || this._findSourceBoard(recommendation.item, options.weights, options.season);
+      if (source) {
+        recommendation.sourceBoard = { id: source.boardId, name: source.boardName, occasion: source.occasion };
+      }
 
-    return score;
+      if (!scopedBoard && this.aesthetics.length > 1) {
+        recommendation.aesthetic = this._findAesthetic(recommendation.item, options.weights, options.season).name;
+      }
+    });
+
+    // Sort by score descending, re-rank for variety, then take the top items.
+    // Aesthetic quotas get twice the limit to choose from.
+    pool.sort((a, b) => b.score - a.score);
+    const ranked = diversity
+      ? rerankForDiversity(pool, profile, diversify ? limit * 2 : limit, diversity)
+      : pool;
+    const results = diversify ? this._diversifyAcrossAesthetics(ranked, limit) : ranked.slice(0, limit);
+    results.forEach(recommendation => {
+      const price = this._quotePrice(recommendation.item);
+      if (price) recommendation.price = price;
+      recommendation.reasons = this._composeReasons(recommendation, profile, pins);
+    });
+    return { results, profile, categories: new Set(candidates.map(item => item.category)) };
   }
 
   /**
-   * Generate human-readable reasons for recommendation
+   * Find the aesthetic whose profile scores an item highest
    * @private
    */
-  private _generateReasons(item: FashionItem, profile: StyleProfile): string[] {
-    const reasons: string[] = [];
+  private _findAesthetic(item: FashionItem, weights?: SignalWeights, season?: SeasonContext): AestheticProfile {
+    let best = this.aesthetics[0];
+    let bestScore = -Infinity;
 
-    // Check color matches
-    const matchingColors = item.colors.filter(c => profile.dominantColors.includes(c));
-    if (matchingColors.length > 0) {
-      reasons.push(`Matches your preferred colors: ${matchingColors.join(', ')}`);
-    }
+    this.aesthetics.forEach(aesthetic => {
+      const { score } = this._calculateRecommendationScore(item, aesthetic.profile, aesthetic.pins, weights, season);
+      if (score > bestScore) {
+        bestScore = score;
+        best = aesthetic;
+      }
+    });
 
-    // Check style matches
-    const matchingStyles = item.style.filter(s => profile.styleKeywords.includes(s));
-    if (matchingStyles.length > 0) {
-      reasons.push(`Fits your ${matchingStyles.join(', ')} style`);
-    }
+    return best;
+  }
 
-    // Check category preference
-    if (profile.preferredCategories.includes(item.category)) {
-      reasons.push(`You often save ${item.category}`);
-    }
+  /**
+   * Give each aesthetic a number of slots proportional to its share (largest
+   * remainder), fill them with its best items, then top up from the overall
+   * ranking when an aesthetic runs out of candidates. Keeps the ranking's order.
+   * @private
+   */
+  private _diversifyAcrossAesthetics(ranked: Recommendation[], limit: number): Recommendation[] {
+    const quotas = this.aesthetics.map(a => a.share * limit);
+    const slots = quotas.map(Math.floor);
+    let remaining = limit - slots.reduce((sum, n) => sum + n, 0);
+    quotas
+      .map((quota, idx) => ({ idx, remainder: quota - Math.floor(quota) }))
+      .sort((a, b) => b.remainder - a.remainder)
+      .forEach(({ idx }) => {
+        if (remaining > 0) {
+          slots[idx]++;
+          remaining--;
+        }
+      });
 
-    // Check brand
-    if (item.brand && profile.favoredBrands.includes(item.brand)) {
-      reasons.push(`From your favorite brand: ${item.brand}`);
-    }
+    const slotsByName = new Map(this.aesthetics.map((a, idx) => [a.name, slots[idx]]));
+    const selected = new Set<Recommendation>();
 
-    // Check price
-    if (item.price && profile.priceRange) {
-      if (item.price >= profile.priceRange.min && item.price <= profile.priceRange.max) {
-        reasons.push('Within your typical price range');
+    ranked.forEach(rec => {
+      const left = slotsByName.get(rec.aesthetic!) || 0;
+      if (left > 0) {
+        selected.add(rec);
+        slotsByName.set(rec.aesthetic!, left - 1);
       }
+    });
+
+    for (const rec of ranked) {
+      if (selected.size >= limit) break;
+      selected.add(rec);
     }
 
-    return reasons;
+    return ranked.filter(rec => selected.has(rec));
   }
 
   /**
-   * Calculate color matching score
+   * Penalize near-duplicates of owned items and boost items that pair with
+   * many of them. A duplicate loses up to half its score; pairings add up to
+   * 15% of the remaining headroom, saturating at five owned pieces.
    * @private
    */
-  private _calculateColorMatch(itemColors: string[], profileColors: string[]): number {
-    if (itemColors.length === 0 || profileColors.length === 0) return 0.5;
-    
-    const matches = itemColors.filter(c => profileColors.includes(c)).length;
-    return matches / Math.max(itemColors.length, 1);
+  private _applyWardrobe(recommendation: Recommendation, wardrobe: WardrobeStore): void {
+    const { item, score } = recommendation;
+    const duplicate = wardrobe.findNearDuplicate(item);
+    const pairsWith = wardrobe.findPairings(item).length;
+
+    let adjusted = score;
+    if (duplicate) {
+      adjusted *= 1 - 0.5 * duplicate.similarity;
+    } else if (pairsWith > 0) {
+      adjusted += (1 - adjusted) * 0.15 * Math.min(1, pairsWith / 5);
+    }
+
+    recommendation.wardrobe = {
+      pairsWith,
+      adjustment: adjusted - score,
+      ...(duplicate && {
+        duplicateOf: { id: duplicate.owned.id, title: duplicate.owned.title, similarity: duplicate.similarity }
+      })
+    };
+    recommendation.score = adjusted;
   }
 
   /**
-   * Calculate style matching score
+   * All reasons for a recommendation, each citing the pins behind it
    * @private
    */
-  private _calculateStyleMatch(itemStyles: string[], profileStyles: string[]): number {
-    if (itemStyles.length === 0 || profileStyles.length === 0) return 0.5;
-    
-    const matches = itemStyles.filter(s => profileStyles.includes(s)).length;
-    return matches / Math.max(itemStyles.length, 1);
+  private _composeReasons(
+    recommendation: Recommendation,
+    profile: StyleProfile,
+    pins: FashionItem[]
+  ): RecommendationReason[] {
+    const aesthetic = recommendation.aesthetic
+      ? this.aesthetics.find(a => a.name === recommendation.aesthetic)
+      : undefined;
+    return buildReasons(recommendation, {
+      profile,
+      pins,
+      exchangeRates: this.exchangeRates,
+      ...(aesthetic && { aesthetic: { name: aesthetic.name, pins: aesthetic.pins } }),
+      ...(this.visualIndex && { visual: this.visualIndex })
+    });
   }
 
   /**
-   * Get frequency map of items
+   * Whether an item is in stock in the shopper's size and within their budget
    * @private
    */
-  private _getFrequencyMap(items: string[]): Map<string, number> {
+  private _isPurchasable(item: FashionItem): boolean {
+    if (!isAvailableInSize(item, this.shopper.sizes?.[item.category])) return false;
+    if (this.shopper.budget === undefined) return true;
+    const price = priceIn(item, this._shopperCurrency(), this.exchangeRates);
+    return price === undefined || price <= this.shopper.budget;
+  }
+
+  /**
+   * An item's price in the shopper's currency, with the list price when on sale
+   * @private
+   */
+  private _quotePrice(item: FashionItem): Recommendation['price'] | undefined {
+    const currency = this._shopperCurrency();
+    const amount = priceIn(item, currency, this.exchangeRates);
+    if (amount === undefined) return undefined;
+
+    const quote: NonNullable<Recommendation['price']> = { amount, currency };
+    if (saleDiscount(item) > 0) {
+      quote.was = this.exchangeRates.convert(item.price!, item.currency || DEFAULT_CURRENCY, currency);
+    }
+    return quote;
+  }
+
+  /**
+   * Currency prices are quoted and budgeted in
+   * @private
+   */
+  private _shopperCurrency(): string {
+    return this.shopper.currency || DEFAULT_CURRENCY;
+  }
+
+  /**
+   * Get frequency map of items, optionally weighting each occurrence
+   * @private
+   */
+  private _getFrequencyMap(items: string[], weights?: number[]): Map<string, number> {
     const freq = new Map<string, number>();
-    items.forEach(item => {
+    items.forEach((item, idx) => {
       const normalized = normalizeText(item);
-      freq.set(normalized, (freq.get(normalized) || 0) + 1);
+      const weight = weights ? weights[idx] : 1;
+      freq.set(normalized, (freq.get(normalized) || 0) + weight);
     });
     return freq;
   }
 
+  /**
+   * Scale a frequency map so its values sum to 1
+   * @private
+   */
+  private _toShares(freqMap: Map<string, number>): WeightedFrequencies {
+    const total = Array.from(freqMap.values()).reduce((sum, n) => sum + n, 0);
+    const shares: WeightedFrequencies = {};
+    if (total <= 0) return shares;
+    Array.from(freqMap.entries())
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([key, value]) => {
+        shares[key] = value / total;
+      });
+    return shares;
+  }
+
   /**
    * Get top N items from frequency map
    * @private
@@ -303,10 +1126,11 @@ export class FashionRecommendationEngine {
 /**
  * Create a new fashion recommendation engine instance
  * 
+ * @param options - Engine options such as a custom scoring model
  * @returns New FashionRecommendationEngine instance
  */
-export function createRecommendationEngine(): FashionRecommendationEngine {
-  return new FashionRecommendationEngine();
+export function createRecommendationEngine(options: EngineOptions = {}): FashionRecommendationEngine {
+  return new FashionRecommendationEngine(options);
 }
 
 /**
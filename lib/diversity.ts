@@ -0,0 +1,258 @@
+/**
+ * Diversity and novelty re-ranking
+ *
+ * Ranking by score alone tends to fill a list with near-identical items: the
+ * same brand, category and color over and over. This module re-ranks a pool
+ * of scored recommendations with maximal marginal relevance (MMR), which
+ * picks each next item by its score minus its similarity to the items already
+ * picked, under optional hard caps per brand, category and color. A
+ * serendipity share mixes in well-scoring items that reach a little beyond
+ * the profile. Metrics describe how varied the final list is.
+ *
+ * @module lib/diversity
+ */
+
+import type { FashionItem, Recommendation, StyleProfile } from './core';
+import { bestColorPairing, colorSimilarity } from './color';
+import { normalizeText } from './utils';
+
+/**
+ * Options for diversity re-ranking
+ */
+export interface DiversityOptions {
+  /** Trade-off between relevance (1) and variety (0) (default: 0.8) */
+  lambda?: number;
+  /** Most items from one brand */
+  maxPerBrand?: number;
+  /** Most items from one category */
+  maxPerCategory?: number;
+  /** Most items sharing a main color */
+  maxPerColor?: number;
+  /** Share of the list (0-1) set aside for items slightly outside the profile (default: 0) */
+  serendipity?: number;
+  /** Lowest score an exploratory item may have, relative to the best candidate (default: 0.5) */
+  minSerendipityScore?: number;
+}
+
+/**
+ * How varied a recommendation list is
+ */
+export interface DiversityMetrics {
+  /** Mean pairwise similarity of the items (0-1); lower is more varied */
+  intraListSimilarity: number;
+  /** Share of the candidates' categories that appear in the list (0-1) */
+  categoryCoverage: number;
+  /** Distinct brands in the list */
+  distinctBrands: number;
+  /** Distinct main colors in the list */
+  distinctColors: number;
+  /** Mean novelty of the items against the profile (0-1) */
+  novelty: number;
+  /** Items included as exploratory picks */
+  serendipitousCount: number;
+}
+
+// An item counts as slightly outside the profile from this novelty up
+const EXPLORATORY_NOVELTY = 1 / 3;
+
+/**
+ * How alike two items look side by side in a list
+ *
+ * Shared category and brand count as much as overlapping colors and style
+ * keywords, since a list of five navy COS tops reads as repetitive even when
+ * the garments differ.
+ *
+ * @param a - First item
+ * @param b - Second item
+ * @returns Similarity between 0 and 1
+ */
+export function listSimilarity(a: FashionItem, b: FashionItem): number {
+  const category = a.category === b.category ? 1 : 0;
+  const brand = a.brand && b.brand && normalizeText(a.brand) === normalizeText(b.brand) ? 1 : 0;
+  const color = a.colors.length > 0 && b.colors.length > 0
+    ? (meanBestSimilarity(a.colors, b.colors) + meanBestSimilarity(b.colors, a.colors)) / 2
+    : 0;
+  const style = jaccard(a.style, b.style);
+
+  return category * 0.3 + brand * 0.2 + color * 0.3 + style * 0.2;
+}
+
+/**
+ * How far an item reaches beyond a profile
+ *
+ * Averages three parts: whether its category is outside the preferred ones,
+ * the share of its style keywords the profile lacks, and the share of its
+ * colors that neither match nor resemble the profile's colors.
+ *
+ * @param item - Item to check
+ * @param profile - Profile to compare against
+ * @returns Novelty between 0 (squarely within the profile) and 1
+ */
+export function profileNovelty(item: FashionItem, profile: StyleProfile): number {
+  const category = profile.preferredCategories.includes(item.category) ? 0 : 1;
+
+  const keywords = new Set(profile.styleKeywords.map(s => normalizeText(s)));
+  const style = item.style.length > 0
+    ? item.style.filter(s => !keywords.has(normalizeText(s))).length / item.style.length
+    : 0;
+
+  const color = item.colors.length > 0
+    ? item.colors.filter(c => {
+      const { relation } = bestColorPairing(c, profile.dominantColors);
+      return relation !== 'match' && relation !== 'similar';
+    }).length / item.colors.length
+    : 0;
+
+  return (category + style + color) / 3;
+}
+
+/**
+ * Re-rank scored recommendations for variety
+ *
+ * Caps are hard limits, so the result can be shorter than the limit when the
+ * pool runs out of items that fit them. Exploratory picks are spread through
+ * the list rather than appended, and are marked as serendipitous.
+ *
+ * @param pool - Scored candidates
+ * @param profile - Profile the candidates were scored against
+ * @param limit - Maximum number of items to return
+ * @param options - Trade-off, caps and serendipity
+ * @returns Selected recommendations in display order
+ */
+export function rerankForDiversity(
+  pool: Recommendation[],
+  profile: StyleProfile,
+  limit: number,
+  options: DiversityOptions = {}
+): Recommendation[] {
+  const { lambda = 0.8, serendipity = 0, minSerendipityScore = 0.5 } = options;
+  if (lambda < 0 || lambda > 1) {
+    throw new Error(`lambda must be between 0 and 1: ${lambda}`);
+  }
+  if (serendipity < 0 || serendipity > 1) {
+    throw new Error(`serendipity must be between 0 and 1: ${serendipity}`);
+  }
+  if (pool.length === 0 || limit <= 0) return [];
+
+  const topScore = Math.max(...pool.map(rec => rec.score));
+  const scale = topScore > 0 ? topScore : 1;
+  const counts = { brand: new Map<string, number>(), category: new Map<string, number>(), color: new Map<string, number>() };
+  const withinCaps = (item: FashionItem) =>
+    underCap(counts.brand, brandKey(item), options.maxPerBrand) &&
+    underCap(counts.category, item.category, options.maxPerCategory) &&
+    underCap(counts.color, colorKey(item), options.maxPerColor);
+
+  // Greedy MMR, tracking each candidate's highest similarity to the picks so far
+  const candidates = pool.map(rec => ({ rec, maxSimilarity: 0 }));
+  const picked: Recommendation[] = [];
+  const take = (idx: number) => {
+    const [{ rec }] = candidates.splice(idx, 1);
+    picked.push(rec);
+    increment(counts.brand, brandKey(rec.item));
+    increment(counts.category, rec.item.category);
+    increment(counts.color, colorKey(rec.item));
+    candidates.forEach(candidate => {
+      candidate.maxSimilarity = Math.max(candidate.maxSimilarity, listSimilarity(candidate.rec.item, rec.item));
+    });
+  };
+  const pickNext = (eligible: (rec: Recommendation) => boolean): boolean => {
+    let bestIdx = -1;
+    let bestValue = -Infinity;
+    candidates.forEach(({ rec, maxSimilarity }, idx) => {
+      if (!eligible(rec) || !withinCaps(rec.item)) return;
+      const value = lambda * (rec.score / scale) - (1 - lambda) * maxSimilarity;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIdx = idx;
+      }
+    });
+    if (bestIdx >= 0) take(bestIdx);
+    return bestIdx >= 0;
+  };
+
+  // Exploratory picks go at evenly spaced positions after the first item
+  const exploratory = Math.min(Math.round(serendipity * limit), limit - 1);
+  const slots = new Set(Array.from({ length: exploratory }, (_, i) =>
+    Math.floor(((i + 1) * limit) / (exploratory + 1))));
+  const isExploratory = (rec: Recommendation) =>
+    rec.score >= minSerendipityScore * topScore && profileNovelty(rec.item, profile) >= EXPLORATORY_NOVELTY;
+
+  while (picked.length < limit && candidates.length > 0) {
+    if (slots.has(picked.length) && pickNext(isExploratory)) {
+      picked[picked.length - 1].serendipitous = true;
+      continue;
+    }
+    if (!pickNext(() => true)) break;
+  }
+
+  return picked;
+}
+
+/**
+ * Measure how varied a recommendation list is
+ *
+ * @param recommendations - List to measure
+ * @param profile - Profile the list was built for
+ * @param candidateCategories - Categories that were available to recommend
+ *   (default: those in the list, making coverage 1 whenever it is non-empty)
+ * @returns Diversity metrics
+ */
+export function measureDiversity(
+  recommendations: Recommendation[],
+  profile: StyleProfile,
+  candidateCategories?: Iterable<string>
+): DiversityMetrics {
+  const items = recommendations.map(rec => rec.item);
+  let pairs = 0;
+  let similarity = 0;
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      similarity += listSimilarity(items[i], items[j]);
+      pairs++;
+    }
+  }
+
+  const categories = new Set(items.map(item => item.category));
+  const available = new Set(candidateCategories || categories);
+
+  return {
+    intraListSimilarity: pairs > 0 ? similarity / pairs : 0,
+    categoryCoverage: available.size > 0 ? categories.size / available.size : 0,
+    distinctBrands: new Set(items.filter(item => item.brand).map(brandKey)).size,
+    distinctColors: new Set(items.filter(item => item.colors.length > 0).map(colorKey)).size,
+    novelty: items.length > 0
+      ? items.reduce((sum, item) => sum + profileNovelty(item, profile), 0) / items.length
+      : 0,
+    serendipitousCount: recommendations.filter(rec => rec.serendipitous).length
+  };
+}
+
+function underCap(counts: Map<string, number>, key: string | undefined, cap: number | undefined): boolean {
+  return cap === undefined || key === undefined || (counts.get(key) || 0) < cap;
+}
+
+function increment(counts: Map<string, number>, key: string | undefined): void {
+  if (key !== undefined) counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+function brandKey(item: FashionItem): string | undefined {
+  return item.brand ? normalizeText(item.brand) : undefined;
+}
+
+function colorKey(item: FashionItem): string | undefined {
+  return item.colors.length > 0 ? normalizeText(item.colors[0]) : undefined;
+}
+
+function jaccard(a: string[], b: string[]): number {
+  const setA = new Set(a.map(s => normalizeText(s)));
+  const setB = new Set(b.map(s => normalizeText(s)));
+  if (setA.size === 0 || setB.size === 0) return 0;
+  let shared = 0;
+  setA.forEach(value => { if (setB.has(value)) shared++; });
+  return shared / (setA.size + setB.size - shared);
+}
+
+function meanBestSimilarity(colors: string[], others: string[]): number {
+  const total = colors.reduce((sum, c) => sum + Math.max(...others.map(o => colorSimilarity(c, o))), 0);
+  return total / colors.length;
+}
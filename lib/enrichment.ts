@@ -0,0 +1,550 @@
+/**
+ * Enrichment pipeline for raw pins and product rows
+ *
+ * This module turns free-text titles, descriptions, alt text, links and
+ * rich-pin metadata into complete FashionItem objects. Every inferred field
+ * carries a confidence and a provenance tag so that weakly inferred pins can
+ * be down-weighted when building a style profile.
+ *
+ * @module lib/enrichment
+ */
+
+import { FashionItem } from './core';
+import type { RawPin } from './pinterest';
+import { parseColors, extractStyleKeywords, normalizeText } from './utils';
+import { FabricWeight, extractFabrics, inferFabricWeight } from './season';
+import { DEFAULT_EXCHANGE_RATES } from './pricing';
+
+/**
+ * Where an inferred value came from
+ */
+export type InferenceSource =
+  | 'provided'
+  | 'rich-metadata'
+  | 'title'
+  | 'description'
+  | 'alt-text'
+  | 'link'
+  | 'image'
+  | 'default';
+
+/**
+ * An inferred value with its confidence (0-1) and provenance
+ */
+export interface FieldInference<T> {
+  value: T;
+  confidence: number;
+  source: InferenceSource;
+}
+
+/**
+ * Provenance for every enriched field of a fashion item
+ */
+export interface ItemInference {
+  category: FieldInference<FashionItem['category']>;
+  colors: FieldInference<string[]>;
+  style: FieldInference<string[]>;
+  brand?: FieldInference<string>;
+  price?: FieldInference<number>;
+  fabrics?: FieldInference<string[]>;
+  fabricWeight?: FieldInference<FabricWeight>;
+}
+
+/**
+ * Canonical brand names mapped to the aliases they appear under
+ */
+export type BrandDictionary = Record<string, string[]>;
+
+/**
+ * Input accepted by the enrichment pipeline
+ */
+export interface EnrichmentInput {
+  id: string;
+  title?: string;
+  description?: string;
+  altText?: string;
+  link?: string;
+  imageUrl?: string;
+  createdAt?: string;
+  richMetadata?: Record<string, any> | null;
+  /** Values already known for the item; these are kept with full confidence */
+  known?: Partial<Pick<
+    FashionItem,
+    'category' | 'colors' | 'style' | 'brand' | 'price' | 'salePrice' | 'currency' | 'sizes' | 'tags' | 'fabrics' | 'fabricWeight'
+  >>;
+}
+
+/**
+ * Options for the enrichment pipeline
+ */
+export interface EnrichmentOptions {
+  brands?: BrandDictionary;
+}
+
+/**
+ * Parsed price with the currency it was quoted in
+ */
+export interface ParsedPrice {
+  amount: number;
+  currency?: string;
+}
+
+/**
+ * Confidence given to a match depending on which text field it came from
+ */
+const SOURCE_CONFIDENCE: Record<InferenceSource, number> = {
+  'provided': 1,
+  'rich-metadata': 0.95,
+  'title': 0.8,
+  'link': 0.7,
+  'description': 0.6,
+  'alt-text': 0.5,
+  'image': 0.5,
+  'default': 0.1
+};
+
+/**
+ * Garment keywords for each category. classifyCategory finds every keyword as
+ * a whole phrase and credits only the head noun of a run of adjacent ones, so
+ * "tank top" counts as a top once and "sweater dress" as a dress.
+ */
+const CATEGORY_KEYWORDS: Record<FashionItem['category'], string[]> = {
+  tops: [
+    'top', 'tank top', 't-shirt', 'tee', 'shirt', 'blouse', 'sweater', 'cardigan', 'camisole', 'cami',
+    'tank', 'hoodie', 'sweatshirt', 'turtleneck', 'polo', 'bodysuit', 'crop top', 'knit', 'pullover', 'vest'
+  ],
+  bottoms: [
+    'pants', 'trousers', 'jeans', 'skirt', 'shorts', 'leggings', 'joggers', 'culottes', 'chinos', 'slacks',
+    'midi skirt', 'mini skirt', 'wide-leg', 'cargo pants'
+  ],
+  dresses: ['dress', 'gown', 'jumpsuit', 'romper', 'sundress', 'slip dress', 'maxi dress', 'midi dress', 'playsuit'],
+  outerwear: [
+    'coat', 'jacket', 'blazer', 'trench', 'parka', 'puffer', 'overcoat', 'peacoat', 'anorak', 'raincoat',
+    'bomber', 'shacket', 'cape', 'poncho', 'gilet'
+  ],
+  shoes: [
+    'shoes', 'shoe', 'boots', 'boot', 'sneakers', 'sneaker', 'heels', 'heel', 'loafers', 'loafer', 'sandals',
+    'sandal', 'flats', 'pumps', 'mules', 'clogs', 'espadrilles', 'trainers', 'ankle boots', 'ballet flats'
+  ],
+  accessories: [
+    'bag', 'handbag', 'tote', 'clutch', 'crossbody', 'backpack', 'necklace', 'earrings', 'earring', 'bracelet',
+    'ring', 'belt', 'scarf', 'hat', 'beanie', 'sunglasses', 'watch', 'jewelry', 'headband', 'gloves', 'wallet'
+  ]
+};
+
+/**
+ * Default brand dictionary. Extend or replace it through EnrichmentOptions.
+ */
+export const DEFAULT_BRANDS: BrandDictionary = {
+  'Everlane': ['everlane'],
+  'Mango': ['mango'],
+  'Massimo Dutti': ['massimo dutti', 'massimodutti'],
+  'COS': ['cos', 'cosstores'],
+  '& Other Stories': ['other stories'],
+  'Arket': ['arket'],
+  'Zara': ['zara'],
+  'H&M': ['hm', 'h m', 'h and m'],
+  'Uniqlo': ['uniqlo'],
+  'Madewell': ['madewell'],
+  'J.Crew': ['j crew', 'jcrew'],
+  'Aritzia': ['aritzia'],
+  'Reformation': ['reformation', 'thereformation'],
+  "Levi's": ['levis', 'levi'],
+  'Celine': ['celine'],
+  'Mejuri': ['mejuri'],
+  'Cuyana': ['cuyana'],
+  'Common Projects': ['common projects', 'commonprojects'],
+  'Nordstrom': ['nordstrom'],
+  'Sezane': ['sezane'],
+  'Toteme': ['toteme']
+};
+
+const CURRENCY_SYMBOLS: Record<string, string> = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  'C$': 'CAD',
+  'A$': 'AUD'
+};
+
+/**
+ * Classify free text into one of the six fashion categories
+ *
+ * In a run of adjacent garment keywords the last one is the head noun and
+ * the others modify it, so "knit sweater dress", "shirt jacket" and "dress
+ * shoes" go to the category of the last word. Equal scores go to the
+ * category whose head noun comes first.
+ *
+ * @param text - Text to classify
+ * @returns Best matching category and the share of keyword hits it won, or null
+ */
+export function classifyCategory(text: string): { category: FashionItem['category']; confidence: number } | null {
+  const hits = new Map<FashionItem['category'], { weight: number; first: number }>();
+  let offset = 0;
+
+  // Punctuation ends a phrase, so "slip dress. Shoes" does not make "dress" a modifier
+  text.split(/[.,;:!?|/()\n]+/).forEach(segment => {
+    const normalized = ` ${normalizeText(segment)} `;
+    const matches = findCategoryKeywords(normalized);
+
+    matches.forEach(match => {
+      // Follow directly adjacent keywords to the head noun of the run
+      let head = match;
+      for (let next = adjacentKeyword(matches, head); next; next = adjacentKeyword(matches, head)) head = next;
+      if (head.category !== match.category) return;
+      // Longer phrases are more specific than single words
+      const weight = match.keyword.split(/[\s-]/).length;
+      const entry = hits.get(match.category) || { weight: 0, first: offset + match.start };
+      entry.weight += weight;
+      hits.set(match.category, entry);
+    });
+    offset += normalized.length;
+  });
+
+  if (hits.size === 0) return null;
+
+  const ranked = Array.from(hits.entries()).sort((a, b) => b[1].weight - a[1].weight || a[1].first - b[1].first);
+  const total = ranked.reduce((sum, [, entry]) => sum + entry.weight, 0);
+  return { category: ranked[0][0], confidence: ranked[0][1].weight / total };
+}
+
+/**
+ * Detect a brand name in text using a brand dictionary
+ *
+ * @param text - Text to search
+ * @param brands - Canonical brand names mapped to aliases
+ * @returns Canonical brand name or null
+ */
+export function detectBrand(text: string, brands: BrandDictionary = DEFAULT_BRANDS): string | null {
+  const normalized = ` ${normalizeText(text.replace(/&/g, ' '))} `;
+
+  // Prefer the longest alias so "massimo dutti" wins over shorter overlaps
+  let best: { brand: string; length: number } | null = null;
+  Object.entries(brands).forEach(([brand, aliases]) => {
+    [brand, ...aliases].forEach(alias => {
+      const normalizedAlias = normalizeText(alias.replace(/&/g, ' '));
+      if (normalizedAlias && containsPhrase(normalized, normalizedAlias)) {
+        if (!best || normalizedAlias.length > best.length) {
+          best = { brand, length: normalizedAlias.length };
+        }
+      }
+    });
+  });
+
+  return best ? (best as { brand: string }).brand : null;
+}
+
+/**
+ * Parse a price string such as "$1,299.00", "89,95 €" or "USD 45"
+ *
+ * Only ISO codes of currencies with a known exchange rate count as codes, so
+ * words like "NEW" in "NEW $45" fall through to the symbol.
+ *
+ * @param value - Price string or number
+ * @returns Parsed amount and currency, or null if no price was found
+ */
+export function parsePrice(value: string | number | null | undefined): ParsedPrice | null {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? { amount: value } : null;
+
+  const text = value.trim();
+  const numberMatch = text.match(/\d[\d.,\s]*/);
+  if (!numberMatch) return null;
+
+  let digits = numberMatch[0].replace(/\s/g, '');
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+
+  if (lastComma > lastDot) {
+    // "1.299,00" or "89,95": comma is the decimal separator when followed by 1-2 digits
+    const decimals = digits.length - lastComma - 1;
+    digits = decimals <= 2 ? digits.replace(/\./g, '').replace(',', '.') : digits.replace(/,/g, '');
+  } else {
+    digits = digits.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(digits);
+  if (!Number.isFinite(amount)) return null;
+
+  let currency = (text.match(/\b[A-Z]{3}\b/g) || []).find(code => code in DEFAULT_EXCHANGE_RATES.rates);
+  if (!currency) {
+    const symbol = Object.keys(CURRENCY_SYMBOLS)
+      .sort((a, b) => b.length - a.length)
+      .find(s => text.includes(s));
+    if (symbol) currency = CURRENCY_SYMBOLS[symbol];
+  }
+
+  return { amount, currency };
+}
+
+/**
+ * Enrich raw text and metadata into a complete fashion item
+ *
+ * @param input - Text fields, link and metadata describing the item
+ * @param options - Enrichment options such as the brand dictionary
+ * @returns Fashion item with provenance for every inferred field
+ */
+export function enrichFashionItem(input: EnrichmentInput, options: EnrichmentOptions = {}): FashionItem {
+  const brands = options.brands || DEFAULT_BRANDS;
+  const known = input.known || {};
+  const meta = input.richMetadata || {};
+  const product = Array.isArray(meta.products) ? meta.products[0] : undefined;
+
+  const fields: Array<[InferenceSource, string]> = [
+    ['rich-metadata', [meta.title, product?.name].filter(Boolean).join(' ')],
+    ['title', input.title || ''],
+    ['description', input.description || ''],
+    ['alt-text', input.altText || '']
+  ];
+
+  const inference: ItemInference = {
+    category: known.category
+      ? { value: known.category, confidence: 1, source: 'provided' }
+      : inferCategory(fields),
+    colors: known.colors
+      ? { value: known.colors, confidence: 1, source: 'provided' }
+      : inferList(fields, parseColors),
+    style: known.style
+      ? { value: known.style, confidence: 1, source: 'provided' }
+      : inferList(fields, extractStyleKeywords)
+  };
+
+  const brand = known.brand
+    ? { value: known.brand, confidence: 1, source: 'provided' as InferenceSource }
+    : inferBrand(fields, meta, input.link, brands);
+  if (brand) inference.brand = brand;
+
+  const inferredPrice = known.price === undefined ? inferPrice(meta) : null;
+  const price = known.price !== undefined
+    ? { value: known.price, confidence: 1, source: 'provided' as InferenceSource }
+    : inferredPrice?.price;
+  if (price) inference.price = price;
+  const currency = known.currency || inferredPrice?.currency;
+
+  const fabrics = known.fabrics
+    ? { value: known.fabrics, confidence: 1, source: 'provided' as InferenceSource }
+    : inferList(fields, extractFabrics);
+  if (fabrics.value.length > 0) inference.fabrics = fabrics;
+  const fabricWeight = known.fabricWeight
+    ? { value: known.fabricWeight, confidence: 1, source: 'provided' as InferenceSource }
+    : inferWeight(fields, fabrics);
+  if (fabricWeight) inference.fabricWeight = fabricWeight;
+
+  return {
+    id: input.id,
+    title: input.title || meta.title || '',
+    description: input.description || '',
+    imageUrl: input.imageUrl || '',
+    category: inference.category.value,
+    colors: inference.colors.value,
+    style: inference.style.value,
+    price: inference.price?.value,
+    ...(known.salePrice !== undefined && { salePrice: known.salePrice }),
+    ...(currency && { currency }),
+    brand: inference.brand?.value,
+    tags: known.tags || [],
+    createdAt: input.createdAt,
+    link: input.link,
+    ...(known.sizes && { sizes: known.sizes }),
+    ...(inference.fabrics && { fabrics: inference.fabrics.value }),
+    ...(inference.fabricWeight && { fabricWeight: inference.fabricWeight.value }),
+    inference
+  };
+}
+
+/**
+ * Enrich a raw Pinterest pin into a complete fashion item
+ *
+ * @param pin - Pin JSON from the API
+ * @param imageUrl - Resolved image URL for the pin
+ * @param options - Enrichment options
+ * @returns Enriched fashion item
+ */
+export function enrichPin(pin: RawPin, imageUrl: string = '', options: EnrichmentOptions = {}): FashionItem {
+  return enrichFashionItem({
+    id: pin.id,
+    title: pin.title || '',
+    description: pin.description || '',
+    altText: pin.alt_text || '',
+    link: pin.link || undefined,
+    imageUrl,
+    createdAt: pin.created_at,
+    richMetadata: pin.rich_metadata
+  }, options);
+}
+
+/**
+ * Average confidence across the inferred fields of an item
+ *
+ * @param item - Fashion item, enriched or not
+ * @returns Confidence between 0 and 1 (1 for items without inference data)
+ */
+export function getItemConfidence(item: FashionItem): number {
+  if (!item.inference) return 1;
+  const values = Object.values(item.inference)
+    .filter((field): field is FieldInference<unknown> => field !== undefined)
+    .map(field => field.confidence);
+  return values.reduce((sum, c) => sum + c, 0) / values.length;
+}
+
+/**
+ * Confidence of a single field, 1 when the item was not enriched
+ *
+ * @param item - Fashion item
+ * @param field - Field to look up
+ * @returns Confidence between 0 and 1
+ */
+export function getFieldConfidence(item: FashionItem, field: keyof ItemInference): number {
+  if (!item.inference) return 1;
+  return item.inference[field]?.confidence ?? 1;
+}
+
+/**
+ * Pick the category from the most trusted field that yields one
+ */
+function inferCategory(fields: Array<[InferenceSource, string]>): FieldInference<FashionItem['category']> {
+  for (const [source, text] of fields) {
+    const result = text ? classifyCategory(text) : null;
+    if (result) {
+      return { value: result.category, confidence: SOURCE_CONFIDENCE[source] * result.confidence, source };
+    }
+  }
+  return { value: 'tops', confidence: SOURCE_CONFIDENCE.default, source: 'default' };
+}
+
+/**
+ * Union list values across fields, tagged with the most trusted source
+ */
+function inferList(
+  fields: Array<[InferenceSource, string]>,
+  extract: (text: string) => string[]
+): FieldInference<string[]> {
+  const values: string[] = [];
+  let source: InferenceSource | null = null;
+
+  fields.forEach(([fieldSource, text]) => {
+    const found = text ? extract(text) : [];
+    if (found.length > 0 && !source) source = fieldSource;
+    found.forEach(value => {
+      if (!values.includes(value)) values.push(value);
+    });
+  });
+
+  if (!source) return { value: [], confidence: 0, source: 'default' };
+  return { value: values, confidence: SOURCE_CONFIDENCE[source as InferenceSource], source };
+}
+
+/**
+ * Read the fabric weight from the most trusted field that states one, falling
+ * back to the weight of the fabrics found
+ */
+function inferWeight(
+  fields: Array<[InferenceSource, string]>,
+  fabrics: FieldInference<string[]>
+): FieldInference<FabricWeight> | null {
+  for (const [source, text] of fields) {
+    const stated = text ? inferFabricWeight([], text) : null;
+    if (stated) return { value: stated, confidence: SOURCE_CONFIDENCE[source], source };
+  }
+
+  const fromFabrics = inferFabricWeight(fabrics.value);
+  return fromFabrics ? { value: fromFabrics, confidence: fabrics.confidence, source: fabrics.source } : null;
+}
+
+/**
+ * Detect a brand from metadata, then the link domain, then free text
+ */
+function inferBrand(
+  fields: Array<[InferenceSource, string]>,
+  meta: Record<string, any>,
+  link: string | undefined,
+  brands: BrandDictionary
+): FieldInference<string> | null {
+  const metaText = [meta.site_name, meta.brand, ...(meta.products || []).map((p: any) => p?.brand)]
+    .filter(Boolean)
+    .join(' ');
+  const metaBrand = metaText ? detectBrand(metaText, brands) : null;
+  if (metaBrand) return { value: metaBrand, confidence: SOURCE_CONFIDENCE['rich-metadata'], source: 'rich-metadata' };
+
+  if (link) {
+    try {
+      const host = new URL(link).hostname.replace(/^www\./, '').split('.').slice(0, -1).join(' ');
+      const linkBrand = detectBrand(host, brands);
+      if (linkBrand) return { value: linkBrand, confidence: SOURCE_CONFIDENCE.link, source: 'link' };
+    } catch {
+      // Not a valid URL; fall through to text detection
+    }
+  }
+
+  for (const [source, text] of fields) {
+    const found = text ? detectBrand(text, brands) : null;
+    if (found) return { value: found, confidence: SOURCE_CONFIDENCE[source], source };
+  }
+
+  return null;
+}
+
+/**
+ * Read the price, and the currency it is quoted in, from rich product-pin metadata
+ */
+function inferPrice(meta: Record<string, any>): { price: FieldInference<number>; currency?: string } | null {
+  const products: any[] = Array.isArray(meta.products) ? meta.products : [];
+  const candidates = [
+    ...products.map(p => ({
+      price: p?.offer_summary?.price ?? p?.offers?.price ?? p?.price,
+      currency: p?.offer_summary?.currency ?? p?.offers?.currency_code ?? p?.offers?.priceCurrency
+    })),
+    { price: meta.price, currency: meta.currency_code ?? meta.currency },
+    { price: meta.amount, currency: meta.currency_code ?? meta.currency }
+  ];
+
+  for (const candidate of candidates) {
+    const parsed = parsePrice(candidate.price);
+    if (parsed) {
+      const currency = parsed.currency || (typeof candidate.currency === 'string' ? candidate.currency.toUpperCase() : undefined);
+      return {
+        price: { value: parsed.amount, confidence: SOURCE_CONFIDENCE['rich-metadata'], source: 'rich-metadata' },
+        ...(currency && { currency })
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Every category keyword in padded, normalized text, with where it starts and ends
+ */
+function findCategoryKeywords(
+  paddedText: string
+): Array<{ category: FashionItem['category']; keyword: string; start: number; end: number }> {
+  const matches: Array<{ category: FashionItem['category']; keyword: string; start: number; end: number }> = [];
+  (Object.keys(CATEGORY_KEYWORDS) as FashionItem['category'][]).forEach(category => {
+    CATEGORY_KEYWORDS[category].forEach(keyword => {
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`(?<=\\s)${escaped}(?=\\s)`, 'g');
+      for (let match = pattern.exec(paddedText); match; match = pattern.exec(paddedText)) {
+        matches.push({ category, keyword, start: match.index, end: match.index + keyword.length });
+      }
+    });
+  });
+  return matches;
+}
+
+/**
+ * The longest keyword match that starts one space after a match ends
+ */
+function adjacentKeyword<T extends { start: number; end: number }>(matches: T[], match: T): T | undefined {
+  return matches
+    .filter(next => next.start === match.end + 1)
+    .sort((a, b) => b.end - a.end)[0];
+}
+
+/**
+ * Whole-word phrase match against text padded with spaces
+ */
+function containsPhrase(paddedText: string, phrase: string): boolean {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[\\s])${escaped}(?=[\\s]|$)`).test(paddedText);
+}
@@ -0,0 +1,619 @@
+/**
+ * Offline evaluation of recommendation quality
+ *
+ * A dataset is a catalog plus cases: one user's boards, optionally what they
+ * own, and the catalog items they went on to save or buy. Evaluating an
+ * engine configuration builds a fresh engine per case, recommends k items and
+ * scores the list against those held-out items with precision, recall, NDCG
+ * and reciprocal rank, next to how varied the list is, how well its prices
+ * fit what the user bought and how much of the catalog gets recommended at
+ * all. Runs over the same dataset, whether made side by side or saved before
+ * and after a code change, are compared case by case with a paired
+ * randomization test.
+ *
+ * @module lib/evaluation
+ */
+
+import { promises as fs } from 'fs';
+import { basename, dirname, extname, resolve } from 'path';
+import {
+  EngineOptions,
+  FashionItem,
+  FashionRecommendationEngine,
+  PinterestBoard,
+  RecommendationOptions,
+  createRecommendationEngine
+} from './core';
+import { LearnedModel, computeNdcg } from './feedback';
+import { Loaded, loadBoardFile, loadCatalogFile, loadWardrobeFile, parseBoardDocument } from './inputs';
+import { DEFAULT_CURRENCY, buildPriceDistribution, priceFit, priceIn } from './pricing';
+import { WardrobeStore } from './wardrobe';
+import { getValidationErrors, mulberry32, validateFashionItem } from './utils';
+
+/**
+ * One user's boards and what they went on to save or buy
+ */
+export interface EvaluationCase {
+  id: string;
+  boards: PinterestBoard[];
+  /** Items the user already owned when the boards were collected */
+  owned?: FashionItem[];
+  /** Ids of catalog items the user saved */
+  saved: string[];
+  /** Ids of catalog items the user bought; these count as more relevant than saves */
+  purchased: string[];
+}
+
+/**
+ * Labeled cases over one catalog
+ */
+export interface EvaluationDataset {
+  name: string;
+  catalog: FashionItem[];
+  cases: EvaluationCase[];
+}
+
+/**
+ * An engine setup to evaluate
+ */
+export interface EvaluationConfiguration {
+  name: string;
+  /** Options for the engine built for every case; each case supplies its own wardrobe */
+  engine?: Omit<EngineOptions, 'wardrobe' | 'history'>;
+  /** Options for generateRecommendations */
+  recommendations?: RecommendationOptions;
+  /** Learned signal weights to load into every engine */
+  model?: LearnedModel;
+  /** Builds the engine instead of createRecommendationEngine, for subclasses or extra signals */
+  createEngine?: (options: EngineOptions) => FashionRecommendationEngine;
+}
+
+export type MetricName = 'precision' | 'recall' | 'ndcg' | 'mrr' | 'diversity' | 'priceFit' | 'coverage';
+
+/**
+ * Metrics in report order; higher is better for every one of them
+ */
+export const METRIC_NAMES: MetricName[] = ['precision', 'recall', 'ndcg', 'mrr', 'diversity', 'priceFit', 'coverage'];
+
+/**
+ * How one case's recommendations did
+ */
+export interface CaseMetrics {
+  /** Share of the k recommendations the user saved or bought */
+  precision: number;
+  /** Share of the saved and bought items among the k recommendations */
+  recall: number;
+  /** NDCG@k with bought items graded above saved ones */
+  ndcg: number;
+  /** Reciprocal rank of the first saved or bought item, 0 when none is recommended */
+  mrr: number;
+  /** One minus the list's mean pairwise similarity */
+  diversity: number;
+  /** Mean fit of the recommended prices to the prices of the saved and bought items, null when none are priced */
+  priceFit: number | null;
+}
+
+/**
+ * One case of a run
+ */
+export interface CaseResult {
+  caseId: string;
+  /** Recommended item ids in ranked order */
+  recommended: string[];
+  metrics: CaseMetrics;
+}
+
+/**
+ * Results of evaluating one configuration on a dataset
+ */
+export interface EvaluationRun {
+  configuration: string;
+  dataset: string;
+  k: number;
+  /** Means over the cases, and the share of the catalog recommended to anyone */
+  metrics: Record<MetricName, number | null>;
+  cases: CaseResult[];
+}
+
+/**
+ * How one metric changed between two runs
+ */
+export interface MetricComparison {
+  metric: MetricName;
+  baseline: number | null;
+  candidate: number | null;
+  /** Candidate minus baseline */
+  difference: number | null;
+  /** Two-sided p-value of the paired test; null for catalog coverage, which has no per-case values */
+  pValue: number | null;
+  /** Bootstrap interval of the difference, with confidence 1 - alpha */
+  interval: [number, number] | null;
+  significant: boolean;
+  /** Cases both runs have a value for */
+  pairs: number;
+}
+
+/**
+ * Side-by-side comparison of two runs
+ */
+export interface RunComparison {
+  baseline: string;
+  candidate: string;
+  alpha: number;
+  metrics: MetricComparison[];
+}
+
+/**
+ * Options for comparing runs
+ */
+export interface ComparisonOptions {
+  /** Significance level, and one minus the confidence of the intervals (default: 0.05) */
+  alpha?: number;
+  /** Random sign flips and bootstrap resamples when exact enumeration is too costly (default: 10000) */
+  resamples?: number;
+  /** Seed for the resampling, so reports are reproducible (default: 1) */
+  seed?: number;
+}
+
+/**
+ * Runs and comparisons ready to be written out
+ */
+export interface EvaluationReport {
+  title: string;
+  /** ISO timestamp of when the report was produced */
+  generatedAt: string;
+  dataset: { name: string; cases: number; catalogSize: number };
+  k: number;
+  runs: EvaluationRun[];
+  comparisons: RunComparison[];
+}
+
+const METRIC_LABELS: Record<MetricName, (k: number) => string> = {
+  precision: k => `Precision@${k}`,
+  recall: k => `Recall@${k}`,
+  ndcg: k => `NDCG@${k}`,
+  mrr: () => 'MRR',
+  diversity: () => 'Diversity',
+  priceFit: () => 'Price fit',
+  coverage: () => 'Coverage'
+};
+
+const RELEVANCE = { saved: 1, purchased: 2 };
+
+// Sign flips are enumerated exactly up to this many cases
+const MAX_EXACT_PAIRS = 16;
+
+/**
+ * Read a labeled dataset
+ *
+ * The file is JSON with a `catalog` and a `cases` array. The catalog and each
+ * case's `boards` and `owned` may be given inline or as paths, relative to the
+ * dataset file, in any format lib/inputs reads. Each case lists the catalog
+ * item ids the user `saved` and `purchased`. Cases without pins or without
+ * known saved or purchased items are skipped with a warning.
+ *
+ * @param path - Dataset JSON file
+ * @returns Dataset, named after the file unless it has a `name`
+ */
+export async function loadEvaluationDataset(path: string): Promise<Loaded<EvaluationDataset>> {
+  let document: any;
+  try {
+    document = JSON.parse(await fs.readFile(path, 'utf8'));
+  } catch (error) {
+    if (error instanceof SyntaxError) throw new Error(`${path}: invalid JSON: ${error.message}`);
+    throw error;
+  }
+  if (!document || typeof document !== 'object' || !Array.isArray(document.cases)) {
+    throw new Error(`${path}: expected an object with a cases array`);
+  }
+
+  const base = dirname(path);
+  const warnings: string[] = [];
+  const catalog = await loadItems(document.catalog, base, `${path}: catalog`, warnings, file => loadCatalogFile(file));
+  const known = new Set(catalog.map(item => item.id));
+
+  const cases: EvaluationCase[] = [];
+  for (const [idx, raw] of (document.cases as any[]).entries()) {
+    const id = String(raw?.id ?? idx + 1);
+    const source = `${path}: case ${id}`;
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.boards)) {
+      warnings.push(`${source} skipped: expected a boards array`);
+      continue;
+    }
+
+    const boards: PinterestBoard[] = [];
+    for (const [boardIdx, entry] of (raw.boards as any[]).entries()) {
+      const loaded = typeof entry === 'string'
+        ? await loadBoardFile(resolve(base, entry))
+        : parseBoardDocument(entry, `${id}-board-${boardIdx + 1}`, `${source}, board ${boardIdx + 1}`);
+      boards.push(loaded.value);
+      warnings.push(...loaded.warnings);
+    }
+
+    const labels = (field: 'saved' | 'purchased') => {
+      const ids: string[] = Array.isArray(raw[field]) ? raw[field].map(String) : [];
+      ids.filter(itemId => !known.has(itemId)).forEach(itemId => {
+        warnings.push(`${source}: ${field} item ${itemId} is not in the catalog`);
+      });
+      return ids.filter(itemId => known.has(itemId));
+    };
+    const purchased = labels('purchased');
+    const saved = labels('saved').filter(itemId => !purchased.includes(itemId));
+
+    if (boards.every(board => board.pins.length === 0)) {
+      warnings.push(`${source} skipped: no pins`);
+      continue;
+    }
+    if (saved.length + purchased.length === 0) {
+      warnings.push(`${source} skipped: no saved or purchased catalog items`);
+      continue;
+    }
+
+    const owned = raw.owned === undefined
+      ? undefined
+      : await loadItems(raw.owned, base, `${source}, owned`, warnings, readWardrobeItems);
+    cases.push({ id, boards, ...(owned && { owned }), saved, purchased });
+  }
+
+  if (cases.length === 0) throw new Error(`${path}: no usable cases`);
+  return {
+    value: { name: String(document.name || basename(path, extname(path))), catalog, cases },
+    warnings
+  };
+}
+
+/**
+ * Evaluate one engine configuration on every case of a dataset
+ *
+ * @param dataset - Labeled cases and their catalog
+ * @param configuration - Engine setup to evaluate
+ * @param k - Recommendations per case (default: 10)
+ * @returns Per-case and mean metrics
+ */
+export function evaluateConfiguration(
+  dataset: EvaluationDataset,
+  configuration: EvaluationConfiguration,
+  k: number = 10
+): EvaluationRun {
+  if (!Number.isInteger(k) || k < 1) throw new Error(`Invalid cut-off: ${k}`);
+
+  const currency = configuration.engine?.shopper?.currency || DEFAULT_CURRENCY;
+  const catalogById = new Map(dataset.catalog.map(item => [item.id, item]));
+  const recommendedIds = new Set<string>();
+
+  const cases = dataset.cases.map(evaluationCase => {
+    const engine = buildEngine(configuration, evaluationCase);
+    const { recommendations, diversity } = engine.generateRecommendationReport(
+      dataset.catalog,
+      k,
+      configuration.recommendations
+    );
+
+    const relevance = new Map<string, number>();
+    evaluationCase.saved.forEach(id => relevance.set(id, RELEVANCE.saved));
+    evaluationCase.purchased.forEach(id => relevance.set(id, RELEVANCE.purchased));
+
+    const recommended = recommendations.map(rec => rec.item.id);
+    recommended.forEach(id => recommendedIds.add(id));
+    const gains = recommended.map(id => relevance.get(id) || 0);
+    const hits = gains.filter(gain => gain > 0).length;
+    const firstHit = gains.findIndex(gain => gain > 0);
+    // Relevant items that were not recommended go after the cut-off, so they count toward the ideal ranking only
+    const missed = Array.from(relevance.entries()).filter(([id]) => !recommended.includes(id)).map(([, gain]) => gain);
+
+    const relevantPrices = Array.from(relevance.keys())
+      .map(id => catalogById.get(id))
+      .map(item => item && priceIn(item, currency, configuration.engine?.exchangeRates))
+      .filter((price): price is number => price !== undefined);
+    const distribution = buildPriceDistribution(relevantPrices, currency);
+    const fits = distribution
+      ? recommendations.filter(rec => rec.price).map(rec => priceFit(rec.price!.amount, distribution))
+      : [];
+
+    return {
+      caseId: evaluationCase.id,
+      recommended,
+      metrics: {
+        precision: hits / k,
+        recall: hits / relevance.size,
+        ndcg: computeNdcg([...gains, ...missed], k),
+        mrr: firstHit >= 0 ? 1 / (firstHit + 1) : 0,
+        diversity: recommendations.length > 1 ? 1 - diversity.intraListSimilarity : 0,
+        priceFit: fits.length > 0 ? mean(fits) : null
+      }
+    };
+  });
+
+  const metrics = {} as Record<MetricName, number | null>;
+  METRIC_NAMES.forEach(metric => {
+    if (metric !== 'coverage') metrics[metric] = meanOrNull(cases.map(result => result.metrics[metric]));
+  });
+  metrics.coverage = dataset.catalog.length > 0 ? recommendedIds.size / dataset.catalog.length : 0;
+
+  return { configuration: configuration.name, dataset: dataset.name, k, metrics, cases };
+}
+
+/**
+ * Compare two runs over the same dataset case by case
+ *
+ * Each metric's per-case differences get a two-sided paired randomization
+ * test, which flips the sign of every difference at random and asks how often
+ * the mean difference is at least as large as the one observed. It assumes
+ * nothing about how the differences are distributed, which matters for
+ * metrics like MRR that mostly take a handful of values. Only cases present
+ * in both runs are compared.
+ *
+ * @param baseline - Run to compare against
+ * @param candidate - Run with the change
+ * @param options - Significance level and resampling options
+ * @returns Per-metric differences with p-values and intervals
+ */
+export function compareRuns(
+  baseline: EvaluationRun,
+  candidate: EvaluationRun,
+  options: ComparisonOptions = {}
+): RunComparison {
+  const { alpha = 0.05, resamples = 10000, seed = 1 } = options;
+  if (!(alpha > 0 && alpha < 1)) throw new Error(`Invalid alpha: ${alpha}`);
+  if (baseline.dataset !== candidate.dataset) {
+    throw new Error(`Runs are on different datasets: ${baseline.dataset} and ${candidate.dataset}`);
+  }
+  if (baseline.k !== candidate.k) {
+    throw new Error(`Runs use different cut-offs: ${baseline.k} and ${candidate.k}`);
+  }
+
+  const baselineCases = new Map(baseline.cases.map(result => [result.caseId, result.metrics]));
+  const metrics = METRIC_NAMES.map((metric): MetricComparison => {
+    if (metric === 'coverage') {
+      const before = baseline.metrics.coverage;
+      const after = candidate.metrics.coverage;
+      return {
+        metric,
+        baseline: before,
+        candidate: after,
+        difference: before !== null && after !== null ? after - before : null,
+        pValue: null,
+        interval: null,
+        significant: false,
+        pairs: 0
+      };
+    }
+
+    const pairs: Array<[number, number]> = [];
+    candidate.cases.forEach(result => {
+      const before = baselineCases.get(result.caseId)?.[metric];
+      const after = result.metrics[metric];
+      if (before !== undefined && before !== null && after !== null) pairs.push([before, after]);
+    });
+    if (pairs.length === 0) {
+      return { metric, baseline: null, candidate: null, difference: null, pValue: null, interval: null, significant: false, pairs: 0 };
+    }
+
+    const differences = pairs.map(([before, after]) => after - before);
+    const random = mulberry32(seed);
+    const pValue = signFlipTest(differences, resamples, random);
+    return {
+      metric,
+      baseline: mean(pairs.map(([before]) => before)),
+      candidate: mean(pairs.map(([, after]) => after)),
+      difference: mean(differences),
+      pValue,
+      interval: bootstrapInterval(differences, resamples, alpha, random),
+      significant: pValue < alpha,
+      pairs: pairs.length
+    };
+  });
+
+  return { baseline: baseline.configuration, candidate: candidate.configuration, alpha, metrics };
+}
+
+/**
+ * Collect runs and comparisons into a report
+ *
+ * @param dataset - Dataset the runs were made on
+ * @param runs - Runs to report, all at the same cut-off
+ * @param comparisons - Comparisons between the runs
+ * @param title - Report title
+ * @returns Report document
+ */
+export function createEvaluationReport(
+  dataset: EvaluationDataset,
+  runs: EvaluationRun[],
+  comparisons: RunComparison[] = [],
+  title: string = 'Recommendation quality'
+): EvaluationReport {
+  if (runs.length === 0) throw new Error('A report needs at least one run');
+  const k = runs[0].k;
+  if (runs.some(run => run.k !== k)) throw new Error('Runs in a report must use the same cut-off');
+
+  return {
+    title,
+    generatedAt: new Date().toISOString(),
+    dataset: { name: dataset.name, cases: dataset.cases.length, catalogSize: dataset.catalog.length },
+    k,
+    runs,
+    comparisons
+  };
+}
+
+/**
+ * Render a report as Markdown, for pull requests and notebooks
+ *
+ * @param report - Report to render
+ * @returns Markdown text
+ */
+export function renderEvaluationMarkdown(report: EvaluationReport): string {
+  const { k } = report;
+  const lines = [
+    `# ${report.title}`,
+    '',
+    `Dataset **${report.dataset.name}**: ${report.dataset.cases} cases, ${report.dataset.catalogSize} catalog items. ` +
+      `Generated ${report.generatedAt}.`,
+    '',
+    '## Results',
+    '',
+    markdownTable(
+      ['Configuration', ...METRIC_NAMES.map(metric => METRIC_LABELS[metric](k))],
+      report.runs.map(run => [run.configuration, ...METRIC_NAMES.map(metric => formatMetric(run.metrics[metric]))])
+    )
+  ];
+
+  report.comparisons.forEach(comparison => {
+    lines.push(
+      '',
+      `## ${comparison.candidate} vs ${comparison.baseline}`,
+      '',
+      markdownTable(
+        ['Metric', comparison.baseline, comparison.candidate, 'Change', `${formatConfidence(comparison.alpha)} interval`, 'p', ''],
+        comparison.metrics.map(entry => [
+          METRIC_LABELS[entry.metric](k),
+          formatMetric(entry.baseline),
+          formatMetric(entry.candidate),
+          formatMetric(entry.difference, true),
+          entry.interval ? `${formatMetric(entry.interval[0], true)} to ${formatMetric(entry.interval[1], true)}` : '',
+          entry.pValue === null ? '' : entry.pValue < 0.001 ? '<0.001' : entry.pValue.toFixed(3),
+          entry.significant ? (entry.difference! > 0 ? 'better' : 'worse') : ''
+        ])
+      ),
+      '',
+      `Paired randomization test over the cases both runs share; marked where p < ${comparison.alpha}. ` +
+        'Coverage is measured over the whole dataset and is not tested.'
+    );
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build and prime the engine for one case
+ */
+function buildEngine(configuration: EvaluationConfiguration, evaluationCase: EvaluationCase): FashionRecommendationEngine {
+  const options: EngineOptions = { ...configuration.engine };
+  if (evaluationCase.owned && evaluationCase.owned.length > 0) {
+    const wardrobe = new WardrobeStore();
+    evaluationCase.owned.forEach(item => wardrobe.add(item, { source: 'import' }));
+    options.wardrobe = wardrobe;
+  }
+
+  const engine = configuration.createEngine ? configuration.createEngine(options) : createRecommendationEngine(options);
+  if (configuration.model) engine.loadModel(configuration.model);
+  engine.analyzeBoards(evaluationCase.boards.map(board => ({ board })));
+  return engine;
+}
+
+/**
+ * Read items given inline or as a path relative to the dataset
+ */
+async function loadItems(
+  value: unknown,
+  base: string,
+  source: string,
+  warnings: string[],
+  read: (path: string) => Promise<Loaded<FashionItem[]>>
+): Promise<FashionItem[]> {
+  if (typeof value === 'string') {
+    const loaded = await read(resolve(base, value));
+    warnings.push(...loaded.warnings);
+    return loaded.value;
+  }
+  if (!Array.isArray(value)) throw new Error(`${source}: expected an array of items or a path`);
+
+  return value.filter((item, idx) => {
+    if (validateFashionItem(item)) return true;
+    warnings.push(`${source}: item ${idx + 1} skipped: ${getValidationErrors(item).join('; ')}`);
+    return false;
+  });
+}
+
+async function readWardrobeItems(path: string): Promise<Loaded<FashionItem[]>> {
+  const { value, warnings } = await loadWardrobeFile(path);
+  return { value: value.getItems(), warnings };
+}
+
+/**
+ * Two-sided p-value of a paired sign-flip test on the mean difference
+ */
+function signFlipTest(differences: number[], resamples: number, random: () => number): number {
+  const n = differences.length;
+  const observed = Math.abs(sum(differences));
+  if (observed === 0) return 1;
+  // Tolerance so flips that tie the observed sum up to rounding count as extreme
+  const threshold = observed - 1e-9 * Math.max(1, observed);
+
+  if (n <= MAX_EXACT_PAIRS) {
+    let extreme = 0;
+    const total = 1 << n;
+    for (let mask = 0; mask < total; mask++) {
+      let flipped = 0;
+      for (let i = 0; i < n; i++) flipped += mask & (1 << i) ? -differences[i] : differences[i];
+      if (Math.abs(flipped) >= threshold) extreme++;
+    }
+    return extreme / total;
+  }
+
+  let extreme = 0;
+  for (let r = 0; r < resamples; r++) {
+    let flipped = 0;
+    for (let i = 0; i < n; i++) flipped += random() < 0.5 ? -differences[i] : differences[i];
+    if (Math.abs(flipped) >= threshold) extreme++;
+  }
+  // Count the observed assignment itself so the estimate is never exactly 0
+  return (extreme + 1) / (resamples + 1);
+}
+
+/**
+ * Percentile bootstrap interval of the mean difference, leaving alpha / 2 in each tail
+ */
+function bootstrapInterval(
+  differences: number[],
+  resamples: number,
+  alpha: number,
+  random: () => number
+): [number, number] {
+  const n = differences.length;
+  const means: number[] = [];
+  for (let r = 0; r < resamples; r++) {
+    let total = 0;
+    for (let i = 0; i < n; i++) total += differences[Math.floor(random() * n)];
+    means.push(total / n);
+  }
+  means.sort((a, b) => a - b);
+  const at = (p: number) => means[Math.min(means.length - 1, Math.max(0, Math.floor(p * means.length)))];
+  return [at(alpha / 2), at(1 - alpha / 2)];
+}
+
+/**
+ * Confidence level of an interval, such as "95%" for alpha 0.05
+ */
+function formatConfidence(alpha: number): string {
+  return `${Number(((1 - alpha) * 100).toFixed(1))}%`;
+}
+
+function markdownTable(headers: string[], rows: string[][]): string {
+  const escape = (cell: string) => cell.replace(/\|/g, '\\|');
+  return [
+    `| ${headers.map(escape).join(' | ')} |`,
+    `| ${headers.map((_, idx) => (idx === 0 ? '---' : '---:')).join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escape).join(' | ')} |`)
+  ].join('\n');
+}
+
+function formatMetric(value: number | null, signed: boolean = false): string {
+  if (value === null) return 'n/a';
+  // Differences that round to zero print as +0.000 rather than -0.000
+  const text = Math.abs(value) < 0.0005 ? (0).toFixed(3) : value.toFixed(3);
+  return `${signed && !text.startsWith('-') ? '+' : ''}${text}`;
+}
+
+function sum(values: number[]): number {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function mean(values: number[]): number {
+  return sum(values) / values.length;
+}
+
+function meanOrNull(values: Array<number | null>): number | null {
+  const present = values.filter((value): value is number => value !== null);
+  return present.length > 0 ? mean(present) : null;
+}
@@ -0,0 +1,433 @@
+/**
+ * Feedback logging and offline weight learning
+ *
+ * This module records how users interact with recommendations (clicks,
+ * saves, purchases, dismissals) together with the per-signal scores the item
+ * had when it was shown, and fits the scoring model's signal weights from
+ * those logs. Training runs in-process with plain gradient descent, either as
+ * pointwise logistic regression or as a pairwise (RankNet-style) ranker, and
+ * reports AUC and NDCG on a held-out split.
+ *
+ * @module lib/feedback
+ */
+
+import { Recommendation } from './core';
+import { SignalWeights } from './scoring';
+
+/**
+ * Kinds of interaction a user can have with a recommendation
+ */
+export type InteractionType = 'impression' | 'clicked' | 'saved' | 'purchased' | 'dismissed';
+
+/**
+ * A logged interaction with the signal scores the item was ranked with
+ */
+export interface InteractionEvent {
+  itemId: string;
+  type: InteractionType;
+  /** Groups events shown together in one list (used for NDCG and pairwise training) */
+  sessionId: string;
+  userId?: string;
+  position?: number;
+  timestamp: string;
+  /** Signal scores from the recommendation's breakdown */
+  features: Record<string, number>;
+}
+
+/**
+ * Signal weights fitted from feedback, loadable into the engine
+ */
+export interface LearnedModel {
+  version: 1;
+  method: TrainingMethod;
+  weights: SignalWeights;
+  bias: number;
+  trainedAt: string;
+  trainingExamples: number;
+  metrics: {
+    baseline: EvaluationMetrics;
+    learned: EvaluationMetrics;
+  };
+}
+
+/**
+ * Held-out ranking quality
+ */
+export interface EvaluationMetrics {
+  auc: number;
+  ndcg: number;
+  examples: number;
+}
+
+export type TrainingMethod = 'logistic' | 'pairwise';
+
+/**
+ * Options for weight training
+ */
+export interface TrainingOptions {
+  method?: TrainingMethod;
+  /** Share of sessions held out for evaluation (default: 0.2) */
+  holdoutFraction?: number;
+  learningRate?: number;
+  epochs?: number;
+  /** L2 regularization strength (default: 0.01) */
+  l2?: number;
+  /** Cut-off for NDCG (default: 10) */
+  ndcgAt?: number;
+  /** Weights the engine currently uses, reported as the baseline */
+  baselineWeights?: SignalWeights;
+}
+
+/**
+ * Graded relevance of each interaction; impressions alone count as negatives
+ */
+const RELEVANCE: Record<InteractionType, number> = {
+  impression: 0,
+  dismissed: 0,
+  clicked: 1,
+  saved: 2,
+  purchased: 3
+};
+
+/**
+ * Labeled example: one item in one session with its strongest interaction
+ */
+interface Example {
+  sessionId: string;
+  features: number[];
+  relevance: number;
+}
+
+/**
+ * In-memory log of interaction events
+ */
+export class FeedbackLog {
+  private events: InteractionEvent[] = [];
+
+  constructor(events: InteractionEvent[] = []) {
+    this.events = [...events];
+  }
+
+  /**
+   * Record an interaction with a recommendation
+   *
+   * @param recommendation - Recommendation the user interacted with
+   * @param type - Kind of interaction
+   * @param meta - Session, user and list position
+   * @returns The stored event
+   */
+  public record(
+    recommendation: Recommendation,
+    type: InteractionType,
+    meta: { sessionId: string; userId?: string; position?: number; timestamp?: Date }
+  ): InteractionEvent {
+    const features: Record<string, number> = {};
+    Object.entries(recommendation.breakdown).forEach(([name, signal]) => {
+      features[name] = signal.score;
+    });
+
+    const event: InteractionEvent = {
+      itemId: recommendation.item.id,
+      type,
+      sessionId: meta.sessionId,
+      userId: meta.userId,
+      position: meta.position,
+      timestamp: (meta.timestamp || new Date()).toISOString(),
+      features
+    };
+
+    this.events.push(event);
+    return event;
+  }
+
+  /**
+   * Record an impression for every recommendation in a list, in order
+   *
+   * @param recommendations - Recommendations as shown
+   * @param meta - Session and user
+   */
+  public recordImpressions(
+    recommendations: Recommendation[],
+    meta: { sessionId: string; userId?: string; timestamp?: Date }
+  ): void {
+    recommendations.forEach((rec, position) => this.record(rec, 'impression', { ...meta, position }));
+  }
+
+  /**
+   * All recorded events
+   */
+  public getEvents(): InteractionEvent[] {
+    return [...this.events];
+  }
+
+  /**
+   * Serialize the log as JSON lines
+   */
+  public toJSONL(): string {
+    return this.events.map(event => JSON.stringify(event)).join('\n');
+  }
+
+  /**
+   * Load a log from JSON lines
+   *
+   * @param text - One JSON event per line
+   * @returns New FeedbackLog instance
+   */
+  public static fromJSONL(text: string): FeedbackLog {
+    const events = text
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line) as InteractionEvent);
+    return new FeedbackLog(events);
+  }
+}
+
+/**
+ * Fit per-signal weights from logged interactions
+ *
+ * @param events - Interaction events
+ * @param options - Training options
+ * @returns Learned model with held-out metrics
+ */
+export function trainWeights(events: InteractionEvent[], options: TrainingOptions = {}): LearnedModel {
+  const {
+    method = 'logistic',
+    holdoutFraction = 0.2,
+    learningRate = 0.5,
+    epochs = 300,
+    l2 = 0.01,
+    ndcgAt = 10
+  } = options;
+
+  const signalNames = Array.from(new Set(events.flatMap(e => Object.keys(e.features)))).sort();
+  if (signalNames.length === 0) {
+    throw new Error('No signal features found in feedback events.');
+  }
+
+  const examples = buildExamples(events, signalNames);
+  const train = examples.filter(e => !isHoldout(e.sessionId, holdoutFraction));
+  const test = examples.filter(e => isHoldout(e.sessionId, holdoutFraction));
+
+  if (!train.some(e => e.relevance > 0) || !train.some(e => e.relevance === 0)) {
+    throw new Error('Training data needs both positive and negative interactions.');
+  }
+
+  const { weights, bias } = method === 'pairwise'
+    ? fitPairwise(train, signalNames.length, learningRate, epochs, l2)
+    : fitLogistic(train, signalNames.length, learningRate, epochs, l2);
+
+  // Only relative weights matter for ranking; normalize so they sum to 1
+  const total = weights.reduce((sum, w) => sum + w, 0) || 1;
+  const learnedWeights: SignalWeights = {};
+  signalNames.forEach((name, idx) => {
+    learnedWeights[name] = weights[idx] / total;
+  });
+
+  const baselineVector = signalNames.map(name => options.baselineWeights?.[name] ?? 1);
+  const evaluationSet = test.length > 0 ? test : train;
+
+  return {
+    version: 1,
+    method,
+    weights: learnedWeights,
+    bias,
+    trainedAt: new Date().toISOString(),
+    trainingExamples: train.length,
+    metrics: {
+      baseline: evaluate(evaluationSet, baselineVector, ndcgAt),
+      learned: evaluate(evaluationSet, weights, ndcgAt)
+    }
+  };
+}
+
+/**
+ * Area under the ROC curve for binary labels
+ *
+ * @param scores - Predicted scores
+ * @param labels - True labels (positive when > 0)
+ * @returns AUC between 0 and 1 (0.5 when undefined)
+ */
+export function computeAuc(scores: number[], labels: number[]): number {
+  const ranked = scores.map((score, idx) => ({ score, positive: labels[idx] > 0 })).sort((a, b) => a.score - b.score);
+  const positives = ranked.filter(r => r.positive).length;
+  const negatives = ranked.length - positives;
+  if (positives === 0 || negatives === 0) return 0.5;
+
+  // Mann-Whitney U with average ranks for ties
+  let rankSum = 0;
+  for (let i = 0; i < ranked.length;) {
+    let j = i;
+    while (j < ranked.length && ranked[j].score === ranked[i].score) j++;
+    const averageRank = (i + j + 1) / 2;
+    for (let k = i; k < j; k++) {
+      if (ranked[k].positive) rankSum += averageRank;
+    }
+    i = j;
+  }
+
+  return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+/**
+ * Normalized discounted cumulative gain of a ranked list
+ *
+ * @param relevances - Graded relevance of items in ranked order
+ * @param k - Cut-off
+ * @returns NDCG@k between 0 and 1 (0 when nothing is relevant)
+ */
+export function computeNdcg(relevances: number[], k: number = 10): number {
+  const dcg = (values: number[]) =>
+    values.slice(0, k).reduce((sum, rel, idx) => sum + (Math.pow(2, rel) - 1) / Math.log2(idx + 2), 0);
+
+  const ideal = dcg([...relevances].sort((a, b) => b - a));
+  return ideal === 0 ? 0 : dcg(relevances) / ideal;
+}
+
+/**
+ * Collapse events to one example per (session, item), keeping the strongest interaction
+ */
+function buildExamples(events: InteractionEvent[], signalNames: string[]): Example[] {
+  const byKey = new Map<string, Example>();
+
+  events.forEach(event => {
+    const key = `${event.sessionId}\u0000${event.itemId}`;
+    const relevance = RELEVANCE[event.type];
+    const existing = byKey.get(key);
+
+    if (!existing) {
+      byKey.set(key, {
+        sessionId: event.sessionId,
+        features: signalNames.map(name => event.features[name] ?? 0),
+        relevance
+      });
+    } else {
+      existing.relevance = Math.max(existing.relevance, relevance);
+    }
+  });
+
+  return Array.from(byKey.values());
+}
+
+/**
+ * Pointwise logistic regression with non-negative weights
+ */
+function fitLogistic(
+  examples: Example[],
+  dimensions: number,
+  learningRate: number,
+  epochs: number,
+  l2: number
+): { weights: number[]; bias: number } {
+  const weights = new Array(dimensions).fill(1 / dimensions);
+  let bias = 0;
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradient = new Array(dimensions).fill(0);
+    let biasGradient = 0;
+
+    examples.forEach(example => {
+      const label = example.relevance > 0 ? 1 : 0;
+      const error = sigmoid(dot(weights, example.features) + bias) - label;
+      example.features.forEach((x, idx) => { gradient[idx] += error * x; });
+      biasGradient += error;
+    });
+
+    weights.forEach((w, idx) => {
+      const step = gradient[idx] / examples.length + l2 * w;
+      weights[idx] = Math.max(0, w - learningRate * step);
+    });
+    bias -= (learningRate * biasGradient) / examples.length;
+  }
+
+  return { weights, bias };
+}
+
+/**
+ * Pairwise logistic ranking over (more relevant, less relevant) pairs within a session
+ */
+function fitPairwise(
+  examples: Example[],
+  dimensions: number,
+  learningRate: number,
+  epochs: number,
+  l2: number
+): { weights: number[]; bias: number } {
+  const sessions = groupBySession(examples);
+  const pairs: number[][] = [];
+
+  sessions.forEach(group => {
+    group.forEach(a => {
+      group.forEach(b => {
+        if (a.relevance > b.relevance) {
+          pairs.push(a.features.map((x, idx) => x - b.features[idx]));
+        }
+      });
+    });
+  });
+
+  if (pairs.length === 0) {
+    throw new Error('Pairwise training needs sessions with both engaged and ignored items.');
+  }
+
+  const weights = new Array(dimensions).fill(1 / dimensions);
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradient = new Array(dimensions).fill(0);
+    pairs.forEach(diff => {
+      const error = sigmoid(dot(weights, diff)) - 1;
+      diff.forEach((x, idx) => { gradient[idx] += error * x; });
+    });
+    weights.forEach((w, idx) => {
+      const step = gradient[idx] / pairs.length + l2 * w;
+      weights[idx] = Math.max(0, w - learningRate * step);
+    });
+  }
+
+  return { weights, bias: 0 };
+}
+
+/**
+ * AUC over all examples and mean NDCG over sessions for a weight vector
+ */
+function evaluate(examples: Example[], weights: number[], k: number): EvaluationMetrics {
+  const scores = examples.map(e => dot(weights, e.features));
+  const auc = computeAuc(scores, examples.map(e => e.relevance));
+
+  const sessions = groupBySession(examples).filter(group => group.some(e => e.relevance > 0));
+  const ndcg = sessions.length === 0
+    ? 0
+    : sessions.reduce((sum, group) => {
+      const ranked = [...group].sort((a, b) => dot(weights, b.features) - dot(weights, a.features));
+      return sum + computeNdcg(ranked.map(e => e.relevance), k);
+    }, 0) / sessions.length;
+
+  return { auc, ndcg, examples: examples.length };
+}
+
+function groupBySession(examples: Example[]): Example[][] {
+  const groups = new Map<string, Example[]>();
+  examples.forEach(example => {
+    if (!groups.has(example.sessionId)) groups.set(example.sessionId, []);
+    groups.get(example.sessionId)!.push(example);
+  });
+  return Array.from(groups.values());
+}
+
+/**
+ * Deterministic session-level split so a session never straddles train and test
+ */
+function isHoldout(sessionId: string, fraction: number): boolean {
+  let hash = 2166136261;
+  for (let i = 0; i < sessionId.length; i++) {
+    hash ^= sessionId.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return ((hash >>> 0) % 1000) / 1000 < fraction;
+}
+
+function dot(a: number[], b: number[]): number {
+  return a.reduce((sum, value, idx) => sum + value * b[idx], 0);
+}
+
+function sigmoid(x: number): number {
+  return 1 / (1 + Math.exp(-x));
+}
@@ -0,0 +1,175 @@
+/**
+ * Wardrobe gap analysis
+ *
+ * Compares what a user has against a capsule-wardrobe template chosen for
+ * their dominant style. When an owned inventory is given it is what gets
+ * counted; otherwise the board's pins stand in for the wardrobe.
+ *
+ * @module lib/gaps
+ */
+
+import { FashionItem, Recommendation, StyleProfile } from './core';
+import { groupByCategory, normalizeText } from './utils';
+
+type Category = FashionItem['category'];
+
+/**
+ * Target piece counts per category for a capsule wardrobe
+ */
+export interface CapsuleTemplate {
+  name: string;
+  /** Style keywords that select this template */
+  styles: string[];
+  targets: Record<Category, number>;
+}
+
+/**
+ * How urgently a gap should be filled
+ */
+export type GapPriority = 'high' | 'medium' | 'low';
+
+/**
+ * A category the wardrobe is short on
+ */
+export interface WardrobeGap {
+  category: Category;
+  currentCount: number;
+  /** Pieces to add to reach the template's target */
+  suggestedCount: number;
+  targetCount: number;
+  priority: GapPriority;
+  /** Numeric priority used for ordering (0-1) */
+  priorityScore: number;
+  /** Name of the capsule template the wardrobe was compared against */
+  template: string;
+  reason: string;
+  /** Best matching catalog items for this category */
+  recommendations: Recommendation[];
+}
+
+/**
+ * Options for gap analysis
+ */
+export interface GapOptions {
+  /** Items the user already owns; counted instead of the board's pins */
+  owned?: FashionItem[];
+  /** Catalog to recommend fill-in items from */
+  catalog?: FashionItem[];
+  /** Fill-in recommendations per gap (default: 3) */
+  recommendationsPerGap?: number;
+  /** Template to compare against (default: chosen from the profile) */
+  template?: CapsuleTemplate;
+}
+
+/**
+ * Capsule templates for common dominant styles
+ */
+export const CAPSULE_TEMPLATES: CapsuleTemplate[] = [
+  {
+    name: 'minimalist',
+    styles: ['minimalist', 'modern', 'clean', 'simple', 'basic'],
+    targets: { tops: 6, bottoms: 4, dresses: 1, outerwear: 2, shoes: 3, accessories: 2 }
+  },
+  {
+    name: 'classic',
+    styles: ['classic', 'timeless', 'elegant', 'sophisticated', 'preppy'],
+    targets: { tops: 6, bottoms: 4, dresses: 2, outerwear: 3, shoes: 3, accessories: 3 }
+  },
+  {
+    name: 'professional',
+    styles: ['professional', 'tailored', 'structured', 'formal'],
+    targets: { tops: 7, bottoms: 4, dresses: 2, outerwear: 3, shoes: 3, accessories: 2 }
+  },
+  {
+    name: 'casual',
+    styles: ['casual', 'relaxed', 'comfortable', 'cozy', 'sporty', 'athleisure'],
+    targets: { tops: 7, bottoms: 4, dresses: 1, outerwear: 2, shoes: 3, accessories: 2 }
+  },
+  {
+    name: 'romantic',
+    styles: ['romantic', 'feminine', 'delicate', 'bohemian', 'boho'],
+    targets: { tops: 5, bottoms: 3, dresses: 4, outerwear: 2, shoes: 3, accessories: 3 }
+  },
+  {
+    name: 'edgy',
+    styles: ['edgy', 'grunge', 'streetwear', 'bold', 'trendy'],
+    targets: { tops: 6, bottoms: 4, dresses: 1, outerwear: 3, shoes: 3, accessories: 3 }
+  }
+];
+
+// Core categories make or break outfits; the rest round them out
+const CATEGORY_IMPORTANCE: Record<Category, number> = {
+  tops: 1,
+  bottoms: 1,
+  shoes: 0.9,
+  outerwear: 0.8,
+  dresses: 0.6,
+  accessories: 0.5
+};
+
+/**
+ * Pick the capsule template that best fits a style profile
+ *
+ * @param profile - User's style profile
+ * @param templates - Templates to choose from
+ * @returns Template whose styles best match the profile's keywords, earlier keywords counting more
+ */
+export function selectCapsuleTemplate(
+  profile: StyleProfile,
+  templates: CapsuleTemplate[] = CAPSULE_TEMPLATES
+): CapsuleTemplate {
+  let best = templates[0];
+  let bestScore = 0;
+
+  templates.forEach(template => {
+    const score = profile.styleKeywords.reduce((sum, keyword, rank) =>
+      sum + (template.styles.includes(normalizeText(keyword)) ? 1 / (rank + 1) : 0), 0);
+    if (score > bestScore) {
+      bestScore = score;
+      best = template;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Compare a wardrobe against a capsule template
+ *
+ * @param pins - Board pins, counted when no owned inventory is given
+ * @param profile - User's style profile, used to choose the template
+ * @param options - Owned inventory and template override
+ * @returns Gaps ordered by priority, without recommendations
+ */
+export function analyzeWardrobeGaps(
+  pins: FashionItem[],
+  profile: StyleProfile,
+  options: Pick<GapOptions, 'owned' | 'template'> = {}
+): WardrobeGap[] {
+  const template = options.template || selectCapsuleTemplate(profile);
+  const grouped = groupByCategory(options.owned || pins);
+  const source = options.owned ? 'own' : 'have pinned';
+
+  const gaps: WardrobeGap[] = [];
+  (Object.keys(template.targets) as Category[]).forEach(category => {
+    const targetCount = template.targets[category];
+    const currentCount = grouped[category]?.length || 0;
+    const suggestedCount = Math.max(0, targetCount - currentCount);
+    if (suggestedCount === 0 || targetCount === 0) return;
+
+    const priorityScore = (suggestedCount / targetCount) * CATEGORY_IMPORTANCE[category];
+    gaps.push({
+      category,
+      currentCount,
+      suggestedCount,
+      targetCount,
+      priority: priorityScore >= 0.65 ? 'high' : priorityScore >= 0.35 ? 'medium' : 'low',
+      priorityScore,
+      template: template.name,
+      reason: `A ${template.name} capsule calls for ${targetCount} ${category}; you ${source} ${currentCount}`,
+      recommendations: []
+    });
+  });
+
+  return gaps.sort((a, b) => b.priorityScore - a.priorityScore);
+}
@@ -0,0 +1,828 @@
+/**
+ * Image decoding for color and visual analysis
+ *
+ * This module loads image bytes from disk, URLs or buffers and decodes them
+ * into RGBA pixels. PNG and JPEG (baseline and progressive) are decoded in
+ * full, at their own resolution, so the same picture gives the same pixels
+ * in either format. WebP (lossless, lossy, and lossy with alpha) is decoded
+ * by lib/webp.
+ * registerImageDecoder replaces the decoder of any format.
+ *
+ * @module lib/image
+ */
+
+import { promises as fs } from 'fs';
+import { inflateSync } from 'zlib';
+import { decodeWebp } from './webp';
+
+/**
+ * Decoded image with 8-bit RGBA pixels in row-major order
+ */
+export interface DecodedImage {
+  width: number;
+  height: number;
+  data: Uint8Array;
+}
+
+/**
+ * Supported container formats
+ */
+export type ImageFormat = 'png' | 'jpeg' | 'webp';
+
+/**
+ * Function that decodes raw bytes of one format
+ */
+export type ImageDecoder = (bytes: Uint8Array) => DecodedImage | Promise<DecodedImage>;
+
+const decoders: Partial<Record<ImageFormat, ImageDecoder>> = {
+  png: decodePng,
+  jpeg: decodeJpeg,
+  webp: decodeWebp
+};
+
+/**
+ * Register (or replace) the decoder used for an image format
+ *
+ * @param format - Format the decoder handles
+ * @param decoder - Decoder function
+ */
+export function registerImageDecoder(format: ImageFormat, decoder: ImageDecoder): void {
+  decoders[format] = decoder;
+}
+
+/**
+ * Detect the format of image bytes from their signature
+ *
+ * @param bytes - Raw image bytes
+ * @returns Detected format or null if unrecognized
+ */
+export function detectImageFormat(bytes: Uint8Array): ImageFormat | null {
+  if (bytes.length >= 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+    return 'png';
+  }
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (
+    bytes.length >= 12 &&
+    String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === 'RIFF' &&
+    String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]) === 'WEBP'
+  ) {
+    return 'webp';
+  }
+  return null;
+}
+
+/**
+ * Read image bytes from a buffer, a local path or an http(s) URL
+ *
+ * @param source - Buffer, file path or URL
+ * @returns Raw image bytes
+ */
+export async function loadImageBytes(source: string | Uint8Array): Promise<Uint8Array> {
+  if (typeof source !== 'string') return source;
+
+  if (/^https?:\/\//i.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch image ${source}: ${response.status}`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  return new Uint8Array(await fs.readFile(source));
+}
+
+/**
+ * Decode image bytes into RGBA pixels
+ *
+ * @param bytes - Raw image bytes
+ * @returns Decoded image
+ */
+export async function decodeImage(bytes: Uint8Array): Promise<DecodedImage> {
+  const format = detectImageFormat(bytes);
+  if (!format) {
+    throw new Error('Unrecognized image format');
+  }
+
+  const decoder = decoders[format];
+  if (!decoder) {
+    throw new Error(`No decoder registered for ${format} images. Use registerImageDecoder('${format}', ...)`);
+  }
+
+  return decoder(bytes);
+}
+
+/**
+ * Load and decode an image in one step
+ *
+ * @param source - Buffer, file path or URL
+ * @returns Decoded image
+ */
+export async function loadImage(source: string | Uint8Array): Promise<DecodedImage> {
+  return decodeImage(await loadImageBytes(source));
+}
+
+// ============================================================================
+// PNG
+// ============================================================================
+
+/**
+ * Decode a PNG image (all color types and bit depths, including Adam7)
+ *
+ * @param bytes - Raw PNG bytes
+ * @returns Decoded image
+ */
+export function decodePng(bytes: Uint8Array): DecodedImage {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 8;
+  let width = 0;
+  let height = 0;
+  let bitDepth = 8;
+  let colorType = 6;
+  let interlace = 0;
+  let palette: Uint8Array | null = null;
+  let transparency: Uint8Array | null = null;
+  const idat: Uint8Array[] = [];
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      width = view.getUint32(data.byteOffset - bytes.byteOffset);
+      height = view.getUint32(data.byteOffset - bytes.byteOffset + 4);
+      bitDepth = data[8];
+      colorType = data[9];
+      interlace = data[12];
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!width || !height) {
+    throw new Error('Invalid PNG: missing IHDR');
+  }
+
+  const channels = ({ 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 } as Record<number, number>)[colorType];
+  if (!channels) {
+    throw new Error(`Unsupported PNG color type ${colorType}`);
+  }
+
+  const raw = new Uint8Array(inflateSync(Buffer.concat(idat.map(chunk => Buffer.from(chunk)))));
+  const out = new Uint8Array(width * height * 4);
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const maxValue = (1 << bitDepth) - 1;
+
+  // Adam7 passes as [xStart, yStart, xStep, yStep]; a single full pass otherwise
+  const passes = interlace
+    ? [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]]
+    : [[0, 0, 1, 1]];
+
+  let pos = 0;
+  passes.forEach(([x0, y0, dx, dy]) => {
+    const passWidth = Math.ceil((width - x0) / dx);
+    const passHeight = Math.ceil((height - y0) / dy);
+    if (passWidth <= 0 || passHeight <= 0) return;
+
+    const stride = Math.ceil((passWidth * bitsPerPixel) / 8);
+    let previous = new Uint8Array(stride);
+
+    for (let row = 0; row < passHeight; row++) {
+      const filter = raw[pos++];
+      const line = raw.slice(pos, pos + stride);
+      pos += stride;
+      unfilterPngLine(filter, line, previous, bytesPerPixel);
+      previous = line;
+
+      for (let col = 0; col < passWidth; col++) {
+        const target = ((y0 + row * dy) * width + (x0 + col * dx)) * 4;
+        const sample = (channel: number): number => readPngSample(line, col * channels + channel, bitDepth);
+
+        if (colorType === 3) {
+          const index = sample(0);
+          out[target] = palette ? palette[index * 3] : 0;
+          out[target + 1] = palette ? palette[index * 3 + 1] : 0;
+          out[target + 2] = palette ? palette[index * 3 + 2] : 0;
+          out[target + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+          continue;
+        }
+
+        const scale = (value: number) => Math.round((value * 255) / maxValue);
+        if (colorType === 0 || colorType === 4) {
+          const gray = scale(sample(0));
+          out[target] = out[target + 1] = out[target + 2] = gray;
+          out[target + 3] = colorType === 4 ? scale(sample(1)) : 255;
+        } else {
+          out[target] = scale(sample(0));
+          out[target + 1] = scale(sample(1));
+          out[target + 2] = scale(sample(2));
+          out[target + 3] = colorType === 6 ? scale(sample(3)) : 255;
+        }
+      }
+    }
+  });
+
+  return { width, height, data: out };
+}
+
+/**
+ * Reverse the PNG filter applied to one scanline, in place
+ */
+function unfilterPngLine(filter: number, line: Uint8Array, previous: Uint8Array, bpp: number): void {
+  for (let i = 0; i < line.length; i++) {
+    const left = i >= bpp ? line[i - bpp] : 0;
+    const up = previous[i];
+    const upLeft = i >= bpp ? previous[i - bpp] : 0;
+
+    switch (filter) {
+      case 1: line[i] = (line[i] + left) & 255; break;
+      case 2: line[i] = (line[i] + up) & 255; break;
+      case 3: line[i] = (line[i] + ((left + up) >> 1)) & 255; break;
+      case 4: {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        const predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+        line[i] = (line[i] + predictor) & 255;
+        break;
+      }
+      default: break;
+    }
+  }
+}
+
+/**
+ * Read the n-th sample of a scanline at the given bit depth
+ */
+function readPngSample(line: Uint8Array, index: number, bitDepth: number): number {
+  if (bitDepth === 8) return line[index];
+  if (bitDepth === 16) return (line[index * 2] << 8) | line[index * 2 + 1];
+
+  const bitOffset = index * bitDepth;
+  const byte = line[bitOffset >> 3];
+  const shift = 8 - bitDepth - (bitOffset & 7);
+  return (byte >> shift) & ((1 << bitDepth) - 1);
+}
+
+// ============================================================================
+// JPEG (baseline and progressive)
+// ============================================================================
+
+interface JpegComponent {
+  id: number;
+  h: number;
+  v: number;
+  tq: number;
+  blocksPerLine: number;
+  blocksPerColumn: number;
+  /** Quantized coefficients, 64 per block in natural (row-major) order */
+  coefficients: Int16Array;
+  pred: number;
+  dcTable?: HuffmanTable;
+  acTable?: HuffmanTable;
+}
+
+/**
+ * Canonical Huffman code: codes of each length are consecutive, so a code of
+ * length l is valid when it is at most maxCode[l]
+ */
+interface HuffmanTable {
+  maxCode: Int32Array;
+  valueOffset: Int32Array;
+  symbols: Uint8Array;
+}
+
+// Natural position of each coefficient in zigzag order
+const JPEG_ZIGZAG = new Uint8Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// IDCT_COSINES[x * 8 + u] = C(u) / 2 * cos((2x + 1) * u * pi / 16), with C(0) = 1 / sqrt(2)
+const IDCT_COSINES = new Float64Array(64).map((_, i) => {
+  const x = i >> 3;
+  const u = i & 7;
+  return (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+});
+
+/**
+ * Decode a baseline or progressive Huffman-coded JPEG (grayscale or YCbCr)
+ *
+ * @param bytes - Raw JPEG bytes
+ * @returns Decoded image
+ */
+export function decodeJpeg(bytes: Uint8Array): DecodedImage {
+  const quantTables: Record<number, Uint16Array> = {};
+  const dcTables: Record<number, HuffmanTable> = {};
+  const acTables: Record<number, HuffmanTable> = {};
+  let components: JpegComponent[] = [];
+  let width = 0;
+  let height = 0;
+  let progressive = false;
+  let restartInterval = 0;
+  let maxH = 1;
+  let maxV = 1;
+  let mcusPerLine = 0;
+  let mcusPerColumn = 0;
+  let offset = 2;
+
+  const readUint16 = (at: number) => (bytes[at] << 8) | bytes[at + 1];
+
+  while (offset < bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = bytes[offset + 1];
+    offset += 2;
+
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) continue;
+    if (marker === 0xd9) break;
+
+    const length = readUint16(offset);
+    const segment = bytes.subarray(offset + 2, offset + length);
+
+    if (marker === 0xdb) {
+      // Quantization tables, stored in zigzag order
+      let p = 0;
+      while (p < segment.length) {
+        const precision = segment[p] >> 4;
+        const id = segment[p] & 15;
+        const table = new Uint16Array(64);
+        for (let i = 0; i < 64; i++) {
+          table[JPEG_ZIGZAG[i]] = precision ? (segment[p + 1 + i * 2] << 8) | segment[p + 2 + i * 2] : segment[p + 1 + i];
+        }
+        quantTables[id] = table;
+        p += 1 + 64 * (precision ? 2 : 1);
+      }
+    } else if (marker === 0xc4) {
+      let p = 0;
+      while (p < segment.length) {
+        const tableClass = segment[p] >> 4;
+        const id = segment[p] & 15;
+        const counts = segment.subarray(p + 1, p + 17);
+        const total = counts.reduce((sum, c) => sum + c, 0);
+        const symbols = segment.subarray(p + 17, p + 17 + total);
+        (tableClass === 0 ? dcTables : acTables)[id] = buildHuffmanTable(counts, symbols);
+        p += 17 + total;
+      }
+    } else if (marker === 0xdd) {
+      restartInterval = readUint16(offset + 2);
+    } else if (marker >= 0xc0 && marker <= 0xc2) {
+      progressive = marker === 0xc2;
+      height = readUint16(offset + 3);
+      width = readUint16(offset + 5);
+      const count = segment[5];
+      components = [];
+      for (let i = 0; i < count; i++) {
+        const base = 6 + i * 3;
+        components.push({
+          id: segment[base],
+          h: segment[base + 1] >> 4,
+          v: segment[base + 1] & 15,
+          tq: segment[base + 2],
+          blocksPerLine: 0,
+          blocksPerColumn: 0,
+          coefficients: new Int16Array(0),
+          pred: 0
+        });
+      }
+      maxH = Math.max(...components.map(c => c.h));
+      maxV = Math.max(...components.map(c => c.v));
+      mcusPerLine = Math.ceil(width / (8 * maxH));
+      mcusPerColumn = Math.ceil(height / (8 * maxV));
+      components.forEach(c => {
+        c.blocksPerLine = mcusPerLine * c.h;
+        c.blocksPerColumn = mcusPerColumn * c.v;
+        c.coefficients = new Int16Array(c.blocksPerLine * c.blocksPerColumn * 64);
+      });
+    } else if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      throw new Error('Unsupported JPEG encoding (lossless or arithmetic coding)');
+    } else if (marker === 0xda) {
+      const count = segment[0];
+      const scanComponents: JpegComponent[] = [];
+      for (let i = 0; i < count; i++) {
+        const component = components.find(c => c.id === segment[1 + i * 2]);
+        if (!component) throw new Error('Invalid JPEG: scan references unknown component');
+        component.dcTable = dcTables[segment[2 + i * 2] >> 4];
+        component.acTable = acTables[segment[2 + i * 2] & 15];
+        scanComponents.push(component);
+      }
+      const base = 1 + count * 2;
+
+      offset = decodeJpegScan(bytes, offset + length, scanComponents, {
+        progressive,
+        spectralStart: segment[base],
+        spectralEnd: segment[base + 1],
+        approxHigh: segment[base + 2] >> 4,
+        approxLow: segment[base + 2] & 15,
+        restartInterval,
+        mcusPerLine,
+        mcusPerColumn,
+        width,
+        height,
+        maxH,
+        maxV
+      });
+      continue;
+    }
+
+    offset += length;
+  }
+
+  if (!width || components.length === 0) {
+    throw new Error('Invalid JPEG: missing frame header');
+  }
+  if (components.length !== 1 && components.length !== 3) {
+    throw new Error(`Unsupported JPEG with ${components.length} components`);
+  }
+
+  const planes = components.map(component => {
+    const quant = quantTables[component.tq];
+    if (!quant) throw new Error(`Invalid JPEG: missing quantization table ${component.tq}`);
+    return upsampleJpegComponent(renderJpegComponent(component, quant), component, width, height, maxH, maxV);
+  });
+
+  const out = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const target = i * 4;
+    const luma = planes[0][i];
+
+    if (components.length === 1) {
+      out[target] = out[target + 1] = out[target + 2] = clampByte(luma);
+    } else {
+      const cb = planes[1][i] - 128;
+      const cr = planes[2][i] - 128;
+      out[target] = clampByte(luma + 1.402 * cr);
+      out[target + 1] = clampByte(luma - 0.344136 * cb - 0.714136 * cr);
+      out[target + 2] = clampByte(luma + 1.772 * cb);
+    }
+    out[target + 3] = 255;
+  }
+
+  return { width, height, data: out };
+}
+
+/**
+ * Build the canonical code table from DHT code counts and symbols
+ */
+function buildHuffmanTable(counts: Uint8Array, symbols: Uint8Array): HuffmanTable {
+  const maxCode = new Int32Array(17).fill(-1);
+  const valueOffset = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    valueOffset[length] = k - code;
+    code += counts[length - 1];
+    k += counts[length - 1];
+    if (counts[length - 1]) maxCode[length] = code - 1;
+    code <<= 1;
+  }
+  return { maxCode, valueOffset, symbols: symbols.slice() };
+}
+
+/**
+ * Decode the coefficients of one scan, returning the offset after it
+ *
+ * Baseline scans carry whole blocks. Progressive scans carry either the DC
+ * coefficient or a band of AC coefficients, first at reduced precision
+ * (approxLow) and then one refinement bit at a time.
+ */
+function decodeJpegScan(
+  bytes: Uint8Array,
+  start: number,
+  scanComponents: JpegComponent[],
+  scan: {
+    progressive: boolean;
+    spectralStart: number;
+    spectralEnd: number;
+    approxHigh: number;
+    approxLow: number;
+    restartInterval: number;
+    mcusPerLine: number;
+    mcusPerColumn: number;
+    width: number;
+    height: number;
+    maxH: number;
+    maxV: number;
+  }
+): number {
+  let offset = start;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let eobRun = 0;
+
+  const readBit = (): number => {
+    if (bitCount === 0) {
+      if (offset >= bytes.length) throw new Error('Unexpected end of JPEG data');
+      let byte = bytes[offset++];
+      if (byte === 0xff) {
+        const next = bytes[offset];
+        if (next === 0x00) offset++;
+        else byte = 0; // a marker reached early; pad with zeros
+      }
+      bitBuffer = byte;
+      bitCount = 8;
+    }
+    bitCount--;
+    return (bitBuffer >> bitCount) & 1;
+  };
+
+  const receive = (length: number): number => {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+    return value;
+  };
+
+  const extend = (value: number, length: number): number =>
+    length === 0 ? 0 : value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+
+  const decodeSymbol = (table: HuffmanTable | undefined): number => {
+    if (!table) throw new Error('Invalid JPEG: missing Huffman table');
+    let code = readBit();
+    for (let length = 1; length <= 16; length++) {
+      if (code <= table.maxCode[length]) return table.symbols[table.valueOffset[length] + code];
+      code = (code << 1) | readBit();
+    }
+    throw new Error('Invalid JPEG: bad Huffman code');
+  };
+
+  // Add one refinement bit to an already non-zero coefficient, away from zero
+  const refine = (coefficients: Int16Array, at: number) => {
+    const bit = 1 << scan.approxLow;
+    if (readBit() && (coefficients[at] & bit) === 0) {
+      coefficients[at] += coefficients[at] >= 0 ? bit : -bit;
+    }
+  };
+
+  const decodeBaseline = (component: JpegComponent, block: number) => {
+    const coefficients = component.coefficients;
+    const size = decodeSymbol(component.dcTable);
+    component.pred += extend(receive(size), size);
+    coefficients[block] = component.pred;
+
+    for (let k = 1; k < 64;) {
+      const symbol = decodeSymbol(component.acTable);
+      const run = symbol >> 4;
+      const acSize = symbol & 15;
+      if (acSize === 0) {
+        if (run < 15) break;
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      coefficients[block + JPEG_ZIGZAG[k]] = extend(receive(acSize), acSize);
+      k++;
+    }
+  };
+
+  const decodeDc = (component: JpegComponent, block: number) => {
+    if (scan.approxHigh === 0) {
+      const size = decodeSymbol(component.dcTable);
+      component.pred += extend(receive(size), size);
+      component.coefficients[block] = component.pred * (1 << scan.approxLow);
+    } else if (readBit()) {
+      component.coefficients[block] |= 1 << scan.approxLow;
+    }
+  };
+
+  const decodeAcFirst = (component: JpegComponent, block: number) => {
+    if (eobRun > 0) {
+      eobRun--;
+      return;
+    }
+    for (let k = scan.spectralStart; k <= scan.spectralEnd;) {
+      const symbol = decodeSymbol(component.acTable);
+      const run = symbol >> 4;
+      const size = symbol & 15;
+      if (size === 0) {
+        if (run < 15) {
+          eobRun = (1 << run) - 1 + receive(run);
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      component.coefficients[block + JPEG_ZIGZAG[k]] = extend(receive(size), size) * (1 << scan.approxLow);
+      k++;
+    }
+  };
+
+  const decodeAcRefine = (component: JpegComponent, block: number) => {
+    const coefficients = component.coefficients;
+    let k = scan.spectralStart;
+
+    if (eobRun === 0) {
+      for (; k <= scan.spectralEnd; k++) {
+        const symbol = decodeSymbol(component.acTable);
+        let run = symbol >> 4;
+        let value = 0;
+        if (symbol & 15) {
+          value = readBit() ? 1 << scan.approxLow : -1 << scan.approxLow;
+        } else if (run < 15) {
+          eobRun = (1 << run) + receive(run);
+          break;
+        }
+        // Skip `run` zero coefficients, refining the non-zero ones passed on the way
+        for (; k <= scan.spectralEnd; k++) {
+          const at = block + JPEG_ZIGZAG[k];
+          if (coefficients[at] !== 0) {
+            refine(coefficients, at);
+          } else if (--run < 0) {
+            break;
+          }
+        }
+        if (value !== 0 && k <= 63) coefficients[block + JPEG_ZIGZAG[k]] = value;
+      }
+    }
+
+    if (eobRun > 0) {
+      for (; k <= scan.spectralEnd; k++) {
+        const at = block + JPEG_ZIGZAG[k];
+        if (coefficients[at] !== 0) refine(coefficients, at);
+      }
+      eobRun--;
+    }
+  };
+
+  const decodeBlock = !scan.progressive ? decodeBaseline
+    : scan.spectralStart === 0 ? decodeDc
+    : scan.approxHigh === 0 ? decodeAcFirst
+    : decodeAcRefine;
+
+  // Non-interleaved scans cover only the component's own blocks, without MCU padding
+  const single = scanComponents.length === 1;
+  const singleBlocksPerLine = single
+    ? Math.ceil(Math.ceil((scan.width * scanComponents[0].h) / scan.maxH) / 8)
+    : 0;
+  const totalMcus = single
+    ? singleBlocksPerLine * Math.ceil(Math.ceil((scan.height * scanComponents[0].v) / scan.maxV) / 8)
+    : scan.mcusPerLine * scan.mcusPerColumn;
+
+  scanComponents.forEach(c => { c.pred = 0; });
+
+  for (let mcu = 0; mcu < totalMcus; mcu++) {
+    if (scan.restartInterval && mcu > 0 && mcu % scan.restartInterval === 0) {
+      // Align to the restart marker and reset predictors
+      bitCount = 0;
+      eobRun = 0;
+      while (offset < bytes.length - 1 && !(bytes[offset] === 0xff && bytes[offset + 1] >= 0xd0 && bytes[offset + 1] <= 0xd7)) {
+        offset++;
+      }
+      offset += 2;
+      scanComponents.forEach(c => { c.pred = 0; });
+    }
+
+    if (single) {
+      const component = scanComponents[0];
+      const row = Math.floor(mcu / singleBlocksPerLine);
+      decodeBlock(component, (row * component.blocksPerLine + (mcu % singleBlocksPerLine)) * 64);
+    } else {
+      const mcuRow = Math.floor(mcu / scan.mcusPerLine);
+      const mcuCol = mcu % scan.mcusPerLine;
+      scanComponents.forEach(component => {
+        for (let v = 0; v < component.v; v++) {
+          for (let h = 0; h < component.h; h++) {
+            const row = mcuRow * component.v + v;
+            const col = mcuCol * component.h + h;
+            decodeBlock(component, (row * component.blocksPerLine + col) * 64);
+          }
+        }
+      });
+    }
+  }
+
+  return skipEntropyData(bytes, offset);
+}
+
+/**
+ * Dequantize and inverse-DCT every block of a component into 8-bit samples,
+ * blocksPerLine * 8 samples wide
+ */
+function renderJpegComponent(component: JpegComponent, quant: Uint16Array): Uint8Array {
+  const stride = component.blocksPerLine * 8;
+  const plane = new Uint8Array(stride * component.blocksPerColumn * 8);
+  const block = new Float64Array(64);
+  const rows = new Float64Array(64);
+
+  for (let by = 0; by < component.blocksPerColumn; by++) {
+    for (let bx = 0; bx < component.blocksPerLine; bx++) {
+      const start = (by * component.blocksPerLine + bx) * 64;
+      for (let i = 0; i < 64; i++) block[i] = component.coefficients[start + i] * quant[i];
+
+      // Rows, then columns; a row with only a DC term is flat
+      for (let v = 0; v < 8; v++) {
+        const row = v * 8;
+        let flat = true;
+        for (let u = 1; u < 8 && flat; u++) flat = block[row + u] === 0;
+        for (let x = 0; x < 8; x++) {
+          let sum = block[row] * IDCT_COSINES[x * 8];
+          if (!flat) for (let u = 1; u < 8; u++) sum += block[row + u] * IDCT_COSINES[x * 8 + u];
+          rows[row + x] = sum;
+        }
+      }
+      for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+          let sum = 0;
+          for (let v = 0; v < 8; v++) sum += rows[v * 8 + x] * IDCT_COSINES[y * 8 + v];
+          plane[(by * 8 + y) * stride + bx * 8 + x] = clampByte(sum + 128);
+        }
+      }
+    }
+  }
+  return plane;
+}
+
+/**
+ * Resample a component plane to width x height
+ *
+ * Subsampled chroma is interpolated bilinearly between sample centres, as
+ * libjpeg's fancy upsampling does, rather than repeated in blocks.
+ */
+function upsampleJpegComponent(
+  plane: Uint8Array,
+  component: JpegComponent,
+  width: number,
+  height: number,
+  maxH: number,
+  maxV: number
+): Float32Array {
+  const stride = component.blocksPerLine * 8;
+  const out = new Float32Array(width * height);
+
+  if (component.h === maxH && component.v === maxV) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) out[y * width + x] = plane[y * stride + x];
+    }
+    return out;
+  }
+
+  // Source position, neighbour and weight along one axis
+  const axis = (length: number, factor: number, max: number) => {
+    const samples = Math.ceil((length * factor) / max);
+    const near = new Int32Array(length);
+    const far = new Int32Array(length);
+    const weight = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const position = Math.max(0, ((i + 0.5) * factor) / max - 0.5);
+      near[i] = Math.min(Math.floor(position), samples - 1);
+      far[i] = Math.min(near[i] + 1, samples - 1);
+      weight[i] = position - Math.floor(position);
+    }
+    return { near, far, weight };
+  };
+  const columns = axis(width, component.h, maxH);
+  const rows = axis(height, component.v, maxV);
+
+  for (let y = 0; y < height; y++) {
+    const top = rows.near[y] * stride;
+    const bottom = rows.far[y] * stride;
+    const wy = rows.weight[y];
+    for (let x = 0; x < width; x++) {
+      const left = columns.near[x];
+      const right = columns.far[x];
+      const wx = columns.weight[x];
+      const upper = plane[top + left] + (plane[top + right] - plane[top + left]) * wx;
+      const lower = plane[bottom + left] + (plane[bottom + right] - plane[bottom + left]) * wx;
+      out[y * width + x] = upper + (lower - upper) * wy;
+    }
+  }
+  return out;
+}
+
+/**
+ * Advance past entropy-coded data to the next real marker
+ */
+function skipEntropyData(bytes: Uint8Array, start: number): number {
+  let offset = start;
+  while (offset < bytes.length - 1) {
+    if (bytes[offset] === 0xff) {
+      const next = bytes[offset + 1];
+      if (next !== 0x00 && !(next >= 0xd0 && next <= 0xd7) && next !== 0xff) {
+        return offset;
+      }
+    }
+    offset++;
+  }
+  return bytes.length;
+}
+
+function clampByte(value: number): number {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
@@ -0,0 +1,254 @@
+/**
+ * Reading boards, catalogs, wardrobes and profiles from exported files
+ *
+ * Boards may be JSON (a board object with pins, or a bare array of pins,
+ * either as fashion items or as raw pins from the Pinterest API) or CSV with
+ * one pin per row. Catalogs may be a JSON array of fashion items or any feed
+ * format the catalog importer reads. Wardrobes may be saved wardrobe JSON, an
+ * array of items, or an order-history CSV. Profiles may be a saved profile,
+ * saved engine state or a board to analyze.
+ *
+ * @module lib/inputs
+ */
+
+import { promises as fs } from 'fs';
+import { basename, extname, join } from 'path';
+import { FashionItem, PinterestBoard, StyleProfile, createRecommendationEngine } from './core';
+import { CatalogImportOptions, FeedFormat, importCatalogFile, parseCatalogCsv, recordsToItems } from './catalog';
+import { RawPin, mapPinToFashionItem } from './pinterest';
+import { deserializeProfile, migrateEngineState } from './persistence';
+import { OwnedItem, WardrobeStore } from './wardrobe';
+import { getValidationErrors, validateFashionItem } from './utils';
+
+/**
+ * File contents read into the engine's types, with anything that was skipped
+ */
+export interface Loaded<T> {
+  value: T;
+  /** One line per skipped record */
+  warnings: string[];
+}
+
+const BOARD_EXTENSIONS = new Set(['.json', '.csv']);
+
+/**
+ * Read a board export
+ *
+ * @param path - JSON or CSV file
+ * @returns Board, named after the file when the export has no name
+ */
+export async function loadBoardFile(path: string): Promise<Loaded<PinterestBoard>> {
+  const text = await fs.readFile(path, 'utf8');
+  const fallbackName = basename(path, extname(path));
+
+  if (extname(path).toLowerCase() === '.csv') {
+    const { items, rejected } = recordsToItems(parseCatalogCsv(text));
+    return {
+      value: { id: fallbackName, name: fallbackName, pins: items },
+      warnings: rejected.map(r => `${path}: row ${r.index} skipped: ${r.reason}`)
+    };
+  }
+
+  return parseBoardDocument(parseJson(text, path), fallbackName, path);
+}
+
+/**
+ * Read a board from parsed JSON
+ *
+ * @param document - A board object with pins, or a bare array of pins; pins may be fashion
+ *   items or raw Pinterest API pins
+ * @param fallbackName - Id and name for a board that has none
+ * @param source - Where the document came from, to prefix warnings and errors with
+ * @returns Board, with a warning for every pin that was neither kind; a pin counts as a raw
+ *   Pinterest pin only when it has API fields (media or board_id) and no category
+ */
+export function parseBoardDocument(document: any, fallbackName: string, source: string): Loaded<PinterestBoard> {
+  const board = Array.isArray(document) ? { pins: document } : document;
+  if (!board || typeof board !== 'object' || !Array.isArray(board.pins)) {
+    throw new Error(`${source}: expected a board with a pins array, or an array of pins`);
+  }
+
+  const warnings: string[] = [];
+  const pins: FashionItem[] = [];
+  board.pins.forEach((pin: any, idx: number) => {
+    if (validateFashionItem(pin)) {
+      pins.push(pin);
+    } else if (isRawPin(pin)) {
+      pins.push(mapPinToFashionItem(pin));
+    } else {
+      warnings.push(`${source}: pin ${idx + 1} skipped: ${getValidationErrors(pin).join('; ')}`);
+    }
+  });
+
+  return {
+    value: {
+      id: String(board.id || fallbackName),
+      name: String(board.name || fallbackName),
+      ...(board.description && { description: String(board.description) }),
+      pins
+    },
+    warnings
+  };
+}
+
+/**
+ * Read board exports from files and directories
+ *
+ * @param paths - Board files, or directories of .json and .csv board files
+ * @returns Boards in path order, directory contents sorted by name
+ */
+export async function loadBoardFiles(paths: string[]): Promise<Loaded<PinterestBoard[]>> {
+  const boards: PinterestBoard[] = [];
+  const warnings: string[] = [];
+
+  for (const path of await expandPaths(paths, BOARD_EXTENSIONS)) {
+    const loaded = await loadBoardFile(path);
+    boards.push(loaded.value);
+    warnings.push(...loaded.warnings);
+  }
+  return { value: boards, warnings };
+}
+
+/**
+ * Read a catalog
+ *
+ * A JSON array of objects that are not JSON-LD is read as fashion items, with
+ * a warning for each invalid one; anything else goes to the feed importer.
+ *
+ * @param path - JSON array of fashion items, a feed file, or a directory of feed files
+ * @param options - Format override, column mapping and enrichment options for feeds
+ * @returns Catalog items
+ */
+export async function loadCatalogFile(
+  path: string,
+  options: CatalogImportOptions & { format?: FeedFormat } = {}
+): Promise<Loaded<FashionItem[]>> {
+  if (!options.format && extname(path).toLowerCase() === '.json') {
+    const document = parseJson(await fs.readFile(path, 'utf8'), path);
+    if (isFashionItemArray(document)) {
+      if (document.length === 0) throw new Error(`${path}: catalog has no items`);
+      const items: FashionItem[] = [];
+      const warnings: string[] = [];
+      document.forEach((item, idx) => {
+        if (validateFashionItem(item)) {
+          items.push(item);
+        } else {
+          warnings.push(`${path}: item ${idx + 1} skipped: ${getValidationErrors(item).join('; ')}`);
+        }
+      });
+      return { value: items, warnings };
+    }
+  }
+
+  const { items, rejected } = await importCatalogFile(path, options);
+  if (items.length === 0 && rejected.length === 0) {
+    throw new Error(`${path}: no catalog items found; expected a JSON array of fashion items or a product feed`);
+  }
+  return {
+    value: items,
+    warnings: rejected.map(r => `${path}: record ${r.index}${r.id ? ` (${r.id})` : ''} skipped: ${r.reason}`)
+  };
+}
+
+/**
+ * Read the items a user owns
+ *
+ * @param path - Saved wardrobe JSON, a JSON array of fashion items, or an order-history CSV
+ * @returns Wardrobe store
+ */
+export async function loadWardrobeFile(path: string): Promise<Loaded<WardrobeStore>> {
+  const text = await fs.readFile(path, 'utf8');
+
+  if (extname(path).toLowerCase() === '.csv') {
+    const store = new WardrobeStore();
+    const { rejected } = store.importOrderHistoryCsv(text);
+    return { value: store, warnings: rejected.map(r => `${path}: row ${r.row} skipped: ${r.reason}`) };
+  }
+
+  const document = parseJson(text, path);
+  if (!Array.isArray(document)) {
+    throw new Error(`${path}: expected an array of owned items or fashion items`);
+  }
+  if (document.every(entry => entry && typeof entry === 'object' && 'item' in entry)) {
+    return { value: WardrobeStore.fromJSON(document as OwnedItem[]), warnings: [] };
+  }
+
+  const store = new WardrobeStore();
+  const warnings: string[] = [];
+  document.forEach((item, idx) => {
+    if (validateFashionItem(item)) {
+      store.add(item, { source: 'import' });
+    } else {
+      warnings.push(`${path}: item ${idx + 1} skipped: ${getValidationErrors(item).join('; ')}`);
+    }
+  });
+  return { value: store, warnings };
+}
+
+/**
+ * Read a style profile
+ *
+ * @param path - Saved profile, saved engine state, or a board export to analyze
+ * @returns Profile in the current schema
+ */
+export async function loadProfileFile(path: string): Promise<Loaded<StyleProfile>> {
+  const document = extname(path).toLowerCase() === '.csv' ? null : parseJson(await fs.readFile(path, 'utf8'), path);
+
+  if (document && !Array.isArray(document) && typeof document === 'object') {
+    if (typeof document.schemaVersion === 'number' && 'boards' in document) {
+      const { profile } = migrateEngineState(document);
+      if (!profile) throw new Error(`${path}: saved engine state has no analyzed boards`);
+      return { value: profile, warnings: [] };
+    }
+    if (!('pins' in document)) {
+      return { value: deserializeProfile(document), warnings: [] };
+    }
+  }
+
+  const { value: board, warnings } = await loadBoardFile(path);
+  return { value: createRecommendationEngine().analyzePinterestBoard(board), warnings };
+}
+
+/**
+ * Replace directories with the files in them that have one of the extensions
+ */
+async function expandPaths(paths: string[], extensions: Set<string>): Promise<string[]> {
+  const files: string[] = [];
+  for (const path of paths) {
+    const stats = await fs.stat(path);
+    if (!stats.isDirectory()) {
+      files.push(path);
+      continue;
+    }
+    const entries = (await fs.readdir(path))
+      .filter(name => extensions.has(extname(name).toLowerCase()))
+      .sort();
+    files.push(...entries.map(name => join(path, name)));
+  }
+  return files;
+}
+
+/**
+ * Whether a value is a pin as the Pinterest API returns it, rather than a
+ * fashion item that failed validation
+ */
+function isRawPin(value: any): value is RawPin {
+  return value !== null && typeof value === 'object' && typeof value.id === 'string' &&
+    !('category' in value) && ('media' in value || 'board_id' in value);
+}
+
+/**
+ * Whether a parsed JSON document is a bare array of item objects rather than JSON-LD
+ */
+function isFashionItemArray(document: any): document is any[] {
+  return Array.isArray(document) && document.every(entry =>
+    entry !== null && typeof entry === 'object' && !Array.isArray(entry) && !('@type' in entry) && !('@context' in entry));
+}
+
+function parseJson(text: string, path: string): any {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${path}: invalid JSON: ${(error as Error).message}`);
+  }
+}
@@ -0,0 +1,347 @@
+/**
+ * OpenAPI description of the recommendation service
+ *
+ * The contract clients build against. The service serves it at
+ * /api/openapi.json; keep it in step with lib/server when endpoints or
+ * response shapes change.
+ *
+ * @module lib/openapi
+ */
+
+const errorResponse = (description: string) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const jsonBody = (schema: string) => ({
+  'application/json': { schema: { $ref: `#/components/schemas/${schema}` } }
+});
+
+/**
+ * OpenAPI 3.0 document for lib/server
+ */
+export const OPENAPI_DOCUMENT = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Pinboard Fashion Recommendations',
+    version: '1.0.0',
+    description: 'Analyze Pinterest boards into a style profile and recommend catalog items for it. ' +
+      'Every request except the spec itself identifies the user with the X-User-Id header. ' +
+      'Profiles are held in memory; after a 404 profile_not_found, post the boards again.'
+  },
+  paths: {
+    '/api/boards': {
+      post: {
+        summary: 'Analyze boards',
+        description: 'Adds the boards to the user\'s boards, replacing any with the same id, and rebuilds the profile. ' +
+          'Earlier pagination cursors stop working.',
+        parameters: [{ $ref: '#/components/parameters/UserId' }],
+        requestBody: { required: true, content: jsonBody('BoardsRequest') },
+        responses: {
+          201: { description: 'Profile built from all of the user\'s boards', content: jsonBody('ProfileResponse') },
+          401: errorResponse('Missing X-User-Id header'),
+          400: errorResponse('Invalid boards'),
+          413: errorResponse('Body too large'),
+          415: errorResponse('Body is not JSON')
+        }
+      }
+    },
+    '/api/profile': {
+      get: {
+        summary: 'Get the style profile',
+        parameters: [{ $ref: '#/components/parameters/UserId' }],
+        responses: {
+          200: { description: 'Current profile', content: jsonBody('ProfileResponse') },
+          401: errorResponse('Missing X-User-Id header'),
+          404: errorResponse('No boards have been analyzed for the user')
+        }
+      }
+    },
+    '/api/recommendations': {
+      get: {
+        summary: 'List recommendations',
+        description: 'Recommendations are ranked once per query and paged through with nextCursor. ' +
+          'A cursor only works with the query it came from, and only until the user\'s boards change.',
+        parameters: [
+          { $ref: '#/components/parameters/UserId' },
+          { name: 'boardId', in: 'query', schema: { type: 'string' }, description: 'Recommend for this board only' },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+          { name: 'cursor', in: 'query', schema: { type: 'string' }, description: 'nextCursor from the previous page' },
+          {
+            name: 'category',
+            in: 'query',
+            schema: { type: 'string' },
+            description: 'Comma-separated categories to include',
+            example: 'tops,dresses'
+          },
+          { name: 'brand', in: 'query', schema: { type: 'string' }, description: 'Comma-separated brands to include' },
+          { name: 'minPrice', in: 'query', schema: { type: 'number', minimum: 0 }, description: 'In the response currency' },
+          { name: 'maxPrice', in: 'query', schema: { type: 'number', minimum: 0 }, description: 'In the response currency' },
+          {
+            name: 'sort',
+            in: 'query',
+            schema: { type: 'string', enum: ['relevance', 'price_asc', 'price_desc', 'newest'], default: 'relevance' }
+          },
+          { $ref: '#/components/parameters/Locale' }
+        ],
+        responses: {
+          200: { description: 'One page of recommendations', content: jsonBody('RecommendationPage') },
+          401: errorResponse('Missing X-User-Id header'),
+          400: errorResponse('Invalid query or cursor'),
+          404: errorResponse('No profile, or unknown boardId')
+        }
+      }
+    },
+    '/api/gaps': {
+      get: {
+        summary: 'Find wardrobe gaps',
+        parameters: [
+          { $ref: '#/components/parameters/UserId' },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: { type: 'integer', minimum: 0, maximum: 20, default: 3 },
+            description: 'Catalog items to suggest per gap'
+          },
+          { $ref: '#/components/parameters/Locale' }
+        ],
+        responses: {
+          200: { description: 'Gaps, highest priority first', content: jsonBody('GapsResponse') },
+          401: errorResponse('Missing X-User-Id header'),
+          404: errorResponse('No boards have been analyzed for the user')
+        }
+      }
+    },
+    '/api/feedback': {
+      post: {
+        summary: 'Record interactions with recommendations',
+        description: 'Items must have been returned to the user by /api/recommendations or /api/gaps ' +
+          'since their boards last changed.',
+        parameters: [{ $ref: '#/components/parameters/UserId' }],
+        requestBody: { required: true, content: jsonBody('FeedbackRequest') },
+        responses: {
+          202: {
+            description: 'Events recorded',
+            content: {
+              'application/json': {
+                schema: { type: 'object', required: ['recorded'], properties: { recorded: { type: 'integer' } } }
+              }
+            }
+          },
+          401: errorResponse('Missing X-User-Id header'),
+          400: errorResponse('Invalid events, or items that were not recommended'),
+          404: errorResponse('No boards have been analyzed for the user')
+        }
+      }
+    },
+    '/api/openapi.json': {
+      get: {
+        summary: 'This document',
+        responses: { 200: { description: 'OpenAPI document', content: { 'application/json': {} } } }
+      }
+    }
+  },
+  components: {
+    parameters: {
+      UserId: {
+        name: 'X-User-Id',
+        in: 'header',
+        required: true,
+        schema: { type: 'string', pattern: '^[A-Za-z0-9_.:@-]{1,128}$' }
+      },
+      Locale: {
+        name: 'locale',
+        in: 'query',
+        schema: { type: 'string', example: 'es' },
+        description: 'Language of reasons: en or es, regional variants allowed (default: from Accept-Language, else en)'
+      }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+              code: {
+                type: 'string',
+                enum: [
+                  'invalid_request', 'invalid_cursor', 'missing_user', 'not_found', 'profile_not_found',
+                  'board_not_found', 'method_not_allowed', 'payload_too_large', 'unsupported_media_type', 'internal_error'
+                ]
+              },
+              message: { type: 'string' },
+              details: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        }
+      },
+      Pin: {
+        type: 'object',
+        description: 'A fashion item, or a raw pin as returned by the Pinterest API',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          description: { type: 'string' },
+          imageUrl: { type: 'string' },
+          category: { type: 'string', enum: ['tops', 'bottoms', 'dresses', 'outerwear', 'shoes', 'accessories'] },
+          colors: { type: 'array', items: { type: 'string' } },
+          style: { type: 'array', items: { type: 'string' } },
+          tags: { type: 'array', items: { type: 'string' } },
+          price: { type: 'number' },
+          currency: { type: 'string' },
+          brand: { type: 'string' },
+          link: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' }
+        },
+        additionalProperties: true
+      },
+      BoardInput: {
+        type: 'object',
+        required: ['id', 'pins'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string', description: 'Default: the id' },
+          description: { type: 'string' },
+          pins: { type: 'array', items: { $ref: '#/components/schemas/Pin' }, maxItems: 2000 },
+          weight: { type: 'number', minimum: 0, default: 1, description: 'Influence on the merged profile' },
+          occasion: { type: 'string', description: 'Default: the board name' }
+        }
+      },
+      BoardsRequest: {
+        type: 'object',
+        required: ['boards'],
+        properties: { boards: { type: 'array', minItems: 1, maxItems: 50, items: { $ref: '#/components/schemas/BoardInput' } } }
+      },
+      BoardSummary: {
+        type: 'object',
+        required: ['id', 'name', 'occasion', 'weight', 'pinCount'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          occasion: { type: 'string' },
+          weight: { type: 'number' },
+          pinCount: { type: 'integer' }
+        }
+      },
+      StyleProfile: {
+        type: 'object',
+        required: ['dominantColors', 'preferredCategories', 'styleKeywords', 'favoredBrands', 'totalItems'],
+        properties: {
+          dominantColors: { type: 'array', items: { type: 'string' } },
+          preferredCategories: { type: 'array', items: { type: 'string' } },
+          styleKeywords: { type: 'array', items: { type: 'string' } },
+          favoredBrands: { type: 'array', items: { type: 'string' } },
+          priceRange: {
+            type: 'object',
+            properties: { min: { type: 'number' }, max: { type: 'number' } }
+          },
+          currency: { type: 'string' },
+          averagePrice: { type: 'number' },
+          totalItems: { type: 'integer' }
+        },
+        additionalProperties: true
+      },
+      ProfileResponse: {
+        type: 'object',
+        required: ['profile', 'boards', 'aesthetics', 'updatedAt', 'warnings'],
+        properties: {
+          profile: { $ref: '#/components/schemas/StyleProfile' },
+          boards: { type: 'array', items: { $ref: '#/components/schemas/BoardSummary' } },
+          aesthetics: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'share'],
+              properties: { name: { type: 'string' }, share: { type: 'number' } }
+            }
+          },
+          updatedAt: { type: 'string', format: 'date-time' },
+          warnings: { type: 'array', items: { type: 'string' }, description: 'Pins that were skipped' }
+        }
+      },
+      Recommendation: {
+        type: 'object',
+        required: ['id', 'title', 'price', 'currency', 'imageUrl', 'retailer', 'category', 'matchScore', 'reasons', 'citedPins'],
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          price: { type: 'number', nullable: true, description: 'Current price in `currency`' },
+          wasPrice: { type: 'number', description: 'List price, when on sale' },
+          currency: { type: 'string' },
+          imageUrl: { type: 'string' },
+          link: { type: 'string' },
+          retailer: { type: 'string', nullable: true, description: 'Site the link points to, else the brand' },
+          brand: { type: 'string' },
+          category: { type: 'string' },
+          matchScore: { type: 'number', minimum: 0, maximum: 1 },
+          reasons: { type: 'array', items: { type: 'string' } },
+          citedPins: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['id', 'title', 'imageUrl'],
+              properties: { id: { type: 'string' }, title: { type: 'string' }, imageUrl: { type: 'string' } }
+            }
+          },
+          serendipitous: { type: 'boolean' }
+        }
+      },
+      RecommendationPage: {
+        type: 'object',
+        required: ['recommendations', 'nextCursor', 'total'],
+        properties: {
+          recommendations: { type: 'array', items: { $ref: '#/components/schemas/Recommendation' } },
+          nextCursor: { type: 'string', nullable: true },
+          total: { type: 'integer', description: 'Recommendations across all pages' }
+        }
+      },
+      GapsResponse: {
+        type: 'object',
+        required: ['gaps'],
+        properties: {
+          gaps: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['category', 'currentCount', 'suggestedCount', 'priority', 'reason', 'recommendations'],
+              properties: {
+                category: { type: 'string' },
+                currentCount: { type: 'integer' },
+                suggestedCount: { type: 'integer' },
+                priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+                reason: { type: 'string' },
+                recommendations: { type: 'array', items: { $ref: '#/components/schemas/Recommendation' } }
+              }
+            }
+          }
+        }
+      },
+      FeedbackRequest: {
+        type: 'object',
+        required: ['sessionId', 'events'],
+        properties: {
+          sessionId: { type: 'string', description: 'Groups events from one viewing of a list' },
+          events: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 500,
+            items: {
+              type: 'object',
+              required: ['itemId', 'type'],
+              properties: {
+                itemId: { type: 'string' },
+                type: { type: 'string', enum: ['impression', 'clicked', 'saved', 'purchased', 'dismissed'] },
+                position: { type: 'integer', minimum: 0 },
+                timestamp: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,362 @@
+/**
+ * Outfit composition
+ *
+ * Assembles complete looks from catalog items: a top with a bottom or a
+ * dress, then shoes and optionally outerwear and an accessory. Each look is
+ * scored on how well its items fit the user's profile, how well their colors
+ * work together and how coherent their styles are. Looks can also be built
+ * around an anchor item the user has pinned or already owns.
+ *
+ * @module lib/outfits
+ */
+
+import { FashionItem, StyleProfile } from './core';
+import { ColorRelation, colorRelation, describePalette } from './color';
+import { DEFAULT_CURRENCY, effectivePrice } from './pricing';
+import { formatPrice, normalizeText } from './utils';
+
+/**
+ * Catalog item with its fit to the user's profile
+ */
+export interface OutfitCandidate {
+  item: FashionItem;
+  /** Profile fit between 0 and 1, typically the recommendation score */
+  fit: number;
+  /** Price in the outfit currency (default: the item's price, when it is in that currency) */
+  price?: number;
+}
+
+/**
+ * A complete look
+ */
+export interface Outfit {
+  /** Items in wearing order: base pieces, shoes, outerwear, accessories */
+  items: FashionItem[];
+  /** Item the look was built around, if any */
+  anchor?: FashionItem;
+  score: number;
+  /** Mean profile fit of the items */
+  fitScore: number;
+  /** How well the items' colors work together (0-1) */
+  harmonyScore: number;
+  /** How consistent the items' styles are (0-1) */
+  coherenceScore: number;
+  /** Price of the items to buy; the anchor and unpriced items are not included */
+  totalPrice: number;
+  /** Ids of items left out of totalPrice because they have no price in the outfit currency */
+  unpriced: string[];
+  /** Currency of totalPrice */
+  currency: string;
+  reasons: string[];
+}
+
+/**
+ * Options for composing outfits
+ */
+export interface OutfitOptions {
+  /** Number of outfits to return (default: 5) */
+  limit?: number;
+  /** Item to build every look around */
+  anchor?: FashionItem;
+  /** Best candidates considered per category (default: 8) */
+  candidatesPerCategory?: number;
+  /** Partial looks kept at each step of the search (default: 30) */
+  beamWidth?: number;
+  /** Relative weights of fit, harmony and coherence (default: 0.5, 0.3, 0.2) */
+  weights?: { fit?: number; harmony?: number; coherence?: number };
+  /** Currency of the candidates' prices (default: USD) */
+  currency?: string;
+}
+
+type Category = FashionItem['category'];
+
+interface PartialLook {
+  items: FashionItem[];
+  fits: number[];
+}
+
+// Scores for colors worn together. Unlike profile matching, tonal and
+// neutral pairings are desirable within one outfit.
+const OUTFIT_RELATION_SCORES: Record<ColorRelation, number> = {
+  match: 0.9,
+  similar: 1,
+  analogous: 0.9,
+  complementary: 0.8,
+  neutral: 0.85,
+  none: 0.2
+};
+
+// Slots filled after the base, and whether a look may leave them empty
+const ADDITIONAL_SLOTS: Array<{ category: Category; optional: boolean }> = [
+  { category: 'shoes', optional: false },
+  { category: 'outerwear', optional: true },
+  { category: 'accessories', optional: true }
+];
+
+const NEUTRAL_SCORE = 0.5;
+
+/**
+ * Compose outfits from scored catalog items
+ *
+ * @param candidates - Catalog items with their profile fit
+ * @param profile - User's style profile, used for look-level reasons
+ * @param options - Composition options
+ * @returns Best outfits, no two sharing a base piece
+ */
+export function composeOutfits(
+  candidates: OutfitCandidate[],
+  profile: StyleProfile,
+  options: OutfitOptions = {}
+): Outfit[] {
+  const {
+    limit = 5,
+    anchor,
+    candidatesPerCategory = 8,
+    beamWidth = 30,
+    currency = 'USD'
+  } = options;
+  const weights = { fit: 0.5, harmony: 0.3, coherence: 0.2, ...options.weights };
+  const prices = new Map<FashionItem, number>();
+  candidates.forEach(candidate => {
+    const price = candidate.price ?? ownCurrencyPrice(candidate.item, currency);
+    if (price !== undefined) prices.set(candidate.item, price);
+  });
+
+  const byCategory = new Map<Category, OutfitCandidate[]>();
+  candidates.forEach(candidate => {
+    if (anchor && candidate.item.id === anchor.id) return;
+    const list = byCategory.get(candidate.item.category) || [];
+    list.push(candidate);
+    byCategory.set(candidate.item.category, list);
+  });
+  byCategory.forEach((list, category) => {
+    byCategory.set(category, list.sort((a, b) => b.fit - a.fit).slice(0, candidatesPerCategory));
+  });
+
+  // Cap looks per base piece so the beam keeps enough distinct bases to fill the limit
+  const perBase = Math.max(1, Math.floor(beamWidth / limit));
+  const prune = (looks: PartialLook[]) => {
+    const baseCounts = new Map<string, number>();
+    return looks
+      .map(look => ({ look, score: scoreLook(look, weights, anchor).score }))
+      .sort((a, b) => b.score - a.score)
+      .filter(({ look }) => {
+        const key = baseKey(look, anchor);
+        const count = baseCounts.get(key) || 0;
+        baseCounts.set(key, count + 1);
+        return count < perBase;
+      })
+      .slice(0, beamWidth)
+      .map(({ look }) => look);
+  };
+
+  let beam = prune(baseLooks(byCategory, anchor));
+
+  ADDITIONAL_SLOTS.forEach(({ category, optional }) => {
+    if (anchor && anchor.category === category) return;
+    const slotCandidates = byCategory.get(category) || [];
+    if (slotCandidates.length === 0) return;
+
+    const next: PartialLook[] = optional ? [...beam] : [];
+    beam.forEach(look => {
+      slotCandidates.forEach(option => {
+        next.push({ items: [...look.items, option.item], fits: [...look.fits, option.fit] });
+      });
+    });
+    beam = prune(next);
+  });
+
+  // One look per base piece, so the list doesn't repeat the same top or dress
+  const usedBases = new Set<string>();
+  const outfits: Outfit[] = [];
+
+  for (const look of beam) {
+    if (outfits.length >= limit) break;
+    const baseIds = baseKey(look, anchor).split('+').filter(Boolean);
+    if (baseIds.some(id => usedBases.has(id))) continue;
+    baseIds.forEach(id => usedBases.add(id));
+
+    const scores = scoreLook(look, weights, anchor);
+    const items = orderItems(anchor ? [anchor, ...look.items] : look.items);
+    const totalPrice = look.items.reduce((sum, item) => sum + (prices.get(item) ?? 0), 0);
+    const unpriced = look.items.filter(item => !prices.has(item)).map(item => item.id);
+
+    outfits.push({
+      items,
+      anchor,
+      ...scores,
+      totalPrice,
+      unpriced,
+      currency,
+      reasons: generateOutfitReasons(items, scores, profile, totalPrice, unpriced.length, currency, anchor)
+    });
+  }
+
+  return outfits;
+}
+
+/**
+ * How well the colors of a set of items work together
+ *
+ * @param items - Items worn together
+ * @returns Mean best pairing score over every pair of items (0-1)
+ */
+export function outfitHarmony(items: FashionItem[]): number {
+  const colored = items.filter(item => item.colors.length > 0);
+  const pairScores: number[] = [];
+
+  for (let i = 0; i < colored.length; i++) {
+    for (let j = i + 1; j < colored.length; j++) {
+      let best = 0;
+      colored[i].colors.forEach(a => colored[j].colors.forEach(b => {
+        best = Math.max(best, OUTFIT_RELATION_SCORES[colorRelation(a, b)]);
+      }));
+      pairScores.push(best);
+    }
+  }
+
+  if (pairScores.length === 0) return NEUTRAL_SCORE;
+  return pairScores.reduce((sum, s) => sum + s, 0) / pairScores.length;
+}
+
+/**
+ * How consistent the styles of a set of items are
+ *
+ * @param items - Items worn together
+ * @returns Mean overlap coefficient of style keywords over every pair of items (0-1)
+ */
+export function outfitCoherence(items: FashionItem[]): number {
+  const styled = items
+    .map(item => new Set(item.style.map(s => normalizeText(s))))
+    .filter(styles => styles.size > 0);
+  const pairScores: number[] = [];
+
+  for (let i = 0; i < styled.length; i++) {
+    for (let j = i + 1; j < styled.length; j++) {
+      const shared = Array.from(styled[i]).filter(s => styled[j].has(s)).length;
+      pairScores.push(shared / Math.min(styled[i].size, styled[j].size));
+    }
+  }
+
+  if (pairScores.length === 0) return NEUTRAL_SCORE;
+  return pairScores.reduce((sum, s) => sum + s, 0) / pairScores.length;
+}
+
+/**
+ * Starting looks: top with bottom, or a dress, respecting the anchor's slot
+ */
+function baseLooks(byCategory: Map<Category, OutfitCandidate[]>, anchor?: FashionItem): PartialLook[] {
+  const tops = byCategory.get('tops') || [];
+  const bottoms = byCategory.get('bottoms') || [];
+  const dresses = byCategory.get('dresses') || [];
+  const looks: PartialLook[] = [];
+
+  const anchorCategory = anchor?.category;
+  if (anchorCategory === 'dresses') {
+    return [{ items: [], fits: [] }];
+  }
+  if (anchorCategory === 'tops') {
+    return bottoms.map(b => ({ items: [b.item], fits: [b.fit] }));
+  }
+  if (anchorCategory === 'bottoms') {
+    return tops.map(t => ({ items: [t.item], fits: [t.fit] }));
+  }
+
+  tops.forEach(t => bottoms.forEach(b => {
+    looks.push({ items: [t.item, b.item], fits: [t.fit, b.fit] });
+  }));
+  dresses.forEach(d => looks.push({ items: [d.item], fits: [d.fit] }));
+  return looks;
+}
+
+/**
+ * Weighted look score; the anchor counts towards harmony and coherence but
+ * not towards fit, since the user has already chosen it
+ */
+function scoreLook(
+  look: PartialLook,
+  weights: { fit: number; harmony: number; coherence: number },
+  anchor?: FashionItem
+): Pick<Outfit, 'score' | 'fitScore' | 'harmonyScore' | 'coherenceScore'> {
+  const items = anchor ? [anchor, ...look.items] : look.items;
+  const fitScore = look.fits.length > 0
+    ? look.fits.reduce((sum, f) => sum + f, 0) / look.fits.length
+    : NEUTRAL_SCORE;
+  const harmonyScore = outfitHarmony(items);
+  const coherenceScore = outfitCoherence(items);
+  const totalWeight = weights.fit + weights.harmony + weights.coherence;
+
+  const score = totalWeight > 0
+    ? (fitScore * weights.fit + harmonyScore * weights.harmony + coherenceScore * weights.coherence) / totalWeight
+    : 0;
+
+  return { score, fitScore, harmonyScore, coherenceScore };
+}
+
+/**
+ * Human-readable reasons for a whole look
+ */
+function generateOutfitReasons(
+  items: FashionItem[],
+  scores: Pick<Outfit, 'fitScore' | 'harmonyScore' | 'coherenceScore'>,
+  profile: StyleProfile,
+  totalPrice: number,
+  unpricedCount: number,
+  currency: string,
+  anchor?: FashionItem
+): string[] {
+  const reasons: string[] = [];
+
+  if (anchor) {
+    reasons.push(`Built around your ${anchor.title}`);
+  }
+
+  if (scores.harmonyScore >= 0.8) {
+    const colors = Array.from(new Set(items.flatMap(item => item.colors.map(c => normalizeText(c)))));
+    reasons.push(`Colors work together: ${colors.slice(0, 4).join(', ')}`);
+  }
+
+  const styleCounts = new Map<string, number>();
+  items.forEach(item => new Set(item.style.map(s => normalizeText(s))).forEach(style => {
+    styleCounts.set(style, (styleCounts.get(style) || 0) + 1);
+  }));
+  const sharedStyles = Array.from(styleCounts.entries())
+    .filter(([, count]) => count >= Math.max(2, Math.ceil(items.length / 2)))
+    .sort((a, b) => b[1] - a[1])
+    .map(([style]) => style);
+  if (sharedStyles.length > 0) {
+    reasons.push(`A consistent ${sharedStyles.slice(0, 2).join(', ')} look`);
+  }
+
+  if (scores.fitScore >= 0.6) {
+    const palette = profile.dominantColors.length > 0 ? ` and ${describePalette(profile.dominantColors)} palette` : '';
+    reasons.push(`Every piece fits your saved style${palette}`);
+  }
+
+  if (totalPrice > 0) {
+    reasons.push(unpricedCount === 0
+      ? `Complete look for ${formatPrice(totalPrice, currency)}`
+      : `${formatPrice(totalPrice, currency)} plus ${unpricedCount} unpriced ${unpricedCount === 1 ? 'piece' : 'pieces'}`);
+  }
+
+  return reasons;
+}
+
+function baseKey(look: PartialLook, anchor?: FashionItem): string {
+  return look.items
+    .filter(item => item !== anchor && ['tops', 'bottoms', 'dresses'].includes(item.category))
+    .map(item => item.id)
+    .join('+');
+}
+
+function orderItems(items: FashionItem[]): FashionItem[] {
+  const order: Category[] = ['dresses', 'tops', 'bottoms', 'shoes', 'outerwear', 'accessories'];
+  return [...items].sort((a, b) => order.indexOf(a.category) - order.indexOf(b.category));
+}
+
+/**
+ * An item's own price when it is already in the outfit currency
+ */
+function ownCurrencyPrice(item: FashionItem, currency: string): number | undefined {
+  return (item.currency || DEFAULT_CURRENCY) === currency ? effectivePrice(item) : undefined;
+}
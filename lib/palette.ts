@@ -0,0 +1,234 @@
+/**
+ * Image palette extraction
+ *
+ * This module clusters image pixels with k-means in CIELAB space and maps
+ * each cluster to the named palette used by parseColors, returning colors
+ * weighted by their share of the (foreground) pixels. Background and skin
+ * pixels can optionally be ignored so a model's face or a white studio
+ * backdrop doesn't dominate a garment's palette.
+ *
+ * @module lib/palette
+ */
+
+import { Lab, Rgb, rgbToLab, labToRgb, rgbToHex, labDistance, nearestColorName } from './color';
+import { DecodedImage, loadImage } from './image';
+import { mulberry32 } from './utils';
+
+/**
+ * A named palette entry with its share of the analyzed pixels
+ */
+export interface PaletteColor {
+  name: string;
+  hex: string;
+  lab: Lab;
+  weight: number;
+}
+
+/**
+ * Options for palette extraction
+ */
+export interface PaletteOptions {
+  /** Number of k-means clusters (default: 6) */
+  clusters?: number;
+  /** Maximum pixels sampled for clustering (default: 8000) */
+  maxSamples?: number;
+  /** Drop the cluster that dominates the image border (default: true) */
+  ignoreBackground?: boolean;
+  /** Drop pixels that look like skin before clustering; camel and tan garments can be caught too (default: false) */
+  ignoreSkin?: boolean;
+  /** Drop colors below this pixel share after merging names (default: 0.03) */
+  minWeight?: number;
+  /** k-means iterations (default: 12) */
+  iterations?: number;
+}
+
+interface Sample {
+  lab: Lab;
+  border: boolean;
+}
+
+/**
+ * Extract a weighted, named palette from an image
+ *
+ * @param source - Buffer, local file path or http(s) URL
+ * @param options - Extraction options
+ * @returns Palette colors sorted by weight, weights summing to 1
+ */
+export async function extractPalette(
+  source: string | Uint8Array,
+  options: PaletteOptions = {}
+): Promise<PaletteColor[]> {
+  return extractPaletteFromPixels(await loadImage(source), options);
+}
+
+/**
+ * Extract a weighted, named palette from decoded pixels
+ *
+ * @param image - Decoded RGBA image
+ * @param options - Extraction options
+ * @returns Palette colors sorted by weight, weights summing to 1
+ */
+export function extractPaletteFromPixels(image: DecodedImage, options: PaletteOptions = {}): PaletteColor[] {
+  const {
+    clusters = 6,
+    maxSamples = 8000,
+    ignoreBackground = true,
+    ignoreSkin = false,
+    minWeight = 0.03,
+    iterations = 12
+  } = options;
+
+  const samples = samplePixels(image, maxSamples, ignoreSkin);
+  if (samples.length === 0) return [];
+
+  const centroids = kMeans(samples.map(s => s.lab), Math.min(clusters, samples.length), iterations);
+  const assignments = samples.map(s => nearestIndex(s.lab, centroids));
+
+  const counts = new Array(centroids.length).fill(0);
+  const borderCounts = new Array(centroids.length).fill(0);
+  let borderTotal = 0;
+  samples.forEach((sample, idx) => {
+    counts[assignments[idx]]++;
+    if (sample.border) {
+      borderCounts[assignments[idx]]++;
+      borderTotal++;
+    }
+  });
+
+  // The background is the cluster owning most of the border, unless it is the whole image
+  const dropped = new Set<number>();
+  if (ignoreBackground && borderTotal > 0) {
+    const backgroundIdx = borderCounts.indexOf(Math.max(...borderCounts));
+    const borderShare = borderCounts[backgroundIdx] / borderTotal;
+    const imageShare = counts[backgroundIdx] / samples.length;
+    if (borderShare >= 0.6 && imageShare < 0.9) {
+      dropped.add(backgroundIdx);
+    }
+  }
+
+  const kept = centroids
+    .map((lab, idx) => ({ lab, count: counts[idx], idx }))
+    .filter(c => c.count > 0 && !dropped.has(c.idx));
+  const total = kept.reduce((sum, c) => sum + c.count, 0);
+  if (total === 0) return [];
+
+  // Merge clusters that map to the same palette name
+  const byName = new Map<string, { labSum: Lab; count: number }>();
+  kept.forEach(({ lab, count }) => {
+    const name = nearestColorName(lab);
+    const entry = byName.get(name) || { labSum: [0, 0, 0] as Lab, count: 0 };
+    entry.labSum = [entry.labSum[0] + lab[0] * count, entry.labSum[1] + lab[1] * count, entry.labSum[2] + lab[2] * count];
+    entry.count += count;
+    byName.set(name, entry);
+  });
+
+  const palette = Array.from(byName.entries())
+    .map(([name, { labSum, count }]) => {
+      const lab: Lab = [labSum[0] / count, labSum[1] / count, labSum[2] / count];
+      return { name, lab, hex: rgbToHex(labToRgb(lab)), weight: count / total };
+    })
+    .filter(color => color.weight >= minWeight)
+    .sort((a, b) => b.weight - a.weight);
+
+  const keptWeight = palette.reduce((sum, c) => sum + c.weight, 0);
+  return palette.map(color => ({ ...color, weight: color.weight / keptWeight }));
+}
+
+/**
+ * Heuristic skin detector in YCbCr space
+ *
+ * @param rgb - Pixel color
+ * @returns True if the pixel falls in the common skin-tone range
+ */
+export function isSkinTone(rgb: Rgb): boolean {
+  const [r, g, b] = rgb;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return cb >= 77 && cb <= 127 && cr >= 137 && cr <= 173 && r > g && r > b;
+}
+
+/**
+ * Sample opaque pixels on a regular grid, flagging those on the border
+ */
+function samplePixels(image: DecodedImage, maxSamples: number, ignoreSkin: boolean): Sample[] {
+  const { width, height, data } = image;
+  const step = Math.max(1, Math.floor(Math.sqrt((width * height) / maxSamples)));
+  const borderX = Math.max(1, Math.round(width * 0.05));
+  const borderY = Math.max(1, Math.round(height * 0.05));
+  const samples: Sample[] = [];
+
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const i = (y * width + x) * 4;
+      if (data[i + 3] < 128) continue;
+
+      const rgb: Rgb = [data[i], data[i + 1], data[i + 2]];
+      if (ignoreSkin && isSkinTone(rgb)) continue;
+
+      samples.push({
+        lab: rgbToLab(rgb),
+        border: x < borderX || y < borderY || x >= width - borderX || y >= height - borderY
+      });
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * k-means with deterministic k-means++ seeding
+ */
+function kMeans(points: Lab[], k: number, iterations: number): Lab[] {
+  const random = mulberry32(points.length);
+  const centroids: Lab[] = [points[Math.floor(random() * points.length)]];
+
+  while (centroids.length < k) {
+    const distances = points.map(p => Math.min(...centroids.map(c => labDistance(p, c))) ** 2);
+    const total = distances.reduce((sum, d) => sum + d, 0);
+    if (total === 0) break;
+
+    let target = random() * total;
+    let chosen = 0;
+    for (; chosen < points.length - 1; chosen++) {
+      target -= distances[chosen];
+      if (target <= 0) break;
+    }
+    centroids.push(points[chosen]);
+  }
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const sums = centroids.map(() => [0, 0, 0, 0]);
+    points.forEach(p => {
+      const s = sums[nearestIndex(p, centroids)];
+      s[0] += p[0];
+      s[1] += p[1];
+      s[2] += p[2];
+      s[3]++;
+    });
+
+    let moved = 0;
+    sums.forEach((s, idx) => {
+      if (s[3] === 0) return;
+      const next: Lab = [s[0] / s[3], s[1] / s[3], s[2] / s[3]];
+      moved = Math.max(moved, labDistance(next, centroids[idx]));
+      centroids[idx] = next;
+    });
+
+    if (moved < 0.5) break;
+  }
+
+  return centroids;
+}
+
+function nearestIndex(point: Lab, centroids: Lab[]): number {
+  let best = 0;
+  let bestDistance = Infinity;
+  centroids.forEach((c, idx) => {
+    const d = labDistance(point, c);
+    if (d < bestDistance) {
+      bestDistance = d;
+      best = idx;
+    }
+  });
+  return best;
+}
@@ -0,0 +1,189 @@
+/**
+ * Versioned persistence for style profiles and engine state
+ *
+ * Everything the engine learns from boards is saved as plain JSON stamped
+ * with a schema version. Older documents are upgraded one version at a time
+ * when loaded, so anything saved by an earlier release keeps working.
+ *
+ * Version 1 is the profile shape from before weighted frequencies: ranked
+ * lists only. A bare profile without a version (for example one saved with
+ * JSON.stringify(engine.getStyleProfile())) is read as version 1 when it
+ * lacks the weight fields and as the current version otherwise.
+ *
+ * @module lib/persistence
+ */
+
+import { FashionItem, ShopperPreferences, StyleProfile } from './core';
+import type { SignalWeights } from './scoring';
+import type { OwnedItem } from './wardrobe';
+
+/**
+ * Current schema version of persisted documents
+ */
+export const SCHEMA_VERSION = 2;
+
+/**
+ * A style profile with its schema version
+ */
+export interface SerializedProfile {
+  schemaVersion: number;
+  profile: StyleProfile;
+}
+
+/**
+ * One analyzed board, with its pins stored as positions in EngineState.pins
+ */
+export interface SerializedBoardProfile {
+  boardId: string;
+  boardName: string;
+  occasion: string;
+  weight: number;
+  profile: StyleProfile;
+  pinIndexes: number[];
+}
+
+/**
+ * One aesthetic, with its pins stored as positions in EngineState.pins
+ */
+export interface SerializedAesthetic {
+  name: string;
+  share: number;
+  profile: StyleProfile;
+  pinIndexes: number[];
+}
+
+/**
+ * Everything needed to restore a recommendation engine
+ */
+export interface EngineState {
+  schemaVersion: number;
+  /** ISO timestamp of when the state was saved */
+  savedAt: string;
+  /** Merged profile, or null if no board was analyzed */
+  profile: StyleProfile | null;
+  /** The analyzed board (or merged boards) without its pins */
+  board: { id: string; name: string; description?: string } | null;
+  /** Every analyzed pin, stored once */
+  pins: FashionItem[];
+  boards: SerializedBoardProfile[];
+  aesthetics: SerializedAesthetic[];
+  shopper: ShopperPreferences;
+  recencyHalfLifeDays: number;
+  /** Scoring weights keyed by signal name */
+  weights: SignalWeights;
+  wardrobe?: OwnedItem[];
+}
+
+/**
+ * Upgrades a document from the version it is keyed by to the next one
+ */
+type Migration = (document: any) => any;
+
+const MIGRATIONS: Record<number, { profile: Migration; engine: Migration }> = {
+  // 1 -> 2: derive weighted frequencies from the ranked lists
+  1: {
+    profile: profile => addProfileWeights(profile),
+    engine: state => ({
+      ...state,
+      profile: state.profile ? addProfileWeights(state.profile) : null,
+      boards: (state.boards || []).map((board: any) => ({ ...board, profile: addProfileWeights(board.profile) })),
+      aesthetics: (state.aesthetics || []).map((aesthetic: any) => ({
+        ...aesthetic,
+        profile: addProfileWeights(aesthetic.profile)
+      }))
+    })
+  }
+};
+
+/**
+ * Wrap a profile with the current schema version
+ *
+ * @param profile - Profile to save
+ * @returns Versioned document
+ */
+export function serializeProfile(profile: StyleProfile): SerializedProfile {
+  return { schemaVersion: SCHEMA_VERSION, profile };
+}
+
+/**
+ * Read a saved profile, upgrading it to the current schema
+ *
+ * @param document - Versioned document, or a bare profile
+ * @returns Profile in the current schema
+ */
+export function deserializeProfile(document: unknown): StyleProfile {
+  if (!isObject(document)) {
+    throw new Error('Saved profile must be an object');
+  }
+
+  const versioned = 'schemaVersion' in document && 'profile' in document;
+  const profile = versioned ? document.profile : document;
+  const version = versioned
+    ? Number(document.schemaVersion)
+    : isObject(profile) && 'colorWeights' in profile ? SCHEMA_VERSION : 1;
+
+  if (!isObject(profile) || !Array.isArray(profile.dominantColors) || !Array.isArray(profile.styleKeywords)) {
+    throw new Error('Saved profile is missing its colors or style keywords');
+  }
+  return migrate(profile, version, 'profile');
+}
+
+/**
+ * Read saved engine state, upgrading it to the current schema
+ *
+ * @param document - State produced by the engine's toJSON
+ * @returns State in the current schema
+ */
+export function migrateEngineState(document: unknown): EngineState {
+  if (!isObject(document) || typeof document.schemaVersion !== 'number') {
+    throw new Error('Saved engine state must be an object with a schemaVersion');
+  }
+  const state = migrate(document, document.schemaVersion, 'engine') as EngineState;
+  if (!Array.isArray(state.pins) || !Array.isArray(state.boards)) {
+    throw new Error('Saved engine state is missing its pins or boards');
+  }
+  return state;
+}
+
+/**
+ * Apply migrations from a version up to the current one
+ */
+function migrate(document: any, version: number, kind: 'profile' | 'engine'): any {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid schema version: ${version}`);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Unsupported schema version ${version}; this release reads up to ${SCHEMA_VERSION}`);
+  }
+
+  let current = document;
+  for (let v = version; v < SCHEMA_VERSION; v++) {
+    current = MIGRATIONS[v][kind](current);
+  }
+  return kind === 'engine' ? { ...current, schemaVersion: SCHEMA_VERSION } : current;
+}
+
+/**
+ * Give a version 1 profile weighted frequencies. Only the ranks survive in
+ * version 1, so each list is weighted by 1 / rank.
+ */
+function addProfileWeights(profile: any): StyleProfile {
+  const byRank = (values: string[] = []) => {
+    const total = values.reduce((sum, _, idx) => sum + 1 / (idx + 1), 0);
+    return Object.fromEntries(values.map((value, idx) => [value, 1 / (idx + 1) / total]));
+  };
+
+  return {
+    ...profile,
+    colorWeights: byRank(profile.dominantColors),
+    styleWeights: byRank(profile.styleKeywords),
+    categoryWeights: byRank(profile.preferredCategories),
+    brandWeights: byRank(profile.favoredBrands),
+    categoryDistribution: profile.categoryDistribution || {},
+    totalItems: profile.totalItems || 0
+  };
+}
+
+function isObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
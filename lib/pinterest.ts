@@ -0,0 +1,445 @@
+/**
+ * Pinterest API v5 client
+ *
+ * This module handles the OAuth code exchange and token refresh, lists boards
+ * and board sections, pages through pins using bookmarks and backs off when
+ * the API rate-limits us. Raw pin JSON is mapped into FashionItem objects so
+ * boards can be passed straight to the recommendation engine.
+ *
+ * @module lib/pinterest
+ */
+
+import { FashionItem, PinterestBoard } from './core';
+import { enrichPin, EnrichmentOptions } from './enrichment';
+
+const DEFAULT_API_URL = 'https://api.pinterest.com/v5';
+const DEFAULT_AUTHORIZE_URL = 'https://www.pinterest.com/oauth/';
+
+/**
+ * Configuration for a Pinterest API client
+ */
+export interface PinterestClientConfig {
+  appId?: string;
+  appSecret?: string;
+  accessToken?: string;
+  refreshToken?: string;
+  /** API root, overridable so the client can run against a mock server */
+  baseUrl?: string;
+  authorizeUrl?: string;
+  /** Retries for 429 and 5xx responses before giving up */
+  maxRetries?: number;
+  /** Base delay for exponential backoff when no Retry-After header is sent */
+  retryBaseDelayMs?: number;
+  /** Page size for paginated endpoints (Pinterest allows up to 250) */
+  pageSize?: number;
+  /** Called whenever tokens are obtained or refreshed */
+  onTokens?: (tokens: OAuthTokens) => void;
+}
+
+/**
+ * OAuth tokens returned by the token endpoint
+ */
+export interface OAuthTokens {
+  accessToken: string;
+  refreshToken?: string;
+  expiresIn?: number;
+  refreshTokenExpiresIn?: number;
+  scope?: string;
+}
+
+/**
+ * Board metadata as listed by the API
+ */
+export interface PinterestBoardSummary {
+  id: string;
+  name: string;
+  description?: string;
+  pinCount?: number;
+  privacy?: string;
+}
+
+/**
+ * Board section metadata
+ */
+export interface PinterestSection {
+  id: string;
+  name: string;
+}
+
+/**
+ * Pin JSON as returned by the v5 API (only the fields we use)
+ */
+export interface RawPin {
+  id: string;
+  title?: string | null;
+  description?: string | null;
+  alt_text?: string | null;
+  link?: string | null;
+  board_id?: string;
+  board_section_id?: string | null;
+  created_at?: string;
+  dominant_color?: string | null;
+  media?: {
+    media_type?: string;
+    images?: Record<string, { url: string; width?: number; height?: number }>;
+  };
+  rich_metadata?: Record<string, any> | null;
+}
+
+/**
+ * One page of a paginated response
+ */
+interface Page<T> {
+  items: T[];
+  bookmark?: string | null;
+}
+
+/**
+ * Error raised for non-successful Pinterest API responses
+ */
+export class PinterestApiError extends Error {
+  public readonly status: number;
+  public readonly code?: number;
+
+  constructor(message: string, status: number, code?: number) {
+    super(message);
+    this.name = 'PinterestApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Client for the Pinterest API v5
+ */
+export class PinterestClient {
+  private config: Required<Pick<PinterestClientConfig, 'baseUrl' | 'authorizeUrl' | 'maxRetries' | 'retryBaseDelayMs' | 'pageSize'>> &
+    PinterestClientConfig;
+  private accessToken: string | null;
+  private refreshToken: string | null;
+
+  constructor(config: PinterestClientConfig = {}) {
+    this.config = {
+      baseUrl: DEFAULT_API_URL,
+      authorizeUrl: DEFAULT_AUTHORIZE_URL,
+      maxRetries: 3,
+      retryBaseDelayMs: 1000,
+      pageSize: 25,
+      ...config
+    };
+    this.config.baseUrl = this.config.baseUrl.replace(/\/+$/, '');
+    this.accessToken = config.accessToken || null;
+    this.refreshToken = config.refreshToken || null;
+  }
+
+  /**
+   * Build the URL users are sent to in order to authorize the app
+   *
+   * @param redirectUri - Registered redirect URI
+   * @param scopes - OAuth scopes to request
+   * @param state - Opaque value echoed back to the redirect URI
+   * @returns Authorization URL
+   */
+  public getAuthorizationUrl(
+    redirectUri: string,
+    scopes: string[] = ['boards:read', 'pins:read'],
+    state?: string
+  ): string {
+    const params = new URLSearchParams({
+      client_id: this._requireAppId(),
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      scope: scopes.join(',')
+    });
+    if (state) params.set('state', state);
+    return `${this.config.authorizeUrl}?${params.toString()}`;
+  }
+
+  /**
+   * Exchange an authorization code for access and refresh tokens
+   *
+   * @param code - Code received on the redirect URI
+   * @param redirectUri - Same redirect URI used to obtain the code
+   * @returns Issued tokens
+   */
+  public async exchangeCode(code: string, redirectUri: string): Promise<OAuthTokens> {
+    return this._requestTokens({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri
+    });
+  }
+
+  /**
+   * Obtain a new access token using the stored refresh token
+   *
+   * @returns Refreshed tokens
+   */
+  public async refreshAccessToken(): Promise<OAuthTokens> {
+    if (!this.refreshToken) {
+      throw new Error('No refresh token available. Call exchangeCode first.');
+    }
+    return this._requestTokens({
+      grant_type: 'refresh_token',
+      refresh_token: this.refreshToken
+    });
+  }
+
+  /**
+   * List all boards owned by the authenticated user
+   */
+  public async listBoards(): Promise<PinterestBoardSummary[]> {
+    const boards = await this._paginate<any>('/boards');
+    return boards.map(board => ({
+      id: board.id,
+      name: board.name,
+      description: board.description || undefined,
+      pinCount: board.pin_count,
+      privacy: board.privacy
+    }));
+  }
+
+  /**
+   * List the sections of a board
+   *
+   * @param boardId - Board to list sections for
+   */
+  public async listBoardSections(boardId: string): Promise<PinterestSection[]> {
+    const sections = await this._paginate<any>(`/boards/${encodeURIComponent(boardId)}/sections`);
+    return sections.map(section => ({ id: section.id, name: section.name }));
+  }
+
+  /**
+   * Fetch every pin on a board, or in one of its sections
+   *
+   * @param boardId - Board to read pins from
+   * @param sectionId - Optional section to restrict to
+   * @returns Raw pin objects
+   */
+  public async listPins(boardId: string, sectionId?: string): Promise<RawPin[]> {
+    const base = `/boards/${encodeURIComponent(boardId)}`;
+    const path = sectionId ? `${base}/sections/${encodeURIComponent(sectionId)}/pins` : `${base}/pins`;
+    return this._paginate<RawPin>(path);
+  }
+
+  /**
+   * Load a board with all of its pins mapped to fashion items
+   *
+   * @param boardId - Board to load
+   * @returns Board ready for FashionRecommendationEngine.analyzePinterestBoard
+   */
+  public async getBoard(boardId: string): Promise<PinterestBoard> {
+    const board = await this._request<any>('GET', `/boards/${encodeURIComponent(boardId)}`);
+    const pins = await this.listPins(boardId);
+
+    return {
+      id: board.id,
+      name: board.name,
+      description: board.description || undefined,
+      pins: pins.map(pin => mapPinToFashionItem(pin))
+    };
+  }
+
+  /**
+   * Follow bookmarks until every page of an endpoint has been read
+   * @private
+   */
+  private async _paginate<T>(path: string): Promise<T[]> {
+    const results: T[] = [];
+    let bookmark: string | null | undefined;
+
+    do {
+      const query: Record<string, string> = { page_size: String(this.config.pageSize) };
+      if (bookmark) query.bookmark = bookmark;
+
+      const page = await this._request<Page<T>>('GET', path, query);
+      results.push(...(page.items || []));
+      bookmark = page.bookmark;
+    } while (bookmark);
+
+    return results;
+  }
+
+  /**
+   * Perform an authenticated API request, retrying on rate limits and
+   * refreshing the access token once if it has expired
+   * @private
+   */
+  private async _request<T>(method: string, path: string, query?: Record<string, string>): Promise<T> {
+    const url = new URL(this.config.baseUrl + path);
+    if (query) {
+      Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+    }
+
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      if (!this.accessToken) {
+        throw new Error('No access token. Provide accessToken or call exchangeCode first.');
+      }
+
+      const response = await fetch(url.toString(), {
+        method,
+        headers: {
+          Authorization: `Bearer ${this.accessToken}`,
+          Accept: 'application/json'
+        }
+      });
+
+      if (response.status === 401 && this.refreshToken && !refreshed) {
+        refreshed = true;
+        await this.refreshAccessToken();
+        attempt--;
+        continue;
+      }
+
+      if ((response.status === 429 || response.status >= 500) && attempt < this.config.maxRetries) {
+        await sleep(this._retryDelay(response, attempt));
+        continue;
+      }
+
+      return this._parseResponse<T>(response);
+    }
+  }
+
+  /**
+   * POST to the OAuth token endpoint and store the issued tokens
+   * @private
+   */
+  private async _requestTokens(params: Record<string, string>): Promise<OAuthTokens> {
+    const credentials = Buffer.from(`${this._requireAppId()}:${this.config.appSecret || ''}`).toString('base64');
+
+    const response = await fetch(`${this.config.baseUrl}/oauth/token`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json'
+      },
+      body: new URLSearchParams(params).toString()
+    });
+
+    const body = await this._parseResponse<any>(response);
+    const tokens: OAuthTokens = {
+      accessToken: body.access_token,
+      refreshToken: body.refresh_token || this.refreshToken || undefined,
+      expiresIn: body.expires_in,
+      refreshTokenExpiresIn: body.refresh_token_expires_in,
+      scope: body.scope
+    };
+
+    this.accessToken = tokens.accessToken;
+    this.refreshToken = tokens.refreshToken || null;
+    if (this.config.onTokens) this.config.onTokens(tokens);
+
+    return tokens;
+  }
+
+  /**
+   * Decode a JSON response or throw a PinterestApiError
+   * @private
+   */
+  private async _parseResponse<T>(response: Response): Promise<T> {
+    const text = await response.text();
+    let body: any = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch {
+      body = null;
+    }
+
+    if (!response.ok) {
+      const message = body?.message || response.statusText || 'Request failed';
+      throw new PinterestApiError(`Pinterest API error ${response.status}: ${message}`, response.status, body?.code);
+    }
+
+    return body as T;
+  }
+
+  /**
+   * Work out how long to wait before retrying a throttled request
+   * @private
+   */
+  private _retryDelay(response: Response, attempt: number): number {
+    const retryAfter = Number(response.headers.get('retry-after'));
+    if (Number.isFinite(retryAfter) && retryAfter > 0) {
+      return retryAfter * 1000;
+    }
+
+    const reset = Number(response.headers.get('x-ratelimit-reset'));
+    if (Number.isFinite(reset) && reset > 0) {
+      // Either seconds-until-reset or an epoch timestamp
+      const seconds = reset > 1e9 ? reset - Date.now() / 1000 : reset;
+      if (seconds > 0) return seconds * 1000;
+    }
+
+    const jitter = Math.random() * this.config.retryBaseDelayMs;
+    return this.config.retryBaseDelayMs * Math.pow(2, attempt) + jitter;
+  }
+
+  /**
+   * @private
+   */
+  private _requireAppId(): string {
+    if (!this.config.appId) {
+      throw new Error('appId is required for OAuth requests.');
+    }
+    return this.config.appId;
+  }
+}
+
+/**
+ * Map a raw pin into a FashionItem
+ *
+ * @param pin - Pin JSON from the API
+ * @param options - Enrichment options such as a custom brand dictionary
+ * @returns Fashion item enriched from the pin's text, link and metadata
+ */
+export function mapPinToFashionItem(pin: RawPin, options: EnrichmentOptions = {}): FashionItem {
+  return enrichPin(pin, pickImageUrl(pin), options);
+}
+
+/**
+ * Create a Pinterest client from an access token or a full configuration
+ *
+ * @param config - Access token or client configuration
+ * @returns New PinterestClient instance
+ */
+export function createPinterestClient(config: string | PinterestClientConfig): PinterestClient {
+  return new PinterestClient(typeof config === 'string' ? { accessToken: config } : config);
+}
+
+/**
+ * Quick function to fetch the pins of a board as fashion items
+ *
+ * @param options - Board ID, access token and optional client settings
+ * @returns Array of fashion items
+ */
+export async function fetchBoardPins(
+  options: { boardId: string; accessToken: string; sectionId?: string } & PinterestClientConfig
+): Promise<FashionItem[]> {
+  const { boardId, sectionId, ...config } = options;
+  const client = createPinterestClient(config);
+  const pins = await client.listPins(boardId, sectionId);
+  return pins.map(pin => mapPinToFashionItem(pin));
+}
+
+/**
+ * Pick the largest available image from a pin's media
+ */
+function pickImageUrl(pin: RawPin): string {
+  const images = pin.media?.images;
+  if (!images) return '';
+
+  if (images.originals) return images.originals.url;
+
+  const best = Object.values(images).sort((a, b) => (b.width || 0) - (a.width || 0))[0];
+  return best ? best.url : '';
+}
+
+/**
+ * Promise-based delay
+ */
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
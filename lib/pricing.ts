@@ -0,0 +1,385 @@
+/**
+ * Prices, currencies and size availability
+ *
+ * Items may be listed in any currency and carry a sale price alongside their
+ * list price. An exchange-rate table converts between currencies without a
+ * network call; the built-in rates are a snapshot and can be replaced with
+ * fresher ones. Prices are compared against a profile's price distribution on
+ * a log scale, so being $20 over a $40 habit counts more than $20 over $400.
+ *
+ * @module lib/pricing
+ */
+
+import type { FashionItem } from './core';
+
+/**
+ * Stock for one size of an item
+ */
+export interface SizeAvailability {
+  size: string;
+  inStock: boolean;
+}
+
+/**
+ * Distribution of the prices a profile was built from
+ */
+export interface PriceDistribution {
+  /** Currency the distribution is expressed in */
+  currency: string;
+  /** Mean of the natural log of the prices */
+  logMean: number;
+  /** Standard deviation of the natural log of the prices */
+  logStdDev: number;
+  /** Number of prices the distribution was built from */
+  count: number;
+}
+
+/**
+ * Percentiles of a set of prices
+ */
+export interface PricePercentiles {
+  p10: number;
+  p25: number;
+  p50: number;
+  p75: number;
+  p90: number;
+}
+
+/**
+ * Serialized exchange-rate table
+ */
+export interface ExchangeRateSnapshot {
+  base: string;
+  /** Date the rates were taken, as an ISO date */
+  asOf?: string;
+  /** Units of each currency per one unit of the base currency */
+  rates: Record<string, number>;
+}
+
+/**
+ * Currency assumed for items that don't state one
+ */
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Built-in rates, in units per US dollar, for use when no fresher table is loaded
+ */
+export const DEFAULT_EXCHANGE_RATES: ExchangeRateSnapshot = {
+  base: 'USD',
+  asOf: '2024-06-03',
+  rates: {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.785,
+    JPY: 156.9,
+    CAD: 1.367,
+    AUD: 1.503,
+    NZD: 1.626,
+    CHF: 0.894,
+    SEK: 10.49,
+    NOK: 10.52,
+    DKK: 6.862,
+    PLN: 3.94,
+    INR: 83.1,
+    CNY: 7.24,
+    HKD: 7.81,
+    SGD: 1.349,
+    KRW: 1376,
+    MXN: 17.0,
+    BRL: 5.18,
+    AED: 3.673
+  }
+};
+
+// Spread assumed for a distribution of near-identical prices, roughly ±20%
+const MIN_LOG_STD_DEV = 0.2;
+
+const SIZE_ALIASES: Record<string, string> = {
+  'XXSMALL': 'XXS',
+  'XSMALL': 'XS',
+  'EXTRASMALL': 'XS',
+  'SMALL': 'S',
+  'MEDIUM': 'M',
+  'MED': 'M',
+  'LARGE': 'L',
+  'XLARGE': 'XL',
+  'EXTRALARGE': 'XL',
+  'XXLARGE': 'XXL',
+  '2XL': 'XXL',
+  'XXXLARGE': 'XXXL',
+  '3XL': 'XXXL',
+  'OS': 'ONE SIZE',
+  'ONESIZE': 'ONE SIZE',
+  'ONESIZEFITSALL': 'ONE SIZE'
+};
+
+/**
+ * Exchange rates relative to a base currency
+ */
+export class ExchangeRateTable {
+  private base: string;
+  private asOf?: string;
+  private rates = new Map<string, number>();
+
+  constructor(snapshot: ExchangeRateSnapshot = DEFAULT_EXCHANGE_RATES) {
+    this.base = normalizeCurrency(snapshot.base);
+    this.asOf = snapshot.asOf;
+    this.rates.set(this.base, 1);
+    this.setRates(snapshot.rates);
+  }
+
+  /**
+   * Set the rate of one currency
+   *
+   * @param currency - ISO 4217 code
+   * @param rate - Units of the currency per one unit of the base currency
+   */
+  public setRate(currency: string, rate: number): this {
+    const code = normalizeCurrency(currency);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw new Error(`Invalid exchange rate for ${code}: ${rate}`);
+    }
+    if (code === this.base && rate !== 1) {
+      throw new Error(`The base currency rate must be 1: ${code}`);
+    }
+    this.rates.set(code, rate);
+    return this;
+  }
+
+  /**
+   * Set several rates at once
+   *
+   * @param rates - Rates keyed by currency code
+   * @param asOf - Date the rates were taken
+   */
+  public setRates(rates: Record<string, number>, asOf?: string): this {
+    Object.entries(rates).forEach(([currency, rate]) => this.setRate(currency, rate));
+    if (asOf) this.asOf = asOf;
+    return this;
+  }
+
+  /**
+   * Whether the table has a rate for a currency
+   *
+   * @param currency - ISO 4217 code
+   */
+  public supports(currency: string): boolean {
+    return this.rates.has(currency.trim().toUpperCase());
+  }
+
+  /**
+   * Convert an amount between two currencies
+   *
+   * @param amount - Amount in the source currency
+   * @param from - Source currency code
+   * @param to - Target currency code
+   * @returns Amount in the target currency
+   */
+  public convert(amount: number, from: string, to: string): number {
+    const source = normalizeCurrency(from);
+    const target = normalizeCurrency(to);
+    if (source === target) return amount;
+
+    const fromRate = this.rates.get(source);
+    const toRate = this.rates.get(target);
+    if (fromRate === undefined) throw new Error(`Unknown currency: ${source}`);
+    if (toRate === undefined) throw new Error(`Unknown currency: ${target}`);
+    return (amount / fromRate) * toRate;
+  }
+
+  /**
+   * Base currency of the table
+   */
+  public getBaseCurrency(): string {
+    return this.base;
+  }
+
+  /**
+   * Serialize the table
+   */
+  public toJSON(): ExchangeRateSnapshot {
+    return { base: this.base, ...(this.asOf && { asOf: this.asOf }), rates: Object.fromEntries(this.rates) };
+  }
+
+  /**
+   * Restore a table serialized with toJSON
+   *
+   * @param snapshot - Serialized table
+   */
+  public static fromJSON(snapshot: ExchangeRateSnapshot): ExchangeRateTable {
+    return new ExchangeRateTable(snapshot);
+  }
+}
+
+/**
+ * Create an exchange-rate table
+ *
+ * @param snapshot - Rates to load (default: the built-in offline rates)
+ * @returns New ExchangeRateTable instance
+ */
+export function createExchangeRateTable(snapshot: ExchangeRateSnapshot = DEFAULT_EXCHANGE_RATES): ExchangeRateTable {
+  return new ExchangeRateTable(snapshot);
+}
+
+const defaultRates = new ExchangeRateTable();
+
+/**
+ * What an item costs right now: its sale price when it has one, otherwise its list price
+ *
+ * @param item - Item to price
+ * @returns Amount in the item's currency, or undefined when it has no price
+ */
+export function effectivePrice(item: FashionItem): number | undefined {
+  if (item.salePrice !== undefined && (item.price === undefined || item.salePrice < item.price)) {
+    return item.salePrice;
+  }
+  return item.price;
+}
+
+/**
+ * Fraction taken off the list price
+ *
+ * @param item - Item to check
+ * @returns Discount between 0 and 1; 0 when the item is not on sale
+ */
+export function saleDiscount(item: FashionItem): number {
+  if (item.salePrice === undefined || !item.price || item.salePrice >= item.price) return 0;
+  return 1 - item.salePrice / item.price;
+}
+
+/**
+ * An item's effective price in another currency
+ *
+ * @param item - Item to price
+ * @param currency - Currency to convert to
+ * @param rates - Exchange rates (default: the built-in offline rates)
+ * @returns Converted amount, or undefined when the item has no price or either currency is unknown
+ */
+export function priceIn(
+  item: FashionItem,
+  currency: string,
+  rates: ExchangeRateTable = defaultRates
+): number | undefined {
+  const amount = effectivePrice(item);
+  if (amount === undefined) return undefined;
+
+  const from = item.currency || DEFAULT_CURRENCY;
+  if (!rates.supports(from) || !rates.supports(currency)) return undefined;
+  return rates.convert(amount, from, currency);
+}
+
+/**
+ * Fit a log-normal distribution to a set of prices
+ *
+ * @param prices - Prices, all in one currency
+ * @param currency - Currency of the prices
+ * @param weights - Weight of each price (default: equal)
+ * @returns Distribution, or undefined when there are no positive prices
+ */
+export function buildPriceDistribution(
+  prices: number[],
+  currency: string,
+  weights?: number[]
+): PriceDistribution | undefined {
+  const samples = weightedSamples(prices, weights).filter(s => s.value > 0);
+  const total = samples.reduce((sum, s) => sum + s.weight, 0);
+  if (total <= 0) return undefined;
+
+  const logMean = samples.reduce((sum, s) => sum + s.weight * Math.log(s.value), 0) / total;
+  const variance = samples.reduce((sum, s) => sum + s.weight * (Math.log(s.value) - logMean) ** 2, 0) / total;
+  return { currency, logMean, logStdDev: Math.sqrt(variance), count: samples.length };
+}
+
+/**
+ * Weighted percentiles of a set of prices
+ *
+ * Each percentile is the smallest price whose cumulative weight reaches it,
+ * so a lone outlier only moves the extreme percentiles once it carries more
+ * than a tenth of the weight.
+ *
+ * @param prices - Prices, all in one currency
+ * @param weights - Weight of each price (default: equal)
+ * @returns Percentiles, or undefined when there are no prices with weight
+ */
+export function computePricePercentiles(prices: number[], weights?: number[]): PricePercentiles | undefined {
+  const samples = weightedSamples(prices, weights).sort((a, b) => a.value - b.value);
+  const total = samples.reduce((sum, s) => sum + s.weight, 0);
+  if (total <= 0) return undefined;
+
+  const percentile = (p: number) => {
+    let cumulative = 0;
+    for (const sample of samples) {
+      cumulative += sample.weight;
+      if (cumulative >= p * total - 1e-9) return sample.value;
+    }
+    return samples[samples.length - 1].value;
+  };
+
+  return { p10: percentile(0.1), p25: percentile(0.25), p50: percentile(0.5), p75: percentile(0.75), p90: percentile(0.9) };
+}
+
+/**
+ * How typical a price is for a distribution
+ *
+ * @param price - Price in the distribution's currency
+ * @param distribution - Distribution to compare against
+ * @returns 1 at the distribution's geometric mean, falling off smoothly either side
+ */
+export function priceFit(price: number, distribution: PriceDistribution): number {
+  if (price <= 0) return 0;
+  const spread = Math.max(distribution.logStdDev, MIN_LOG_STD_DEV);
+  const z = (Math.log(price) - distribution.logMean) / spread;
+  return Math.exp(-(z * z) / 2);
+}
+
+/**
+ * Canonical form of a size label, so "Medium", "m" and "M" compare equal
+ *
+ * @param size - Size label
+ * @returns Normalized label
+ */
+export function normalizeSize(size: string): string {
+  const upper = size.trim().toUpperCase();
+  const compact = upper.replace(/[\s\-_.]/g, '');
+  return SIZE_ALIASES[compact] || upper.replace(/\s+/g, ' ');
+}
+
+/**
+ * Whether an item can be bought in one of the shopper's sizes
+ *
+ * Items reported out of stock never qualify. When the item has no per-size
+ * stock, or the shopper gave no sizes for its category, its overall
+ * availability decides. One-size items qualify whenever that size is in stock.
+ *
+ * @param item - Item to check
+ * @param sizes - Shopper's sizes for the item's category
+ * @returns True if the item can be bought
+ */
+export function isAvailableInSize(item: FashionItem, sizes?: string[]): boolean {
+  if (item.availability === 'out_of_stock') return false;
+  if (!item.sizes || item.sizes.length === 0) return true;
+
+  const inStock = item.sizes.filter(s => s.inStock).map(s => normalizeSize(s.size));
+  if (inStock.length === 0) return false;
+  if (!sizes || sizes.length === 0) return true;
+
+  const wanted = new Set([...sizes.map(normalizeSize), 'ONE SIZE']);
+  return inStock.some(size => wanted.has(size));
+}
+
+function weightedSamples(values: number[], weights?: number[]): Array<{ value: number; weight: number }> {
+  return values
+    .map((value, idx) => ({ value, weight: weights ? weights[idx] : 1 }))
+    .filter(s => Number.isFinite(s.value) && s.weight > 0);
+}
+
+/**
+ * Uppercase and check a currency code
+ */
+function normalizeCurrency(currency: string): string {
+  const code = currency.trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw new Error(`Invalid currency code: ${currency}`);
+  }
+  return code;
+}
@@ -0,0 +1,357 @@
+/**
+ * Style profile history and drift
+ *
+ * Keeps a snapshot of each user's profile every time their boards are
+ * analyzed and compares snapshots to describe how their taste moved: which
+ * colors and styles gained or lost ground, which favorites were displaced and
+ * by what, and how far the profile drifted overall.
+ *
+ * @module lib/profile-history
+ */
+
+import { StyleProfile, WeightedFrequencies } from './core';
+import { SCHEMA_VERSION, deserializeProfile } from './persistence';
+
+/**
+ * A profile as it was at one point in time
+ */
+export interface ProfileSnapshot {
+  /** ISO timestamp of when the snapshot was taken */
+  takenAt: string;
+  /** Boards the profile was built from */
+  boardIds: string[];
+  profile: StyleProfile;
+}
+
+/**
+ * Profile fields that are compared between snapshots
+ */
+export type ProfileField = 'colors' | 'styles' | 'categories' | 'brands';
+
+/**
+ * How one value's share of the profile changed
+ */
+export interface ValueChange {
+  value: string;
+  /** Share before (0-1) */
+  before: number;
+  /** Share after (0-1) */
+  after: number;
+  /** after - before */
+  change: number;
+}
+
+/**
+ * Changes to one profile field
+ */
+export interface FieldDiff {
+  /** Values whose share rose by at least the minimum change, largest rise first */
+  rising: ValueChange[];
+  /** Values whose share fell by at least the minimum change, largest fall first */
+  falling: ValueChange[];
+  /** Values that entered the field's top list */
+  added: string[];
+  /** Values that left the field's top list */
+  removed: string[];
+  /** Values that lost the top spot or left the top list, each paired with the one that took their place */
+  replaced: Array<{ from: string; to: string }>;
+  /** Total variation distance between the two sets of shares (0-1) */
+  distance: number;
+}
+
+/**
+ * Everything that changed between two profiles
+ */
+export interface ProfileDiff {
+  fields: Record<ProfileField, FieldDiff>;
+  /** Change in the median pin price, when both profiles price in one currency */
+  price?: { before: number; after: number; change: number };
+  /** Overall drift between 0 (unchanged) and 1 (nothing in common) */
+  drift: number;
+  /** Human-readable changes, most significant first */
+  summary: string[];
+}
+
+/**
+ * Options for comparing profiles
+ */
+export interface DiffOptions {
+  /** Smallest change in share reported as rising or falling (default: 0.1) */
+  minChange?: number;
+}
+
+/**
+ * How a user's style moved over a stretch of their history
+ */
+export interface StyleEvolution {
+  from: ProfileSnapshot;
+  to: ProfileSnapshot;
+  diff: ProfileDiff;
+  /** True when the drift reached the threshold */
+  evolving: boolean;
+  headline: string;
+}
+
+/**
+ * Options for the profile history
+ */
+export interface ProfileHistoryOptions {
+  /** Snapshots kept per user; the oldest are dropped first (default: 100) */
+  maxSnapshotsPerUser?: number;
+}
+
+/**
+ * Serialized profile history
+ */
+export interface SerializedProfileHistory {
+  schemaVersion: number;
+  users: Record<string, ProfileSnapshot[]>;
+}
+
+const FIELDS: Array<{
+  field: ProfileField;
+  weights: (profile: StyleProfile) => WeightedFrequencies;
+  top: (profile: StyleProfile) => string[];
+  /** Share of the overall drift, mirroring the default scoring weights */
+  influence: number;
+}> = [
+  { field: 'styles', weights: p => p.styleWeights, top: p => p.styleKeywords, influence: 0.4 },
+  { field: 'colors', weights: p => p.colorWeights, top: p => p.dominantColors, influence: 0.3 },
+  { field: 'categories', weights: p => p.categoryWeights, top: p => p.preferredCategories, influence: 0.15 },
+  { field: 'brands', weights: p => p.brandWeights, top: p => p.favoredBrands, influence: 0.15 }
+];
+
+/**
+ * Snapshots of each user's profile over time
+ */
+export class ProfileHistory {
+  private snapshots = new Map<string, ProfileSnapshot[]>();
+  private maxSnapshotsPerUser: number;
+
+  constructor(options: ProfileHistoryOptions = {}) {
+    this.maxSnapshotsPerUser = options.maxSnapshotsPerUser ?? 100;
+    if (!Number.isInteger(this.maxSnapshotsPerUser) || this.maxSnapshotsPerUser < 2) {
+      throw new Error(`maxSnapshotsPerUser must be an integer of at least 2: ${options.maxSnapshotsPerUser}`);
+    }
+  }
+
+  /**
+   * Add a snapshot of a user's profile
+   *
+   * @param userId - User the profile belongs to
+   * @param profile - Profile to record
+   * @param meta - Boards it was built from and when it was taken (default: now)
+   * @returns The stored snapshot
+   */
+  public record(
+    userId: string,
+    profile: StyleProfile,
+    meta: { boardIds?: string[]; takenAt?: Date } = {}
+  ): ProfileSnapshot {
+    const snapshot: ProfileSnapshot = {
+      takenAt: (meta.takenAt || new Date()).toISOString(),
+      boardIds: meta.boardIds || [],
+      profile
+    };
+
+    const list = this.snapshots.get(userId) || [];
+    list.push(snapshot);
+    list.sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+    if (list.length > this.maxSnapshotsPerUser) {
+      list.splice(0, list.length - this.maxSnapshotsPerUser);
+    }
+    this.snapshots.set(userId, list);
+    return snapshot;
+  }
+
+  /**
+   * A user's snapshots, oldest first
+   *
+   * @param userId - User id
+   */
+  public getSnapshots(userId: string): ProfileSnapshot[] {
+    return [...(this.snapshots.get(userId) || [])];
+  }
+
+  /**
+   * A user's most recent snapshot
+   *
+   * @param userId - User id
+   */
+  public latest(userId: string): ProfileSnapshot | undefined {
+    const list = this.snapshots.get(userId);
+    return list ? list[list.length - 1] : undefined;
+  }
+
+  /**
+   * Users with at least one snapshot
+   */
+  public getUserIds(): string[] {
+    return Array.from(this.snapshots.keys());
+  }
+
+  /**
+   * Describe how a user's style moved between an earlier snapshot and the latest
+   *
+   * @param userId - User id
+   * @param options - Start of the window (default: the first snapshot), drift
+   *   threshold for calling the style evolving (default: 0.2) and diff options
+   * @returns Evolution, or null when there are fewer than two snapshots to compare
+   */
+  public getEvolution(
+    userId: string,
+    options: DiffOptions & { since?: Date; threshold?: number } = {}
+  ): StyleEvolution | null {
+    const list = this.snapshots.get(userId) || [];
+    const since = options.since?.toISOString();
+    const from = since ? list.find(snapshot => snapshot.takenAt >= since) : list[0];
+    const to = list[list.length - 1];
+    if (!from || !to || from === to) return null;
+
+    const diff = diffProfiles(from.profile, to.profile, options);
+    const evolving = diff.drift >= (options.threshold ?? 0.2) && diff.summary.length > 0;
+    return {
+      from,
+      to,
+      diff,
+      evolving,
+      headline: evolving
+        ? `Your style is evolving: ${diff.summary.slice(0, 3).join(', ')}`
+        : 'Your style has held steady'
+    };
+  }
+
+  /**
+   * Serialize the history
+   */
+  public toJSON(): SerializedProfileHistory {
+    return { schemaVersion: SCHEMA_VERSION, users: Object.fromEntries(this.snapshots) };
+  }
+
+  /**
+   * Load a history serialized with toJSON, upgrading older profiles
+   *
+   * @param document - Serialized history
+   * @param options - History options
+   * @returns New ProfileHistory instance
+   */
+  public static fromJSON(document: SerializedProfileHistory, options: ProfileHistoryOptions = {}): ProfileHistory {
+    const history = new ProfileHistory(options);
+    Object.entries(document.users || {}).forEach(([userId, snapshots]) => {
+      snapshots.forEach(snapshot => {
+        const profile = deserializeProfile({ schemaVersion: document.schemaVersion, profile: snapshot.profile });
+        history.record(userId, profile, { boardIds: snapshot.boardIds, takenAt: new Date(snapshot.takenAt) });
+      });
+    });
+    return history;
+  }
+}
+
+/**
+ * Create an empty profile history
+ *
+ * @param options - History options
+ * @returns New ProfileHistory instance
+ */
+export function createProfileHistory(options: ProfileHistoryOptions = {}): ProfileHistory {
+  return new ProfileHistory(options);
+}
+
+/**
+ * Compare two profiles
+ *
+ * @param before - Earlier profile
+ * @param after - Later profile
+ * @param options - Smallest change worth reporting
+ * @returns Per-field changes, price change, overall drift and a summary
+ */
+export function diffProfiles(before: StyleProfile, after: StyleProfile, options: DiffOptions = {}): ProfileDiff {
+  const minChange = options.minChange ?? 0.1;
+  const fields = {} as Record<ProfileField, FieldDiff>;
+  const notes: Array<{ text: string; magnitude: number }> = [];
+  let drift = 0;
+
+  FIELDS.forEach(({ field, weights, top, influence }) => {
+    const diff = diffField(weights(before), weights(after), top(before), top(after), minChange);
+    fields[field] = diff;
+    drift += influence * diff.distance;
+
+    const replacedValues = new Set(diff.replaced.flatMap(r => [r.from, r.to]));
+    diff.replaced.forEach(({ from, to }) => notes.push({
+      text: `${from} replaced by ${to}`,
+      magnitude: Math.max(weights(before)[from] || 0, weights(after)[to] || 0)
+    }));
+    [...diff.rising, ...diff.falling]
+      .filter(change => !replacedValues.has(change.value))
+      .forEach(change => notes.push({
+        text: `${change.value} ${change.change > 0 ? 'up' : 'down'} ${Math.round(Math.abs(change.change) * 100)}%`,
+        magnitude: Math.abs(change.change)
+      }));
+  });
+
+  let price: ProfileDiff['price'];
+  const beforeMedian = before.pricePercentiles?.p50;
+  const afterMedian = after.pricePercentiles?.p50;
+  if (beforeMedian && afterMedian && (before.currency || 'USD') === (after.currency || 'USD')) {
+    const change = afterMedian / beforeMedian - 1;
+    price = { before: beforeMedian, after: afterMedian, change };
+    if (Math.abs(change) >= 0.15) {
+      notes.push({
+        text: `typical spend ${change > 0 ? 'up' : 'down'} ${Math.round(Math.abs(change) * 100)}%`,
+        magnitude: Math.min(1, Math.abs(change)) / 2
+      });
+    }
+  }
+
+  return {
+    fields,
+    ...(price && { price }),
+    drift,
+    summary: notes.sort((a, b) => b.magnitude - a.magnitude).map(note => note.text)
+  };
+}
+
+/**
+ * Compare one field's shares and top lists
+ */
+function diffField(
+  before: WeightedFrequencies,
+  after: WeightedFrequencies,
+  beforeTop: string[],
+  afterTop: string[],
+  minChange: number
+): FieldDiff {
+  const values = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes: ValueChange[] = Array.from(values).map(value => {
+    const b = before[value] || 0;
+    const a = after[value] || 0;
+    return { value, before: b, after: a, change: a - b };
+  });
+
+  const distance = changes.reduce((sum, c) => sum + Math.abs(c.change), 0) / 2;
+  const removed = beforeTop.filter(value => !afterTop.includes(value));
+  const added = afterTop.filter(value => !beforeTop.includes(value));
+
+  // Pair departures with arrivals in rank order, ignoring reshuffles among minor values
+  const replaced = removed.slice(0, added.length)
+    .map((from, idx) => ({ from, to: added[idx] }))
+    .filter(({ from, to }) => Math.max(before[from] || 0, after[to] || 0) >= minChange);
+
+  // A new favorite displaces the old one even if the old one stays in the list
+  const [oldLeader] = beforeTop;
+  const [newLeader] = afterTop;
+  if (oldLeader && newLeader && oldLeader !== newLeader &&
+    !replaced.some(r => r.from === oldLeader || r.to === newLeader) &&
+    (after[oldLeader] || 0) < (before[oldLeader] || 0)) {
+    replaced.unshift({ from: oldLeader, to: newLeader });
+  }
+
+  return {
+    rising: changes.filter(c => c.change >= minChange).sort((a, b) => b.change - a.change),
+    falling: changes.filter(c => c.change <= -minChange).sort((a, b) => a.change - b.change),
+    added,
+    removed,
+    replaced,
+    distance
+  };
+}
@@ -0,0 +1,515 @@
+/**
+ * Structured, localizable recommendation reasons
+ *
+ * A reason records why an item was recommended as data: what kind of reason
+ * it is, which scoring signal it explains and how strongly, which of the
+ * item's values matched, and which of the user's pins those matches came
+ * from. Turning reasons into text is left to a message catalog, so a UI can
+ * style, reorder, translate or A/B test the wording without touching ranking.
+ *
+ * @module lib/reasons
+ */
+
+import type { FashionItem, Recommendation, StyleProfile } from './core';
+import { bestColorPairing, colorRelation, describePalette } from './color';
+import { ExchangeRateTable, priceFit, priceIn, saleDiscount } from './pricing';
+import { itemSimilarity } from './wardrobe';
+import { getSeasonalAttributes } from './season';
+import { normalizeText } from './utils';
+import type { VisualIndex } from './visual';
+
+/**
+ * Kinds of reason, in the order they are listed
+ */
+export type ReasonType =
+  | 'similar_pin'
+  | 'visual_match'
+  | 'color_match'
+  | 'color_complement'
+  | 'style_match'
+  | 'category_preference'
+  | 'favorite_brand'
+  | 'price_fit'
+  | 'price_drop'
+  | 'wardrobe_pairing'
+  | 'aesthetic_fit'
+  | 'season_fit'
+  | 'serendipity';
+
+/**
+ * A pin cited as the source of a reason
+ */
+export interface PinCitation {
+  id: string;
+  title: string;
+  imageUrl: string;
+  link?: string;
+}
+
+/**
+ * An amount of money in a currency
+ */
+export interface Money {
+  amount: number;
+  currency: string;
+}
+
+/**
+ * Value substituted into a message
+ */
+export type ReasonParam = string | number | string[] | Money;
+
+/**
+ * Why an item was recommended
+ */
+export interface RecommendationReason {
+  type: ReasonType;
+  /** Scoring signal the reason explains, when there is one */
+  signal?: string;
+  /** Strength of the reason (0-1): the signal's score, or a similarity or discount */
+  score?: number;
+  /** The item's values that matched the profile, such as colors or style keywords */
+  matched: string[];
+  /** Pins behind the reason, most relevant first */
+  pins: PinCitation[];
+  /** Values for the message template */
+  params: Record<string, ReasonParam>;
+}
+
+/**
+ * Message templates and formatting conventions for one locale
+ *
+ * Templates use `{name}` placeholders and the ICU plural form
+ * `{count, plural, one {...} other {...}}`, where `#` stands for the count.
+ */
+export interface MessageCatalog {
+  /** BCP 47 tag used for numbers, currencies and plural rules */
+  locale: string;
+  messages: Record<ReasonType, string>;
+  /** Placed between the items of a list parameter */
+  listSeparator: string;
+  /**
+   * Translations of data values such as category names, colors, style words and
+   * palette descriptions. Values without an entry (brands, pin titles, free-form
+   * style tags and most aesthetic names) are shown as given.
+   */
+  terms?: Record<string, string>;
+}
+
+/**
+ * Everything needed to explain a recommendation
+ */
+export interface ReasonContext {
+  profile: StyleProfile;
+  /** Pins the profile was built from */
+  pins: FashionItem[];
+  exchangeRates?: ExchangeRateTable;
+  /** The aesthetic the item was matched to, with its pins */
+  aesthetic?: { name: string; pins: FashionItem[] };
+  /** Image descriptors, for citing the pins an item looks like */
+  visual?: VisualIndex;
+  /** Most pins cited per reason (default: 3) */
+  maxCitedPins?: number;
+}
+
+// Visual similarity from which an item is said to look like a pin
+const LOOKALIKE_SIMILARITY = 0.8;
+
+/**
+ * Built-in message catalogs keyed by language
+ */
+export const MESSAGE_CATALOGS: Record<string, MessageCatalog> = {
+  en: {
+    locale: 'en-US',
+    listSeparator: ', ',
+    messages: {
+      similar_pin: 'Similar to "{pin}", which you saved',
+      visual_match: 'Looks like "{pin}", which you saved',
+      color_match: 'Matches your preferred colors: {colors}',
+      color_complement: 'Complements your {palette} palette',
+      style_match: 'Fits your {styles} style',
+      category_preference: 'You often save {category}',
+      favorite_brand: 'From your favorite brand: {brand}',
+      price_fit: 'Within your typical price range',
+      price_drop: 'Price dropped {percent}%: now {now}, was {was}',
+      wardrobe_pairing: '{count, plural, one {Works with # thing you own} other {Works with # things you own}}',
+      aesthetic_fit: 'Fits the {aesthetic} side of your board',
+      season_fit: 'Perfect for the coming season',
+      serendipity: 'Something a little different from your usual saves'
+    }
+  },
+  es: {
+    locale: 'es-ES',
+    listSeparator: ', ',
+    messages: {
+      similar_pin: 'Parecido a «{pin}», que guardaste',
+      visual_match: 'Se parece a «{pin}», que guardaste',
+      color_match: 'Combina con tus colores preferidos: {colors}',
+      color_complement: 'Complementa tu paleta {palette}',
+      style_match: 'Encaja con tu estilo {styles}',
+      category_preference: 'Sueles guardar {category}',
+      favorite_brand: 'De tu marca favorita: {brand}',
+      price_fit: 'Dentro de tu rango de precios habitual',
+      price_drop: 'Ha bajado un {percent} %: ahora {now}, antes {was}',
+      wardrobe_pairing: '{count, plural, one {Combina con # prenda que ya tienes} other {Combina con # prendas que ya tienes}}',
+      aesthetic_fit: 'Encaja con tu lado {aesthetic}',
+      season_fit: 'Perfecto para la temporada que viene',
+      serendipity: 'Algo un poco distinto a lo que sueles guardar'
+    },
+    terms: {
+      tops: 'partes de arriba',
+      bottoms: 'partes de abajo',
+      dresses: 'vestidos',
+      outerwear: 'abrigos',
+      shoes: 'zapatos',
+      accessories: 'accesorios',
+      neutral: 'neutra',
+      earthy: 'terrosa',
+      pastel: 'pastel',
+      'jewel-toned': 'de tonos joya',
+      bold: 'intensa',
+      dark: 'oscura',
+      eclectic: 'ecléctica',
+      signature: 'personal',
+      // Colors, as nouns
+      black: 'negro',
+      white: 'blanco',
+      gray: 'gris',
+      grey: 'gris',
+      red: 'rojo',
+      blue: 'azul',
+      green: 'verde',
+      yellow: 'amarillo',
+      orange: 'naranja',
+      purple: 'morado',
+      pink: 'rosa',
+      brown: 'marrón',
+      beige: 'beis',
+      tan: 'tostado',
+      navy: 'azul marino',
+      maroon: 'granate',
+      burgundy: 'burdeos',
+      teal: 'verde azulado',
+      turquoise: 'turquesa',
+      lavender: 'lavanda',
+      cream: 'crema',
+      ivory: 'marfil',
+      charcoal: 'gris marengo',
+      olive: 'verde oliva',
+      khaki: 'caqui',
+      coral: 'coral',
+      mint: 'verde menta',
+      sage: 'verde salvia',
+      mustard: 'mostaza',
+      rust: 'teja',
+      camel: 'camel',
+      nude: 'nude',
+      blush: 'rosa palo',
+      emerald: 'esmeralda',
+      cobalt: 'azul cobalto',
+      crimson: 'carmesí',
+      // Style words, agreeing with "estilo" and "lado"
+      casual: 'informal',
+      formal: 'formal',
+      elegant: 'elegante',
+      sporty: 'deportivo',
+      bohemian: 'bohemio',
+      vintage: 'vintage',
+      modern: 'moderno',
+      classic: 'clásico',
+      minimalist: 'minimalista',
+      edgy: 'atrevido',
+      romantic: 'romántico',
+      preppy: 'preppy',
+      streetwear: 'urbano',
+      chic: 'chic',
+      sophisticated: 'sofisticado',
+      trendy: 'de tendencia',
+      retro: 'retro',
+      grunge: 'grunge',
+      feminine: 'femenino',
+      masculine: 'masculino',
+      androgynous: 'andrógino',
+      professional: 'profesional',
+      business: 'de oficina',
+      athleisure: 'athleisure',
+      luxury: 'de lujo',
+      designer: 'de diseño',
+      affordable: 'asequible',
+      sustainable: 'sostenible',
+      relaxed: 'relajado',
+      comfortable: 'cómodo',
+      timeless: 'atemporal',
+      luxurious: 'lujoso',
+      delicate: 'delicado',
+      boho: 'boho'
+    }
+  }
+};
+
+/**
+ * Work out why an item was recommended
+ *
+ * @param recommendation - Scored recommendation, with any wardrobe, price and aesthetic details filled in
+ * @param context - Profile, pins and options
+ * @returns Reasons in a fixed order: similar pins, look-alike pins, profile matches, price, wardrobe,
+ *   aesthetic, season, serendipity
+ */
+export function buildReasons(recommendation: Recommendation, context: ReasonContext): RecommendationReason[] {
+  const { item, breakdown } = recommendation;
+  const { profile, pins, maxCitedPins = 3 } = context;
+  const reasons: RecommendationReason[] = [];
+  const signal = (name: string) => (breakdown[name] ? { signal: name, score: breakdown[name].score } : {});
+  const cite = (matches: (pin: FashionItem) => boolean, source: FashionItem[] = pins) =>
+    rankPins(source.filter(matches), item).slice(0, maxCitedPins).map(toCitation);
+
+  // The pins the item most resembles, when any is close
+  const similar = pins
+    .map(pin => ({ pin, similarity: itemSimilarity(pin, item) }))
+    .filter(({ similarity }) => similarity >= 0.6)
+    .sort((a, b) => b.similarity - a.similarity);
+  if (similar.length > 0) {
+    reasons.push({
+      type: 'similar_pin',
+      score: similar[0].similarity,
+      matched: [],
+      pins: similar.slice(0, maxCitedPins).map(({ pin }) => toCitation(pin)),
+      params: { pin: similar[0].pin.title }
+    });
+  }
+
+  // The pins the item looks like, when how it looks was part of its score
+  const visual = breakdown.visual;
+  if (context.visual && visual && visual.weight > 0 && visual.score >= LOOKALIKE_SIMILARITY) {
+    const lookalikes = context.visual.matchPins(item, pins).filter(match => match.similarity >= LOOKALIKE_SIMILARITY);
+    if (lookalikes.length > 0) {
+      reasons.push({
+        type: 'visual_match',
+        ...signal('visual'),
+        matched: [],
+        pins: lookalikes.slice(0, maxCitedPins).map(match => toCitation(match.item)),
+        params: { pin: lookalikes[0].item.title }
+      });
+    }
+  }
+
+  // Count near shades ("ivory" for "cream") as matches
+  const pairings = item.colors.map(c => bestColorPairing(c, profile.dominantColors));
+  const matchingColors = item.colors.filter((_, idx) =>
+    pairings[idx].relation === 'match' || pairings[idx].relation === 'similar'
+  );
+  if (matchingColors.length > 0) {
+    reasons.push({
+      type: 'color_match',
+      ...signal('color'),
+      matched: matchingColors,
+      pins: cite(pin => pin.colors.some(pc => matchingColors.some(c => {
+        const relation = colorRelation(c, pc);
+        return relation === 'match' || relation === 'similar';
+      }))),
+      params: { colors: matchingColors }
+    });
+  } else if (pairings.some(p => p.relation === 'analogous' || p.relation === 'complementary')) {
+    const pairedWith = pairings
+      .filter(p => p.relation === 'analogous' || p.relation === 'complementary')
+      .map(p => p.pairedWith!);
+    reasons.push({
+      type: 'color_complement',
+      ...signal('color'),
+      matched: item.colors.filter((_, idx) => pairedWith.includes(pairings[idx].pairedWith!)),
+      pins: cite(pin => pin.colors.some(pc => pairedWith.includes(normalizeText(pc)))),
+      params: { palette: describePalette(profile.dominantColors) }
+    });
+  }
+
+  const styleKeywords = new Set(profile.styleKeywords.map(s => normalizeText(s)));
+  const matchingStyles = item.style.filter(s => styleKeywords.has(normalizeText(s)));
+  if (matchingStyles.length > 0) {
+    const wanted = new Set(matchingStyles.map(s => normalizeText(s)));
+    reasons.push({
+      type: 'style_match',
+      ...signal('style'),
+      matched: matchingStyles,
+      pins: cite(pin => pin.style.some(s => wanted.has(normalizeText(s)))),
+      params: { styles: matchingStyles }
+    });
+  }
+
+  if (profile.preferredCategories.includes(item.category)) {
+    reasons.push({
+      type: 'category_preference',
+      ...signal('category'),
+      matched: [item.category],
+      pins: cite(pin => pin.category === item.category),
+      params: { category: item.category }
+    });
+  }
+
+  if (item.brand && profile.favoredBrands.includes(normalizeText(item.brand))) {
+    const brand = normalizeText(item.brand);
+    reasons.push({
+      type: 'favorite_brand',
+      ...signal('brand'),
+      matched: [item.brand],
+      pins: cite(pin => !!pin.brand && normalizeText(pin.brand) === brand),
+      params: { brand: item.brand }
+    });
+  }
+
+  const distribution = profile.priceDistribution;
+  const price = distribution && priceIn(item, distribution.currency, context.exchangeRates);
+  if (distribution && price !== undefined && priceFit(price, distribution) >= 0.6) {
+    // Cite the pins priced closest to the item
+    const priced = pins
+      .map(pin => ({ pin, price: priceIn(pin, distribution.currency, context.exchangeRates) }))
+      .filter((entry): entry is { pin: FashionItem; price: number } => entry.price !== undefined && entry.price > 0)
+      .sort((a, b) => Math.abs(Math.log(a.price / price)) - Math.abs(Math.log(b.price / price)));
+    reasons.push({
+      type: 'price_fit',
+      ...signal('price'),
+      matched: [],
+      pins: priced.slice(0, maxCitedPins).map(({ pin }) => toCitation(pin)),
+      params: {}
+    });
+  }
+
+  const quote = recommendation.price;
+  if (quote?.was !== undefined) {
+    const discount = saleDiscount(item);
+    reasons.push({
+      type: 'price_drop',
+      score: discount,
+      matched: [],
+      pins: [],
+      params: {
+        percent: Math.round(discount * 100),
+        now: { amount: quote.amount, currency: quote.currency },
+        was: { amount: quote.was, currency: quote.currency }
+      }
+    });
+  }
+
+  const wardrobe = recommendation.wardrobe;
+  if (wardrobe && !wardrobe.duplicateOf && wardrobe.pairsWith > 0) {
+    reasons.push({
+      type: 'wardrobe_pairing',
+      score: Math.min(1, wardrobe.pairsWith / 5),
+      matched: [],
+      pins: [],
+      params: { count: wardrobe.pairsWith }
+    });
+  }
+
+  if (context.aesthetic) {
+    reasons.push({
+      type: 'aesthetic_fit',
+      matched: [],
+      pins: cite(() => true, context.aesthetic.pins),
+      params: { aesthetic: context.aesthetic.name }
+    });
+  }
+
+  if (breakdown.season && breakdown.season.score >= 0.75) {
+    reasons.push({
+      type: 'season_fit',
+      ...signal('season'),
+      matched: getSeasonalAttributes(item).fabrics,
+      pins: [],
+      params: {}
+    });
+  }
+
+  if (recommendation.serendipitous) {
+    reasons.push({ type: 'serendipity', matched: [], pins: [], params: {} });
+  }
+
+  return reasons;
+}
+
+/**
+ * Render a reason as text
+ *
+ * @param reason - Reason to render
+ * @param catalog - Message catalog, or the key of a built-in one (default: 'en')
+ * @returns Rendered message
+ */
+export function formatReason(reason: RecommendationReason, catalog: MessageCatalog | string = 'en'): string {
+  const resolved = resolveCatalog(catalog);
+  const template = resolved.messages[reason.type];
+  if (template === undefined) {
+    throw new Error(`No message for reason type ${reason.type} in locale ${resolved.locale}`);
+  }
+
+  const withPlurals = template.replace(
+    /\{(\w+), plural, one \{([^}]*)\} other \{([^}]*)\}\}/g,
+    (_, name: string, one: string, other: string) => {
+      const count = Number(reason.params[name]);
+      const form = new Intl.PluralRules(resolved.locale).select(count) === 'one' ? one : other;
+      return form.replace(/#/g, formatParam(count, resolved));
+    }
+  );
+
+  return withPlurals.replace(/\{(\w+)\}/g, (placeholder, name: string) =>
+    name in reason.params ? formatParam(reason.params[name], resolved) : placeholder);
+}
+
+/**
+ * Render several reasons as text
+ *
+ * @param reasons - Reasons to render
+ * @param catalog - Message catalog, or the key of a built-in one (default: 'en')
+ * @returns Rendered messages, in the same order
+ */
+export function formatReasons(reasons: RecommendationReason[], catalog: MessageCatalog | string = 'en'): string[] {
+  const resolved = resolveCatalog(catalog);
+  return reasons.map(reason => formatReason(reason, resolved));
+}
+
+function resolveCatalog(catalog: MessageCatalog | string): MessageCatalog {
+  if (typeof catalog !== 'string') return catalog;
+  const resolved = MESSAGE_CATALOGS[catalog] || MESSAGE_CATALOGS[catalog.split('-')[0]];
+  if (!resolved) {
+    throw new Error(`No message catalog for locale: ${catalog}`);
+  }
+  return resolved;
+}
+
+function formatParam(value: ReasonParam, catalog: MessageCatalog): string {
+  if (Array.isArray(value)) {
+    return value.map(v => translateTerm(v, catalog)).join(catalog.listSeparator);
+  }
+  if (typeof value === 'number') {
+    return new Intl.NumberFormat(catalog.locale, { maximumFractionDigits: 2 }).format(value);
+  }
+  if (typeof value === 'object') {
+    return new Intl.NumberFormat(catalog.locale, { style: 'currency', currency: value.currency }).format(value.amount);
+  }
+  return translateTerm(value, catalog);
+}
+
+function translateTerm(value: string, catalog: MessageCatalog): string {
+  return catalog.terms?.[normalizeText(value)] ?? value;
+}
+
+/**
+ * Order pins by how much they share with the item, newest first on ties
+ */
+function rankPins(pins: FashionItem[], item: FashionItem): FashionItem[] {
+  const colors = new Set(item.colors.map(c => normalizeText(c)));
+  const styles = new Set(item.style.map(s => normalizeText(s)));
+  const overlap = (pin: FashionItem) =>
+    pin.colors.filter(c => colors.has(normalizeText(c))).length +
+    pin.style.filter(s => styles.has(normalizeText(s))).length +
+    (pin.category === item.category ? 1 : 0);
+
+  const seen = new Set<string>();
+  return pins
+    .filter(pin => !seen.has(pin.id) && seen.add(pin.id))
+    .map(pin => ({ pin, overlap: overlap(pin) }))
+    .sort((a, b) => b.overlap - a.overlap || (b.pin.createdAt || '').localeCompare(a.pin.createdAt || ''))
+    .map(({ pin }) => pin);
+}
+
+function toCitation(pin: FashionItem): PinCitation {
+  return { id: pin.id, title: pin.title, imageUrl: pin.imageUrl, ...(pin.link && { link: pin.link }) };
+}
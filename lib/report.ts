@@ -0,0 +1,270 @@
+/**
+ * Recommendation reports as text tables and standalone HTML
+ *
+ * A report is a list of sections, each holding any of a style profile,
+ * recommendations with their diversity metrics, wardrobe gaps or a profile
+ * comparison. The same document can be printed as aligned text tables for a
+ * terminal, serialized as JSON, or rendered as a single HTML file with inline
+ * styles and product images that can be opened or shared without a server.
+ *
+ * @module lib/report
+ */
+
+import type { Recommendation, StyleProfile } from './core';
+import type { DiversityMetrics } from './diversity';
+import type { WardrobeGap } from './gaps';
+import type { ProfileDiff } from './profile-history';
+import { formatReasons } from './reasons';
+import { formatPrice } from './utils';
+
+/**
+ * One titled part of a report
+ */
+export interface ReportSection {
+  heading: string;
+  profile?: StyleProfile;
+  recommendations?: Recommendation[];
+  diversity?: DiversityMetrics;
+  gaps?: WardrobeGap[];
+  diff?: ProfileDiff;
+  /** Problems met while building the section, such as skipped records */
+  warnings?: string[];
+}
+
+/**
+ * A complete report
+ */
+export interface ReportDocument {
+  title: string;
+  /** ISO timestamp of when the report was produced */
+  generatedAt: string;
+  sections: ReportSection[];
+}
+
+/**
+ * Options for rendering reports
+ */
+export interface RenderOptions {
+  /** Message catalog for reasons (default: 'en') */
+  locale?: string;
+  /** Widest a text table cell may be before it is cut short (default: 48) */
+  maxCellWidth?: number;
+}
+
+/**
+ * Lay out rows as an aligned text table
+ *
+ * @param headers - Column headings
+ * @param rows - Cell values, one array per row
+ * @param maxCellWidth - Widest a cell may be before it is cut short with an ellipsis; the last
+ *   column is never cut, since nothing follows it (default: 48)
+ * @returns Table with a heading rule, one line per row
+ */
+export function renderTable(headers: string[], rows: string[][], maxCellWidth: number = 48): string {
+  const last = headers.length - 1;
+  const clip = (value: string, idx: number) =>
+    (idx < last && value.length > maxCellWidth ? `${value.slice(0, maxCellWidth - 1)}…` : value);
+  const cells = [headers, ...rows].map(row => headers.map((_, idx) => clip(row[idx] ?? '', idx)));
+  const widths = headers.map((_, idx) => Math.max(...cells.map(row => row[idx].length)));
+  const line = (row: string[]) => row.map((cell, idx) => (idx < last ? cell.padEnd(widths[idx]) : cell)).join('  ').trimEnd();
+
+  const rule = widths.map((w, idx) => '-'.repeat(idx < last ? w : Math.min(w, maxCellWidth))).join('  ');
+  return [line(cells[0]), rule, ...cells.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Render a report for a terminal
+ *
+ * @param report - Report to render
+ * @param options - Locale and cell width
+ * @returns Plain text
+ */
+export function renderTextReport(report: ReportDocument, options: RenderOptions = {}): string {
+  const { locale = 'en', maxCellWidth = 48 } = options;
+  const blocks: string[] = [report.title, '='.repeat(report.title.length)];
+
+  report.sections.forEach(section => {
+    blocks.push('', section.heading, '-'.repeat(section.heading.length));
+
+    if (section.profile) {
+      blocks.push(renderTable(['Profile', 'Value'], profileRows(section.profile), maxCellWidth));
+    }
+
+    if (section.recommendations) {
+      blocks.push('', renderTable(
+        ['#', 'Item', 'Brand', 'Category', 'Price', 'Match', 'Why'],
+        section.recommendations.map((rec, idx) => [
+          String(idx + 1),
+          rec.item.title,
+          rec.item.brand || '',
+          rec.item.category,
+          priceText(rec),
+          `${Math.round(rec.score * 100)}%`,
+          formatReasons(rec.reasons, locale).join('; ')
+        ]),
+        maxCellWidth
+      ));
+    }
+
+    if (section.diversity) {
+      const d = section.diversity;
+      blocks.push('', `Diversity: intra-list similarity ${d.intraListSimilarity.toFixed(2)}, ` +
+        `category coverage ${Math.round(d.categoryCoverage * 100)}%, ${d.distinctBrands} brands, ` +
+        `${d.distinctColors} colors, novelty ${d.novelty.toFixed(2)}`);
+    }
+
+    if (section.gaps) {
+      blocks.push('', section.gaps.length === 0 ? 'No gaps found.' : renderTable(
+        ['Category', 'Have', 'Add', 'Priority', 'Suggestions', 'Reason'],
+        section.gaps.map(gap => [
+          gap.category,
+          String(gap.currentCount),
+          String(gap.suggestedCount),
+          gap.priority,
+          gap.recommendations.map(rec => rec.item.title).join(', '),
+          gap.reason
+        ]),
+        maxCellWidth
+      ));
+    }
+
+    if (section.diff) {
+      blocks.push('', `Drift: ${Math.round(section.diff.drift * 100)}%`);
+      blocks.push(section.diff.summary.length > 0
+        ? section.diff.summary.map(line => `  - ${line}`).join('\n')
+        : '  No notable changes');
+    }
+
+    (section.warnings || []).forEach(warning => blocks.push(`warning: ${warning}`));
+  });
+
+  return blocks.join('\n') + '\n';
+}
+
+/**
+ * Render a report as a standalone HTML page
+ *
+ * @param report - Report to render
+ * @param options - Locale for reasons and page language
+ * @returns HTML document with inline styles
+ */
+export function renderHtmlReport(report: ReportDocument, options: RenderOptions = {}): string {
+  const { locale = 'en' } = options;
+  const sections = report.sections.map(section => {
+    const parts = [`<h2>${escapeHtml(section.heading)}</h2>`];
+
+    if (section.profile) {
+      parts.push('<table class="profile">', ...profileRows(section.profile).map(([label, value]) =>
+        `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`), '</table>');
+    }
+
+    if (section.recommendations) {
+      parts.push('<div class="grid">', ...section.recommendations.map(rec => recommendationCard(rec, locale)), '</div>');
+    }
+
+    if (section.diversity) {
+      const d = section.diversity;
+      parts.push(`<p class="meta">Intra-list similarity ${d.intraListSimilarity.toFixed(2)} · ` +
+        `category coverage ${Math.round(d.categoryCoverage * 100)}% · ${d.distinctBrands} brands · ` +
+        `${d.distinctColors} colors · novelty ${d.novelty.toFixed(2)}</p>`);
+    }
+
+    if (section.gaps) {
+      parts.push(...section.gaps.map(gap => [
+        `<h3>${escapeHtml(gap.category)} <span class="badge ${gap.priority}">${gap.priority}</span></h3>`,
+        `<p>${escapeHtml(gap.reason)}</p>`,
+        `<div class="grid">${gap.recommendations.map(rec => recommendationCard(rec, locale)).join('')}</div>`
+      ].join('')));
+    }
+
+    if (section.diff) {
+      parts.push(`<p class="meta">Drift ${Math.round(section.diff.drift * 100)}%</p>`,
+        `<ul>${section.diff.summary.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`);
+    }
+
+    if (section.warnings && section.warnings.length > 0) {
+      parts.push(`<ul class="warnings">${section.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>`);
+    }
+
+    return `<section>${parts.join('\n')}</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1100px; color: #222; }
+.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 1rem; }
+.card { border: 1px solid #ddd; border-radius: 8px; overflow: hidden; }
+.card img { width: 100%; aspect-ratio: 3 / 4; object-fit: cover; background: #f3f3f3; }
+.card .body { padding: 0.75rem; font-size: 0.9rem; }
+.card ul { padding-left: 1.1rem; margin: 0.5rem 0; }
+.cited { color: #666; font-size: 0.8rem; }
+.profile th { text-align: left; padding-right: 1rem; }
+.meta { color: #666; }
+.badge { font-size: 0.75rem; padding: 0.1rem 0.4rem; border-radius: 4px; background: #eee; }
+.badge.high { background: #fdd; }
+.warnings { color: #a60; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">Generated ${escapeHtml(report.generatedAt)}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+function recommendationCard(rec: Recommendation, locale: string): string {
+  const { item } = rec;
+  const title = item.link
+    ? `<a href="${escapeHtml(item.link)}">${escapeHtml(item.title)}</a>`
+    : escapeHtml(item.title);
+  const reasons = formatReasons(rec.reasons, locale);
+  const cited = Array.from(new Map(rec.reasons.flatMap(r => r.pins).map(pin => [pin.id, pin])).values()).slice(0, 3);
+
+  return `<div class="card">
+${item.imageUrl ? `<img src="${escapeHtml(item.imageUrl)}" alt="${escapeHtml(item.title)}" loading="lazy">` : ''}
+<div class="body">
+<strong>${title}</strong><br>
+${escapeHtml([item.brand, priceText(rec)].filter(Boolean).join(' · '))} · ${Math.round(rec.score * 100)}% match
+<ul>${reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>
+${cited.length > 0 ? `<div class="cited">Because you saved: ${cited.map(pin => escapeHtml(pin.title)).join(', ')}</div>` : ''}
+</div>
+</div>`;
+}
+
+function profileRows(profile: StyleProfile): string[][] {
+  const rows = [
+    ['Colors', profile.dominantColors.join(', ')],
+    ['Styles', profile.styleKeywords.join(', ')],
+    ['Categories', profile.preferredCategories.join(', ')],
+    ['Brands', profile.favoredBrands.join(', ')],
+    ['Pins', String(profile.totalItems)]
+  ];
+  if (profile.priceRange) {
+    const currency = profile.currency || 'USD';
+    rows.push(['Price range', `${formatPrice(profile.priceRange.min, currency)} - ${formatPrice(profile.priceRange.max, currency)}`]);
+  }
+  return rows;
+}
+
+function priceText(rec: Recommendation): string {
+  if (rec.price) {
+    const now = formatPrice(rec.price.amount, rec.price.currency);
+    return rec.price.was !== undefined ? `${now} (was ${formatPrice(rec.price.was, rec.price.currency)})` : now;
+  }
+  return rec.item.price !== undefined ? formatPrice(rec.item.price, rec.item.currency) : '';
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
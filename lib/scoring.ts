@@ -0,0 +1,338 @@
+/**
+ * Pluggable scoring model for the recommendation engine
+ *
+ * Each ranking signal (color, style, category, brand, price, ...) is a named
+ * component that scores an item between 0 and 1. A ScoringModel holds the
+ * registered signals and their weights, combines them into a single score and
+ * reports the per-signal breakdown so callers can see why an item ranked
+ * where it did.
+ *
+ * @module lib/scoring
+ */
+
+import { FashionItem, StyleProfile, WeightedFrequencies } from './core';
+import { bestColorPairing } from './color';
+import { normalizeText } from './utils';
+import { TextProfile, buildTextProfile, cosineSimilarity, itemText } from './text';
+import { ExchangeRateTable, priceFit, priceIn } from './pricing';
+import { SeasonContext, seasonalFit } from './season';
+import type { VisualIndex } from './visual';
+
+/**
+ * Everything a signal may look at when scoring an item
+ */
+export interface ScoringContext {
+  profile: StyleProfile;
+  /** Pins the profile was built from */
+  pins?: FashionItem[];
+  /** Exchange rates for comparing prices in other currencies (default: the built-in offline rates) */
+  exchangeRates?: ExchangeRateTable;
+  /** Season and climate being shopped for */
+  season?: SeasonContext;
+  /** Image descriptors of pins and catalog items, for comparing how they look */
+  visual?: VisualIndex;
+}
+
+/**
+ * A named, weighted ranking signal
+ */
+export interface ScoringSignal {
+  /** Unique name used for weights and breakdowns */
+  name: string;
+  /** Weight used when the model is not given an explicit one */
+  defaultWeight: number;
+  /**
+   * Whether the signal has anything to say in a context. Signals that don't
+   * apply are left out of the score and the breakdown (default: always apply).
+   */
+  appliesTo?(context: ScoringContext): boolean;
+  /**
+   * Score an item against the context
+   * @returns Score between 0 and 1
+   */
+  score(item: FashionItem, context: ScoringContext): number;
+}
+
+/**
+ * One signal's part in an item's final score
+ */
+export interface SignalScore {
+  score: number;
+  weight: number;
+  /** Share of the final score: score * weight / total weight */
+  contribution: number;
+}
+
+/**
+ * Per-signal scores keyed by signal name
+ */
+export type ScoreBreakdown = Record<string, SignalScore>;
+
+/**
+ * Weight overrides keyed by signal name
+ */
+export type SignalWeights = Record<string, number>;
+
+/**
+ * Options for the built-in signals
+ */
+export interface DefaultSignalOptions {
+  /** Score given when a signal has nothing to compare (default: 0.5) */
+  neutralScore?: number;
+}
+
+/**
+ * Holds the registered signals and combines them into a weighted score
+ */
+export class ScoringModel {
+  private signals = new Map<string, ScoringSignal>();
+  private weights = new Map<string, number>();
+
+  /**
+   * Register a signal, replacing any existing signal with the same name
+   *
+   * @param signal - Signal to register
+   * @param weight - Weight to use instead of the signal's default
+   */
+  public register(signal: ScoringSignal, weight: number = signal.defaultWeight): this {
+    checkWeight(signal.name, weight);
+    this.signals.set(signal.name, signal);
+    this.weights.set(signal.name, weight);
+    return this;
+  }
+
+  /**
+   * Remove a signal
+   *
+   * @param name - Name of the signal to remove
+   */
+  public unregister(name: string): this {
+    this.signals.delete(name);
+    this.weights.delete(name);
+    return this;
+  }
+
+  /**
+   * Change the weight of a registered signal
+   *
+   * @param name - Signal name
+   * @param weight - New weight (0 disables the signal)
+   */
+  public setWeight(name: string, weight: number): this {
+    if (!this.signals.has(name)) {
+      throw new Error(`Unknown scoring signal: ${name}`);
+    }
+    checkWeight(name, weight);
+    this.weights.set(name, weight);
+    return this;
+  }
+
+  /**
+   * Replace several weights at once
+   *
+   * @param weights - Weights keyed by signal name
+   */
+  public setWeights(weights: SignalWeights): this {
+    Object.entries(weights).forEach(([name, weight]) => this.setWeight(name, weight));
+    return this;
+  }
+
+  /**
+   * Current weights keyed by signal name
+   */
+  public getWeights(): SignalWeights {
+    return Object.fromEntries(this.weights);
+  }
+
+  /**
+   * Names of the registered signals, in registration order
+   */
+  public getSignalNames(): string[] {
+    return Array.from(this.signals.keys());
+  }
+
+  /**
+   * Score an item with every registered signal
+   *
+   * @param item - Item to score
+   * @param context - Profile and other scoring inputs
+   * @param overrides - Per-call weight overrides, each a finite number of at least 0
+   * @returns Weighted score (normalized by total weight) and the per-signal breakdown
+   */
+  public score(
+    item: FashionItem,
+    context: ScoringContext,
+    overrides: SignalWeights = {}
+  ): { score: number; breakdown: ScoreBreakdown } {
+    Object.entries(overrides).forEach(([name, weight]) => {
+      if (!this.signals.has(name)) {
+        throw new Error(`Unknown scoring signal: ${name}`);
+      }
+      if (weight !== undefined) checkWeight(name, weight);
+    });
+
+    const active = Array.from(this.signals.values()).filter(signal => !signal.appliesTo || signal.appliesTo(context));
+    const entries = active.map(signal => {
+      const weight = overrides[signal.name] ?? this.weights.get(signal.name) ?? signal.defaultWeight;
+      const score = weight > 0 ? signal.score(item, context) : 0;
+      return { name: signal.name, score, weight };
+    });
+
+    const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0);
+    const breakdown: ScoreBreakdown = {};
+    let total = 0;
+
+    entries.forEach(({ name, score, weight }) => {
+      const contribution = totalWeight > 0 ? (score * weight) / totalWeight : 0;
+      breakdown[name] = { score, weight, contribution };
+      total += contribution;
+    });
+
+    return { score: total, breakdown };
+  }
+}
+
+/**
+ * Built-in signals. A profile value matched in full counts in proportion to
+ * its weight relative to the profile's strongest value; for colors and styles
+ * any match is worth at least half.
+ *
+ * @param options - Options such as the neutral fallback score
+ * @returns Array of signals
+ */
+export function createDefaultSignals(options: DefaultSignalOptions = {}): ScoringSignal[] {
+  const neutral = options.neutralScore ?? 0.5;
+
+  return [
+    {
+      name: 'color',
+      defaultWeight: 0.3,
+      score: (item, { profile }) => {
+        if (item.colors.length === 0 || profile.dominantColors.length === 0) return neutral;
+        const importance = profile.dominantColors.map(c => 0.5 + 0.5 * relativeWeight(profile.colorWeights, c));
+        const total = item.colors.reduce((sum, c) => sum + bestColorPairing(c, profile.dominantColors, importance).score, 0);
+        return total / item.colors.length;
+      }
+    },
+    {
+      name: 'style',
+      defaultWeight: 0.4,
+      score: (item, { profile }) => {
+        if (item.style.length === 0 || profile.styleKeywords.length === 0) return neutral;
+        const total = item.style.reduce((sum, s) => {
+          const weight = relativeWeight(profile.styleWeights, normalizeText(s));
+          return sum + (weight > 0 ? 0.5 + 0.5 * weight : 0);
+        }, 0);
+        return total / item.style.length;
+      }
+    },
+    {
+      name: 'category',
+      defaultWeight: 0.15,
+      score: (item, { profile }) => neutral + (1 - neutral) * relativeWeight(profile.categoryWeights, item.category)
+    },
+    {
+      name: 'brand',
+      defaultWeight: 0.1,
+      score: (item, { profile }) =>
+        item.brand ? neutral + (1 - neutral) * relativeWeight(profile.brandWeights, normalizeText(item.brand)) : neutral
+    },
+    {
+      name: 'price',
+      defaultWeight: 0.05,
+      score: (item, { profile, exchangeRates }) => {
+        if (!profile.priceDistribution) return neutral;
+        const price = priceIn(item, profile.priceDistribution.currency, exchangeRates);
+        return price ? priceFit(price, profile.priceDistribution) : neutral;
+      }
+    },
+    createTextSimilaritySignal(options),
+    {
+      name: 'season',
+      defaultWeight: 0.15,
+      appliesTo: ({ season }) => season !== undefined,
+      score: (item, { season }) => {
+        const fit = season ? seasonalFit(item, season) : null;
+        return fit ?? neutral;
+      }
+    },
+    {
+      name: 'visual',
+      defaultWeight: 0.2,
+      appliesTo: ({ visual }) => visual !== undefined,
+      score: (item, { visual, pins }) => {
+        const similarity = visual && pins ? visual.bestPinSimilarity(item, pins) : null;
+        return similarity ?? neutral;
+      }
+    }
+  ];
+}
+
+/**
+ * Signal scoring an item's title and description against the board's text
+ * centroid by TF-IDF cosine similarity
+ *
+ * @param options - Options such as the neutral fallback score
+ * @returns Text similarity signal
+ */
+export function createTextSimilaritySignal(options: DefaultSignalOptions = {}): ScoringSignal {
+  const neutral = options.neutralScore ?? 0.5;
+  // Fitting is per pin set, so cache it for the lifetime of that array
+  const profiles = new WeakMap<FashionItem[], TextProfile>();
+
+  return {
+    name: 'text',
+    defaultWeight: 0.2,
+    score: (item, { pins }) => {
+      if (!pins || pins.length === 0) return neutral;
+
+      let textProfile = profiles.get(pins);
+      if (!textProfile) {
+        textProfile = buildTextProfile(pins);
+        profiles.set(pins, textProfile);
+      }
+      if (textProfile.centroid.size === 0) return neutral;
+
+      return cosineSimilarity(textProfile.vectorizer.transform(itemText(item)), textProfile.centroid);
+    }
+  };
+}
+
+// Largest share per weight map; profiles are immutable once built
+const maxWeights = new WeakMap<WeightedFrequencies, number>();
+
+/**
+ * Weight of a value relative to the strongest value in its map (0-1)
+ */
+function relativeWeight(weights: WeightedFrequencies, key: string): number {
+  const share = weights[key];
+  if (!share) return 0;
+
+  let max = maxWeights.get(weights);
+  if (max === undefined) {
+    max = Math.max(...Object.values(weights));
+    maxWeights.set(weights, max);
+  }
+  return max > 0 ? share / max : 0;
+}
+
+/**
+ * Reject weights that are negative or not finite numbers
+ */
+function checkWeight(name: string, weight: number): void {
+  if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+    throw new Error(`Invalid weight for ${name}: ${weight}`);
+  }
+}
+
+/**
+ * Create a scoring model with the built-in signals registered
+ *
+ * @param options - Options for the built-in signals
+ * @returns New ScoringModel instance
+ */
+export function createDefaultScoringModel(options: DefaultSignalOptions = {}): ScoringModel {
+  const model = new ScoringModel();
+  createDefaultSignals(options).forEach(signal => model.register(signal));
+  return model;
+}
@@ -0,0 +1,285 @@
+/**
+ * Seasons, climate and fabric warmth
+ *
+ * Works out which season a shopper is heading into from their hemisphere and
+ * the month, or from a temperature range read off a local forecast file, and
+ * scores how well an item's fabric suits it. Fabrics and their weight are
+ * read from item text ("linen", "cashmere", "puffer") by the enrichment step,
+ * or on the fly for items that were never enriched.
+ *
+ * @module lib/season
+ */
+
+import { promises as fs } from 'fs';
+import type { FashionItem } from './core';
+import { normalizeText } from './utils';
+
+/**
+ * Meteorological season
+ */
+export type Season = 'spring' | 'summer' | 'autumn' | 'winter';
+
+/**
+ * Half of the globe, which decides when each season falls
+ */
+export type Hemisphere = 'northern' | 'southern';
+
+/**
+ * How warm a garment's fabric is
+ */
+export type FabricWeight = 'light' | 'mid' | 'heavy';
+
+/**
+ * Daily low and high, in degrees Celsius
+ */
+export interface TemperatureRange {
+  min: number;
+  max: number;
+}
+
+/**
+ * Time and climate to recommend for
+ */
+export interface SeasonContext {
+  /** Month of the year, 1-12 */
+  month: number;
+  /** Hemisphere the shopper lives in (default: 'northern') */
+  hemisphere?: Hemisphere;
+  /** Expected temperatures, for example from loadForecast; overrides the season's typical range */
+  temperature?: TemperatureRange;
+}
+
+/**
+ * Forecast file contents: daily lows and highs, in Celsius unless `unit` is 'F'
+ */
+export interface ForecastFile {
+  unit?: 'C' | 'F';
+  days: Array<{ date: string; min: number; max: number }>;
+}
+
+/**
+ * Options for reading a forecast
+ */
+export interface ForecastOptions {
+  /** First day to include (default: every day in the file) */
+  from?: Date;
+  /** Number of days to include from `from` (default: all remaining) */
+  days?: number;
+}
+
+/**
+ * Typical daily range of each season in a temperate climate
+ */
+export const SEASON_TEMPERATURES: Record<Season, TemperatureRange> = {
+  winter: { min: -2, max: 7 },
+  spring: { min: 8, max: 18 },
+  summer: { min: 18, max: 30 },
+  autumn: { min: 7, max: 16 }
+};
+
+/**
+ * Fabrics with the words they appear under and how warm they wear
+ */
+const FABRICS: Record<string, { matches: string[]; weight: FabricWeight }> = {
+  linen: { matches: ['linen', 'flax'], weight: 'light' },
+  seersucker: { matches: ['seersucker'], weight: 'light' },
+  chiffon: { matches: ['chiffon', 'georgette'], weight: 'light' },
+  voile: { matches: ['voile', 'gauze'], weight: 'light' },
+  silk: { matches: ['silk', 'satin'], weight: 'light' },
+  chambray: { matches: ['chambray'], weight: 'light' },
+  mesh: { matches: ['mesh'], weight: 'light' },
+  cotton: { matches: ['cotton', 'poplin'], weight: 'mid' },
+  denim: { matches: ['denim'], weight: 'mid' },
+  jersey: { matches: ['jersey'], weight: 'mid' },
+  viscose: { matches: ['viscose', 'rayon', 'modal', 'lyocell', 'tencel'], weight: 'mid' },
+  polyester: { matches: ['polyester'], weight: 'mid' },
+  leather: { matches: ['leather', 'suede'], weight: 'mid' },
+  wool: { matches: ['wool', 'merino', 'boucle', 'alpaca', 'mohair'], weight: 'heavy' },
+  cashmere: { matches: ['cashmere'], weight: 'heavy' },
+  tweed: { matches: ['tweed'], weight: 'heavy' },
+  corduroy: { matches: ['corduroy'], weight: 'heavy' },
+  velvet: { matches: ['velvet'], weight: 'heavy' },
+  fleece: { matches: ['fleece', 'sherpa'], weight: 'heavy' },
+  flannel: { matches: ['flannel'], weight: 'heavy' },
+  shearling: { matches: ['shearling', 'faux fur'], weight: 'heavy' },
+  // Plain "down" is too common a word to match on its own
+  down: { matches: ['puffer', 'down-filled', 'down jacket', 'down coat', 'down vest'], weight: 'heavy' }
+};
+
+/**
+ * Words that state a garment's weight outright, overriding its fabric
+ */
+const WEIGHT_KEYWORDS: Record<FabricWeight, string[]> = {
+  light: ['lightweight', 'light-weight', 'sheer', 'breathable', 'airy'],
+  mid: ['midweight', 'mid-weight', 'transitional'],
+  heavy: ['heavyweight', 'heavy-weight', 'chunky', 'insulated', 'padded', 'thermal', 'fleece-lined']
+};
+
+const WEIGHT_WARMTH: Record<FabricWeight, number> = { light: 0.1, mid: 0.5, heavy: 0.9 };
+
+const SEASONS_NORTH: Season[] = [
+  'winter', 'winter', 'spring', 'spring', 'spring', 'summer',
+  'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter'
+];
+
+// Items that were never enriched, keyed by object; catalogs are scored many times
+const inferredAttributes = new WeakMap<FashionItem, { fabrics: string[]; fabricWeight: FabricWeight | null }>();
+
+/**
+ * Season a month falls in
+ *
+ * @param month - Month of the year, 1-12
+ * @param hemisphere - Hemisphere (default: 'northern')
+ * @returns Meteorological season
+ */
+export function getSeason(month: number, hemisphere: Hemisphere = 'northern'): Season {
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    throw new Error(`Month must be an integer from 1 to 12: ${month}`);
+  }
+  const index = hemisphere === 'southern' ? (month + 5) % 12 : month - 1;
+  return SEASONS_NORTH[index];
+}
+
+/**
+ * The season shoppers are buying for. Clothes are bought a few weeks ahead,
+ * so this is the season a month from now.
+ *
+ * @param context - Month and hemisphere
+ * @returns Upcoming season
+ */
+export function getComingSeason(context: SeasonContext): Season {
+  return getSeason((context.month % 12) + 1, context.hemisphere);
+}
+
+/**
+ * Temperatures to dress for: the forecast when there is one, otherwise the
+ * coming season's typical range
+ *
+ * @param context - Season context
+ * @returns Temperature range in Celsius
+ */
+export function getTargetTemperature(context: SeasonContext): TemperatureRange {
+  return context.temperature || SEASON_TEMPERATURES[getComingSeason(context)];
+}
+
+/**
+ * Fabrics named in text
+ *
+ * @param text - Title, description or other free text
+ * @returns Canonical fabric names, in dictionary order
+ */
+export function extractFabrics(text: string): string[] {
+  const padded = padWords(text);
+  return Object.entries(FABRICS)
+    .filter(([, { matches }]) => matches.some(word => containsWords(padded, word)))
+    .map(([fabric]) => fabric);
+}
+
+/**
+ * How warm a garment wears
+ *
+ * Words such as "lightweight" or "insulated" decide when present; otherwise
+ * the warmest fabric does, since a wool blend wears warm whatever it is
+ * blended with.
+ *
+ * @param fabrics - Canonical fabric names
+ * @param text - Free text to look for weight words in
+ * @returns Fabric weight, or null when neither says anything
+ */
+export function inferFabricWeight(fabrics: string[], text: string = ''): FabricWeight | null {
+  const padded = padWords(text);
+  const stated = (Object.keys(WEIGHT_KEYWORDS) as FabricWeight[])
+    .find(weight => WEIGHT_KEYWORDS[weight].some(keyword => containsWords(padded, keyword)));
+  if (stated) return stated;
+
+  const weights = fabrics.map(fabric => FABRICS[fabric]?.weight).filter((w): w is FabricWeight => !!w);
+  if (weights.length === 0) return null;
+  return weights.reduce((warmest, w) => (WEIGHT_WARMTH[w] > WEIGHT_WARMTH[warmest] ? w : warmest));
+}
+
+/**
+ * An item's fabrics and weight, read from its text when it has none
+ *
+ * @param item - Item to inspect
+ * @returns Fabrics and weight (null when unknown)
+ */
+export function getSeasonalAttributes(item: FashionItem): { fabrics: string[]; fabricWeight: FabricWeight | null } {
+  if (item.fabricWeight) {
+    return { fabrics: item.fabrics || [], fabricWeight: item.fabricWeight };
+  }
+
+  let inferred = inferredAttributes.get(item);
+  if (!inferred) {
+    const text = `${item.title} ${item.description}`;
+    const fabrics = item.fabrics || extractFabrics(text);
+    inferred = { fabrics, fabricWeight: inferFabricWeight(fabrics, text) };
+    inferredAttributes.set(item, inferred);
+  }
+  return inferred;
+}
+
+/**
+ * How well an item suits the temperatures being dressed for
+ *
+ * Fabric warmth is compared with the warmth the mean temperature calls for:
+ * none from 24°C up, rising to full at 0°C and below.
+ *
+ * @param item - Item to score
+ * @param context - Season context
+ * @returns Fit between 0 and 1, or null when the item's fabric weight is unknown
+ */
+export function seasonalFit(item: FashionItem, context: SeasonContext): number | null {
+  const { fabricWeight } = getSeasonalAttributes(item);
+  if (!fabricWeight) return null;
+
+  const { min, max } = getTargetTemperature(context);
+  const needed = Math.min(1, Math.max(0, (24 - (min + max) / 2) / 24));
+  return 1 - Math.abs(WEIGHT_WARMTH[fabricWeight] - needed);
+}
+
+/**
+ * Read the temperature range from a local forecast file
+ *
+ * @param path - Path to a JSON forecast file
+ * @param options - Days to include
+ * @returns Lowest low and highest high over the included days, in Celsius
+ */
+export async function loadForecast(path: string, options: ForecastOptions = {}): Promise<TemperatureRange> {
+  const forecast = JSON.parse(await fs.readFile(path, 'utf8')) as ForecastFile;
+  if (!forecast || !Array.isArray(forecast.days)) {
+    throw new Error(`Forecast file has no days: ${path}`);
+  }
+
+  const from = options.from ? options.from.toISOString().slice(0, 10) : '';
+  const days = forecast.days
+    .filter(day => day.date >= from)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(0, options.days ?? Infinity);
+  if (days.length === 0) {
+    throw new Error(`Forecast file has no days in the requested window: ${path}`);
+  }
+
+  const toCelsius = (value: number) => {
+    if (!Number.isFinite(value)) throw new Error(`Invalid temperature in forecast file: ${value}`);
+    return forecast.unit === 'F' ? ((value - 32) * 5) / 9 : value;
+  };
+  return {
+    min: Math.min(...days.map(day => toCelsius(day.min))),
+    max: Math.max(...days.map(day => toCelsius(day.max)))
+  };
+}
+
+/**
+ * Normalized text padded with spaces, with hyphens and slashes splitting
+ * words, so "wool-blend" and "cotton/linen" name their fabrics
+ */
+function padWords(text: string): string {
+  return ` ${normalizeText(text.replace(/[-/]+/g, ' '))} `;
+}
+
+/**
+ * Whole-word match of a dictionary entry, which may itself be hyphenated
+ */
+function containsWords(padded: string, words: string): boolean {
+  return padded.includes(` ${words.replace(/-/g, ' ')} `);
+}
@@ -0,0 +1,720 @@
+/**
+ * HTTP service for board analysis and recommendations
+ *
+ * Wraps FashionRecommendationEngine in a small JSON API on Node's http
+ * module: post boards to build a profile, then read the profile,
+ * recommendations and wardrobe gaps, and post feedback on what was shown.
+ * Users are identified by the X-User-Id header, which an authenticating
+ * proxy in front of the service is expected to set. Each user's engine is
+ * cached in memory, least recently used first out, together with the ranked
+ * lists that pagination cursors point into. The contract is described in
+ * lib/openapi and served at /api/openapi.json.
+ *
+ * @module lib/server
+ */
+
+import { IncomingMessage, Server, ServerResponse, createServer } from 'http';
+import { createHash } from 'crypto';
+import {
+  EngineOptions,
+  FashionItem,
+  FashionRecommendationEngine,
+  PinterestBoard,
+  Recommendation,
+  StyleProfile
+} from './core';
+import { FeedbackLog, InteractionEvent, InteractionType } from './feedback';
+import { parseBoardDocument } from './inputs';
+import { OPENAPI_DOCUMENT } from './openapi';
+import { MESSAGE_CATALOGS, formatReasons } from './reasons';
+import { DEFAULT_CURRENCY, ExchangeRateTable, priceIn } from './pricing';
+import { normalizeText } from './utils';
+
+/**
+ * A recommendation as the API returns it
+ */
+export interface RecommendationResource {
+  id: string;
+  title: string;
+  /** Current price in `currency`, null when the catalog has none */
+  price: number | null;
+  /** List price, when the item is on sale */
+  wasPrice?: number;
+  currency: string;
+  imageUrl: string;
+  link?: string;
+  /** Site the product link points to, else the brand */
+  retailer: string | null;
+  brand?: string;
+  category: FashionItem['category'];
+  /** Score the item was ranked by (0-1) */
+  matchScore: number;
+  /** Reasons, in the requested language */
+  reasons: string[];
+  /** Pins the reasons cite */
+  citedPins: Array<{ id: string; title: string; imageUrl: string }>;
+  serendipitous?: boolean;
+}
+
+/**
+ * Options for the recommendation service
+ */
+export interface ServiceOptions {
+  /** Items to recommend from */
+  catalog: FashionItem[];
+  /** Options for every user's engine */
+  engine?: Omit<EngineOptions, 'wardrobe' | 'history'>;
+  /** Log that posted feedback is recorded into (default: a new in-memory log) */
+  feedbackLog?: FeedbackLog;
+  /** Called with each batch of recorded events, for example to append them to a file */
+  onFeedback?: (events: InteractionEvent[]) => void | Promise<void>;
+  /** Called with errors that were answered with a 500 */
+  onError?: (error: Error) => void;
+  /** Users whose engines are kept in memory (default: 1000) */
+  maxUsers?: number;
+  /** Longest a ranked list is kept for paging through (default: 200) */
+  maxResults?: number;
+  /** Largest request body accepted, in bytes (default: 1 MiB) */
+  maxBodyBytes?: number;
+}
+
+/**
+ * Error answered with a JSON error body
+ */
+export class ServiceError extends Error {
+  public readonly status: number;
+  public readonly code: string;
+  public readonly details?: string[];
+
+  constructor(status: number, code: string, message: string, details?: string[]) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Everything cached for one user
+ */
+interface UserSession {
+  engine: FashionRecommendationEngine;
+  boards: Map<string, { board: PinterestBoard; weight: number; occasion?: string }>;
+  /** Pins skipped when the boards were posted */
+  warnings: string[];
+  /** Bumped whenever the boards change, which invalidates cursors */
+  version: number;
+  updatedAt: string;
+  /** Ranked lists by query key, oldest first */
+  rankings: Map<string, Recommendation[]>;
+  /** Recommendations returned since the boards last changed, by item id, for feedback */
+  served: Map<string, Recommendation>;
+}
+
+type Query = URLSearchParams;
+type Handler = (userId: string, query: Query, body: any, req: IncomingMessage) => Promise<[number, unknown]>;
+
+type SortOrder = 'relevance' | 'price_asc' | 'price_desc' | 'newest';
+
+const CATEGORIES: FashionItem['category'][] = ['tops', 'bottoms', 'dresses', 'outerwear', 'shoes', 'accessories'];
+const INTERACTION_TYPES: InteractionType[] = ['impression', 'clicked', 'saved', 'purchased', 'dismissed'];
+const SORT_ORDERS: SortOrder[] = ['relevance', 'price_asc', 'price_desc', 'newest'];
+const USER_ID_PATTERN = /^[A-Za-z0-9_.:@-]{1,128}$/;
+const MAX_BOARDS = 50;
+const MAX_PINS_PER_BOARD = 2000;
+const MAX_EVENTS = 500;
+// Distinct filter and sort combinations kept per user
+const MAX_RANKINGS_PER_USER = 20;
+
+/**
+ * JSON API over a recommendation engine per user
+ */
+export class RecommendationService {
+  private catalog: FashionItem[];
+  private engineOptions: ServiceOptions['engine'];
+  private feedbackLog: FeedbackLog;
+  private onFeedback?: ServiceOptions['onFeedback'];
+  private onError?: ServiceOptions['onError'];
+  private maxUsers: number;
+  private maxResults: number;
+  private maxBodyBytes: number;
+  // Insertion order doubles as recency: a session is re-inserted whenever it is used
+  private sessions = new Map<string, UserSession>();
+  private routes: Record<string, Partial<Record<string, Handler>>>;
+
+  constructor(options: ServiceOptions) {
+    this.catalog = options.catalog;
+    this.engineOptions = options.engine || {};
+    this.feedbackLog = options.feedbackLog || new FeedbackLog();
+    this.onFeedback = options.onFeedback;
+    this.onError = options.onError;
+    this.maxUsers = options.maxUsers ?? 1000;
+    this.maxResults = options.maxResults ?? 200;
+    this.maxBodyBytes = options.maxBodyBytes ?? 1024 * 1024;
+    if (this.maxUsers < 1 || this.maxResults < 1 || this.maxBodyBytes < 1) {
+      throw new Error('maxUsers, maxResults and maxBodyBytes must be positive');
+    }
+
+    this.routes = {
+      '/api/boards': { POST: (userId, _query, body) => this._postBoards(userId, body) },
+      '/api/profile': { GET: async userId => [200, this._profileResponse(this._requireSession(userId))] },
+      '/api/recommendations': { GET: (userId, query, _body, req) => this._getRecommendations(userId, query, req) },
+      '/api/gaps': { GET: (userId, query, _body, req) => this._getGaps(userId, query, req) },
+      '/api/feedback': { POST: (userId, _query, body) => this._postFeedback(userId, body) }
+    };
+  }
+
+  /**
+   * Answer one HTTP request; never rejects
+   *
+   * @param req - Incoming request
+   * @param res - Response to write
+   */
+  public async handle(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    try {
+      const url = new URL(req.url || '/', 'http://localhost');
+      const path = url.pathname.replace(/\/+$/, '') || '/';
+
+      if (path === '/api/openapi.json' && (req.method === 'GET' || req.method === 'HEAD')) {
+        sendJson(res, 200, OPENAPI_DOCUMENT);
+        return;
+      }
+
+      const methods = this.routes[path];
+      if (!methods) throw new ServiceError(404, 'not_found', `No such endpoint: ${path}`);
+      const handler = methods[req.method || 'GET'];
+      if (!handler) {
+        res.setHeader('Allow', Object.keys(methods).join(', '));
+        throw new ServiceError(405, 'method_not_allowed', `${req.method} is not allowed on ${path}`);
+      }
+
+      const userId = readUserId(req);
+      const body = req.method === 'POST' ? await this._readBody(req) : undefined;
+      const [status, payload] = await handler(userId, url.searchParams, body, req);
+      sendJson(res, status, payload);
+    } catch (error) {
+      this._sendError(res, error as Error);
+    }
+  }
+
+  /**
+   * Start listening for requests
+   *
+   * @param port - Port to listen on; 0 picks a free one
+   * @param host - Interface to bind (default: all)
+   * @returns The listening server
+   */
+  public listen(port: number, host?: string): Promise<Server> {
+    const server = createServer((req, res) => { void this.handle(req, res); });
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve(server);
+      });
+    });
+  }
+
+  /**
+   * Log the posted feedback has been recorded into
+   */
+  public getFeedbackLog(): FeedbackLog {
+    return this.feedbackLog;
+  }
+
+  /**
+   * Forget a user's boards and cached rankings
+   *
+   * @param userId - User to forget
+   * @returns Whether anything was cached for the user
+   */
+  public evict(userId: string): boolean {
+    return this.sessions.delete(userId);
+  }
+
+  /**
+   * Add or replace boards and rebuild the user's profile
+   * @private
+   */
+  private async _postBoards(userId: string, body: any): Promise<[number, unknown]> {
+    if (!body || typeof body !== 'object' || !Array.isArray(body.boards) || body.boards.length === 0) {
+      throw invalid('Body must be an object with a non-empty boards array');
+    }
+    if (body.boards.length > MAX_BOARDS) {
+      throw invalid(`At most ${MAX_BOARDS} boards may be posted at once`);
+    }
+
+    const errors: string[] = [];
+    const warnings: string[] = [];
+    const posted = body.boards.map((entry: any, idx: number) => {
+      const label = `boards[${idx}]`;
+      if (!entry || typeof entry !== 'object' || typeof entry.id !== 'string' || entry.id.trim() === '') {
+        errors.push(`${label}.id must be a non-empty string`);
+        return null;
+      }
+      if (!Array.isArray(entry.pins)) {
+        errors.push(`${label}.pins must be an array`);
+        return null;
+      }
+      if (entry.pins.length > MAX_PINS_PER_BOARD) {
+        errors.push(`${label}.pins has more than ${MAX_PINS_PER_BOARD} pins`);
+        return null;
+      }
+      if (entry.weight !== undefined && (typeof entry.weight !== 'number' || !Number.isFinite(entry.weight) || entry.weight < 0)) {
+        errors.push(`${label}.weight must be a number of at least 0`);
+      }
+      if (entry.occasion !== undefined && (typeof entry.occasion !== 'string' || entry.occasion.trim() === '')) {
+        errors.push(`${label}.occasion must be a non-empty string`);
+      }
+
+      const { value: board, warnings: skipped } = parseBoardDocument(entry, entry.id, `board ${entry.id}`);
+      warnings.push(...skipped);
+      return { board, weight: entry.weight ?? 1, ...(entry.occasion && { occasion: entry.occasion.trim() }) };
+    });
+    if (errors.length > 0) throw invalid('Invalid boards', errors);
+
+    const existing = this.sessions.get(userId);
+    const boards = new Map(existing ? existing.boards : []);
+    posted.forEach((entry: { board: PinterestBoard; weight: number; occasion?: string }) => boards.set(entry.board.id, entry));
+    const inputs = Array.from(boards.values());
+    if (inputs.every(({ board }) => board.pins.length === 0)) {
+      throw invalid('The boards have no usable pins', warnings);
+    }
+
+    const engine = new FashionRecommendationEngine(this.engineOptions);
+    try {
+      engine.analyzeBoards(inputs);
+    } catch (error) {
+      throw invalid((error as Error).message);
+    }
+
+    const session: UserSession = {
+      engine,
+      boards,
+      warnings: [...(existing ? existing.warnings.filter(w => !posted.some((p: any) => w.startsWith(`board ${p.board.id}:`))) : []), ...warnings],
+      version: (existing ? existing.version : 0) + 1,
+      updatedAt: new Date().toISOString(),
+      rankings: new Map(),
+      served: new Map()
+    };
+    this._store(userId, session);
+    return [201, this._profileResponse(session)];
+  }
+
+  /**
+   * One page of recommendations
+   * @private
+   */
+  private async _getRecommendations(userId: string, query: Query, req: IncomingMessage): Promise<[number, unknown]> {
+    const session = this._requireSession(userId);
+    const locale = readLocale(query, req);
+    const limit = intParam(query, 'limit', 20, 1, 100);
+    const sort = (query.get('sort') || 'relevance') as SortOrder;
+    if (!SORT_ORDERS.includes(sort)) {
+      throw invalid(`sort must be one of ${SORT_ORDERS.join(', ')}`);
+    }
+
+    const categories = listParam(query, 'category');
+    const unknown = categories.filter(c => !CATEGORIES.includes(c as FashionItem['category']));
+    if (unknown.length > 0) {
+      throw invalid(`Unknown categories: ${unknown.join(', ')}`, [`category must be among ${CATEGORIES.join(', ')}`]);
+    }
+    const brands = listParam(query, 'brand');
+    const minPrice = numberParam(query, 'minPrice');
+    const maxPrice = numberParam(query, 'maxPrice');
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+      throw invalid('minPrice must not be above maxPrice');
+    }
+
+    const boardId = query.get('boardId') || undefined;
+    let occasion: string | undefined;
+    if (boardId !== undefined) {
+      const board = session.engine.getBoardProfiles().find(b => b.boardId === boardId);
+      if (!board) throw new ServiceError(404, 'board_not_found', `No analyzed board with id: ${boardId}`);
+      occasion = board.occasion;
+    }
+
+    const key = JSON.stringify({ boardId, categories: [...categories].sort(), brands: [...brands].sort(), minPrice, maxPrice, sort });
+    const offset = readCursor(query.get('cursor'), session.version, key);
+
+    const currency = this._currency(session);
+    let ranked = session.rankings.get(key);
+    if (!ranked) {
+      // Filter before ranking, so the result cap applies to matching items only
+      const candidates = this.catalog.filter(item =>
+        (categories.length === 0 || categories.includes(item.category)) &&
+        (brands.length === 0 || (item.brand !== undefined && brands.includes(normalizeText(item.brand)))) &&
+        withinPrice(item, currency, this.engineOptions?.exchangeRates, minPrice, maxPrice));
+      ranked = sortRecommendations(
+        session.engine.generateRecommendations(candidates, this.maxResults, { ...(occasion && { occasion }) }),
+        sort
+      );
+      session.rankings.set(key, ranked);
+      if (session.rankings.size > MAX_RANKINGS_PER_USER) {
+        session.rankings.delete(session.rankings.keys().next().value!);
+      }
+    }
+
+    const page = ranked.slice(offset, offset + limit);
+    page.forEach(rec => session.served.set(rec.item.id, rec));
+    const next = offset + limit < ranked.length ? encodeCursor(session.version, key, offset + limit) : null;
+
+    return [200, {
+      recommendations: page.map(rec => toResource(rec, locale, currency)),
+      nextCursor: next,
+      total: ranked.length
+    }];
+  }
+
+  /**
+   * Wardrobe gaps with catalog items to fill them
+   * @private
+   */
+  private async _getGaps(userId: string, query: Query, req: IncomingMessage): Promise<[number, unknown]> {
+    const session = this._requireSession(userId);
+    const locale = readLocale(query, req);
+    const limit = intParam(query, 'limit', 3, 0, 20);
+    const currency = this._currency(session);
+
+    const gaps = session.engine.findWardrobeGaps({ catalog: this.catalog, recommendationsPerGap: limit });
+    return [200, {
+      gaps: gaps.map(gap => {
+        gap.recommendations.forEach(rec => session.served.set(rec.item.id, rec));
+        return {
+          category: gap.category,
+          currentCount: gap.currentCount,
+          suggestedCount: gap.suggestedCount,
+          priority: gap.priority,
+          reason: gap.reason,
+          recommendations: gap.recommendations.map(rec => toResource(rec, locale, currency))
+        };
+      })
+    }];
+  }
+
+  /**
+   * Record interactions with served recommendations
+   * @private
+   */
+  private async _postFeedback(userId: string, body: any): Promise<[number, unknown]> {
+    const session = this._requireSession(userId);
+    if (!body || typeof body !== 'object') throw invalid('Body must be an object');
+    if (typeof body.sessionId !== 'string' || body.sessionId.trim() === '') {
+      throw invalid('sessionId must be a non-empty string');
+    }
+    if (!Array.isArray(body.events) || body.events.length === 0 || body.events.length > MAX_EVENTS) {
+      throw invalid(`events must be an array of 1 to ${MAX_EVENTS} events`);
+    }
+
+    const errors: string[] = [];
+    const accepted: Array<{ rec: Recommendation; type: InteractionType; position?: number; timestamp?: Date }> = [];
+    body.events.forEach((event: any, idx: number) => {
+      const label = `events[${idx}]`;
+      if (!event || typeof event !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      const rec = typeof event.itemId === 'string' ? session.served.get(event.itemId) : undefined;
+      if (typeof event.itemId !== 'string') errors.push(`${label}.itemId must be a string`);
+      else if (!rec) errors.push(`${label}.itemId was not recommended to this user: ${event.itemId}`);
+      if (!INTERACTION_TYPES.includes(event.type)) {
+        errors.push(`${label}.type must be one of ${INTERACTION_TYPES.join(', ')}`);
+      }
+      if (event.position !== undefined && (!Number.isInteger(event.position) || event.position < 0)) {
+        errors.push(`${label}.position must be a whole number of at least 0`);
+      }
+      const timestamp = event.timestamp === undefined ? undefined : new Date(event.timestamp);
+      if (timestamp && (typeof event.timestamp !== 'string' || Number.isNaN(timestamp.getTime()))) {
+        errors.push(`${label}.timestamp must be an ISO date`);
+      }
+      if (rec) accepted.push({ rec, type: event.type, position: event.position, timestamp });
+    });
+    if (errors.length > 0) throw invalid('Invalid feedback', errors);
+
+    const events = accepted.map(({ rec, type, position, timestamp }) =>
+      this.feedbackLog.record(rec, type, { sessionId: body.sessionId, userId, position, timestamp }));
+    if (this.onFeedback) await this.onFeedback(events);
+    return [202, { recorded: events.length }];
+  }
+
+  /**
+   * Cached session for a user, marking it most recently used
+   * @private
+   */
+  private _requireSession(userId: string): UserSession {
+    const session = this.sessions.get(userId);
+    if (!session) {
+      throw new ServiceError(404, 'profile_not_found', 'No boards have been analyzed for this user; POST /api/boards first');
+    }
+    this._store(userId, session);
+    return session;
+  }
+
+  /**
+   * Cache a session as most recently used, evicting the least recently used beyond the limit
+   * @private
+   */
+  private _store(userId: string, session: UserSession): void {
+    this.sessions.delete(userId);
+    this.sessions.set(userId, session);
+    while (this.sessions.size > this.maxUsers) {
+      this.sessions.delete(this.sessions.keys().next().value!);
+    }
+  }
+
+  /**
+   * @private
+   */
+  private _profileResponse(session: UserSession): Record<string, unknown> {
+    const profile = session.engine.getStyleProfile() as StyleProfile;
+    return {
+      profile,
+      boards: session.engine.getBoardProfiles().map(board => ({
+        id: board.boardId,
+        name: board.boardName,
+        occasion: board.occasion,
+        weight: board.weight,
+        pinCount: board.pins.length
+      })),
+      aesthetics: session.engine.getAesthetics().map(({ name, share }) => ({ name, share })),
+      updatedAt: session.updatedAt,
+      warnings: session.warnings
+    };
+  }
+
+  /**
+   * @private
+   */
+  private _currency(session: UserSession): string {
+    return session.engine.getShopperPreferences().currency || DEFAULT_CURRENCY;
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @private
+   */
+  private async _readBody(req: IncomingMessage): Promise<any> {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+      throw new ServiceError(415, 'unsupported_media_type', 'Request body must be application/json');
+    }
+    const declared = Number(req.headers['content-length']);
+    if (Number.isFinite(declared) && declared > this.maxBodyBytes) {
+      throw new ServiceError(413, 'payload_too_large', `Request body is larger than ${this.maxBodyBytes} bytes`);
+    }
+
+    const chunks: Buffer[] = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodyBytes) {
+        throw new ServiceError(413, 'payload_too_large', `Request body is larger than ${this.maxBodyBytes} bytes`);
+      }
+      chunks.push(chunk as Buffer);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      throw invalid(`Request body is not valid JSON: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  private _sendError(res: ServerResponse, error: Error): void {
+    if (!(error instanceof ServiceError)) {
+      if (this.onError) this.onError(error);
+      error = new ServiceError(500, 'internal_error', 'Something went wrong while handling the request');
+    }
+    const { status, code, message, details } = error as ServiceError;
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    // Stop reading a body that was rejected part-way, such as one that is too large
+    if (status === 413) res.setHeader('Connection', 'close');
+    sendJson(res, status, { error: { code, message, ...(details && { details }) } });
+  }
+}
+
+/**
+ * Create a recommendation service
+ *
+ * @param options - Catalog, engine options and limits
+ * @returns Service; call listen to start it, or pass handle to an existing server
+ */
+export function createRecommendationService(options: ServiceOptions): RecommendationService {
+  return new RecommendationService(options);
+}
+
+/**
+ * Shape a recommendation for the API
+ *
+ * @param rec - Recommendation from the engine
+ * @param locale - Language of reasons
+ * @param currency - Currency to report when the recommendation has no converted price
+ * @returns API resource
+ */
+export function toResource(rec: Recommendation, locale: string, currency: string): RecommendationResource {
+  const { item } = rec;
+  const cited = new Map(rec.reasons.flatMap(r => r.pins).map(pin => [pin.id, pin]));
+  return {
+    id: item.id,
+    title: item.title,
+    price: rec.price ? rec.price.amount : null,
+    ...(rec.price?.was !== undefined && { wasPrice: rec.price.was }),
+    currency: rec.price ? rec.price.currency : currency,
+    imageUrl: item.imageUrl,
+    ...(item.link && { link: item.link }),
+    retailer: retailerOf(item),
+    ...(item.brand && { brand: item.brand }),
+    category: item.category,
+    matchScore: Math.round(rec.score * 1000) / 1000,
+    reasons: formatReasons(rec.reasons, locale),
+    citedPins: Array.from(cited.values()).slice(0, 3).map(({ id, title, imageUrl }) => ({ id, title, imageUrl })),
+    ...(rec.serendipitous && { serendipitous: true })
+  };
+}
+
+/**
+ * Who sells an item: the site its link points to, else its brand
+ *
+ * @param item - Catalog item
+ * @returns Host name without "www.", brand, or null
+ */
+export function retailerOf(item: FashionItem): string | null {
+  if (item.link) {
+    try {
+      return new URL(item.link).hostname.replace(/^www\./, '');
+    } catch {
+      // Not an absolute URL; fall back to the brand
+    }
+  }
+  return item.brand || null;
+}
+
+function sendJson(res: ServerResponse, status: number, payload: unknown): void {
+  const body = JSON.stringify(payload);
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(body);
+}
+
+function invalid(message: string, details?: string[]): ServiceError {
+  return new ServiceError(400, 'invalid_request', message, details);
+}
+
+function readUserId(req: IncomingMessage): string {
+  const header = req.headers['x-user-id'];
+  const userId = Array.isArray(header) ? header[0] : header;
+  if (!userId) throw new ServiceError(401, 'missing_user', 'The X-User-Id header is required');
+  if (!USER_ID_PATTERN.test(userId)) {
+    throw new ServiceError(400, 'invalid_request', 'X-User-Id must be 1-128 letters, digits or _.:@-');
+  }
+  return userId;
+}
+
+/**
+ * Language for reasons: the locale parameter, which must be supported, else
+ * the first supported Accept-Language entry, else English
+ */
+function readLocale(query: Query, req: IncomingMessage): string {
+  const supported = (tag: string) => !!(MESSAGE_CATALOGS[tag] || MESSAGE_CATALOGS[tag.split('-')[0]]);
+  const requested = query.get('locale');
+  if (requested) {
+    if (!supported(requested)) {
+      throw invalid(`Unsupported locale: ${requested}`, [`locale must be one of ${Object.keys(MESSAGE_CATALOGS).join(', ')}`]);
+    }
+    return requested;
+  }
+
+  const accepted = (req.headers['accept-language'] || '')
+    .split(',')
+    .map(part => part.split(';')[0].trim())
+    .filter(Boolean);
+  return accepted.find(supported) || 'en';
+}
+
+function intParam(query: Query, name: string, fallback: number, min: number, max: number): number {
+  const raw = query.get(name);
+  if (raw === null || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw invalid(`${name} must be a whole number from ${min} to ${max}: ${raw}`);
+  }
+  return value;
+}
+
+function numberParam(query: Query, name: string): number | undefined {
+  const raw = query.get(name);
+  if (raw === null || raw === '') return undefined;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw invalid(`${name} must be a number of at least 0: ${raw}`);
+  }
+  return value;
+}
+
+function listParam(query: Query, name: string): string[] {
+  return query.getAll(name)
+    .flatMap(value => value.split(','))
+    .map(value => normalizeText(value))
+    .filter(Boolean);
+}
+
+function withinPrice(item: FashionItem, currency: string, rates?: ExchangeRateTable, min?: number, max?: number): boolean {
+  if (min === undefined && max === undefined) return true;
+  const price = priceIn(item, currency, rates);
+  if (price === undefined) return false;
+  return (min === undefined || price >= min) && (max === undefined || price <= max);
+}
+
+function sortRecommendations(recs: Recommendation[], sort: SortOrder): Recommendation[] {
+  if (sort === 'relevance') return recs;
+  // Stable sorts, so ties keep their relevance order; unpriced and undated items go last
+  const priced = (rec: Recommendation) => (rec.price ? rec.price.amount : undefined);
+  const last = (a?: number, b?: number, cmp = (x: number, y: number) => x - y) =>
+    (a === undefined ? (b === undefined ? 0 : 1) : b === undefined ? -1 : cmp(a, b));
+
+  if (sort === 'price_asc') return [...recs].sort((a, b) => last(priced(a), priced(b)));
+  if (sort === 'price_desc') return [...recs].sort((a, b) => last(priced(a), priced(b), (x, y) => y - x));
+  const created = (rec: Recommendation) => {
+    const time = rec.item.createdAt ? Date.parse(rec.item.createdAt) : NaN;
+    return Number.isNaN(time) ? undefined : time;
+  };
+  return [...recs].sort((a, b) => last(created(a), created(b), (x, y) => y - x));
+}
+
+/**
+ * Cursors are opaque to clients: the profile version, a digest of the query
+ * and the offset of the next page
+ */
+function encodeCursor(version: number, key: string, offset: number): string {
+  return Buffer.from(JSON.stringify({ v: version, q: digest(key), o: offset })).toString('base64url');
+}
+
+function readCursor(cursor: string | null, version: number, key: string): number {
+  if (!cursor) return 0;
+  let decoded: any;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new ServiceError(400, 'invalid_cursor', 'Cursor is malformed');
+  }
+  if (!decoded || !Number.isInteger(decoded.o) || decoded.o < 0 || decoded.q !== digest(key)) {
+    throw new ServiceError(400, 'invalid_cursor', 'Cursor does not belong to this query');
+  }
+  if (decoded.v !== version) {
+    throw new ServiceError(400, 'invalid_cursor', 'Cursor has expired because the boards changed; start from the first page');
+  }
+  return decoded.o;
+}
+
+function digest(key: string): string {
+  return createHash('sha256').update(key).digest('base64url').slice(0, 16);
+}
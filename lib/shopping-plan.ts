@@ -0,0 +1,362 @@
+/**
+ * Budget-constrained shopping plans
+ *
+ * Picks which recommendations to buy with a fixed amount of money. The plan
+ * maximizes the total match score of the items, plus a bonus for filling
+ * wardrobe gaps and, optionally, for making up a complete outfit (a top and
+ * bottom or a dress, plus shoes) together with what the user owns. Within a
+ * category the choice is a 0/1 knapsack over item prices; categories are then
+ * combined with a grouped knapsack, so spending caps per category hold
+ * exactly. Prices are counted in steps of `resolution` and rounded up, so a
+ * plan never goes over budget.
+ *
+ * @module lib/shopping-plan
+ */
+
+import type { FashionItem, Recommendation } from './core';
+import type { WardrobeGap } from './gaps';
+
+type Category = FashionItem['category'];
+
+/**
+ * Options for planning purchases
+ */
+export interface ShoppingPlanOptions {
+  /** Most to spend in total, in the recommendations' currency */
+  budget: number;
+  /** Most to spend per category */
+  categoryCaps?: Partial<Record<Category, number>>;
+  /** Most items to buy per category (default: 3) */
+  maxPerCategory?: number;
+  /** Gaps whose filling earns a bonus, such as those from findWardrobeGaps */
+  gaps?: WardrobeGap[];
+  /** Items already owned, which count toward a complete outfit */
+  owned?: FashionItem[];
+  /**
+   * Weights of the objective's parts: each item's match score, a gap filled
+   * to its suggested count (scaled by the gap's priority), and a complete
+   * outfit (default: 1, 0.5, 0)
+   */
+  objective?: { score?: number; gapCoverage?: number; outfit?: number };
+  /** Also plan for the budget this much higher and lower, and report what would change */
+  budgetChange?: number;
+  /** Smallest price difference the planner tells apart (default: a 500th of the budget, at least 1) */
+  resolution?: number;
+  /** Best-scoring candidates considered per category (default: 40) */
+  candidatesPerCategory?: number;
+}
+
+/**
+ * Items to buy
+ */
+export interface ShoppingPlan {
+  /** Chosen recommendations, best score first */
+  items: Recommendation[];
+  budget: number;
+  totalCost: number;
+  /** Budget left over */
+  remaining: number;
+  currency: string;
+  /** Objective value and its parts */
+  value: { total: number; score: number; gapCoverage: number; outfit: number };
+  spendByCategory: Partial<Record<Category, number>>;
+  /** How far each gap is filled */
+  gaps: Array<{ category: Category; suggestedCount: number; planned: number }>;
+  /** Whether the plan and the owned items make up a complete outfit */
+  completesOutfit: boolean;
+  /** Ids of recommendations left out because they have no price */
+  unpriced: string[];
+  /** What changes if the budget grows or shrinks by `budgetChange` */
+  alternatives?: { increase?: PlanChange; decrease?: PlanChange };
+}
+
+/**
+ * Difference between a plan and the plan for another budget
+ */
+export interface PlanChange {
+  budget: number;
+  add: Recommendation[];
+  remove: Recommendation[];
+  costChange: number;
+  valueChange: number;
+}
+
+interface Candidate {
+  rec: Recommendation;
+  price: number;
+  units: number;
+}
+
+interface Solution {
+  chosen: Candidate[];
+  value: ShoppingPlan['value'];
+  completesOutfit: boolean;
+}
+
+// Categories a complete outfit is made of, and the ways of covering it
+const OUTFIT_CATEGORIES: Category[] = ['tops', 'bottoms', 'dresses', 'shoes'];
+const OUTFIT_COVERS: Category[][] = [['tops', 'bottoms', 'shoes'], ['dresses', 'shoes']];
+const MAX_STEPS = 500;
+
+/**
+ * Choose the recommendations to buy within a budget
+ *
+ * @param recommendations - Scored recommendations with prices, all in one currency
+ * @param options - Budget, caps, gaps and objective weights
+ * @returns The best plan, with alternatives for a changed budget when asked
+ */
+export function optimizeShoppingPlan(recommendations: Recommendation[], options: ShoppingPlanOptions): ShoppingPlan {
+  const { budget } = options;
+  if (!Number.isFinite(budget) || budget < 0) {
+    throw new Error(`Invalid budget: ${budget}`);
+  }
+  if (options.budgetChange !== undefined && (!Number.isFinite(options.budgetChange) || options.budgetChange <= 0)) {
+    throw new Error(`Invalid budget change: ${options.budgetChange}`);
+  }
+
+  const currencies = new Set(recommendations.filter(rec => rec.price).map(rec => rec.price!.currency));
+  if (currencies.size > 1) {
+    throw new Error(`Recommendations are priced in more than one currency: ${Array.from(currencies).join(', ')}`);
+  }
+  const currency = currencies.values().next().value || 'USD';
+  const unpriced = recommendations.filter(rec => !rec.price).map(rec => rec.item.id);
+
+  const plan = buildPlan(recommendations, budget, options, currency, unpriced);
+  if (options.budgetChange !== undefined) {
+    const change = options.budgetChange;
+    plan.alternatives = {
+      increase: comparePlans(plan, buildPlan(recommendations, budget + change, options, currency, unpriced)),
+      ...(budget - change >= 0 && {
+        decrease: comparePlans(plan, buildPlan(recommendations, budget - change, options, currency, unpriced))
+      })
+    };
+  }
+  return plan;
+}
+
+function buildPlan(
+  recommendations: Recommendation[],
+  budget: number,
+  options: ShoppingPlanOptions,
+  currency: string,
+  unpriced: string[]
+): ShoppingPlan {
+  const resolution = options.resolution ?? Math.max(1, budget / MAX_STEPS);
+  if (!Number.isFinite(resolution) || resolution <= 0) {
+    throw new Error(`Invalid resolution: ${options.resolution}`);
+  }
+  const steps = Math.floor(budget / resolution + 1e-9);
+  const { chosen, value, completesOutfit } = solve(recommendations, steps, resolution, options);
+
+  const spendByCategory: Partial<Record<Category, number>> = {};
+  chosen.forEach(({ rec, price }) => {
+    spendByCategory[rec.item.category] = roundMoney((spendByCategory[rec.item.category] || 0) + price);
+  });
+  const totalCost = roundMoney(chosen.reduce((sum, { price }) => sum + price, 0));
+
+  return {
+    items: chosen.map(({ rec }) => rec).sort((a, b) => b.score - a.score),
+    budget,
+    totalCost,
+    remaining: roundMoney(budget - totalCost),
+    currency,
+    value,
+    spendByCategory,
+    gaps: (options.gaps || []).map(gap => ({
+      category: gap.category,
+      suggestedCount: gap.suggestedCount,
+      planned: chosen.filter(({ rec }) => rec.item.category === gap.category).length
+    })),
+    completesOutfit,
+    unpriced
+  };
+}
+
+/**
+ * Exact optimum over the candidates at a budget of `steps` price steps
+ */
+function solve(recommendations: Recommendation[], steps: number, resolution: number, options: ShoppingPlanOptions): Solution {
+  const { maxPerCategory = 3, candidatesPerCategory = 40 } = options;
+  const weights = { score: 1, gapCoverage: 0.5, outfit: 0, ...options.objective };
+  const gapsByCategory = new Map((options.gaps || []).map(gap => [gap.category, gap]));
+  const owned = new Set((options.owned || []).map(item => item.category));
+
+  // Best-scoring priced candidates of each category
+  const byCategory = new Map<Category, Candidate[]>();
+  recommendations.forEach(rec => {
+    if (!rec.price) return;
+    const list = byCategory.get(rec.item.category) || [];
+    list.push({ rec, price: rec.price.amount, units: Math.max(0, Math.ceil(rec.price.amount / resolution - 1e-9)) });
+    byCategory.set(rec.item.category, list);
+  });
+  const tables = Array.from(byCategory.entries()).map(([category, list]) => {
+    const candidates = list.sort((a, b) => b.rec.score - a.rec.score).slice(0, candidatesPerCategory);
+    const cap = options.categoryCaps?.[category];
+    const capSteps = cap === undefined ? steps : Math.min(steps, Math.floor(cap / resolution + 1e-9));
+    const gap = gapsByCategory.get(category);
+    const bonus = (count: number) => (gap && gap.suggestedCount > 0
+      ? weights.gapCoverage * gap.priorityScore * Math.min(count, gap.suggestedCount) / gap.suggestedCount
+      : 0);
+    return new CategoryTable(category, candidates, steps, capSteps, Math.max(0, maxPerCategory), weights.score, bonus);
+  });
+
+  const outfitValue = (covered: Set<Category>) =>
+    (OUTFIT_COVERS.some(cover => cover.every(c => covered.has(c) || owned.has(c))) ? weights.outfit : 0);
+
+  // The outfit bonus depends on which categories end up non-empty, so solve
+  // once with each way of covering an outfit forced, and once unforced
+  const forcings: Category[][] = weights.outfit > 0 ? [[], ...OUTFIT_COVERS.map(c => c.filter(x => !owned.has(x)))] : [[]];
+  let best: Solution | null = null;
+  forcings.forEach(forced => {
+    const picked = combine(tables, steps, new Set(forced));
+    if (!picked) return;
+    const chosen = picked.flatMap(({ table, units, count }) => table.items(units, count));
+    const covered = new Set(chosen.map(({ rec }) => rec.item.category).filter(c => OUTFIT_CATEGORIES.includes(c)));
+    const score = weights.score * chosen.reduce((sum, { rec }) => sum + rec.score, 0);
+    const gapCoverage = picked.reduce((sum, { table, count }) => sum + table.bonus(count), 0);
+    const outfit = outfitValue(covered);
+    const value = { total: score + gapCoverage + outfit, score, gapCoverage, outfit };
+    if (!best || value.total > best.value.total + 1e-12) {
+      best = { chosen, value, completesOutfit: OUTFIT_COVERS.some(cover => cover.every(c => covered.has(c) || owned.has(c))) };
+    }
+  });
+
+  return best || { chosen: [], value: { total: 0, score: 0, gapCoverage: 0, outfit: 0 }, completesOutfit: false };
+}
+
+/**
+ * Best item sets of one category for every spend and item count
+ */
+class CategoryTable {
+  public readonly category: Category;
+  /** Gap bonus for buying a number of items here */
+  public readonly bonus: (count: number) => number;
+  private readonly candidates: Candidate[];
+  private readonly capSteps: number;
+  private readonly maxCount: number;
+  private readonly size: number;
+  /** best[count * size + units]: highest weighted score of `count` items costing at most `units` */
+  private readonly best: Float64Array;
+  /** Whether candidate i improved best[count][units] when it was considered */
+  private readonly keep: Uint8Array;
+
+  constructor(
+    category: Category,
+    candidates: Candidate[],
+    steps: number,
+    capSteps: number,
+    maxCount: number,
+    scoreWeight: number,
+    bonus: (count: number) => number
+  ) {
+    this.category = category;
+    this.candidates = candidates;
+    this.capSteps = capSteps;
+    this.maxCount = maxCount;
+    this.bonus = bonus;
+    this.size = steps + 1;
+    this.best = new Float64Array((maxCount + 1) * this.size).fill(-Infinity);
+    this.best.fill(0, 0, this.size);
+    this.keep = new Uint8Array(candidates.length * (maxCount + 1) * this.size);
+
+    candidates.forEach(({ rec, units }, i) => {
+      for (let count = maxCount; count >= 1; count--) {
+        for (let u = this.size - 1; u >= units; u--) {
+          const value = this.best[(count - 1) * this.size + u - units] + rec.score * scoreWeight;
+          if (value > this.best[count * this.size + u]) {
+            this.best[count * this.size + u] = value;
+            this.keep[(i * (maxCount + 1) + count) * this.size + u] = 1;
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Best value of spending at most `units` here, and the item count that gets it
+   */
+  public value(units: number, nonEmpty: boolean): { value: number; count: number } {
+    const u = Math.min(units, this.capSteps);
+    let result = { value: nonEmpty ? -Infinity : 0, count: 0 };
+    for (let count = 1; count <= this.maxCount; count++) {
+      const value = this.best[count * this.size + u] + this.bonus(count);
+      if (value > result.value) result = { value, count };
+    }
+    return result;
+  }
+
+  /**
+   * The candidates making up the best set of `count` items within `units`
+   */
+  public items(units: number, count: number): Candidate[] {
+    const chosen: Candidate[] = [];
+    let u = Math.min(units, this.capSteps);
+    for (let i = this.candidates.length - 1; i >= 0 && count > 0; i--) {
+      if (this.keep[(i * (this.maxCount + 1) + count) * this.size + u]) {
+        chosen.push(this.candidates[i]);
+        u -= this.candidates[i].units;
+        count--;
+      }
+    }
+    return chosen;
+  }
+}
+
+/**
+ * Split the budget between categories (grouped knapsack), with the forced
+ * categories buying at least one item
+ */
+function combine(
+  tables: CategoryTable[],
+  steps: number,
+  forced: Set<Category>
+): Array<{ table: CategoryTable; units: number; count: number }> | null {
+  if (Array.from(forced).some(category => !tables.some(table => table.category === category))) return null;
+
+  let total = new Float64Array(steps + 1);
+  const choices: Int32Array[] = [];
+  tables.forEach(table => {
+    const nonEmpty = forced.has(table.category);
+    const own = Array.from({ length: steps + 1 }, (_, u) => table.value(u, nonEmpty).value);
+    const next = new Float64Array(steps + 1).fill(-Infinity);
+    const choice = new Int32Array(steps + 1);
+    for (let u = 0; u <= steps; u++) {
+      for (let spend = 0; spend <= u; spend++) {
+        const value = total[u - spend] + own[spend];
+        if (value > next[u]) {
+          next[u] = value;
+          choice[u] = spend;
+        }
+      }
+    }
+    choices.push(choice);
+    total = next;
+  });
+  if (!(total[steps] > -Infinity)) return null;
+
+  const picked: Array<{ table: CategoryTable; units: number; count: number }> = [];
+  let u = steps;
+  for (let j = tables.length - 1; j >= 0; j--) {
+    const spend = choices[j][u];
+    const { count } = tables[j].value(spend, forced.has(tables[j].category));
+    picked.push({ table: tables[j], units: spend, count });
+    u -= spend;
+  }
+  return picked;
+}
+
+function comparePlans(current: ShoppingPlan, other: ShoppingPlan): PlanChange {
+  const currentIds = new Set(current.items.map(rec => rec.item.id));
+  const otherIds = new Set(other.items.map(rec => rec.item.id));
+  return {
+    budget: other.budget,
+    add: other.items.filter(rec => !currentIds.has(rec.item.id)),
+    remove: current.items.filter(rec => !otherIds.has(rec.item.id)),
+    costChange: roundMoney(other.totalCost - current.totalCost),
+    valueChange: other.value.total - current.value.total
+  };
+}
+
+function roundMoney(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
@@ -0,0 +1,240 @@
+/**
+ * Synthetic catalogs, boards and labeled users
+ *
+ * Benchmarks and offline evaluation need data that is free to generate and the
+ * same on every run. Catalog items are drawn uniformly from a fixed vocabulary
+ * of garments, colors, style keywords and brands. Each synthetic user also has
+ * a hidden taste: a few colors, keywords, brands and categories and a usual
+ * price. Their boards are pins drawn mostly from that taste, and the items they
+ * saved and bought are the catalog items that fit it best after some random
+ * jitter, so a recommender that reads the boards well finds them.
+ *
+ * @module lib/synthetic
+ */
+
+import type { FashionItem } from './core';
+import type { EvaluationCase, EvaluationDataset } from './evaluation';
+import { COLOR_NAMES } from './color';
+import { mulberry32 } from './utils';
+
+type Category = FashionItem['category'];
+
+/**
+ * Hidden preferences of a synthetic user
+ */
+export interface SyntheticTaste {
+  colors: string[];
+  styles: string[];
+  brands: string[];
+  categories: Category[];
+  /** Natural log of the user's usual price */
+  priceLogMean: number;
+}
+
+/**
+ * Options for generating an evaluation dataset
+ */
+export interface SyntheticDatasetOptions {
+  /** Number of users, one case each (default: 40) */
+  users?: number;
+  /** Catalog items (default: 2000) */
+  catalogSize?: number;
+  /** Distinct brands across the catalog (default: 60) */
+  brands?: number;
+  /** Boards per user (default: 2) */
+  boardsPerUser?: number;
+  /** Pins per board (default: 16) */
+  pinsPerBoard?: number;
+  /** Items each user already owns (default: 4) */
+  ownedPerUser?: number;
+  /** Catalog items each user saved (default: 12) */
+  savedPerUser?: number;
+  /** Catalog items each user bought (default: 3) */
+  purchasedPerUser?: number;
+  /** Chance that a pin attribute ignores the user's taste (default: 0.25) */
+  noise?: number;
+  /** Seed; the same seed gives the same dataset (default: 42) */
+  seed?: number;
+}
+
+const CATEGORIES: Category[] = ['tops', 'bottoms', 'dresses', 'outerwear', 'shoes', 'accessories'];
+
+const NOUNS: Record<Category, string[]> = {
+  tops: ['blouse', 'sweater', 'tee', 'cardigan', 'shirt', 'camisole'],
+  bottoms: ['trousers', 'jeans', 'skirt', 'shorts', 'culottes'],
+  dresses: ['midi dress', 'slip dress', 'maxi dress', 'jumpsuit'],
+  outerwear: ['coat', 'blazer', 'trench', 'bomber', 'parka'],
+  shoes: ['loafers', 'boots', 'sneakers', 'sandals', 'mules'],
+  accessories: ['tote', 'crossbody bag', 'belt', 'scarf', 'necklace', 'sunglasses']
+};
+
+const STYLES = [
+  'minimalist', 'classic', 'elegant', 'casual', 'bohemian', 'romantic', 'edgy', 'sporty', 'vintage', 'preppy',
+  'modern', 'relaxed', 'professional', 'feminine', 'sophisticated', 'trendy', 'comfortable', 'timeless',
+  'streetwear', 'grunge', 'chic', 'cozy', 'luxurious', 'delicate', 'bold', 'retro', 'tailored', 'structured'
+];
+
+const ADJECTIVES = ['soft', 'tailored', 'oversized', 'cropped', 'wool', 'linen', 'silk', 'cotton', 'leather', 'knit', 'pleated'];
+
+// Catalog prices are log-uniform between about $20 and $800
+const MIN_LOG_PRICE = 3;
+const LOG_PRICE_RANGE = 3.7;
+
+// Spread of a user's prices around their usual price, in log units
+const TASTE_LOG_PRICE_SPREAD = 0.6;
+
+// Weight of each part of how well an item fits a taste, and of the jitter on top
+const AFFINITY_WEIGHTS = { colors: 0.3, styles: 0.3, category: 0.15, brand: 0.1, price: 0.15, jitter: 0.2 };
+
+/**
+ * Generate one fashion item
+ *
+ * Without a taste every attribute is uniform over the vocabulary. With one,
+ * each attribute comes from the taste unless a `noise` draw says otherwise.
+ *
+ * @param random - Random source, such as mulberry32
+ * @param id - Item id
+ * @param brands - Brands to draw from
+ * @param taste - Preferences to draw pins for
+ * @param noise - Chance that an attribute ignores the taste (default: 0.25)
+ * @returns Fashion item
+ */
+export function generateSyntheticItem(
+  random: () => number,
+  id: string,
+  brands: string[],
+  taste?: SyntheticTaste,
+  noise: number = 0.25
+): FashionItem {
+  const from = <T>(preferred: T[] | undefined, all: T[]): T[] =>
+    preferred && preferred.length > 0 && random() >= noise ? preferred : all;
+
+  const category = pick(random, from(taste?.categories, CATEGORIES));
+  const colors = pickSome(random, from(taste?.colors, COLOR_NAMES), 1 + Math.floor(random() * 2));
+  const style = pickSome(random, from(taste?.styles, STYLES), 1 + Math.floor(random() * 3));
+  const noun = pick(random, NOUNS[category]);
+  const adjective = pick(random, ADJECTIVES);
+  const logPrice = taste && random() >= noise
+    ? taste.priceLogMean + (random() * 2 - 1) * TASTE_LOG_PRICE_SPREAD
+    : MIN_LOG_PRICE + random() * LOG_PRICE_RANGE;
+
+  return {
+    id,
+    title: `${colors[0]} ${adjective} ${noun}`,
+    description: `${style.join(', ')} ${noun} in ${colors.join(' and ')}`,
+    imageUrl: '',
+    category,
+    colors,
+    style,
+    price: Math.round(Math.exp(logPrice)),
+    brand: pick(random, from(taste?.brands, brands)),
+    tags: [noun]
+  };
+}
+
+/**
+ * Generate a hidden taste
+ *
+ * @param random - Random source
+ * @param brands - Brands to choose favorites from
+ * @returns Taste
+ */
+export function generateSyntheticTaste(random: () => number, brands: string[]): SyntheticTaste {
+  return {
+    colors: pickSome(random, COLOR_NAMES, 3),
+    styles: pickSome(random, STYLES, 4),
+    brands: pickSome(random, brands, 4),
+    categories: pickSome(random, CATEGORIES, 3),
+    priceLogMean: MIN_LOG_PRICE + 0.5 + random() * (LOG_PRICE_RANGE - 1)
+  };
+}
+
+/**
+ * Generate a labeled dataset for lib/evaluation
+ *
+ * @param options - Sizes, noise and seed
+ * @returns Catalog and one case per user, with boards, owned items and held-out saves and purchases
+ */
+export function generateSyntheticDataset(options: SyntheticDatasetOptions = {}): EvaluationDataset {
+  const {
+    users = 40,
+    catalogSize = 2000,
+    brands: brandCount = 60,
+    boardsPerUser = 2,
+    pinsPerBoard = 16,
+    ownedPerUser = 4,
+    savedPerUser = 12,
+    purchasedPerUser = 3,
+    noise = 0.25,
+    seed = 42
+  } = options;
+  if (savedPerUser + purchasedPerUser < 1) throw new Error('Users need at least one saved or purchased item');
+  if (savedPerUser + purchasedPerUser > catalogSize) {
+    throw new Error(`A catalog of ${catalogSize} items cannot hold ${savedPerUser + purchasedPerUser} picks per user`);
+  }
+  if (!(noise >= 0 && noise <= 1)) throw new Error(`Invalid noise: ${noise}`);
+
+  const random = mulberry32(seed);
+  const brands = Array.from({ length: brandCount }, (_, i) => `Brand ${i}`);
+  const catalog = Array.from({ length: catalogSize }, (_, i) => generateSyntheticItem(random, `item-${i}`, brands));
+
+  const cases = Array.from({ length: users }, (_, u): EvaluationCase => {
+    const taste = generateSyntheticTaste(random, brands);
+    const boards = Array.from({ length: boardsPerUser }, (_, b) => ({
+      id: `user-${u}-board-${b}`,
+      name: `User ${u} board ${b + 1}`,
+      pins: Array.from({ length: pinsPerBoard }, (_, p) =>
+        generateSyntheticItem(random, `user-${u}-pin-${b}-${p}`, brands, taste, noise))
+    }));
+    const owned = Array.from({ length: ownedPerUser }, (_, o) =>
+      generateSyntheticItem(random, `user-${u}-owned-${o}`, brands, taste, noise));
+
+    const picks = catalog
+      .map(item => ({ item, fit: affinity(item, taste), jitter: random() * AFFINITY_WEIGHTS.jitter }))
+      .sort((a, b) => b.fit + b.jitter - (a.fit + a.jitter))
+      .slice(0, savedPerUser + purchasedPerUser);
+    // Users buy the picks closest to their usual price and save the rest
+    const byPrice = [...picks].sort((a, b) => pricePull(b.item, taste) - pricePull(a.item, taste));
+    const purchased = byPrice.slice(0, purchasedPerUser).map(pick => pick.item.id);
+
+    return {
+      id: `user-${u}`,
+      boards,
+      ...(owned.length > 0 && { owned }),
+      saved: picks.map(pick => pick.item.id).filter(id => !purchased.includes(id)),
+      purchased
+    };
+  });
+
+  return { name: `synthetic-${seed}`, catalog, cases };
+}
+
+/**
+ * How well an item fits a taste, before jitter
+ */
+function affinity(item: FashionItem, taste: SyntheticTaste): number {
+  const share = (values: string[], preferred: string[]) =>
+    values.length > 0 ? values.filter(value => preferred.includes(value)).length / values.length : 0;
+
+  return AFFINITY_WEIGHTS.colors * share(item.colors, taste.colors) +
+    AFFINITY_WEIGHTS.styles * share(item.style, taste.styles) +
+    AFFINITY_WEIGHTS.category * (taste.categories.includes(item.category) ? 1 : 0) +
+    AFFINITY_WEIGHTS.brand * (item.brand && taste.brands.includes(item.brand) ? 1 : 0) +
+    AFFINITY_WEIGHTS.price * pricePull(item, taste);
+}
+
+function pricePull(item: FashionItem, taste: SyntheticTaste): number {
+  if (!item.price) return 0;
+  const z = (Math.log(item.price) - taste.priceLogMean) / TASTE_LOG_PRICE_SPREAD;
+  return Math.exp(-(z * z) / 2);
+}
+
+function pick<T>(random: () => number, values: T[]): T {
+  return values[Math.floor(random() * values.length)];
+}
+
+function pickSome<T>(random: () => number, values: T[], count: number): T[] {
+  const picked = new Set<T>();
+  while (picked.size < Math.min(count, values.length)) picked.add(pick(random, values));
+  return Array.from(picked);
+}
@@ -0,0 +1,224 @@
+/**
+ * Text vectorization for pin and product descriptions
+ *
+ * This module implements a small TF-IDF vectorizer with fashion synonym
+ * expansion, so "quiet luxury camel coat" and "minimal tailored wool
+ * overcoat" share terms even though they share no words. A board is
+ * summarized as the centroid of its pin vectors and catalog items are
+ * scored against it by cosine similarity.
+ *
+ * @module lib/text
+ */
+
+import { FashionItem } from './core';
+import { normalizeText } from './utils';
+
+/**
+ * Sparse term vector
+ */
+export type TermVector = Map<string, number>;
+
+/**
+ * Groups of words and phrases that describe the same idea. Every member is
+ * also indexed under the group's concept token (prefixed with "~").
+ */
+export const FASHION_SYNONYMS: Record<string, string[]> = {
+  minimal: ['minimal', 'minimalist', 'minimalism', 'clean lines', 'simple', 'understated', 'pared back', 'quiet luxury', 'capsule', 'essential'],
+  luxury: ['luxury', 'luxurious', 'quiet luxury', 'old money', 'elevated', 'premium', 'designer', 'cashmere', 'silk'],
+  tailored: ['tailored', 'structured', 'sharp', 'sleek', 'crisp', 'fitted'],
+  relaxed: ['relaxed', 'oversized', 'slouchy', 'loose', 'boxy', 'easy', 'effortless'],
+  cozy: ['cozy', 'cosy', 'chunky', 'soft', 'knit', 'knitted', 'fleece'],
+  boho: ['boho', 'bohemian', 'flowy', 'free-spirited', 'crochet', 'fringe', 'peasant'],
+  romantic: ['romantic', 'feminine', 'ruffle', 'ruffled', 'lace', 'floral', 'puff sleeve'],
+  edgy: ['edgy', 'grunge', 'punk', 'moto', 'studded', 'leather'],
+  sporty: ['sporty', 'athletic', 'athleisure', 'active', 'gym'],
+  vintage: ['vintage', 'retro', 'thrifted', '70s', '90s', 'y2k'],
+  preppy: ['preppy', 'collegiate', 'varsity', 'cable knit', 'old money'],
+  coat: ['coat', 'overcoat', 'topcoat', 'trench', 'peacoat', 'wool coat'],
+  jacket: ['jacket', 'blazer', 'bomber', 'shacket'],
+  trousers: ['trousers', 'pants', 'slacks', 'chinos'],
+  bag: ['bag', 'purse', 'handbag'],
+  neutral: ['neutral', 'camel', 'beige', 'cream', 'ivory', 'oatmeal', 'tan', 'taupe', 'ecru'],
+  earthy: ['earthy', 'rust', 'olive', 'terracotta', 'sage', 'mustard', 'khaki']
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'its',
+  'of', 'on', 'or', 'our', 'perfect', 'so', 'that', 'the', 'this', 'to', 'with', 'your', 'you', 'new'
+]);
+
+const SYNONYM_WEIGHT = 1;
+
+// Longest phrases first so "quiet luxury" is consumed before "luxury"
+const PHRASES: Array<{ phrase: string; concepts: string[] }> = (() => {
+  const byPhrase = new Map<string, string[]>();
+  Object.entries(FASHION_SYNONYMS).forEach(([concept, members]) => {
+    members.forEach(member => {
+      const phrase = normalizeText(member);
+      byPhrase.set(phrase, [...(byPhrase.get(phrase) || []), concept]);
+    });
+  });
+  return Array.from(byPhrase.entries())
+    .map(([phrase, concepts]) => ({ phrase, concepts }))
+    .sort((a, b) => b.phrase.length - a.phrase.length);
+})();
+
+/**
+ * Split text into normalized, lightly stemmed terms plus synonym concepts
+ *
+ * @param text - Text to tokenize
+ * @returns Terms with their raw weights
+ */
+export function tokenize(text: string): Array<[string, number]> {
+  let normalized = ` ${normalizeText(text)} `;
+  const terms: Array<[string, number]> = [];
+
+  PHRASES.forEach(({ phrase, concepts }) => {
+    const needle = ` ${phrase} `;
+    while (normalized.includes(needle)) {
+      concepts.forEach(concept => terms.push([`~${concept}`, SYNONYM_WEIGHT]));
+      // Multi-word phrases become one term so their parts aren't double counted
+      const replacement = phrase.includes(' ') ? ` ${phrase.replace(/\s+/g, '_')} ` : ` \u0001${phrase} `;
+      normalized = normalized.replace(needle, replacement);
+    }
+  });
+
+  normalized
+    .replace(/\u0001/g, '')
+    .split(/\s+/)
+    .filter(word => word && !STOPWORDS.has(word))
+    .forEach(word => terms.push([stem(word), 1]));
+
+  return terms;
+}
+
+/**
+ * TF-IDF vectorizer fitted on a document collection
+ */
+export class TfIdfVectorizer {
+  private documentFrequency = new Map<string, number>();
+  private documentCount = 0;
+
+  /**
+   * Learn document frequencies from a corpus
+   *
+   * @param documents - Texts to fit on
+   */
+  public fit(documents: string[]): this {
+    this.documentFrequency.clear();
+    this.documentCount = documents.length;
+
+    documents.forEach(doc => {
+      new Set(tokenize(doc).map(([term]) => term)).forEach(term => {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      });
+    });
+
+    return this;
+  }
+
+  /**
+   * Inverse document frequency of a term (smoothed; unseen terms get the maximum)
+   *
+   * @param term - Term to look up
+   */
+  public idf(term: string): number {
+    const df = this.documentFrequency.get(term) || 0;
+    return Math.log((1 + this.documentCount) / (1 + df)) + 1;
+  }
+
+  /**
+   * Turn text into an L2-normalized TF-IDF vector
+   *
+   * @param text - Text to vectorize
+   * @returns Sparse term vector
+   */
+  public transform(text: string): TermVector {
+    const tf = new Map<string, number>();
+    tokenize(text).forEach(([term, weight]) => tf.set(term, (tf.get(term) || 0) + weight));
+
+    const vector: TermVector = new Map();
+    tf.forEach((count, term) => vector.set(term, (count > 1 ? 1 + Math.log(count) : count) * this.idf(term)));
+    return normalizeVector(vector);
+  }
+}
+
+/**
+ * Cosine similarity of two normalized sparse vectors
+ *
+ * @param a - First vector
+ * @param b - Second vector
+ * @returns Similarity between 0 and 1
+ */
+export function cosineSimilarity(a: TermVector, b: TermVector): number {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let sum = 0;
+  small.forEach((value, term) => {
+    const other = large.get(term);
+    if (other !== undefined) sum += value * other;
+  });
+  return sum;
+}
+
+/**
+ * Average and re-normalize a set of vectors
+ *
+ * @param vectors - Vectors to combine
+ * @param weights - Optional weight per vector
+ * @returns Normalized centroid
+ */
+export function centroid(vectors: TermVector[], weights?: number[]): TermVector {
+  const sum: TermVector = new Map();
+  vectors.forEach((vector, idx) => {
+    const weight = weights ? weights[idx] : 1;
+    vector.forEach((value, term) => sum.set(term, (sum.get(term) || 0) + value * weight));
+  });
+  return normalizeVector(sum);
+}
+
+/**
+ * Text used to represent a fashion item
+ *
+ * @param item - Fashion item
+ * @returns Title, description, style keywords and tags joined together
+ */
+export function itemText(item: FashionItem): string {
+  return [item.title, item.description, ...item.style, ...item.tags].join(' ');
+}
+
+/**
+ * Fitted vectorizer plus the centroid of a set of pins
+ */
+export interface TextProfile {
+  vectorizer: TfIdfVectorizer;
+  centroid: TermVector;
+}
+
+/**
+ * Build a text profile from pins
+ *
+ * @param pins - Pins to summarize
+ * @returns Fitted vectorizer and centroid
+ */
+export function buildTextProfile(pins: FashionItem[]): TextProfile {
+  const texts = pins.map(itemText);
+  const vectorizer = new TfIdfVectorizer().fit(texts);
+  return { vectorizer, centroid: centroid(texts.map(text => vectorizer.transform(text))) };
+}
+
+function normalizeVector(vector: TermVector): TermVector {
+  let norm = 0;
+  vector.forEach(value => { norm += value * value; });
+  norm = Math.sqrt(norm);
+  if (norm === 0) return vector;
+
+  const normalized: TermVector = new Map();
+  vector.forEach((value, term) => normalized.set(term, value / norm));
+  return normalized;
+}
+
+function stem(word: string): string {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
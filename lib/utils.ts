@@ -8,24 +8,23 @@
  */
 
 import { FashionItem } from './core';
+import { COLOR_NAMES } from './color';
+import { extractPalette } from './palette';
 
 /**
- * Extract dominant colors from an image URL
- * Note: In a real implementation, this would use an image processing library
- * or API. This is a placeholder that returns mock data.
- * 
- * @param imageUrl - URL of the image to analyze
- * @returns Array of color names or hex codes
+ * Extract dominant colors from an image
+ *
+ * Decodes the image, clusters its pixels in CIELAB space and names each
+ * cluster from the parseColors palette. Use extractPalette for the
+ * pixel-share weights and the option to ignore skin tones.
+ *
+ * @param imageUrl - URL, local file path or raw bytes of the image to analyze
+ * @param minWeight - Minimum pixel share for a color to be reported
+ * @returns Array of color names, most dominant first
  */
-export async function extractColors(imageUrl: string): Promise<string[]> {
-  // Placeholder implementation
-  // In production, use a library like 'node-vibrant' or an API like Cloudinary
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      // Mock color extraction
-      resolve(['black', 'white', 'beige']);
-    }, 100);
-  });
+export async function extractColors(imageUrl: string | Uint8Array, minWeight: number = 0.05): Promise<string[]> {
+  const palette = await extractPalette(imageUrl, { minWeight });
+  return palette.map(color => color.name);
 }
 
 /**
@@ -121,21 +120,16 @@ export function extractStyleKeywords(text: string): string[] {
 
 /**
  * Parse color names from text
+ *
+ * Names match as whole words, so "tailored" is not read as red and "tank" not
+ * as tan. Punctuation separates words, as in "black/white".
  * 
  * @param text - Text containing color descriptions
  * @returns Array of color names found
  */
 export function parseColors(text: string): string[] {
-  const colorKeywords = [
-    'black', 'white', 'gray', 'grey', 'red', 'blue', 'green', 'yellow',
-    'orange', 'purple', 'pink', 'brown', 'beige', 'tan', 'navy', 'maroon',
-    'burgundy', 'teal', 'turquoise', 'lavender', 'cream', 'ivory',
-    'charcoal', 'olive', 'khaki', 'coral', 'mint', 'sage', 'mustard',
-    'rust', 'camel', 'nude', 'blush', 'emerald', 'cobalt', 'crimson'
-  ];
-
-  const normalized = normalizeText(text);
-  return colorKeywords.filter(color => normalized.includes(color));
+  const padded = ` ${normalizeText(text.replace(/[^a-z0-9]+/gi, ' '))} `;
+  return COLOR_NAMES.filter(color => padded.includes(` ${color} `));
 }
 
 /**
@@ -234,17 +228,87 @@ export function generateId(prefix: string = 'item'): string {
  * @returns True if valid, false otherwise
  */
 export function validateFashionItem(item: any): item is FashionItem {
-  return (
-    typeof item === 'object' &&
-    typeof item.id === 'string' &&
-    typeof item.title === 'string' &&
-    typeof item.description === 'string' &&
-    typeof item.imageUrl === 'string' &&
-    typeof item.category === 'string' &&
-    Array.isArray(item.colors) &&
-    Array.isArray(item.style) &&
-    Array.isArray(item.tags)
-  );
+  return getValidationErrors(item).length === 0;
+}
+
+/**
+ * List everything wrong with a fashion item
+ *
+ * Checks field types, that the category is one of the six known categories,
+ * that list fields hold strings, that prices are finite and non-negative with
+ * an ISO 4217 currency code, that per-size stock is well formed and that URLs
+ * are absolute http(s) URLs.
+ *
+ * @param item - Item to validate
+ * @returns Human-readable problems; empty when the item is valid
+ */
+export function getValidationErrors(item: any): string[] {
+  if (typeof item !== 'object' || item === null) {
+    return ['Item must be an object'];
+  }
+
+  const errors: string[] = [];
+
+  if (typeof item.id !== 'string' || !item.id.trim()) errors.push('Missing id');
+  if (typeof item.title !== 'string' || !item.title.trim()) errors.push('Missing title');
+  if (typeof item.description !== 'string') errors.push('Description must be a string');
+  if (typeof item.imageUrl !== 'string') {
+    errors.push('Image URL must be a string');
+  } else if (item.imageUrl && !isHttpUrl(item.imageUrl)) {
+    errors.push(`Invalid image URL: ${item.imageUrl}`);
+  }
+  if (item.link !== undefined && (typeof item.link !== 'string' || !isHttpUrl(item.link))) {
+    errors.push(`Invalid link: ${item.link}`);
+  }
+  if (!FASHION_CATEGORIES.includes(item.category)) {
+    errors.push(`Unknown category: ${item.category}`);
+  }
+
+  (['colors', 'style', 'tags'] as const).forEach(field => {
+    if (!Array.isArray(item[field]) || item[field].some((value: unknown) => typeof value !== 'string')) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  });
+
+  (['price', 'salePrice'] as const).forEach(field => {
+    const value = item[field];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      errors.push(`Invalid ${field === 'price' ? 'price' : 'sale price'}: ${value}`);
+    }
+  });
+  if (item.currency !== undefined && (typeof item.currency !== 'string' || !/^[A-Z]{3}$/.test(item.currency))) {
+    errors.push(`Invalid currency: ${item.currency}`);
+  }
+  if (item.brand !== undefined && typeof item.brand !== 'string') {
+    errors.push('Brand must be a string');
+  }
+  if (item.availability !== undefined && !['in_stock', 'out_of_stock', 'preorder', 'backorder'].includes(item.availability)) {
+    errors.push(`Unknown availability: ${item.availability}`);
+  }
+  if (item.sizes !== undefined && (!Array.isArray(item.sizes) || item.sizes.some((entry: any) =>
+    typeof entry !== 'object' || entry === null || typeof entry.size !== 'string' || !entry.size.trim() ||
+    typeof entry.inStock !== 'boolean'))) {
+    errors.push('sizes must be an array of { size, inStock } entries');
+  }
+  if (item.fabrics !== undefined && (!Array.isArray(item.fabrics) || item.fabrics.some((f: any) => typeof f !== 'string'))) {
+    errors.push('fabrics must be an array of strings');
+  }
+  if (item.fabricWeight !== undefined && !['light', 'mid', 'heavy'].includes(item.fabricWeight)) {
+    errors.push(`Unknown fabric weight: ${item.fabricWeight}`);
+  }
+
+  return errors;
+}
+
+const FASHION_CATEGORIES: FashionItem['category'][] = ['tops', 'bottoms', 'dresses', 'outerwear', 'shoes', 'accessories'];
+
+function isHttpUrl(value: string): boolean {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
 }
 
 /**
@@ -288,6 +352,70 @@ export function sampleArray<T>(array: T[], size: number): T[] {
   return shuffled.slice(0, Math.min(size, array.length));
 }
 
+/**
+ * Seeded pseudo-random number generator, so generated data, sampled
+ * statistics and image palettes come out the same on every run
+ *
+ * @param seed - 32-bit seed
+ * @returns Function returning numbers in [0, 1)
+ */
+export function mulberry32(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Select the k highest-scoring elements without sorting the whole array
+ *
+ * @param items - Elements to choose from
+ * @param k - Number of elements to keep
+ * @param score - Score of an element
+ * @returns Up to k elements, highest score first
+ */
+export function selectTopK<T>(items: T[], k: number, score: (item: T) => number): T[] {
+  if (k <= 0) return [];
+  // Min-heap of the best k seen so far; the root is the weakest kept element
+  const heap: Array<{ item: T; score: number }> = [];
+
+  const siftDown = (index: number) => {
+    for (;;) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < heap.length && heap[left].score < heap[smallest].score) smallest = left;
+      if (right < heap.length && heap[right].score < heap[smallest].score) smallest = right;
+      if (smallest === index) return;
+      [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+      index = smallest;
+    }
+  };
+
+  items.forEach(item => {
+    const value = score(item);
+    if (heap.length < k) {
+      heap.push({ item, score: value });
+      let index = heap.length - 1;
+      while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (heap[parent].score <= heap[index].score) break;
+        [heap[parent], heap[index]] = [heap[index], heap[parent]];
+        index = parent;
+      }
+    } else if (value > heap[0].score) {
+      heap[0] = { item, score: value };
+      siftDown(0);
+    }
+  });
+
+  return heap.sort((a, b) => b.score - a.score).map(entry => entry.item);
+}
+
 /**
  * Calculate percentage
  * 
@@ -340,3 +468,83 @@ export function debounce<T extends (...args: any[]) => any>(
 export function deepClone<T>(obj: T): T {
   return JSON.parse(JSON.stringify(obj));
 }
+
+/**
+ * Parse CSV text into rows keyed by header
+ *
+ * Handles quoted fields with embedded commas, newlines and doubled quotes.
+ * Headers are trimmed and lowercased.
+ *
+ * @param text - CSV text with a header row
+ * @param delimiter - Field delimiter (default: comma)
+ * @returns One record per data row
+ */
+export function parseCsv(text: string, delimiter: string = ','): Array<Record<string, string>> {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(value => value.trim()));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(h => h.replace(/^\uFEFF/, '').trim().toLowerCase());
+  return nonEmpty.slice(1).map(values => {
+    const record: Record<string, string> = {};
+    headers.forEach((header, idx) => {
+      record[header] = (values[idx] || '').trim();
+    });
+    return record;
+  });
+}
+
+export {
+  PinterestClient,
+  PinterestApiError,
+  createPinterestClient,
+  fetchBoardPins,
+  mapPinToFashionItem
+} from './pinterest';
+export type { PinterestClientConfig, OAuthTokens, RawPin } from './pinterest';
+
+export {
+  enrichFashionItem,
+  enrichPin,
+  classifyCategory,
+  detectBrand,
+  parsePrice
+} from './enrichment';
+
+export { extractPalette } from './palette';
+export type { PaletteColor, PaletteOptions } from './palette';
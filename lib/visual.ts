@@ -0,0 +1,666 @@
+/**
+ * Visual similarity between pin and product images
+ *
+ * Many pins carry no useful text, so this module compares what images look
+ * like instead. Each image is reduced to a compact descriptor: a color
+ * histogram of the foreground, a 64-bit perceptual hash of the layout, a
+ * histogram of edge orientations and a local binary pattern histogram of the
+ * texture. Descriptors are kept in a VisualIndex keyed by image URL, which can
+ * be saved to disk so images are only fetched and decoded once. Everything
+ * runs on the CPU with no model weights.
+ *
+ * @module lib/visual
+ */
+
+import { promises as fs } from 'fs';
+import type { FashionItem } from './core';
+import { DecodedImage, loadImage } from './image';
+
+/**
+ * Compact description of how an image looks
+ */
+export interface VisualDescriptor {
+  /** Share of foreground pixels in each hue, saturation and value bin; sums to 1 */
+  color: number[];
+  /** 64-bit DCT perceptual hash of the grayscale layout, as 16 hex digits */
+  hash: string;
+  /** Magnitude-weighted edge orientations (8 bins summing to 1), then the share of pixels on an edge */
+  edges: number[];
+  /** Rotation-invariant uniform local binary patterns (10 bins summing to 1) */
+  texture: number[];
+}
+
+/**
+ * An item and how much it looks like the query image
+ */
+export interface VisualMatch {
+  item: FashionItem;
+  /** Similarity between 0 and 1 */
+  similarity: number;
+}
+
+/**
+ * Options for finding look-alike items
+ */
+export interface VisualSearchOptions {
+  /** Most matches to return (default: 10) */
+  limit?: number;
+  /** Lowest similarity to return (default: 0.5) */
+  minSimilarity?: number;
+  /** Only consider items in these categories */
+  categories?: FashionItem['category'][];
+}
+
+/**
+ * Options for indexing item images
+ */
+export interface IndexImagesOptions {
+  /** Images fetched and decoded at once (default: 4) */
+  concurrency?: number;
+  /** Describe images again even when already indexed (default: false) */
+  refresh?: boolean;
+}
+
+/**
+ * Outcome of indexing item images
+ */
+export interface IndexImagesResult {
+  /** Images described by this call */
+  indexed: number;
+  /** Images that could not be loaded or decoded */
+  failed: Array<{ imageUrl: string; reason: string }>;
+}
+
+/**
+ * Saved visual index
+ */
+export interface VisualIndexFile {
+  version: 2;
+  /** ISO timestamp of when the index was saved */
+  savedAt: string;
+  /** Descriptors keyed by image URL */
+  descriptors: Record<string, VisualDescriptor>;
+}
+
+/**
+ * Weight of each descriptor part in the overall similarity
+ */
+export const VISUAL_WEIGHTS = {
+  color: 0.4,
+  hash: 0.25,
+  edges: 0.2,
+  texture: 0.15
+};
+
+const HUE_BINS = 8;
+// Black, dark gray, light gray, white, then hue x saturation x value
+const COLOR_BINS = 4 + HUE_BINS * 4;
+// Bin centres a pixel is shared between: gray levels by value, and the two
+// saturation and two value levels of each hue
+const GRAY_CENTRES = [0.05, 0.33, 0.68, 0.93];
+const SATURATION_CENTRES = [0.4, 0.8];
+const VALUE_CENTRES = [0.4, 0.8];
+const ORIENTATION_BINS = 8;
+const TEXTURE_BINS = 10;
+// Gray levels a neighbour may fall below the center and still count as no darker
+const TEXTURE_TOLERANCE = 6;
+// Edge descriptors and textures are computed on a fixed-size grayscale copy
+const ANALYSIS_SIZE = 64;
+const HASH_SIZE = 32;
+// Sobel magnitude (up to about 1440) from which a pixel counts as on an edge
+const EDGE_THRESHOLD = 100;
+const MAX_COLOR_SAMPLES = 20000;
+
+/**
+ * Describe an image
+ *
+ * @param image - Decoded RGBA image
+ * @returns Visual descriptor
+ */
+export function computeVisualDescriptor(image: DecodedImage): VisualDescriptor {
+  if (image.width === 0 || image.height === 0) {
+    throw new Error('Cannot describe an empty image');
+  }
+  const gray = toGray(image);
+  const small = resizeGray(gray, image.width, image.height, ANALYSIS_SIZE);
+
+  return {
+    color: colorHistogram(image),
+    hash: perceptualHash(resizeGray(gray, image.width, image.height, HASH_SIZE)),
+    edges: edgeHistogram(small),
+    texture: textureHistogram(small)
+  };
+}
+
+/**
+ * Load and describe an image
+ *
+ * @param source - Buffer, local file path or http(s) URL
+ * @returns Visual descriptor
+ */
+export async function describeImage(source: string | Uint8Array): Promise<VisualDescriptor> {
+  return computeVisualDescriptor(await loadImage(source));
+}
+
+/**
+ * How alike two images look
+ *
+ * @param a - First descriptor
+ * @param b - Second descriptor
+ * @returns Similarity between 0 and 1
+ */
+export function visualSimilarity(a: VisualDescriptor, b: VisualDescriptor): number {
+  const color = intersection(a.color, b.color);
+  // Unrelated images differ in about half their hash bits
+  const hash = Math.max(0, 1 - hammingDistance(a.hash, b.hash) / 32);
+  const orientation = intersection(a.edges.slice(0, ORIENTATION_BINS), b.edges.slice(0, ORIENTATION_BINS));
+  const edges = orientation * 0.7 + (1 - Math.abs(a.edges[ORIENTATION_BINS] - b.edges[ORIENTATION_BINS])) * 0.3;
+  const texture = intersection(a.texture, b.texture);
+
+  return color * VISUAL_WEIGHTS.color + hash * VISUAL_WEIGHTS.hash +
+    edges * VISUAL_WEIGHTS.edges + texture * VISUAL_WEIGHTS.texture;
+}
+
+/**
+ * Image descriptors keyed by image URL
+ */
+export class VisualIndex {
+  private descriptors = new Map<string, VisualDescriptor>();
+  // Bumped on every change, so cached pin descriptors know when they are stale
+  private revision = 0;
+  private pinCache = new WeakMap<FashionItem[], { revision: number; entries: Array<{ pin: FashionItem; descriptor: VisualDescriptor }> }>();
+
+  constructor(descriptors: Record<string, VisualDescriptor> = {}) {
+    Object.entries(descriptors).forEach(([imageUrl, descriptor]) => this.set(imageUrl, descriptor));
+  }
+
+  /**
+   * Number of indexed images
+   */
+  public get size(): number {
+    return this.descriptors.size;
+  }
+
+  /**
+   * Store the descriptor of an image
+   *
+   * @param imageUrl - Image URL or path the descriptor was computed from
+   * @param descriptor - Visual descriptor
+   */
+  public set(imageUrl: string, descriptor: VisualDescriptor): void {
+    if (!isDescriptor(descriptor)) {
+      throw new Error(`Invalid visual descriptor for ${imageUrl}`);
+    }
+    this.descriptors.set(imageUrl, descriptor);
+    this.revision++;
+  }
+
+  /**
+   * Descriptor of an image, if indexed
+   *
+   * @param imageUrl - Image URL
+   */
+  public get(imageUrl: string): VisualDescriptor | undefined {
+    return this.descriptors.get(imageUrl);
+  }
+
+  /**
+   * Whether an image is indexed
+   *
+   * @param imageUrl - Image URL
+   */
+  public has(imageUrl: string): boolean {
+    return this.descriptors.has(imageUrl);
+  }
+
+  /**
+   * Remove an image
+   *
+   * @param imageUrl - Image URL
+   * @returns True if the image was indexed
+   */
+  public delete(imageUrl: string): boolean {
+    const deleted = this.descriptors.delete(imageUrl);
+    if (deleted) this.revision++;
+    return deleted;
+  }
+
+  /**
+   * Fetch, decode and describe the images of items that are not yet indexed
+   *
+   * @param items - Pins or catalog items
+   * @param options - Concurrency and whether to redo indexed images
+   * @returns How many images were described and which failed
+   */
+  public async indexItems(items: FashionItem[], options: IndexImagesOptions = {}): Promise<IndexImagesResult> {
+    const { concurrency = 4, refresh = false } = options;
+    const queue = Array.from(new Set(items.map(item => item.imageUrl)))
+      .filter(url => url && (refresh || !this.descriptors.has(url)));
+    const result: IndexImagesResult = { indexed: 0, failed: [] };
+
+    const worker = async () => {
+      for (let url = queue.shift(); url !== undefined; url = queue.shift()) {
+        try {
+          this.set(url, await describeImage(url));
+          result.indexed++;
+        } catch (error) {
+          result.failed.push({ imageUrl: url, reason: (error as Error).message });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    return result;
+  }
+
+  /**
+   * Descriptor of an item's image, describing and indexing it first if needed
+   *
+   * @param item - Pin or catalog item
+   * @returns Visual descriptor
+   */
+  public async describe(item: FashionItem): Promise<VisualDescriptor> {
+    let descriptor = this.descriptors.get(item.imageUrl);
+    if (!descriptor) {
+      if (!item.imageUrl) throw new Error(`Item has no image: ${item.id}`);
+      descriptor = await describeImage(item.imageUrl);
+      this.set(item.imageUrl, descriptor);
+    }
+    return descriptor;
+  }
+
+  /**
+   * Items whose images look most like a query image. Items whose images are
+   * not indexed are skipped.
+   *
+   * @param query - Descriptor of the image to match
+   * @param candidates - Items to search
+   * @param options - Limit, threshold and categories
+   * @returns Matches, most similar first
+   */
+  public findSimilar(query: VisualDescriptor, candidates: FashionItem[], options: VisualSearchOptions = {}): VisualMatch[] {
+    const { limit = 10, minSimilarity = 0.5, categories } = options;
+    const matches: VisualMatch[] = [];
+    candidates.forEach(item => {
+      if (categories && !categories.includes(item.category)) return;
+      const descriptor = this.descriptors.get(item.imageUrl);
+      if (!descriptor) return;
+      const similarity = visualSimilarity(query, descriptor);
+      if (similarity >= minSimilarity) matches.push({ item, similarity });
+    });
+    return matches.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+  }
+
+  /**
+   * The pins an item looks like
+   *
+   * @param item - Item to compare
+   * @param pins - Pins to compare it with
+   * @returns Pins with indexed images, most similar first; empty when the item's image is not indexed
+   */
+  public matchPins(item: FashionItem, pins: FashionItem[]): VisualMatch[] {
+    const descriptor = this.descriptors.get(item.imageUrl);
+    if (!descriptor) return [];
+    return this._pinDescriptors(pins)
+      .map(entry => ({ item: entry.pin, similarity: visualSimilarity(descriptor, entry.descriptor) }))
+      .sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Highest similarity between an item and any of the pins
+   *
+   * @param item - Item to compare
+   * @param pins - Pins to compare it with
+   * @returns Similarity between 0 and 1, or null when the item or every pin is unindexed
+   */
+  public bestPinSimilarity(item: FashionItem, pins: FashionItem[]): number | null {
+    const descriptor = this.descriptors.get(item.imageUrl);
+    if (!descriptor) return null;
+    const entries = this._pinDescriptors(pins);
+    if (entries.length === 0) return null;
+    return entries.reduce((best, entry) => Math.max(best, visualSimilarity(descriptor, entry.descriptor)), 0);
+  }
+
+  /**
+   * Save the descriptors as JSON
+   */
+  public toJSON(): VisualIndexFile {
+    return {
+      version: 2,
+      savedAt: new Date().toISOString(),
+      descriptors: Object.fromEntries(this.descriptors)
+    };
+  }
+
+  /**
+   * Load descriptors saved with toJSON
+   *
+   * @param document - Saved index
+   * @returns Visual index
+   */
+  public static fromJSON(document: VisualIndexFile): VisualIndex {
+    if (!document || document.version !== 2 || typeof document.descriptors !== 'object') {
+      // Version 1 histograms used hard color bins and do not compare with current ones
+      throw new Error(`Unsupported visual index version: ${document && document.version}; rebuild the index`);
+    }
+    return new VisualIndex(document.descriptors);
+  }
+
+  /**
+   * Write the index to a file, replacing it only once fully written
+   *
+   * @param path - File to write
+   */
+  public async save(path: string): Promise<void> {
+    const temporary = `${path}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(this.toJSON()), 'utf8');
+    await fs.rename(temporary, path);
+  }
+
+  /**
+   * Read an index written by save
+   *
+   * @param path - File to read
+   * @returns Visual index
+   */
+  public static async load(path: string): Promise<VisualIndex> {
+    const text = await fs.readFile(path, 'utf8');
+    let document: VisualIndexFile;
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${path}: invalid JSON: ${(error as Error).message}`);
+    }
+    return VisualIndex.fromJSON(document);
+  }
+
+  /**
+   * Indexed descriptors of a pin set, cached until the pins or the index change
+   * @private
+   */
+  private _pinDescriptors(pins: FashionItem[]): Array<{ pin: FashionItem; descriptor: VisualDescriptor }> {
+    const cached = this.pinCache.get(pins);
+    if (cached && cached.revision === this.revision) return cached.entries;
+
+    const entries = pins
+      .map(pin => ({ pin, descriptor: this.descriptors.get(pin.imageUrl) }))
+      .filter((entry): entry is { pin: FashionItem; descriptor: VisualDescriptor } => entry.descriptor !== undefined);
+    this.pinCache.set(pins, { revision: this.revision, entries });
+    return entries;
+  }
+}
+
+/**
+ * Create a visual index
+ *
+ * @param descriptors - Descriptors to start with, keyed by image URL
+ * @returns Visual index; use VisualIndex.load to read one from disk
+ */
+export function createVisualIndex(descriptors: Record<string, VisualDescriptor> = {}): VisualIndex {
+  return new VisualIndex(descriptors);
+}
+
+function toGray(image: DecodedImage): Float32Array {
+  const { width, height, data } = image;
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    // Transparent pixels read as white, like a studio backdrop
+    const alpha = data[i * 4 + 3] / 255;
+    const luma = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    gray[i] = luma * alpha + 255 * (1 - alpha);
+  }
+  return gray;
+}
+
+/**
+ * Shrink (or stretch) a grayscale image to size x size by averaging the source area of each pixel
+ */
+function resizeGray(gray: Float32Array, width: number, height: number, size: number): Float32Array {
+  const out = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    const y0 = Math.floor((y * height) / size);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * height) / size));
+    for (let x = 0; x < size; x++) {
+      const x0 = Math.floor((x * width) / size);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * width) / size));
+      let sum = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) sum += gray[sy * width + sx];
+      }
+      out[y * size + x] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return out;
+}
+
+/**
+ * Hue, saturation and value histogram of the pixels that differ from a plain border
+ */
+function colorHistogram(image: DecodedImage): number[] {
+  const { width, height, data } = image;
+  const stride = Math.max(1, Math.floor(Math.sqrt((width * height) / MAX_COLOR_SAMPLES)));
+  const background = borderColor(image);
+  const histogram = new Array(COLOR_BINS).fill(0);
+  let counted = 0;
+
+  const add = (skip: [number, number, number] | null) => {
+    for (let y = 0; y < height; y += stride) {
+      for (let x = 0; x < width; x += stride) {
+        const i = (y * width + x) * 4;
+        if (data[i + 3] < 128) continue;
+        const r = data[i], g = data[i + 1], b = data[i + 2];
+        if (skip && Math.abs(r - skip[0]) + Math.abs(g - skip[1]) + Math.abs(b - skip[2]) < 40) continue;
+        addColor(histogram, r, g, b);
+        counted++;
+      }
+    }
+  };
+  add(background);
+  // An image that is all backdrop (or all one color) is described as a whole
+  if (counted === 0) add(null);
+
+  return histogram.map(count => (counted > 0 ? round(count / counted) : 0));
+}
+
+/**
+ * Color of the border when at least 80% of it is one color, as on a studio backdrop
+ */
+function borderColor(image: DecodedImage): [number, number, number] | null {
+  const { width, height, data } = image;
+  const pixels: Array<[number, number, number]> = [];
+  const step = Math.max(1, Math.floor((width + height) / 200));
+  const push = (x: number, y: number) => {
+    const i = (y * width + x) * 4;
+    pixels.push([data[i], data[i + 1], data[i + 2]]);
+  };
+  for (let x = 0; x < width; x += step) {
+    push(x, 0);
+    push(x, height - 1);
+  }
+  for (let y = 0; y < height; y += step) {
+    push(0, y);
+    push(width - 1, y);
+  }
+
+  const median = [0, 1, 2].map(channel => {
+    const values = pixels.map(p => p[channel]).sort((a, b) => a - b);
+    return values[Math.floor(values.length / 2)];
+  }) as [number, number, number];
+  const close = pixels.filter(p =>
+    Math.abs(p[0] - median[0]) + Math.abs(p[1] - median[1]) + Math.abs(p[2] - median[2]) < 40).length;
+  return close >= pixels.length * 0.8 ? median : null;
+}
+
+/**
+ * Spread one pixel over the color bins
+ *
+ * Each pixel is shared between the bins whose centres are nearest along hue,
+ * saturation and value (and between the gray and hue bins near the gray
+ * boundary), so two shades either side of a bin edge still overlap.
+ */
+function addColor(histogram: number[], r: number, g: number, b: number): void {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const value = max / 255;
+  const saturation = max > 0 ? (max - min) / max : 0;
+
+  // Share of the pixel that is chromatic, fading out towards gray and black
+  const chroma = ramp(saturation, 0.1, 0.3) * ramp(value, 0.1, 0.2);
+
+  if (chroma < 1) {
+    // Black, dark gray, light gray and white
+    const [low, high, t] = nearestCentres(value, GRAY_CENTRES);
+    histogram[low] += (1 - chroma) * (1 - t);
+    histogram[high] += (1 - chroma) * t;
+  }
+  if (chroma === 0) return;
+
+  let hue: number;
+  if (max === r) hue = ((g - b) / (max - min) + 6) % 6;
+  else if (max === g) hue = (b - r) / (max - min) + 2;
+  else hue = (r - g) / (max - min) + 4;
+  // Hue is circular: the bin below the first centre is the last bin
+  const position = (hue / 6) * HUE_BINS - 0.5;
+  const hueLow = (Math.floor(position) + HUE_BINS) % HUE_BINS;
+  const hueHigh = (hueLow + 1) % HUE_BINS;
+  const hueT = position - Math.floor(position);
+  const [, , saturationT] = nearestCentres(saturation, SATURATION_CENTRES);
+  const [, , valueT] = nearestCentres(value, VALUE_CENTRES);
+
+  for (const [hueBin, hueWeight] of [[hueLow, 1 - hueT], [hueHigh, hueT]]) {
+    for (const [saturationLevel, saturationWeight] of [[0, 1 - saturationT], [1, saturationT]]) {
+      for (const [valueLevel, valueWeight] of [[0, 1 - valueT], [1, valueT]]) {
+        histogram[4 + hueBin * 4 + saturationLevel * 2 + valueLevel] +=
+          chroma * hueWeight * saturationWeight * valueWeight;
+      }
+    }
+  }
+}
+
+/**
+ * Indices of the two centres around a value and the share of the upper one
+ */
+function nearestCentres(value: number, centres: number[]): [number, number, number] {
+  if (value <= centres[0]) return [0, 0, 0];
+  for (let i = 1; i < centres.length; i++) {
+    if (value <= centres[i]) return [i - 1, i, (value - centres[i - 1]) / (centres[i] - centres[i - 1])];
+  }
+  return [centres.length - 1, centres.length - 1, 0];
+}
+
+function ramp(value: number, from: number, to: number): number {
+  return Math.min(1, Math.max(0, (value - from) / (to - from)));
+}
+
+/**
+ * 64-bit hash from the lowest 8x8 DCT frequencies of a 32x32 grayscale image,
+ * one bit per frequency above the median
+ */
+function perceptualHash(gray: Float32Array): string {
+  const coefficients: number[] = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let y = 0; y < HASH_SIZE; y++) {
+        const cy = Math.cos(((2 * y + 1) * v * Math.PI) / (2 * HASH_SIZE));
+        for (let x = 0; x < HASH_SIZE; x++) {
+          sum += gray[y * HASH_SIZE + x] * Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SIZE)) * cy;
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term is the overall brightness, which would skew the median
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  let hex = '';
+  for (let nibble = 0; nibble < 16; nibble++) {
+    let bits = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      bits = (bits << 1) | (coefficients[nibble * 4 + bit] > median ? 1 : 0);
+    }
+    hex += bits.toString(16);
+  }
+  return hex;
+}
+
+function edgeHistogram(gray: Float32Array): number[] {
+  const size = ANALYSIS_SIZE;
+  const histogram = new Array(ORIENTATION_BINS).fill(0);
+  let edgePixels = 0;
+  let total = 0;
+
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const at = (dx: number, dy: number) => gray[(y + dy) * size + x + dx];
+      const gx = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+      const gy = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+      const magnitude = Math.sqrt(gx * gx + gy * gy);
+      if (magnitude >= EDGE_THRESHOLD) {
+        // Orientation modulo 180 degrees: a dark-to-light and light-to-dark edge look the same
+        const angle = (Math.atan2(gy, gx) + Math.PI) % Math.PI;
+        histogram[Math.min(ORIENTATION_BINS - 1, Math.floor((angle / Math.PI) * ORIENTATION_BINS))] += magnitude;
+        edgePixels++;
+      }
+      total++;
+    }
+  }
+
+  const sum = histogram.reduce((a, b) => a + b, 0);
+  return [...histogram.map(value => round(sum > 0 ? value / sum : 0)), round(edgePixels / total)];
+}
+
+function textureHistogram(gray: Float32Array): number[] {
+  const size = ANALYSIS_SIZE;
+  const histogram = new Array(TEXTURE_BINS).fill(0);
+  // Neighbours in circular order
+  const offsets = [[-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0]];
+  let total = 0;
+
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const center = gray[y * size + x];
+      // The tolerance keeps sensor noise and JPEG artifacts in flat areas from reading as texture
+      const bits = offsets.map(([dx, dy]) => (gray[(y + dy) * size + x + dx] >= center - TEXTURE_TOLERANCE ? 1 : 0));
+      let transitions = 0;
+      for (let i = 0; i < 8; i++) {
+        if (bits[i] !== bits[(i + 1) % 8]) transitions++;
+      }
+      const ones = bits.reduce((a: number, b) => a + b, 0);
+      histogram[transitions <= 2 ? ones : TEXTURE_BINS - 1]++;
+      total++;
+    }
+  }
+  return histogram.map(count => round(count / total));
+}
+
+function intersection(a: number[], b: number[]): number {
+  let sum = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) sum += Math.min(a[i], b[i]);
+  return sum;
+}
+
+function hammingDistance(a: string, b: string): number {
+  let distance = 0;
+  for (let i = 0; i < 16; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+function isDescriptor(value: any): value is VisualDescriptor {
+  return !!value &&
+    Array.isArray(value.color) && value.color.length === COLOR_BINS &&
+    typeof value.hash === 'string' && /^[0-9a-f]{16}$/.test(value.hash) &&
+    Array.isArray(value.edges) && value.edges.length === ORIENTATION_BINS + 1 &&
+    Array.isArray(value.texture) && value.texture.length === TEXTURE_BINS;
+}
+
+// Descriptors are stored as JSON; four decimals keep the file small
+function round(value: number): number {
+  return Math.round(value * 10000) / 10000;
+}
@@ -0,0 +1,397 @@
+/**
+ * Owned-wardrobe inventory
+ *
+ * Keeps the items a user already owns, with purchase dates and wear counts,
+ * so the engine can avoid recommending near-duplicates of them and favor
+ * items that pair with many of them. Items can be imported from an
+ * order-history CSV or marked as bought straight from a recommendation.
+ *
+ * @module lib/wardrobe
+ */
+
+import { FashionItem, Recommendation } from './core';
+import { COLOR_NAMES, colorSimilarity } from './color';
+import { classifyCategory, enrichFashionItem, parsePrice, EnrichmentInput, EnrichmentOptions } from './enrichment';
+import { outfitCoherence, outfitHarmony } from './outfits';
+import { FASHION_SYNONYMS, tokenize } from './text';
+import { generateId, normalizeText, parseCsv } from './utils';
+
+/**
+ * How an owned item got into the wardrobe
+ */
+export type OwnedItemSource = 'import' | 'recommendation' | 'manual';
+
+/**
+ * An item the user owns
+ */
+export interface OwnedItem {
+  item: FashionItem;
+  /** ISO date the item was bought */
+  purchasedAt?: string;
+  wearCount: number;
+  /** ISO date the item was last worn */
+  lastWornAt?: string;
+  source: OwnedItemSource;
+}
+
+/**
+ * Fields that can be read from an order-history CSV
+ */
+export type OrderHistoryField =
+  'id' | 'title' | 'brand' | 'price' | 'category' | 'color' | 'purchasedAt' | 'imageUrl' | 'link';
+
+/**
+ * Options for importing order history
+ */
+export interface OrderHistoryImportOptions extends EnrichmentOptions {
+  /** CSV header to read each field from, overriding the built-in aliases */
+  columns?: Partial<Record<OrderHistoryField, string>>;
+  /** Field delimiter (default: comma) */
+  delimiter?: string;
+}
+
+/**
+ * Outcome of an order-history import
+ */
+export interface ImportResult {
+  imported: OwnedItem[];
+  /** Rows that could not be imported, by 1-based data row number */
+  rejected: Array<{ row: number; reason: string }>;
+}
+
+/**
+ * An owned item that closely resembles a candidate
+ */
+export interface NearDuplicate {
+  owned: FashionItem;
+  similarity: number;
+}
+
+// Common header names in retailer order exports, checked in order
+const COLUMN_ALIASES: Record<OrderHistoryField, string[]> = {
+  id: ['sku', 'asin', 'product id', 'item id', 'id'],
+  title: ['title', 'product name', 'item name', 'product', 'item', 'name', 'description'],
+  brand: ['brand', 'manufacturer', 'vendor', 'seller'],
+  price: ['item price', 'unit price', 'price', 'amount', 'item total', 'total'],
+  category: ['category', 'product type', 'department'],
+  color: ['color', 'colour'],
+  purchasedAt: ['order date', 'purchase date', 'ordered at', 'date'],
+  imageUrl: ['image url', 'image', 'image link'],
+  link: ['product url', 'url', 'link']
+};
+
+// Colors are compared separately, so they're left out of the title terms.
+// Synonym members are represented by their concept token alone, so "purse"
+// and "bag" match exactly once instead of half-matching twice. The words are
+// tokenized like titles so they are stemmed the same way.
+const IGNORED_TERMS = new Set(
+  [...COLOR_NAMES, ...Object.values(FASHION_SYNONYMS).flat()]
+    .flatMap(phrase => tokenize(phrase).map(([term]) => term))
+    .filter(term => !term.startsWith('~'))
+);
+
+// Category pairs that can be worn together
+const WEARABLE_TOGETHER: Record<FashionItem['category'], FashionItem['category'][]> = {
+  tops: ['bottoms', 'outerwear', 'shoes', 'accessories'],
+  bottoms: ['tops', 'outerwear', 'shoes', 'accessories'],
+  dresses: ['outerwear', 'shoes', 'accessories'],
+  outerwear: ['tops', 'bottoms', 'dresses', 'shoes', 'accessories'],
+  shoes: ['tops', 'bottoms', 'dresses', 'outerwear', 'accessories'],
+  accessories: ['tops', 'bottoms', 'dresses', 'outerwear', 'shoes']
+};
+
+/**
+ * Store of the items a user owns
+ */
+export class WardrobeStore {
+  private entries = new Map<string, OwnedItem>();
+
+  constructor(entries: OwnedItem[] = []) {
+    entries.forEach(entry => this.entries.set(entry.item.id, entry));
+  }
+
+  /**
+   * Add an item, replacing any entry with the same id
+   *
+   * @param item - Item the user owns
+   * @param meta - Purchase date, wear count and source
+   * @returns The stored entry
+   */
+  public add(
+    item: FashionItem,
+    meta: { purchasedAt?: string | Date; wearCount?: number; source?: OwnedItemSource } = {}
+  ): OwnedItem {
+    const entry: OwnedItem = {
+      item,
+      purchasedAt: meta.purchasedAt instanceof Date ? meta.purchasedAt.toISOString() : meta.purchasedAt,
+      wearCount: meta.wearCount || 0,
+      source: meta.source || 'manual'
+    };
+    this.entries.set(item.id, entry);
+    return entry;
+  }
+
+  /**
+   * Mark a recommended item as bought
+   *
+   * @param recommendation - Recommendation the user acted on
+   * @param purchasedAt - When it was bought (default: now)
+   * @returns The stored entry
+   */
+  public markFromRecommendation(recommendation: Recommendation, purchasedAt: Date = new Date()): OwnedItem {
+    return this.add(recommendation.item, { purchasedAt, source: 'recommendation' });
+  }
+
+  /**
+   * Remove an item
+   *
+   * @param id - Item id
+   * @returns True if the item was in the wardrobe
+   */
+  public remove(id: string): boolean {
+    return this.entries.delete(id);
+  }
+
+  /**
+   * Record that an item was worn
+   *
+   * @param id - Item id
+   * @param wornAt - When it was worn (default: now)
+   */
+  public recordWear(id: string, wornAt: Date = new Date()): OwnedItem {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      throw new Error(`Item not in wardrobe: ${id}`);
+    }
+    entry.wearCount++;
+    entry.lastWornAt = wornAt.toISOString();
+    return entry;
+  }
+
+  /**
+   * Whether an item is owned
+   *
+   * @param id - Item id
+   */
+  public has(id: string): boolean {
+    return this.entries.has(id);
+  }
+
+  /**
+   * Get an owned entry
+   *
+   * @param id - Item id
+   */
+  public get(id: string): OwnedItem | undefined {
+    return this.entries.get(id);
+  }
+
+  /**
+   * All owned entries
+   */
+  public getEntries(): OwnedItem[] {
+    return Array.from(this.entries.values());
+  }
+
+  /**
+   * All owned items
+   */
+  public getItems(): FashionItem[] {
+    return this.getEntries().map(entry => entry.item);
+  }
+
+  /**
+   * Number of owned items
+   */
+  public get size(): number {
+    return this.entries.size;
+  }
+
+  /**
+   * Import items from an order-history CSV
+   *
+   * Each row is run through the enrichment pipeline so category, colors and
+   * style are inferred from the product name when the export lacks them.
+   *
+   * @param csv - CSV text with a header row
+   * @param options - Column mapping, delimiter and enrichment options
+   * @returns Imported entries and rejected rows with reasons
+   */
+  public importOrderHistoryCsv(csv: string, options: OrderHistoryImportOptions = {}): ImportResult {
+    const rows = parseCsv(csv, options.delimiter);
+    const result: ImportResult = { imported: [], rejected: [] };
+    if (rows.length === 0) return result;
+
+    const headers = Object.keys(rows[0]);
+    const columns = resolveColumns(headers, options.columns || {});
+
+    rows.forEach((row, idx) => {
+      const value = (field: OrderHistoryField) => (columns[field] ? row[columns[field]!] : '') || '';
+      const title = value('title');
+      if (!title) {
+        result.rejected.push({ row: idx + 1, reason: 'Missing product title' });
+        return;
+      }
+
+      const known: NonNullable<EnrichmentInput['known']> = {};
+      const categoryText = value('category');
+      const category = categoryText ? classifyCategory(categoryText) : null;
+      if (category) known.category = category.category;
+      if (value('color')) known.colors = value('color').split(/[\/,;]/).map(c => normalizeText(c)).filter(Boolean);
+      if (value('brand')) known.brand = value('brand');
+      const price = parsePrice(value('price'));
+      if (price) known.price = price.amount;
+      if (price?.currency) known.currency = price.currency;
+
+      const purchased = value('purchasedAt') ? new Date(value('purchasedAt')) : null;
+      const item = enrichFashionItem({
+        id: value('id') || generateId('owned'),
+        title,
+        imageUrl: value('imageUrl'),
+        link: value('link') || undefined,
+        known
+      }, options);
+
+      result.imported.push(this.add(item, {
+        purchasedAt: purchased && !isNaN(purchased.getTime()) ? purchased : undefined,
+        source: 'import'
+      }));
+    });
+
+    return result;
+  }
+
+  /**
+   * Find the owned item most similar to a candidate
+   *
+   * @param candidate - Item being considered
+   * @param threshold - Smallest similarity that counts as a near-duplicate (default: 0.8)
+   * @returns The closest owned item, or null if none reaches the threshold
+   */
+  public findNearDuplicate(candidate: FashionItem, threshold: number = 0.8): NearDuplicate | null {
+    let best: NearDuplicate | null = null;
+
+    this.entries.forEach(({ item }) => {
+      if (item.id === candidate.id) return;
+      const similarity = itemSimilarity(candidate, item);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { owned: item, similarity };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Owned items a candidate can be worn with
+   *
+   * @param candidate - Item being considered
+   * @param minHarmony - Smallest color harmony that counts as a pairing (default: 0.8)
+   * @returns Owned items from compatible categories whose colors and styles go with the candidate
+   */
+  public findPairings(candidate: FashionItem, minHarmony: number = 0.8): FashionItem[] {
+    return this.getItems().filter(item =>
+      WEARABLE_TOGETHER[candidate.category].includes(item.category) &&
+      outfitHarmony([candidate, item]) >= minHarmony &&
+      outfitCoherence([candidate, item]) > 0
+    );
+  }
+
+  /**
+   * Serialize the wardrobe
+   */
+  public toJSON(): OwnedItem[] {
+    return this.getEntries();
+  }
+
+  /**
+   * Load a wardrobe from serialized entries
+   *
+   * @param entries - Entries produced by toJSON
+   * @returns New WardrobeStore instance
+   */
+  public static fromJSON(entries: OwnedItem[]): WardrobeStore {
+    return new WardrobeStore(entries);
+  }
+}
+
+/**
+ * How alike two items are as garments
+ *
+ * Combines title terms (with fashion synonyms, so "purse" meets "bag"),
+ * perceptual color similarity and shared style keywords. Items in different
+ * categories are never alike.
+ *
+ * @param a - First item
+ * @param b - Second item
+ * @returns Similarity between 0 and 1
+ */
+export function itemSimilarity(a: FashionItem, b: FashionItem): number {
+  if (a.category !== b.category) return 0;
+
+  const termsA = titleTerms(a);
+  const termsB = titleTerms(b);
+  const text = overlapCoefficient(termsA, termsB);
+
+  const color = a.colors.length > 0 && b.colors.length > 0
+    ? (meanBestSimilarity(a.colors, b.colors) + meanBestSimilarity(b.colors, a.colors)) / 2
+    : 0.5;
+
+  const style = a.style.length > 0 && b.style.length > 0
+    ? overlapCoefficient(new Set(a.style.map(s => normalizeText(s))), new Set(b.style.map(s => normalizeText(s))))
+    : 0.5;
+
+  const brand = a.brand && b.brand && normalizeText(a.brand) === normalizeText(b.brand) ? 0.05 : 0;
+
+  return Math.min(1, text * 0.5 + color * 0.35 + style * 0.15 + brand);
+}
+
+/**
+ * Create a wardrobe store
+ *
+ * @param entries - Entries to start with
+ * @returns New WardrobeStore instance
+ */
+export function createWardrobeStore(entries: OwnedItem[] = []): WardrobeStore {
+  return new WardrobeStore(entries);
+}
+
+function resolveColumns(
+  headers: string[],
+  overrides: Partial<Record<OrderHistoryField, string>>
+): Partial<Record<OrderHistoryField, string>> {
+  const columns: Partial<Record<OrderHistoryField, string>> = {};
+  (Object.keys(COLUMN_ALIASES) as OrderHistoryField[]).forEach(field => {
+    const override = overrides[field];
+    if (override) {
+      const header = override.trim().toLowerCase();
+      if (!headers.includes(header)) {
+        throw new Error(`Column not found for ${field}: ${override}`);
+      }
+      columns[field] = header;
+      return;
+    }
+    columns[field] = COLUMN_ALIASES[field].find(alias => headers.includes(alias));
+  });
+  return columns;
+}
+
+function titleTerms(item: FashionItem): Set<string> {
+  return new Set(
+    tokenize(item.title)
+      .map(([term]) => term)
+      .filter(term => !IGNORED_TERMS.has(term))
+  );
+}
+
+function overlapCoefficient(a: Set<string>, b: Set<string>): number {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(term => { if (b.has(term)) shared++; });
+  return shared / Math.min(a.size, b.size);
+}
+
+function meanBestSimilarity(colors: string[], others: string[]): number {
+  const total = colors.reduce((sum, c) => sum + Math.max(...others.map(o => colorSimilarity(c, o))), 0);
+  return total / colors.length;
+}
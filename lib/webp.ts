@@ -0,0 +1,1953 @@
+/**
+ * WebP decoding
+ *
+ * Decodes still WebP images into RGBA pixels: lossless (VP8L) images, lossy
+ * (VP8) key frames, and lossy images with an alpha plane in the extended
+ * container. Lossless decoding follows RFC 9649 and lossy decoding RFC 6386.
+ * The lossy path also does what libwebp does by default, including the loop
+ * filter and smooth chroma upsampling, so pixels match what browsers show.
+ * Animated images are rejected.
+ *
+ * @module lib/webp
+ */
+
+import type { DecodedImage } from './image';
+
+/**
+ * Decode a WebP image
+ *
+ * @param bytes - Raw WebP bytes (RIFF container)
+ * @returns Decoded image
+ */
+export function decodeWebp(bytes: Uint8Array): DecodedImage {
+  if (bytes.length < 12 || fourCC(bytes, 0) !== 'RIFF' || fourCC(bytes, 8) !== 'WEBP') {
+    throw new Error('Invalid WebP: missing RIFF header');
+  }
+
+  const end = Math.min(bytes.length, 8 + readUint32(bytes, 4));
+  let offset = 12;
+  let alpha: Uint8Array | null = null;
+
+  while (offset + 8 <= end) {
+    const type = fourCC(bytes, offset);
+    const size = readUint32(bytes, offset + 4);
+    const start = offset + 8;
+    if (start + size > end) {
+      throw new Error(`Truncated WebP ${type.trim()} chunk`);
+    }
+    const chunk = bytes.subarray(start, start + size);
+    offset = start + size + (size & 1);
+
+    if (type === 'VP8X' && chunk[0] & 0x02) {
+      throw new Error('Animated WebP images are not supported');
+    }
+    if (type === 'ALPH') {
+      alpha = chunk;
+    } else if (type === 'VP8L') {
+      return decodeLossless(chunk);
+    } else if (type === 'VP8 ') {
+      const image = decodeLossy(chunk);
+      if (alpha) applyAlphaChunk(image, alpha);
+      return image;
+    }
+  }
+
+  throw new Error('Invalid WebP: no image data');
+}
+
+function fourCC(bytes: Uint8Array, offset: number): string {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function readUint32(bytes: Uint8Array, offset: number): number {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+function clip(value: number, max: number): number {
+  return value < 0 ? 0 : value > max ? max : value;
+}
+
+// ============================================================================
+// Lossless (VP8L)
+// ============================================================================
+
+const PREDICTOR_TRANSFORM = 0;
+const CROSS_COLOR_TRANSFORM = 1;
+const SUBTRACT_GREEN_TRANSFORM = 2;
+const COLOR_INDEXING_TRANSFORM = 3;
+
+const LENGTH_CODES = 24;
+const DISTANCE_CODES = 40;
+
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+
+// (dx, dy) of the 120 short distance codes, nearest pixels first
+const DISTANCE_MAP = [
+  0, 1, 1, 0, 1, 1, -1, 1, 0, 2, 2, 0, 1, 2, -1, 2, 2, 1, -2, 1, 2, 2, -2, 2, 0, 3, 3, 0, 1, 3, -1, 3,
+  3, 1, -3, 1, 2, 3, -2, 3, 3, 2, -3, 2, 0, 4, 4, 0, 1, 4, -1, 4, 4, 1, -4, 1, 3, 3, -3, 3, 2, 4, -2, 4,
+  4, 2, -4, 2, 0, 5, 3, 4, -3, 4, 4, 3, -4, 3, 5, 0, 1, 5, -1, 5, 5, 1, -5, 1, 2, 5, -2, 5, 5, 2, -5, 2,
+  4, 4, -4, 4, 3, 5, -3, 5, 5, 3, -5, 3, 0, 6, 6, 0, 1, 6, -1, 6, 6, 1, -6, 1, 2, 6, -2, 6, 6, 2, -6, 2,
+  4, 5, -4, 5, 5, 4, -5, 4, 3, 6, -3, 6, 6, 3, -6, 3, 0, 7, 7, 0, 1, 7, -1, 7, 5, 5, -5, 5, 7, 1, -7, 1,
+  4, 6, -4, 6, 6, 4, -6, 4, 2, 7, -2, 7, 7, 2, -7, 2, 3, 7, -3, 7, 7, 3, -7, 3, 5, 6, -5, 6, 6, 5, -6, 5,
+  8, 0, 4, 7, -4, 7, 7, 4, -7, 4, 8, 1, 8, 2, 6, 6, -6, 6, 8, 3, 5, 7, -5, 7, 7, 5, -7, 5, 8, 4, 6, 7,
+  -6, 7, 7, 6, -7, 6, 8, 5, 7, 7, -7, 7, 8, 6, 8, 7
+];
+
+/**
+ * Canonical prefix code
+ */
+interface PrefixCode {
+  /** The only symbol of a code with one symbol, which takes no bits; -1 otherwise */
+  single: number;
+  /** (symbol << 4) | length for each 8-bit prefix of a code of up to 8 bits; 0 for longer codes */
+  fast: Int32Array;
+  /** Number of codes of each length */
+  counts: Uint16Array;
+  /** Symbols in code order */
+  symbols: Uint16Array;
+}
+
+interface LosslessTransform {
+  type: number;
+  /** Image width when the transform was read, before any color indexing packs pixels */
+  width: number;
+  bits: number;
+  data: Uint32Array | null;
+}
+
+/**
+ * Least-significant-bit-first reader for VP8L streams
+ */
+class LosslessBitReader {
+  private bytes: Uint8Array;
+  private position: number;
+  private value = 0;
+  private count = 0;
+
+  constructor(bytes: Uint8Array, position: number) {
+    this.bytes = bytes;
+    this.position = position;
+  }
+
+  /**
+   * Whether more bits have been read than the data holds
+   */
+  get overrun(): boolean {
+    return this.position * 8 - this.count > this.bytes.length * 8;
+  }
+
+  /**
+   * Look at up to 24 bits without consuming them
+   */
+  peek(bits: number): number {
+    while (this.count <= 24) {
+      const byte = this.position < this.bytes.length ? this.bytes[this.position] : 0;
+      this.value |= byte << this.count;
+      this.position++;
+      this.count += 8;
+    }
+    return this.value & ((1 << bits) - 1);
+  }
+
+  skip(bits: number): void {
+    this.value >>>= bits;
+    this.count -= bits;
+  }
+
+  read(bits: number): number {
+    const value = this.peek(bits);
+    this.skip(bits);
+    return value;
+  }
+}
+
+/**
+ * Decode a VP8L chunk
+ */
+function decodeLossless(chunk: Uint8Array): DecodedImage {
+  if (chunk.length < 5 || chunk[0] !== 0x2f) {
+    throw new Error('Invalid WebP lossless signature');
+  }
+  const reader = new LosslessBitReader(chunk, 1);
+  const width = reader.read(14) + 1;
+  const height = reader.read(14) + 1;
+  reader.read(1); // alpha hint; the pixels carry their own alpha
+  if (reader.read(3) !== 0) {
+    throw new Error('Unsupported WebP lossless version');
+  }
+
+  const argb = decodeLosslessImage(reader, width, height);
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < argb.length; i++) {
+    const pixel = argb[i];
+    data[i * 4] = (pixel >>> 16) & 0xff;
+    data[i * 4 + 1] = (pixel >>> 8) & 0xff;
+    data[i * 4 + 2] = pixel & 0xff;
+    data[i * 4 + 3] = pixel >>> 24;
+  }
+  return { width, height, data };
+}
+
+/**
+ * Decode the transforms and ARGB pixels of a lossless image stream
+ */
+function decodeLosslessImage(reader: LosslessBitReader, width: number, height: number): Uint32Array {
+  const transforms: LosslessTransform[] = [];
+  let codedWidth = width;
+  let seen = 0;
+
+  while (reader.read(1)) {
+    const type = reader.read(2);
+    if (seen & (1 << type)) {
+      throw new Error('Invalid WebP lossless data: repeated transform');
+    }
+    seen |= 1 << type;
+
+    if (type === PREDICTOR_TRANSFORM || type === CROSS_COLOR_TRANSFORM) {
+      const bits = reader.read(3) + 2;
+      const data = decodeEntropyCodedImage(
+        reader, subsampleSize(codedWidth, bits), subsampleSize(height, bits), false
+      );
+      transforms.push({ type, width: codedWidth, bits, data });
+    } else if (type === SUBTRACT_GREEN_TRANSFORM) {
+      transforms.push({ type, width: codedWidth, bits: 0, data: null });
+    } else {
+      const size = reader.read(8) + 1;
+      const palette = decodeEntropyCodedImage(reader, size, 1, false);
+      for (let i = 1; i < size; i++) palette[i] = addPixels(palette[i], palette[i - 1]);
+      const bits = size > 16 ? 0 : size > 4 ? 1 : size > 2 ? 2 : 3;
+      transforms.push({ type, width: codedWidth, bits, data: palette });
+      codedWidth = subsampleSize(codedWidth, bits);
+    }
+  }
+
+  let pixels = decodeEntropyCodedImage(reader, codedWidth, height, true);
+  if (reader.overrun) {
+    throw new Error('Truncated WebP lossless data');
+  }
+
+  for (let i = transforms.length - 1; i >= 0; i--) {
+    const transform = transforms[i];
+    if (transform.type === PREDICTOR_TRANSFORM) {
+      inversePredictor(pixels, transform.width, height, transform.bits, transform.data!);
+    } else if (transform.type === CROSS_COLOR_TRANSFORM) {
+      inverseCrossColor(pixels, transform.width, height, transform.bits, transform.data!);
+    } else if (transform.type === SUBTRACT_GREEN_TRANSFORM) {
+      for (let p = 0; p < pixels.length; p++) {
+        const pixel = pixels[p];
+        const green = (pixel >>> 8) & 0xff;
+        pixels[p] = (pixel & 0xff00ff00) | ((((pixel >>> 16) + green) & 0xff) << 16) | ((pixel + green) & 0xff);
+      }
+    } else {
+      pixels = inverseColorIndexing(pixels, transform.width, height, transform.bits, transform.data!);
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Decode prefix-coded ARGB pixels, with an optional color cache and, for the
+ * main image only, prefix code groups chosen per block by an entropy image
+ */
+function decodeEntropyCodedImage(
+  reader: LosslessBitReader,
+  width: number,
+  height: number,
+  allowGroups: boolean
+): Uint32Array {
+  let cacheBits = 0;
+  if (reader.read(1)) {
+    cacheBits = reader.read(4);
+    if (cacheBits < 1 || cacheBits > 11) {
+      throw new Error(`Invalid WebP color cache size: ${cacheBits} bits`);
+    }
+  }
+
+  let groupBits = 0;
+  let groupsWide = 0;
+  let groupMap: Uint32Array | null = null;
+  let groupCount = 1;
+  if (allowGroups && reader.read(1)) {
+    groupBits = reader.read(3) + 2;
+    groupsWide = subsampleSize(width, groupBits);
+    groupMap = decodeEntropyCodedImage(reader, groupsWide, subsampleSize(height, groupBits), false);
+    for (let i = 0; i < groupMap.length; i++) {
+      groupMap[i] = (groupMap[i] >>> 8) & 0xffff;
+      groupCount = Math.max(groupCount, groupMap[i] + 1);
+    }
+  }
+
+  const cacheSize = cacheBits > 0 ? 1 << cacheBits : 0;
+  const groups: PrefixCode[][] = [];
+  for (let g = 0; g < groupCount; g++) {
+    groups.push([
+      readPrefixCode(reader, 256 + LENGTH_CODES + cacheSize),
+      readPrefixCode(reader, 256),
+      readPrefixCode(reader, 256),
+      readPrefixCode(reader, 256),
+      readPrefixCode(reader, DISTANCE_CODES)
+    ]);
+  }
+
+  const pixels = new Uint32Array(width * height);
+  const cache = cacheSize > 0 ? new Uint32Array(cacheSize) : null;
+  const groupMask = groupMap ? (1 << groupBits) - 1 : -1;
+  let cached = 0;
+  let group = groups[0];
+  let x = 0;
+  let y = 0;
+
+  for (let i = 0; i < pixels.length;) {
+    if (groupMap && (x & groupMask) === 0) {
+      group = groups[groupMap[(y >> groupBits) * groupsWide + (x >> groupBits)]];
+    }
+
+    const green = readPrefixSymbol(reader, group[0]);
+    if (green < 256) {
+      const red = readPrefixSymbol(reader, group[1]);
+      const blue = readPrefixSymbol(reader, group[2]);
+      const alpha = readPrefixSymbol(reader, group[3]);
+      pixels[i++] = (alpha << 24) | (red << 16) | (green << 8) | blue;
+      if (++x === width) {
+        x = 0;
+        y++;
+      }
+    } else if (green < 256 + LENGTH_CODES) {
+      const length = readLz77Value(reader, green - 256);
+      const code = readLz77Value(reader, readPrefixSymbol(reader, group[4]));
+      const distance = planeCodeToDistance(code, width);
+      if (distance > i || i + length > pixels.length) {
+        throw new Error('Invalid WebP lossless data: backward reference out of range');
+      }
+      for (let k = 0; k < length; k++, i++) pixels[i] = pixels[i - distance];
+      x += length;
+      while (x >= width) {
+        x -= width;
+        y++;
+      }
+      if (groupMap && i < pixels.length) {
+        group = groups[groupMap[(y >> groupBits) * groupsWide + (x >> groupBits)]];
+      }
+    } else {
+      if (!cache) {
+        throw new Error('Invalid WebP lossless data: color cache code without a cache');
+      }
+      for (; cached < i; cached++) cache[Math.imul(pixels[cached], 0x1e35a7bd) >>> (32 - cacheBits)] = pixels[cached];
+      pixels[i++] = cache[green - 256 - LENGTH_CODES];
+      if (++x === width) {
+        x = 0;
+        y++;
+      }
+    }
+
+    if (reader.overrun) {
+      throw new Error('Truncated WebP lossless data');
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Read a prefix code description: either one or two literal symbols, or code
+ * lengths that are themselves prefix coded
+ */
+function readPrefixCode(reader: LosslessBitReader, alphabetSize: number): PrefixCode {
+  const lengths = new Uint8Array(alphabetSize);
+
+  if (reader.read(1)) {
+    const symbolCount = reader.read(1) + 1;
+    const symbols = [reader.read(reader.read(1) ? 8 : 1)];
+    if (symbolCount === 2) symbols.push(reader.read(8));
+    for (const symbol of symbols) {
+      if (symbol >= alphabetSize) {
+        throw new Error('Invalid WebP prefix code: symbol out of range');
+      }
+      lengths[symbol] = 1;
+    }
+    return buildPrefixCode(lengths);
+  }
+
+  const codeLengthLengths = new Uint8Array(CODE_LENGTH_ORDER.length);
+  const codeLengthCount = reader.read(4) + 4;
+  for (let i = 0; i < codeLengthCount; i++) {
+    codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.read(3);
+  }
+  const codeLengthCode = buildPrefixCode(codeLengthLengths);
+
+  let remaining = alphabetSize;
+  if (reader.read(1)) {
+    remaining = 2 + reader.read(2 + 2 * reader.read(3));
+    if (remaining > alphabetSize) {
+      throw new Error('Invalid WebP prefix code: too many code lengths');
+    }
+  }
+
+  let previous = 8;
+  for (let symbol = 0; symbol < alphabetSize && remaining-- > 0;) {
+    const length = readPrefixSymbol(reader, codeLengthCode);
+    if (length < 16) {
+      lengths[symbol++] = length;
+      if (length !== 0) previous = length;
+      continue;
+    }
+    const repeat = length === 16 ? 3 + reader.read(2) : length === 17 ? 3 + reader.read(3) : 11 + reader.read(7);
+    if (symbol + repeat > alphabetSize) {
+      throw new Error('Invalid WebP prefix code: code lengths overflow the alphabet');
+    }
+    lengths.fill(length === 16 ? previous : 0, symbol, symbol + repeat);
+    symbol += repeat;
+  }
+
+  return buildPrefixCode(lengths);
+}
+
+/**
+ * Build a canonical prefix code from code lengths
+ */
+function buildPrefixCode(lengths: Uint8Array): PrefixCode {
+  const counts = new Uint16Array(16);
+  const fast = new Int32Array(256);
+  let used = 0;
+  let last = 0;
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    if (lengths[symbol]) {
+      counts[lengths[symbol]]++;
+      used++;
+      last = symbol;
+    }
+  }
+  if (used <= 1) {
+    return { single: last, fast, counts, symbols: new Uint16Array(0) };
+  }
+
+  let left = 1;
+  for (let length = 1; length < 16; length++) {
+    left = (left << 1) - counts[length];
+    if (left < 0) throw new Error('Invalid WebP prefix code: oversubscribed');
+  }
+  if (left !== 0) throw new Error('Invalid WebP prefix code: incomplete');
+
+  const offsets = new Uint16Array(16);
+  for (let length = 1; length < 15; length++) offsets[length + 1] = offsets[length] + counts[length];
+  const symbols = new Uint16Array(used);
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    if (lengths[symbol]) symbols[offsets[lengths[symbol]]++] = symbol;
+  }
+
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 8; length++) {
+    for (let i = 0; i < counts[length]; i++, index++, code++) {
+      let reversed = 0;
+      for (let bit = 0; bit < length; bit++) reversed |= ((code >> bit) & 1) << (length - 1 - bit);
+      for (let entry = reversed; entry < 256; entry += 1 << length) {
+        fast[entry] = (symbols[index] << 4) | length;
+      }
+    }
+    code <<= 1;
+  }
+
+  return { single: -1, fast, counts, symbols };
+}
+
+function readPrefixSymbol(reader: LosslessBitReader, code: PrefixCode): number {
+  if (code.single >= 0) return code.single;
+
+  const entry = code.fast[reader.peek(8)];
+  if (entry) {
+    reader.skip(entry & 15);
+    return entry >> 4;
+  }
+
+  let value = 0;
+  let first = 0;
+  let index = 0;
+  for (let length = 1; length < 16; length++) {
+    value |= reader.read(1);
+    const count = code.counts[length];
+    if (value - first < count) return code.symbols[index + value - first];
+    index += count;
+    first = (first + count) << 1;
+    value <<= 1;
+  }
+  throw new Error('Invalid WebP lossless data: bad prefix code');
+}
+
+function readLz77Value(reader: LosslessBitReader, prefix: number): number {
+  if (prefix < 4) return prefix + 1;
+  const extraBits = (prefix - 2) >> 1;
+  return ((2 + (prefix & 1)) << extraBits) + reader.read(extraBits) + 1;
+}
+
+function planeCodeToDistance(code: number, width: number): number {
+  if (code > 120) return code - 120;
+  const distance = DISTANCE_MAP[(code - 1) * 2] + DISTANCE_MAP[(code - 1) * 2 + 1] * width;
+  return distance < 1 ? 1 : distance;
+}
+
+function subsampleSize(size: number, bits: number): number {
+  return (size + (1 << bits) - 1) >> bits;
+}
+
+/**
+ * Add two ARGB pixels channel by channel, modulo 256
+ */
+function addPixels(a: number, b: number): number {
+  return ((((a & 0xff00ff00) + (b & 0xff00ff00)) & 0xff00ff00) | (((a & 0x00ff00ff) + (b & 0x00ff00ff)) & 0x00ff00ff)) >>> 0;
+}
+
+function average2(a: number, b: number): number {
+  return ((((a ^ b) & 0xfefefefe) >>> 1) + (a & b)) >>> 0;
+}
+
+function predictPixel(mode: number, pixels: Uint32Array, i: number, width: number): number {
+  const left = pixels[i - 1];
+  const top = pixels[i - width];
+  switch (mode) {
+    case 1: return left;
+    case 2: return top;
+    case 3: return pixels[i - width + 1];
+    case 4: return pixels[i - width - 1];
+    case 5: return average2(average2(left, pixels[i - width + 1]), top);
+    case 6: return average2(left, pixels[i - width - 1]);
+    case 7: return average2(left, top);
+    case 8: return average2(pixels[i - width - 1], top);
+    case 9: return average2(top, pixels[i - width + 1]);
+    case 10: return average2(average2(left, pixels[i - width - 1]), average2(top, pixels[i - width + 1]));
+    case 11: return selectPredictor(left, top, pixels[i - width - 1]);
+    case 12: return clampAddSubtractFull(left, top, pixels[i - width - 1]);
+    case 13: return clampAddSubtractHalf(average2(left, top), pixels[i - width - 1]);
+    default: return 0xff000000;
+  }
+}
+
+/**
+ * Pick whichever of left and top is closer to the gradient estimate L + T - TL
+ */
+function selectPredictor(left: number, top: number, topLeft: number): number {
+  let toLeft = 0;
+  let toTop = 0;
+  for (let shift = 0; shift < 32; shift += 8) {
+    const l = (left >>> shift) & 0xff;
+    const t = (top >>> shift) & 0xff;
+    const tl = (topLeft >>> shift) & 0xff;
+    toLeft += Math.abs(t - tl);
+    toTop += Math.abs(l - tl);
+  }
+  return toLeft < toTop ? left : top;
+}
+
+function clampAddSubtractFull(a: number, b: number, c: number): number {
+  let result = 0;
+  for (let shift = 0; shift < 32; shift += 8) {
+    result |= clip(((a >>> shift) & 0xff) + ((b >>> shift) & 0xff) - ((c >>> shift) & 0xff), 255) << shift;
+  }
+  return result >>> 0;
+}
+
+function clampAddSubtractHalf(a: number, b: number): number {
+  let result = 0;
+  for (let shift = 0; shift < 32; shift += 8) {
+    const ca = (a >>> shift) & 0xff;
+    result |= clip(ca + Math.trunc((ca - ((b >>> shift) & 0xff)) / 2), 255) << shift;
+  }
+  return result >>> 0;
+}
+
+function inversePredictor(pixels: Uint32Array, width: number, height: number, bits: number, modes: Uint32Array): void {
+  const blocksWide = subsampleSize(width, bits);
+  pixels[0] = addPixels(pixels[0], 0xff000000);
+  for (let x = 1; x < width; x++) pixels[x] = addPixels(pixels[x], pixels[x - 1]);
+
+  for (let y = 1; y < height; y++) {
+    const row = y * width;
+    const modeRow = (y >> bits) * blocksWide;
+    pixels[row] = addPixels(pixels[row], pixels[row - width]);
+    for (let x = 1; x < width; x++) {
+      const mode = (modes[modeRow + (x >> bits)] >>> 8) & 0xf;
+      pixels[row + x] = addPixels(pixels[row + x], predictPixel(mode, pixels, row + x, width));
+    }
+  }
+}
+
+function inverseCrossColor(
+  pixels: Uint32Array,
+  width: number,
+  height: number,
+  bits: number,
+  elements: Uint32Array
+): void {
+  const blocksWide = subsampleSize(width, bits);
+  const signed = (value: number) => (value << 24) >> 24;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const element = elements[(y >> bits) * blocksWide + (x >> bits)];
+      const i = y * width + x;
+      const pixel = pixels[i];
+      const green = signed(pixel >>> 8);
+      const red = ((pixel >>> 16) + ((signed(element) * green) >> 5)) & 0xff;
+      const blue = (pixel + ((signed(element >>> 8) * green) >> 5) + ((signed(element >>> 16) * signed(red)) >> 5)) & 0xff;
+      pixels[i] = (pixel & 0xff00ff00) | (red << 16) | blue;
+    }
+  }
+}
+
+function inverseColorIndexing(
+  packed: Uint32Array,
+  width: number,
+  height: number,
+  bits: number,
+  palette: Uint32Array
+): Uint32Array {
+  const packedWidth = subsampleSize(width, bits);
+  const bitsPerPixel = 8 >> bits;
+  const indexMask = (1 << bitsPerPixel) - 1;
+  const xMask = (1 << bits) - 1;
+  const pixels = new Uint32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = (packed[y * packedWidth + (x >> bits)] >>> (8 + (x & xMask) * bitsPerPixel)) & indexMask;
+      pixels[y * width + x] = index < palette.length ? palette[index] : 0;
+    }
+  }
+  return pixels;
+}
+
+// ============================================================================
+// Alpha (ALPH)
+// ============================================================================
+
+/**
+ * Decode an ALPH chunk into the alpha channel of a decoded lossy image
+ */
+function applyAlphaChunk(image: DecodedImage, chunk: Uint8Array): void {
+  const { width, height, data } = image;
+  const compression = chunk[0] & 0x03;
+  const filter = (chunk[0] >> 2) & 0x03;
+  let alpha: Uint8Array;
+
+  if (compression === 0) {
+    if (chunk.length < 1 + width * height) {
+      throw new Error('Truncated WebP alpha data');
+    }
+    alpha = chunk.slice(1, 1 + width * height);
+  } else if (compression === 1) {
+    const argb = decodeLosslessImage(new LosslessBitReader(chunk, 1), width, height);
+    alpha = new Uint8Array(argb.length);
+    for (let i = 0; i < argb.length; i++) alpha[i] = (argb[i] >>> 8) & 0xff;
+  } else {
+    throw new Error(`Unsupported WebP alpha compression: ${compression}`);
+  }
+
+  if (filter !== 0) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        let predicted: number;
+        if (y === 0) {
+          predicted = x === 0 ? 0 : alpha[i - 1];
+        } else if (x === 0) {
+          predicted = alpha[i - width];
+        } else if (filter === 1) {
+          predicted = alpha[i - 1];
+        } else if (filter === 2) {
+          predicted = alpha[i - width];
+        } else {
+          predicted = clip(alpha[i - 1] + alpha[i - width] - alpha[i - width - 1], 255);
+        }
+        alpha[i] = (alpha[i] + predicted) & 0xff;
+      }
+    }
+  }
+
+  for (let i = 0; i < alpha.length; i++) data[i * 4 + 3] = alpha[i];
+}
+
+// ============================================================================
+// Lossy (VP8 key frames)
+// ============================================================================
+
+// Intra prediction modes. 16x16 luma and chroma blocks use the first four.
+const DC_PRED = 0;
+const TM_PRED = 1;
+const VE_PRED = 2;
+const HE_PRED = 3;
+const RD_PRED = 4;
+const VR_PRED = 5;
+const LD_PRED = 6;
+const VL_PRED = 7;
+const HD_PRED = 8;
+const HU_PRED = 9;
+
+// Coefficient probability sets by block type
+const TYPE_Y_AFTER_Y2 = 0;
+const TYPE_Y2 = 1;
+const TYPE_CHROMA = 2;
+const TYPE_Y_WITH_DC = 3;
+
+const BANDS = [0, 1, 2, 3, 6, 4, 5, 6, 6, 6, 6, 6, 6, 6, 6, 7, 0];
+const ZIGZAG = [0, 1, 4, 8, 5, 2, 3, 6, 9, 12, 13, 10, 7, 11, 14, 15];
+
+// Extra-bit probabilities of the DCT_CAT3..DCT_CAT6 token categories
+const CATEGORY_PROBABILITIES = [
+  [173, 148, 140],
+  [176, 155, 140, 135],
+  [180, 157, 141, 134, 130],
+  [254, 254, 243, 230, 196, 177, 153, 140, 133, 130, 129]
+];
+
+// Work buffer for rebuilding one macroblock: a row of neighbours above (with
+// four more above-right for 4x4 prediction) and a column to the left
+const WORK_STRIDE = 32;
+const WORK_ORIGIN = WORK_STRIDE + 1;
+
+/**
+ * Loop filter settings for one segment and prediction type
+ */
+interface LoopFilterStrength {
+  /** Edge limit; 0 turns the filter off */
+  limit: number;
+  interior: number;
+  hevThreshold: number;
+}
+
+/**
+ * Parsed key frame header
+ */
+interface LossyFrameHeader {
+  segmentMapUpdated: boolean;
+  segmentProbabilities: number[];
+  /** Per segment: [y dc, y ac, y2 dc, y2 ac, uv dc, uv ac] quantizer steps */
+  quantizers: number[][];
+  /** Indexed by segment * 2 + (4x4 prediction ? 1 : 0) */
+  filters: LoopFilterStrength[];
+  simpleFilter: boolean;
+  partitionCount: number;
+  coefficientProbabilities: Uint8Array;
+  /** Probability that a macroblock has coefficients, or -1 when none are skipped */
+  skipProbability: number;
+}
+
+/**
+ * Boolean entropy decoder (RFC 6386 section 7)
+ */
+class BoolDecoder {
+  private bytes: Uint8Array;
+  private position: number;
+  private end: number;
+  private value: number;
+  private range = 255;
+  private bitCount = 0;
+
+  constructor(bytes: Uint8Array, start: number, end: number) {
+    this.bytes = bytes;
+    this.position = start;
+    this.end = end;
+    this.value = (this.nextByte() << 8) | this.nextByte();
+  }
+
+  bit(probability: number): number {
+    const split = 1 + (((this.range - 1) * probability) >> 8);
+    const bigSplit = split << 8;
+    let bit: number;
+    if (this.value >= bigSplit) {
+      bit = 1;
+      this.range -= split;
+      this.value -= bigSplit;
+    } else {
+      bit = 0;
+      this.range = split;
+    }
+
+    if (this.range < 128) {
+      const shift = Math.clz32(this.range) - 24;
+      this.range <<= shift;
+      this.value <<= shift;
+      this.bitCount += shift;
+      if (this.bitCount >= 8) {
+        this.bitCount -= 8;
+        this.value |= this.nextByte() << this.bitCount;
+      }
+    }
+    return bit;
+  }
+
+  flag(): boolean {
+    return this.bit(128) === 1;
+  }
+
+  literal(bits: number): number {
+    let value = 0;
+    for (let i = 0; i < bits; i++) value = (value << 1) | this.bit(128);
+    return value;
+  }
+
+  signed(bits: number): number {
+    const value = this.literal(bits);
+    return this.flag() ? -value : value;
+  }
+
+  /**
+   * Read a signed value that is present only if a flag says so
+   */
+  optionalSigned(bits: number): number {
+    return this.flag() ? this.signed(bits) : 0;
+  }
+
+  private nextByte(): number {
+    return this.position < this.end ? this.bytes[this.position++] : 0;
+  }
+}
+
+/**
+ * Decode a VP8 key frame into RGBA pixels with opaque alpha
+ */
+function decodeLossy(chunk: Uint8Array): DecodedImage {
+  if (chunk.length < 10) {
+    throw new Error('Truncated VP8 frame header');
+  }
+  const tag = chunk[0] | (chunk[1] << 8) | (chunk[2] << 16);
+  if (tag & 1) {
+    throw new Error('WebP lossy data must be a key frame');
+  }
+  if (chunk[3] !== 0x9d || chunk[4] !== 0x01 || chunk[5] !== 0x2a) {
+    throw new Error('Invalid VP8 start code');
+  }
+  const width = (chunk[6] | (chunk[7] << 8)) & 0x3fff;
+  const height = (chunk[8] | (chunk[9] << 8)) & 0x3fff;
+  const headerEnd = 10 + (tag >> 5);
+  if (width === 0 || height === 0 || headerEnd > chunk.length) {
+    throw new Error('Invalid VP8 frame header');
+  }
+
+  const header = new BoolDecoder(chunk, 10, headerEnd);
+  const frame = readLossyFrameHeader(header);
+  const partitions = readTokenPartitions(chunk, headerEnd, frame.partitionCount);
+
+  const mbWide = (width + 15) >> 4;
+  const mbHigh = (height + 15) >> 4;
+  const yStride = mbWide * 16;
+  const uvStride = mbWide * 8;
+  const luma = new Uint8Array(yStride * mbHigh * 16);
+  const cb = new Uint8Array(uvStride * mbHigh * 8);
+  const cr = new Uint8Array(uvStride * mbHigh * 8);
+
+  // Non-zero flags along the bottom of the row above and the right of the
+  // macroblock to the left: 4 luma, 2 + 2 chroma and the Y2 block
+  const topNonZero = new Uint8Array(mbWide * 9);
+  const leftNonZero = new Uint8Array(9);
+  const topModes = new Uint8Array(mbWide * 4);
+  const leftModes = new Uint8Array(4);
+  const modes = new Uint8Array(16);
+  const coefficients = new Int32Array(25 * 16);
+  const filterIndex = new Uint8Array(mbWide * mbHigh);
+  const filterInner = new Uint8Array(mbWide * mbHigh);
+  const yWork = new Uint8Array(WORK_STRIDE * 17);
+  const uWork = new Uint8Array(WORK_STRIDE * 9);
+  const vWork = new Uint8Array(WORK_STRIDE * 9);
+
+  for (let mby = 0; mby < mbHigh; mby++) {
+    const tokens = partitions[mby % partitions.length];
+    leftNonZero.fill(0);
+    leftModes.fill(DC_PRED);
+
+    for (let mbx = 0; mbx < mbWide; mbx++) {
+      const probabilities = frame.segmentProbabilities;
+      const segment = !frame.segmentMapUpdated ? 0
+        : !header.bit(probabilities[0]) ? header.bit(probabilities[1])
+        : 2 + header.bit(probabilities[2]);
+      const skip = frame.skipProbability >= 0 && header.bit(frame.skipProbability) === 1;
+
+      const intra4 = !header.bit(145);
+      if (!intra4) {
+        const mode = header.bit(156) ? (header.bit(128) ? TM_PRED : HE_PRED) : (header.bit(163) ? VE_PRED : DC_PRED);
+        modes[0] = mode;
+        topModes.fill(mode, mbx * 4, mbx * 4 + 4);
+        leftModes.fill(mode);
+      } else {
+        for (let y = 0; y < 4; y++) {
+          for (let x = 0; x < 4; x++) {
+            const mode = readSubblockMode(header, topModes[mbx * 4 + x], leftModes[y]);
+            modes[y * 4 + x] = mode;
+            topModes[mbx * 4 + x] = mode;
+            leftModes[y] = mode;
+          }
+        }
+      }
+      const chromaMode = !header.bit(142) ? DC_PRED : !header.bit(114) ? VE_PRED : header.bit(183) ? TM_PRED : HE_PRED;
+
+      coefficients.fill(0);
+      let hasCoefficients = false;
+      if (!skip) {
+        hasCoefficients = readResiduals(
+          tokens, frame.coefficientProbabilities, frame.quantizers[segment], intra4,
+          coefficients, topNonZero, mbx * 9, leftNonZero
+        );
+      } else {
+        topNonZero.fill(0, mbx * 9, mbx * 9 + 8);
+        leftNonZero.fill(0, 0, 8);
+        if (!intra4) {
+          topNonZero[mbx * 9 + 8] = 0;
+          leftNonZero[8] = 0;
+        }
+      }
+
+      // Luma
+      loadNeighbours(yWork, luma, yStride, mbx * 16, mby * 16, 16, mbx === mbWide - 1);
+      if (intra4) {
+        for (let n = 0; n < 16; n++) {
+          const at = WORK_ORIGIN + (n >> 2) * 4 * WORK_STRIDE + (n & 3) * 4;
+          predictSubblock(yWork, at, modes[n]);
+          addInverseDct(coefficients, n * 16, yWork, at);
+        }
+      } else {
+        predictBlock(yWork, 16, modes[0], mbx > 0, mby > 0);
+        for (let n = 0; n < 16; n++) {
+          addInverseDct(coefficients, n * 16, yWork, WORK_ORIGIN + (n >> 2) * 4 * WORK_STRIDE + (n & 3) * 4);
+        }
+      }
+      storeBlock(yWork, luma, yStride, mbx * 16, mby * 16, 16);
+
+      // Chroma
+      for (const [work, plane, first] of [[uWork, cb, 16], [vWork, cr, 20]] as [Uint8Array, Uint8Array, number][]) {
+        loadNeighbours(work, plane, uvStride, mbx * 8, mby * 8, 8, false);
+        predictBlock(work, 8, chromaMode, mbx > 0, mby > 0);
+        for (let n = 0; n < 4; n++) {
+          addInverseDct(coefficients, (first + n) * 16, work, WORK_ORIGIN + (n >> 1) * 4 * WORK_STRIDE + (n & 1) * 4);
+        }
+        storeBlock(work, plane, uvStride, mbx * 8, mby * 8, 8);
+      }
+
+      filterIndex[mby * mbWide + mbx] = segment * 2 + (intra4 ? 1 : 0);
+      filterInner[mby * mbWide + mbx] = intra4 || hasCoefficients ? 1 : 0;
+    }
+  }
+
+  loopFilter(frame, luma, cb, cr, mbWide, mbHigh, filterIndex, filterInner);
+  return { width, height, data: yuvToRgba(luma, cb, cr, yStride, uvStride, width, height) };
+}
+
+function readLossyFrameHeader(header: BoolDecoder): LossyFrameHeader {
+  header.literal(2); // color space and clamping type; decoders always clamp
+
+  const segmentation = header.flag();
+  let segmentMapUpdated = false;
+  let absoluteSegmentValues = true;
+  const segmentQuantizers = [0, 0, 0, 0];
+  const segmentFilterLevels = [0, 0, 0, 0];
+  const segmentProbabilities = [255, 255, 255];
+  if (segmentation) {
+    segmentMapUpdated = header.flag();
+    if (header.flag()) {
+      absoluteSegmentValues = header.flag();
+      for (let s = 0; s < 4; s++) segmentQuantizers[s] = header.optionalSigned(7);
+      for (let s = 0; s < 4; s++) segmentFilterLevels[s] = header.optionalSigned(6);
+    }
+    if (segmentMapUpdated) {
+      for (let i = 0; i < 3; i++) segmentProbabilities[i] = header.flag() ? header.literal(8) : 255;
+    }
+  }
+
+  const simpleFilter = header.flag();
+  const filterLevel = header.literal(6);
+  const sharpness = header.literal(3);
+  const filterDeltas = header.flag();
+  let referenceDelta = 0;
+  let subblockModeDelta = 0;
+  if (filterDeltas && header.flag()) {
+    for (let i = 0; i < 4; i++) {
+      const delta = header.optionalSigned(6);
+      if (i === 0) referenceDelta = delta;
+    }
+    for (let i = 0; i < 4; i++) {
+      const delta = header.optionalSigned(6);
+      if (i === 0) subblockModeDelta = delta;
+    }
+  }
+
+  const partitionCount = 1 << header.literal(2);
+
+  const baseQuantizer = header.literal(7);
+  const [yDc, y2Dc, y2Ac, uvDc, uvAc] = [0, 0, 0, 0, 0].map(() => header.optionalSigned(4));
+  const quantizers: number[][] = [];
+  const filters: LoopFilterStrength[] = [];
+  for (let s = 0; s < 4; s++) {
+    const q = segmentation ? segmentQuantizers[s] + (absoluteSegmentValues ? 0 : baseQuantizer) : baseQuantizer;
+    quantizers.push([
+      DC_QUANTIZERS[clip(q + yDc, 127)],
+      AC_QUANTIZERS[clip(q, 127)],
+      DC_QUANTIZERS[clip(q + y2Dc, 127)] * 2,
+      Math.max(8, Math.floor(AC_QUANTIZERS[clip(q + y2Ac, 127)] * 155 / 100)),
+      DC_QUANTIZERS[clip(q + uvDc, 117)],
+      AC_QUANTIZERS[clip(q + uvAc, 127)]
+    ]);
+
+    const base = segmentation ? segmentFilterLevels[s] + (absoluteSegmentValues ? 0 : filterLevel) : filterLevel;
+    for (const intra4 of [false, true]) {
+      const level = clip(base + (filterDeltas ? referenceDelta + (intra4 ? subblockModeDelta : 0) : 0), 63);
+      if (filterLevel === 0 || level === 0) {
+        filters.push({ limit: 0, interior: 0, hevThreshold: 0 });
+        continue;
+      }
+      let interior = level;
+      if (sharpness > 0) {
+        interior >>= sharpness > 4 ? 2 : 1;
+        interior = Math.min(interior, 9 - sharpness);
+      }
+      interior = Math.max(interior, 1);
+      filters.push({ limit: 2 * level + interior, interior, hevThreshold: level >= 40 ? 2 : level >= 15 ? 1 : 0 });
+    }
+  }
+
+  header.flag(); // refresh_entropy_probs, meaningless for a single frame
+
+  const coefficientProbabilities = COEFFICIENT_PROBABILITIES.slice();
+  for (let i = 0; i < coefficientProbabilities.length; i++) {
+    if (header.bit(COEFFICIENT_UPDATE_PROBABILITIES[i])) coefficientProbabilities[i] = header.literal(8);
+  }
+  const skipProbability = header.flag() ? header.literal(8) : -1;
+
+  return {
+    segmentMapUpdated,
+    segmentProbabilities,
+    quantizers,
+    filters,
+    simpleFilter,
+    partitionCount,
+    coefficientProbabilities,
+    skipProbability
+  };
+}
+
+/**
+ * Split the data after the first partition into token partitions
+ */
+function readTokenPartitions(chunk: Uint8Array, start: number, count: number): BoolDecoder[] {
+  const sizesEnd = start + 3 * (count - 1);
+  if (sizesEnd > chunk.length) {
+    throw new Error('Truncated VP8 partition table');
+  }
+
+  const partitions: BoolDecoder[] = [];
+  let offset = sizesEnd;
+  for (let p = 0; p < count; p++) {
+    const at = start + 3 * p;
+    const size = p < count - 1 ? chunk[at] | (chunk[at + 1] << 8) | (chunk[at + 2] << 16) : chunk.length - offset;
+    if (offset + size > chunk.length) {
+      throw new Error('Truncated VP8 partition');
+    }
+    partitions.push(new BoolDecoder(chunk, offset, offset + size));
+    offset += size;
+  }
+  return partitions;
+}
+
+/**
+ * Read a 4x4 luma prediction mode given the modes above and to the left
+ */
+function readSubblockMode(header: BoolDecoder, above: number, left: number): number {
+  const p = (above * 10 + left) * 9;
+  const probability = (i: number) => SUBBLOCK_MODE_PROBABILITIES[p + i];
+  if (!header.bit(probability(0))) return DC_PRED;
+  if (!header.bit(probability(1))) return TM_PRED;
+  if (!header.bit(probability(2))) return VE_PRED;
+  if (!header.bit(probability(3))) {
+    if (!header.bit(probability(4))) return HE_PRED;
+    return header.bit(probability(5)) ? VR_PRED : RD_PRED;
+  }
+  if (!header.bit(probability(6))) return LD_PRED;
+  if (!header.bit(probability(7))) return VL_PRED;
+  return header.bit(probability(8)) ? HU_PRED : HD_PRED;
+}
+
+/**
+ * Read and dequantize the coefficients of one macroblock
+ *
+ * Blocks 0-15 are luma, 16-19 and 20-23 chroma, and 24 the Y2 block that
+ * carries the luma DC terms of 16x16-predicted macroblocks. Returns whether
+ * any block ends up with a non-zero coefficient.
+ */
+function readResiduals(
+  tokens: BoolDecoder,
+  probabilities: Uint8Array,
+  quantizer: number[],
+  intra4: boolean,
+  coefficients: Int32Array,
+  topNonZero: Uint8Array,
+  top: number,
+  leftNonZero: Uint8Array
+): boolean {
+  let first = 0;
+  let lumaType = TYPE_Y_WITH_DC;
+  let nonZero = false;
+
+  if (!intra4) {
+    const count = readCoefficients(
+      tokens, probabilities, TYPE_Y2, topNonZero[top + 8] + leftNonZero[8], quantizer[2], quantizer[3], 0, coefficients, 384
+    );
+    topNonZero[top + 8] = leftNonZero[8] = count > 0 ? 1 : 0;
+    inverseWalshHadamard(coefficients);
+    first = 1;
+    lumaType = TYPE_Y_AFTER_Y2;
+  }
+
+  for (let y = 0; y < 4; y++) {
+    for (let x = 0; x < 4; x++) {
+      const block = (y * 4 + x) * 16;
+      const count = readCoefficients(
+        tokens, probabilities, lumaType, topNonZero[top + x] + leftNonZero[y], quantizer[0], quantizer[1], first,
+        coefficients, block
+      );
+      topNonZero[top + x] = leftNonZero[y] = count > first ? 1 : 0;
+      if (count > first || coefficients[block] !== 0) nonZero = true;
+    }
+  }
+
+  for (let plane = 0; plane < 2; plane++) {
+    for (let y = 0; y < 2; y++) {
+      for (let x = 0; x < 2; x++) {
+        const t = top + 4 + plane * 2 + x;
+        const l = 4 + plane * 2 + y;
+        const count = readCoefficients(
+          tokens, probabilities, TYPE_CHROMA, topNonZero[t] + leftNonZero[l], quantizer[4], quantizer[5], 0,
+          coefficients, (16 + plane * 4 + y * 2 + x) * 16
+        );
+        topNonZero[t] = leftNonZero[l] = count > 0 ? 1 : 0;
+        if (count > 0) nonZero = true;
+      }
+    }
+  }
+
+  return nonZero;
+}
+
+/**
+ * Read the tokens of one block, returning the position after the last non-zero coefficient
+ */
+function readCoefficients(
+  tokens: BoolDecoder,
+  probabilities: Uint8Array,
+  type: number,
+  context: number,
+  dcStep: number,
+  acStep: number,
+  first: number,
+  out: Int32Array,
+  block: number
+): number {
+  const at = (n: number, ctx: number) => ((type * 8 + BANDS[n]) * 3 + ctx) * 11;
+  let p = at(first, context);
+
+  for (let n = first; n < 16; n++) {
+    if (!tokens.bit(probabilities[p])) return n;
+    while (!tokens.bit(probabilities[p + 1])) {
+      if (++n === 16) return 16;
+      p = at(n, 0);
+    }
+
+    let value: number;
+    if (!tokens.bit(probabilities[p + 2])) {
+      value = 1;
+      p = at(n + 1, 1);
+    } else {
+      value = readLargeCoefficient(tokens, probabilities, p);
+      p = at(n + 1, 2);
+    }
+    out[block + ZIGZAG[n]] = (tokens.flag() ? -value : value) * (n > 0 ? acStep : dcStep);
+  }
+  return 16;
+}
+
+function readLargeCoefficient(tokens: BoolDecoder, probabilities: Uint8Array, p: number): number {
+  if (!tokens.bit(probabilities[p + 3])) {
+    if (!tokens.bit(probabilities[p + 4])) return 2;
+    return 3 + tokens.bit(probabilities[p + 5]);
+  }
+  if (!tokens.bit(probabilities[p + 6])) {
+    if (!tokens.bit(probabilities[p + 7])) return 5 + tokens.bit(159);
+    return 7 + 2 * tokens.bit(165) + tokens.bit(145);
+  }
+
+  const high = tokens.bit(probabilities[p + 8]);
+  const category = 2 * high + tokens.bit(probabilities[p + 9 + high]);
+  let extra = 0;
+  for (const probability of CATEGORY_PROBABILITIES[category]) extra = (extra << 1) | tokens.bit(probability);
+  return extra + 3 + (8 << category);
+}
+
+/**
+ * Spread the Y2 block (at 384) into the DC terms of the 16 luma blocks
+ */
+function inverseWalshHadamard(coefficients: Int32Array): void {
+  const tmp = new Int32Array(16);
+  for (let i = 0; i < 4; i++) {
+    const a0 = coefficients[384 + i] + coefficients[396 + i];
+    const a1 = coefficients[388 + i] + coefficients[392 + i];
+    const a2 = coefficients[388 + i] - coefficients[392 + i];
+    const a3 = coefficients[384 + i] - coefficients[396 + i];
+    tmp[i] = a0 + a1;
+    tmp[8 + i] = a0 - a1;
+    tmp[4 + i] = a3 + a2;
+    tmp[12 + i] = a3 - a2;
+  }
+  for (let i = 0; i < 4; i++) {
+    const dc = tmp[i * 4] + 3;
+    const a0 = dc + tmp[i * 4 + 3];
+    const a1 = tmp[i * 4 + 1] + tmp[i * 4 + 2];
+    const a2 = tmp[i * 4 + 1] - tmp[i * 4 + 2];
+    const a3 = dc - tmp[i * 4 + 3];
+    coefficients[(i * 4) * 16] = (a0 + a1) >> 3;
+    coefficients[(i * 4 + 1) * 16] = (a3 + a2) >> 3;
+    coefficients[(i * 4 + 2) * 16] = (a0 - a1) >> 3;
+    coefficients[(i * 4 + 3) * 16] = (a3 - a2) >> 3;
+  }
+}
+
+/**
+ * Add the inverse DCT of a 4x4 block to the predicted pixels at `at`
+ */
+function addInverseDct(coefficients: Int32Array, block: number, work: Uint8Array, at: number): void {
+  let any = 0;
+  for (let i = 0; i < 16; i++) any |= coefficients[block + i];
+  if (!any) return;
+
+  const mul1 = (a: number) => ((a * 20091) >> 16) + a;
+  const mul2 = (a: number) => (a * 35468) >> 16;
+  const tmp = new Int32Array(16);
+  for (let i = 0; i < 4; i++) {
+    const c0 = coefficients[block + i];
+    const c4 = coefficients[block + 4 + i];
+    const c8 = coefficients[block + 8 + i];
+    const c12 = coefficients[block + 12 + i];
+    const a = c0 + c8;
+    const b = c0 - c8;
+    const c = mul2(c4) - mul1(c12);
+    const d = mul1(c4) + mul2(c12);
+    tmp[i * 4] = a + d;
+    tmp[i * 4 + 1] = b + c;
+    tmp[i * 4 + 2] = b - c;
+    tmp[i * 4 + 3] = a - d;
+  }
+  for (let i = 0; i < 4; i++) {
+    const dc = tmp[i] + 4;
+    const a = dc + tmp[8 + i];
+    const b = dc - tmp[8 + i];
+    const c = mul2(tmp[4 + i]) - mul1(tmp[12 + i]);
+    const d = mul1(tmp[4 + i]) + mul2(tmp[12 + i]);
+    const row = at + i * WORK_STRIDE;
+    work[row] = clip(work[row] + ((a + d) >> 3), 255);
+    work[row + 1] = clip(work[row + 1] + ((b + c) >> 3), 255);
+    work[row + 2] = clip(work[row + 2] + ((b - c) >> 3), 255);
+    work[row + 3] = clip(work[row + 3] + ((a - d) >> 3), 255);
+  }
+}
+
+/**
+ * Copy the unfiltered neighbours of a block into a work buffer
+ *
+ * Outside the frame the row above reads 127 and the column to the left 129.
+ * Luma also gets the four pixels above and to the right, repeated beside
+ * every 4x4 row, which is what 4x4 prediction in the right column sees.
+ */
+function loadNeighbours(
+  work: Uint8Array,
+  plane: Uint8Array,
+  stride: number,
+  px: number,
+  py: number,
+  size: number,
+  rightmost: boolean
+): void {
+  const above = WORK_ORIGIN - WORK_STRIDE;
+  const aboveRight = size === 16 ? 4 : 0;
+
+  if (py === 0) {
+    work.fill(127, above - 1, above + size + aboveRight);
+  } else {
+    const row = (py - 1) * stride + px;
+    work[above - 1] = px === 0 ? 129 : plane[row - 1];
+    work.set(plane.subarray(row, row + size), above);
+    for (let k = 0; k < aboveRight; k++) work[above + 16 + k] = plane[rightmost ? row + 15 : row + 16 + k];
+  }
+  for (let y = 0; y < size; y++) {
+    work[WORK_ORIGIN + y * WORK_STRIDE - 1] = px === 0 ? 129 : plane[(py + y) * stride + px - 1];
+  }
+  if (aboveRight) {
+    for (const y of [3, 7, 11]) work.copyWithin(WORK_ORIGIN + y * WORK_STRIDE + 16, above + 16, above + 20);
+  }
+}
+
+function storeBlock(work: Uint8Array, plane: Uint8Array, stride: number, px: number, py: number, size: number): void {
+  for (let y = 0; y < size; y++) {
+    const from = WORK_ORIGIN + y * WORK_STRIDE;
+    plane.set(work.subarray(from, from + size), (py + y) * stride + px);
+  }
+}
+
+/**
+ * Predict a 16x16 luma or 8x8 chroma block
+ */
+function predictBlock(work: Uint8Array, size: number, mode: number, hasLeft: boolean, hasTop: boolean): void {
+  const above = WORK_ORIGIN - WORK_STRIDE;
+  const shift = size === 16 ? 4 : 3;
+
+  for (let y = 0; y < size; y++) {
+    const row = WORK_ORIGIN + y * WORK_STRIDE;
+    if (mode === VE_PRED) {
+      work.copyWithin(row, above, above + size);
+    } else if (mode === HE_PRED) {
+      work.fill(work[row - 1], row, row + size);
+    } else if (mode === TM_PRED) {
+      const base = work[row - 1] - work[above - 1];
+      for (let x = 0; x < size; x++) work[row + x] = clip(base + work[above + x], 255);
+    }
+  }
+  if (mode !== DC_PRED) return;
+
+  let sum = 0;
+  for (let i = 0; i < size; i++) {
+    if (hasTop) sum += work[above + i];
+    if (hasLeft) sum += work[WORK_ORIGIN + i * WORK_STRIDE - 1];
+  }
+  const dc = hasTop && hasLeft ? (sum + size) >> (shift + 1)
+    : hasTop || hasLeft ? (sum + (size >> 1)) >> shift
+    : 128;
+  for (let y = 0; y < size; y++) work.fill(dc, WORK_ORIGIN + y * WORK_STRIDE, WORK_ORIGIN + y * WORK_STRIDE + size);
+}
+
+/**
+ * Predict a 4x4 luma block at `at` in the work buffer
+ */
+function predictSubblock(work: Uint8Array, at: number, mode: number): void {
+  const S = WORK_STRIDE;
+  const top = at - S;
+  const X = work[top - 1];
+  const A = work[top];
+  const B = work[top + 1];
+  const C = work[top + 2];
+  const D = work[top + 3];
+  const E = work[top + 4];
+  const F = work[top + 5];
+  const G = work[top + 6];
+  const H = work[top + 7];
+  const I = work[at - 1];
+  const J = work[at + S - 1];
+  const K = work[at + 2 * S - 1];
+  const L = work[at + 3 * S - 1];
+  const avg2 = (a: number, b: number) => (a + b + 1) >> 1;
+  const avg3 = (a: number, b: number, c: number) => (a + 2 * b + c + 2) >> 2;
+  const set = (x: number, y: number, value: number) => {
+    work[at + y * S + x] = value;
+  };
+
+  switch (mode) {
+    case DC_PRED: {
+      const dc = (A + B + C + D + I + J + K + L + 4) >> 3;
+      for (let y = 0; y < 4; y++) work.fill(dc, at + y * S, at + y * S + 4);
+      break;
+    }
+    case TM_PRED:
+      [I, J, K, L].forEach((left, y) => [A, B, C, D].forEach((above, x) => set(x, y, clip(left + above - X, 255))));
+      break;
+    case VE_PRED: {
+      const row = [avg3(X, A, B), avg3(A, B, C), avg3(B, C, D), avg3(C, D, E)];
+      for (let y = 0; y < 4; y++) row.forEach((value, x) => set(x, y, value));
+      break;
+    }
+    case HE_PRED: {
+      const column = [avg3(X, I, J), avg3(I, J, K), avg3(J, K, L), avg3(K, L, L)];
+      column.forEach((value, y) => work.fill(value, at + y * S, at + y * S + 4));
+      break;
+    }
+    case RD_PRED: {
+      const edge = [L, K, J, I, X, A, B, C, D];
+      for (let y = 0; y < 4; y++) {
+        for (let x = 0; x < 4; x++) set(x, y, avg3(edge[3 - y + x], edge[4 - y + x], edge[5 - y + x]));
+      }
+      break;
+    }
+    case LD_PRED: {
+      const edge = [A, B, C, D, E, F, G, H];
+      for (let y = 0; y < 4; y++) {
+        for (let x = 0; x < 4; x++) set(x, y, avg3(edge[x + y], edge[x + y + 1], edge[Math.min(x + y + 2, 7)]));
+      }
+      break;
+    }
+    case VR_PRED:
+      set(0, 0, avg2(X, A)); set(1, 2, avg2(X, A));
+      set(1, 0, avg2(A, B)); set(2, 2, avg2(A, B));
+      set(2, 0, avg2(B, C)); set(3, 2, avg2(B, C));
+      set(3, 0, avg2(C, D));
+      set(0, 3, avg3(K, J, I));
+      set(0, 2, avg3(J, I, X));
+      set(0, 1, avg3(I, X, A)); set(1, 3, avg3(I, X, A));
+      set(1, 1, avg3(X, A, B)); set(2, 3, avg3(X, A, B));
+      set(2, 1, avg3(A, B, C)); set(3, 3, avg3(A, B, C));
+      set(3, 1, avg3(B, C, D));
+      break;
+    case VL_PRED:
+      set(0, 0, avg2(A, B));
+      set(1, 0, avg2(B, C)); set(0, 2, avg2(B, C));
+      set(2, 0, avg2(C, D)); set(1, 2, avg2(C, D));
+      set(3, 0, avg2(D, E)); set(2, 2, avg2(D, E));
+      set(0, 1, avg3(A, B, C));
+      set(1, 1, avg3(B, C, D)); set(0, 3, avg3(B, C, D));
+      set(2, 1, avg3(C, D, E)); set(1, 3, avg3(C, D, E));
+      set(3, 1, avg3(D, E, F)); set(2, 3, avg3(D, E, F));
+      set(3, 2, avg3(E, F, G));
+      set(3, 3, avg3(F, G, H));
+      break;
+    case HD_PRED:
+      set(0, 0, avg2(I, X)); set(2, 1, avg2(I, X));
+      set(0, 1, avg2(J, I)); set(2, 2, avg2(J, I));
+      set(0, 2, avg2(K, J)); set(2, 3, avg2(K, J));
+      set(0, 3, avg2(L, K));
+      set(3, 0, avg3(A, B, C));
+      set(2, 0, avg3(X, A, B));
+      set(1, 0, avg3(I, X, A)); set(3, 1, avg3(I, X, A));
+      set(1, 1, avg3(J, I, X)); set(3, 2, avg3(J, I, X));
+      set(1, 2, avg3(K, J, I)); set(3, 3, avg3(K, J, I));
+      set(1, 3, avg3(L, K, J));
+      break;
+    default: // HU_PRED
+      set(0, 0, avg2(I, J));
+      set(2, 0, avg2(J, K)); set(0, 1, avg2(J, K));
+      set(2, 1, avg2(K, L)); set(0, 2, avg2(K, L));
+      set(1, 0, avg3(I, J, K));
+      set(3, 0, avg3(J, K, L)); set(1, 1, avg3(J, K, L));
+      set(3, 1, avg3(K, L, L)); set(1, 2, avg3(K, L, L));
+      set(3, 2, L); set(2, 2, L);
+      for (let x = 0; x < 4; x++) set(x, 3, L);
+  }
+}
+
+/**
+ * Run the loop filter over the whole frame, macroblock by macroblock
+ */
+function loopFilter(
+  frame: LossyFrameHeader,
+  luma: Uint8Array,
+  cb: Uint8Array,
+  cr: Uint8Array,
+  mbWide: number,
+  mbHigh: number,
+  filterIndex: Uint8Array,
+  filterInner: Uint8Array
+): void {
+  const yStride = mbWide * 16;
+  const uvStride = mbWide * 8;
+
+  for (let mby = 0; mby < mbHigh; mby++) {
+    for (let mbx = 0; mbx < mbWide; mbx++) {
+      const { limit, interior, hevThreshold } = frame.filters[filterIndex[mby * mbWide + mbx]];
+      if (limit === 0) continue;
+      const inner = filterInner[mby * mbWide + mbx] === 1;
+      const y = mby * 16 * yStride + mbx * 16;
+
+      if (frame.simpleFilter) {
+        if (mbx > 0) simpleFilter(luma, y, 1, yStride, limit + 4);
+        if (inner) for (let k = 4; k < 16; k += 4) simpleFilter(luma, y + k, 1, yStride, limit);
+        if (mby > 0) simpleFilter(luma, y, yStride, 1, limit + 4);
+        if (inner) for (let k = 4; k < 16; k += 4) simpleFilter(luma, y + k * yStride, yStride, 1, limit);
+        continue;
+      }
+
+      const uv = mby * 8 * uvStride + mbx * 8;
+      const edge = (plane: Uint8Array, at: number, step: number, advance: number, count: number, macroblock: boolean) =>
+        normalFilter(plane, at, step, advance, count, macroblock ? limit + 4 : limit, interior, hevThreshold, macroblock);
+
+      if (mbx > 0) {
+        edge(luma, y, 1, yStride, 16, true);
+        edge(cb, uv, 1, uvStride, 8, true);
+        edge(cr, uv, 1, uvStride, 8, true);
+      }
+      if (inner) {
+        for (let k = 4; k < 16; k += 4) edge(luma, y + k, 1, yStride, 16, false);
+        edge(cb, uv + 4, 1, uvStride, 8, false);
+        edge(cr, uv + 4, 1, uvStride, 8, false);
+      }
+      if (mby > 0) {
+        edge(luma, y, yStride, 1, 16, true);
+        edge(cb, uv, uvStride, 1, 8, true);
+        edge(cr, uv, uvStride, 1, 8, true);
+      }
+      if (inner) {
+        for (let k = 4; k < 16; k += 4) edge(luma, y + k * yStride, yStride, 1, 16, false);
+        edge(cb, uv + 4 * uvStride, uvStride, 1, 8, false);
+        edge(cr, uv + 4 * uvStride, uvStride, 1, 8, false);
+      }
+    }
+  }
+}
+
+/**
+ * Clamp to a signed byte
+ */
+function signedByte(value: number): number {
+  return value < -128 ? -128 : value > 127 ? 127 : value;
+}
+
+/**
+ * Adjust the two pixels either side of an edge (the common filter step)
+ */
+function filterCommon(plane: Uint8Array, at: number, step: number, outerTaps: boolean): number {
+  const p1 = plane[at - 2 * step];
+  const p0 = plane[at - step];
+  const q0 = plane[at];
+  const q1 = plane[at + step];
+  const a = signedByte((outerTaps ? signedByte(p1 - q1) : 0) + 3 * (q0 - p0));
+  const f1 = signedByte(a + 4) >> 3;
+  const f2 = signedByte(a + 3) >> 3;
+  plane[at - step] = clip(p0 + f2, 255);
+  plane[at] = clip(q0 - f1, 255);
+  return f1;
+}
+
+function simpleFilter(plane: Uint8Array, at: number, step: number, advance: number, limit: number): void {
+  for (let i = 0; i < 16; i++, at += advance) {
+    const edge = 4 * Math.abs(plane[at - step] - plane[at]) + Math.abs(plane[at - 2 * step] - plane[at + step]);
+    if (edge <= 2 * limit + 1) filterCommon(plane, at, step, true);
+  }
+}
+
+function normalFilter(
+  plane: Uint8Array,
+  at: number,
+  step: number,
+  advance: number,
+  count: number,
+  limit: number,
+  interior: number,
+  hevThreshold: number,
+  macroblockEdge: boolean
+): void {
+  for (let i = 0; i < count; i++, at += advance) {
+    const p3 = plane[at - 4 * step];
+    const p2 = plane[at - 3 * step];
+    const p1 = plane[at - 2 * step];
+    const p0 = plane[at - step];
+    const q0 = plane[at];
+    const q1 = plane[at + step];
+    const q2 = plane[at + 2 * step];
+    const q3 = plane[at + 3 * step];
+
+    if (4 * Math.abs(p0 - q0) + Math.abs(p1 - q1) > 2 * limit + 1) continue;
+    if (
+      Math.abs(p3 - p2) > interior || Math.abs(p2 - p1) > interior || Math.abs(p1 - p0) > interior ||
+      Math.abs(q3 - q2) > interior || Math.abs(q2 - q1) > interior || Math.abs(q1 - q0) > interior
+    ) {
+      continue;
+    }
+
+    const highVariance = Math.abs(p1 - p0) > hevThreshold || Math.abs(q1 - q0) > hevThreshold;
+    if (highVariance) {
+      filterCommon(plane, at, step, true);
+    } else if (macroblockEdge) {
+      const w = signedByte(signedByte(p1 - q1) + 3 * (q0 - p0));
+      const a1 = (27 * w + 63) >> 7;
+      const a2 = (18 * w + 63) >> 7;
+      const a3 = (9 * w + 63) >> 7;
+      plane[at - 3 * step] = clip(p2 + a3, 255);
+      plane[at - 2 * step] = clip(p1 + a2, 255);
+      plane[at - step] = clip(p0 + a1, 255);
+      plane[at] = clip(q0 - a1, 255);
+      plane[at + step] = clip(q1 - a2, 255);
+      plane[at + 2 * step] = clip(q2 - a3, 255);
+    } else {
+      const a = (filterCommon(plane, at, step, false) + 1) >> 1;
+      plane[at - 2 * step] = clip(p1 + a, 255);
+      plane[at + step] = clip(q1 - a, 255);
+    }
+  }
+}
+
+/**
+ * Convert YUV 4:2:0 planes to RGBA, interpolating chroma between samples
+ * the way libwebp's default ("fancy") upsampler does
+ */
+function yuvToRgba(
+  luma: Uint8Array,
+  cb: Uint8Array,
+  cr: Uint8Array,
+  yStride: number,
+  uvStride: number,
+  width: number,
+  height: number
+): Uint8Array {
+  const data = new Uint8Array(width * height * 4);
+  const uvHeight = (height + 1) >> 1;
+  const u = new Uint8Array(width);
+  const v = new Uint8Array(width);
+  const lastPair = (width - 1) >> 1;
+
+  for (let y = 0; y < height; y++) {
+    // Chroma rows nearest to and second nearest to this luma row
+    const near = (y - (y & 1)) >> 1;
+    const far = y === 0 ? 0 : y & 1 ? Math.min(near + 1, uvHeight - 1) : near - 1;
+
+    for (const [plane, out] of [[cb, u], [cr, v]]) {
+      const n = near * uvStride;
+      const f = far * uvStride;
+      out[0] = (3 * plane[n] + plane[f] + 2) >> 2;
+      for (let x = 1; x <= lastPair; x++) {
+        const nl = plane[n + x - 1];
+        const nr = plane[n + x];
+        const fl = plane[f + x - 1];
+        const fr = plane[f + x];
+        const sum = nl + nr + fl + fr + 8;
+        out[2 * x - 1] = (((sum + 2 * (nr + fl)) >> 3) + nl) >> 1;
+        out[2 * x] = (((sum + 2 * (nl + fr)) >> 3) + nr) >> 1;
+      }
+      if (!(width & 1)) {
+        out[width - 1] = (3 * plane[n + lastPair] + plane[f + lastPair] + 2) >> 2;
+      }
+    }
+
+    for (let x = 0; x < width; x++) {
+      const luminance = (luma[y * yStride + x] * 19077) >> 8;
+      const i = (y * width + x) * 4;
+      data[i] = yuvClip(luminance + ((v[x] * 26149) >> 8) - 14234);
+      data[i + 1] = yuvClip(luminance - ((u[x] * 6419) >> 8) - ((v[x] * 13320) >> 8) + 8708);
+      data[i + 2] = yuvClip(luminance + ((u[x] * 33050) >> 8) - 17685);
+      data[i + 3] = 255;
+    }
+  }
+  return data;
+}
+
+function yuvClip(value: number): number {
+  return value < 0 ? 0 : value > 16383 ? 255 : value >> 6;
+}
+
+// ============================================================================
+// VP8 tables (RFC 6386)
+// ============================================================================
+
+const DC_QUANTIZERS = [
+  4, 5, 6, 7, 8, 9, 10, 10, 11, 12, 13, 14, 15, 16, 17, 17,
+  18, 19, 20, 20, 21, 21, 22, 22, 23, 23, 24, 25, 25, 26, 27, 28,
+  29, 30, 31, 32, 33, 34, 35, 36, 37, 37, 38, 39, 40, 41, 42, 43,
+  44, 45, 46, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58,
+  59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74,
+  75, 76, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 93, 95, 96, 98, 100, 101, 102, 104, 106, 108, 110, 112, 114, 116, 118,
+  122, 124, 126, 128, 130, 132, 134, 136, 138, 140, 143, 145, 148, 151, 154, 157
+];
+
+const AC_QUANTIZERS = [
+  4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19,
+  20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35,
+  36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51,
+  52, 53, 54, 55, 56, 57, 58, 60, 62, 64, 66, 68, 70, 72, 74, 76,
+  78, 80, 82, 84, 86, 88, 90, 92, 94, 96, 98, 100, 102, 104, 106, 108,
+  110, 112, 114, 116, 119, 122, 125, 128, 131, 134, 137, 140, 143, 146, 149, 152,
+  155, 158, 161, 164, 167, 170, 173, 177, 181, 185, 189, 193, 197, 201, 205, 209,
+  213, 217, 221, 225, 229, 234, 239, 245, 249, 254, 259, 264, 269, 274, 279, 284
+];
+
+// 4x4 prediction mode probabilities in key frames, [above][left][node]
+const SUBBLOCK_MODE_PROBABILITIES = new Uint8Array([
+  231, 120, 48, 89, 115, 113, 120, 152, 112,
+  152, 179, 64, 126, 170, 118, 46, 70, 95,
+  175, 69, 143, 80, 85, 82, 72, 155, 103,
+  56, 58, 10, 171, 218, 189, 17, 13, 152,
+  114, 26, 17, 163, 44, 195, 21, 10, 173,
+  121, 24, 80, 195, 26, 62, 44, 64, 85,
+  144, 71, 10, 38, 171, 213, 144, 34, 26,
+  170, 46, 55, 19, 136, 160, 33, 206, 71,
+  63, 20, 8, 114, 114, 208, 12, 9, 226,
+  81, 40, 11, 96, 182, 84, 29, 16, 36,
+  134, 183, 89, 137, 98, 101, 106, 165, 148,
+  72, 187, 100, 130, 157, 111, 32, 75, 80,
+  66, 102, 167, 99, 74, 62, 40, 234, 128,
+  41, 53, 9, 178, 241, 141, 26, 8, 107,
+  74, 43, 26, 146, 73, 166, 49, 23, 157,
+  65, 38, 105, 160, 51, 52, 31, 115, 128,
+  104, 79, 12, 27, 217, 255, 87, 17, 7,
+  87, 68, 71, 44, 114, 51, 15, 186, 23,
+  47, 41, 14, 110, 182, 183, 21, 17, 194,
+  66, 45, 25, 102, 197, 189, 23, 18, 22,
+  88, 88, 147, 150, 42, 46, 45, 196, 205,
+  43, 97, 183, 117, 85, 38, 35, 179, 61,
+  39, 53, 200, 87, 26, 21, 43, 232, 171,
+  56, 34, 51, 104, 114, 102, 29, 93, 77,
+  39, 28, 85, 171, 58, 165, 90, 98, 64,
+  34, 22, 116, 206, 23, 34, 43, 166, 73,
+  107, 54, 32, 26, 51, 1, 81, 43, 31,
+  68, 25, 106, 22, 64, 171, 36, 225, 114,
+  34, 19, 21, 102, 132, 188, 16, 76, 124,
+  62, 18, 78, 95, 85, 57, 50, 48, 51,
+  193, 101, 35, 159, 215, 111, 89, 46, 111,
+  60, 148, 31, 172, 219, 228, 21, 18, 111,
+  112, 113, 77, 85, 179, 255, 38, 120, 114,
+  40, 42, 1, 196, 245, 209, 10, 25, 109,
+  88, 43, 29, 140, 166, 213, 37, 43, 154,
+  61, 63, 30, 155, 67, 45, 68, 1, 209,
+  100, 80, 8, 43, 154, 1, 51, 26, 71,
+  142, 78, 78, 16, 255, 128, 34, 197, 171,
+  41, 40, 5, 102, 211, 183, 4, 1, 221,
+  51, 50, 17, 168, 209, 192, 23, 25, 82,
+  138, 31, 36, 171, 27, 166, 38, 44, 229,
+  67, 87, 58, 169, 82, 115, 26, 59, 179,
+  63, 59, 90, 180, 59, 166, 93, 73, 154,
+  40, 40, 21, 116, 143, 209, 34, 39, 175,
+  47, 15, 16, 183, 34, 223, 49, 45, 183,
+  46, 17, 33, 183, 6, 98, 15, 32, 183,
+  57, 46, 22, 24, 128, 1, 54, 17, 37,
+  65, 32, 73, 115, 28, 128, 23, 128, 205,
+  40, 3, 9, 115, 51, 192, 18, 6, 223,
+  87, 37, 9, 115, 59, 77, 64, 21, 47,
+  104, 55, 44, 218, 9, 54, 53, 130, 226,
+  64, 90, 70, 205, 40, 41, 23, 26, 57,
+  54, 57, 112, 184, 5, 41, 38, 166, 213,
+  30, 34, 26, 133, 152, 116, 10, 32, 134,
+  39, 19, 53, 221, 26, 114, 32, 73, 255,
+  31, 9, 65, 234, 2, 15, 1, 118, 73,
+  75, 32, 12, 51, 192, 255, 160, 43, 51,
+  88, 31, 35, 67, 102, 85, 55, 186, 85,
+  56, 21, 23, 111, 59, 205, 45, 37, 192,
+  55, 38, 70, 124, 73, 102, 1, 34, 98,
+  125, 98, 42, 88, 104, 85, 117, 175, 82,
+  95, 84, 53, 89, 128, 100, 113, 101, 45,
+  75, 79, 123, 47, 51, 128, 81, 171, 1,
+  57, 17, 5, 71, 102, 57, 53, 41, 49,
+  38, 33, 13, 121, 57, 73, 26, 1, 85,
+  41, 10, 67, 138, 77, 110, 90, 47, 114,
+  115, 21, 2, 10, 102, 255, 166, 23, 6,
+  101, 29, 16, 10, 85, 128, 101, 196, 26,
+  57, 18, 10, 102, 102, 213, 34, 20, 43,
+  117, 20, 15, 36, 163, 128, 68, 1, 26,
+  102, 61, 71, 37, 34, 53, 31, 243, 192,
+  69, 60, 71, 38, 73, 119, 28, 222, 37,
+  68, 45, 128, 34, 1, 47, 11, 245, 171,
+  62, 17, 19, 70, 146, 85, 55, 62, 70,
+  37, 43, 37, 154, 100, 163, 85, 160, 1,
+  63, 9, 92, 136, 28, 64, 32, 201, 85,
+  75, 15, 9, 9, 64, 255, 184, 119, 16,
+  86, 6, 28, 5, 64, 255, 25, 248, 1,
+  56, 8, 17, 132, 137, 255, 55, 116, 128,
+  58, 15, 20, 82, 135, 57, 26, 121, 40,
+  164, 50, 31, 137, 154, 133, 25, 35, 218,
+  51, 103, 44, 131, 131, 123, 31, 6, 158,
+  86, 40, 64, 135, 148, 224, 45, 183, 128,
+  22, 26, 17, 131, 240, 154, 14, 1, 209,
+  45, 16, 21, 91, 64, 222, 7, 1, 197,
+  56, 21, 39, 155, 60, 138, 23, 102, 213,
+  83, 12, 13, 54, 192, 255, 68, 47, 28,
+  85, 26, 85, 85, 128, 128, 32, 146, 171,
+  18, 11, 7, 63, 144, 171, 4, 4, 246,
+  35, 27, 10, 146, 174, 171, 12, 26, 128,
+  190, 80, 35, 99, 180, 80, 126, 54, 45,
+  85, 126, 47, 87, 176, 51, 41, 20, 32,
+  101, 75, 128, 139, 118, 146, 116, 128, 85,
+  56, 41, 15, 176, 236, 85, 37, 9, 62,
+  71, 30, 17, 119, 118, 255, 17, 18, 138,
+  101, 38, 60, 138, 55, 70, 43, 26, 142,
+  146, 36, 19, 30, 171, 255, 97, 27, 20,
+  138, 45, 61, 62, 219, 1, 81, 188, 64,
+  32, 41, 20, 117, 151, 142, 20, 21, 163,
+  112, 19, 12, 61, 195, 128, 48, 4, 24
+]);
+
+// Default token probabilities, [type][band][context][node]
+const COEFFICIENT_PROBABILITIES = new Uint8Array([
+  128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  253, 136, 254, 255, 228, 219, 128, 128, 128, 128, 128,
+  189, 129, 242, 255, 227, 213, 255, 219, 128, 128, 128,
+  106, 126, 227, 252, 214, 209, 255, 255, 128, 128, 128,
+  1, 98, 248, 255, 236, 226, 255, 255, 128, 128, 128,
+  181, 133, 238, 254, 221, 234, 255, 154, 128, 128, 128,
+  78, 134, 202, 247, 198, 180, 255, 219, 128, 128, 128,
+  1, 185, 249, 255, 243, 255, 128, 128, 128, 128, 128,
+  184, 150, 247, 255, 236, 224, 128, 128, 128, 128, 128,
+  77, 110, 216, 255, 236, 230, 128, 128, 128, 128, 128,
+  1, 101, 251, 255, 241, 255, 128, 128, 128, 128, 128,
+  170, 139, 241, 252, 236, 209, 255, 255, 128, 128, 128,
+  37, 116, 196, 243, 228, 255, 255, 255, 128, 128, 128,
+  1, 204, 254, 255, 245, 255, 128, 128, 128, 128, 128,
+  207, 160, 250, 255, 238, 128, 128, 128, 128, 128, 128,
+  102, 103, 231, 255, 211, 171, 128, 128, 128, 128, 128,
+  1, 152, 252, 255, 240, 255, 128, 128, 128, 128, 128,
+  177, 135, 243, 255, 234, 225, 128, 128, 128, 128, 128,
+  80, 129, 211, 255, 194, 224, 128, 128, 128, 128, 128,
+  1, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  246, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  255, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  198, 35, 237, 223, 193, 187, 162, 160, 145, 155, 62,
+  131, 45, 198, 221, 172, 176, 220, 157, 252, 221, 1,
+  68, 47, 146, 208, 149, 167, 221, 162, 255, 223, 128,
+  1, 149, 241, 255, 221, 224, 255, 255, 128, 128, 128,
+  184, 141, 234, 253, 222, 220, 255, 199, 128, 128, 128,
+  81, 99, 181, 242, 176, 190, 249, 202, 255, 255, 128,
+  1, 129, 232, 253, 214, 197, 242, 196, 255, 255, 128,
+  99, 121, 210, 250, 201, 198, 255, 202, 128, 128, 128,
+  23, 91, 163, 242, 170, 187, 247, 210, 255, 255, 128,
+  1, 200, 246, 255, 234, 255, 128, 128, 128, 128, 128,
+  109, 178, 241, 255, 231, 245, 255, 255, 128, 128, 128,
+  44, 130, 201, 253, 205, 192, 255, 255, 128, 128, 128,
+  1, 132, 239, 251, 219, 209, 255, 165, 128, 128, 128,
+  94, 136, 225, 251, 218, 190, 255, 255, 128, 128, 128,
+  22, 100, 174, 245, 186, 161, 255, 199, 128, 128, 128,
+  1, 182, 249, 255, 232, 235, 128, 128, 128, 128, 128,
+  124, 143, 241, 255, 227, 234, 128, 128, 128, 128, 128,
+  35, 77, 181, 251, 193, 211, 255, 205, 128, 128, 128,
+  1, 157, 247, 255, 236, 231, 255, 255, 128, 128, 128,
+  121, 141, 235, 255, 225, 227, 255, 255, 128, 128, 128,
+  45, 99, 188, 251, 195, 217, 255, 224, 128, 128, 128,
+  1, 1, 251, 255, 213, 255, 128, 128, 128, 128, 128,
+  203, 1, 248, 255, 255, 128, 128, 128, 128, 128, 128,
+  137, 1, 177, 255, 224, 255, 128, 128, 128, 128, 128,
+  253, 9, 248, 251, 207, 208, 255, 192, 128, 128, 128,
+  175, 13, 224, 243, 193, 185, 249, 198, 255, 255, 128,
+  73, 17, 171, 221, 161, 179, 236, 167, 255, 234, 128,
+  1, 95, 247, 253, 212, 183, 255, 255, 128, 128, 128,
+  239, 90, 244, 250, 211, 209, 255, 255, 128, 128, 128,
+  155, 77, 195, 248, 188, 195, 255, 255, 128, 128, 128,
+  1, 24, 239, 251, 218, 219, 255, 205, 128, 128, 128,
+  201, 51, 219, 255, 196, 186, 128, 128, 128, 128, 128,
+  69, 46, 190, 239, 201, 218, 255, 228, 128, 128, 128,
+  1, 191, 251, 255, 255, 128, 128, 128, 128, 128, 128,
+  223, 165, 249, 255, 213, 255, 128, 128, 128, 128, 128,
+  141, 124, 248, 255, 255, 128, 128, 128, 128, 128, 128,
+  1, 16, 248, 255, 255, 128, 128, 128, 128, 128, 128,
+  190, 36, 230, 255, 236, 255, 128, 128, 128, 128, 128,
+  149, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  1, 226, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  247, 192, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  240, 128, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  1, 134, 252, 255, 255, 128, 128, 128, 128, 128, 128,
+  213, 62, 250, 255, 255, 128, 128, 128, 128, 128, 128,
+  55, 93, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  202, 24, 213, 235, 186, 191, 220, 160, 240, 175, 255,
+  126, 38, 182, 232, 169, 184, 228, 174, 255, 187, 128,
+  61, 46, 138, 219, 151, 178, 240, 170, 255, 216, 128,
+  1, 112, 230, 250, 199, 191, 247, 159, 255, 255, 128,
+  166, 109, 228, 252, 211, 215, 255, 174, 128, 128, 128,
+  39, 77, 162, 232, 172, 180, 245, 178, 255, 255, 128,
+  1, 52, 220, 246, 198, 199, 249, 220, 255, 255, 128,
+  124, 74, 191, 243, 183, 193, 250, 221, 255, 255, 128,
+  24, 71, 130, 219, 154, 170, 243, 182, 255, 255, 128,
+  1, 182, 225, 249, 219, 240, 255, 224, 128, 128, 128,
+  149, 150, 226, 252, 216, 205, 255, 171, 128, 128, 128,
+  28, 108, 170, 242, 183, 194, 254, 223, 255, 255, 128,
+  1, 81, 230, 252, 204, 203, 255, 192, 128, 128, 128,
+  123, 102, 209, 247, 188, 196, 255, 233, 128, 128, 128,
+  20, 95, 153, 243, 164, 173, 255, 203, 128, 128, 128,
+  1, 222, 248, 255, 216, 213, 128, 128, 128, 128, 128,
+  168, 175, 246, 252, 235, 205, 255, 255, 128, 128, 128,
+  47, 116, 215, 255, 211, 212, 255, 255, 128, 128, 128,
+  1, 121, 236, 253, 212, 214, 255, 255, 128, 128, 128,
+  141, 84, 213, 252, 201, 202, 255, 219, 128, 128, 128,
+  42, 80, 160, 240, 162, 185, 255, 205, 128, 128, 128,
+  1, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  244, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  238, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128
+]);
+
+// Probabilities that a frame header updates each token probability
+const COEFFICIENT_UPDATE_PROBABILITIES = new Uint8Array([
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  176, 246, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  223, 241, 252, 255, 255, 255, 255, 255, 255, 255, 255,
+  249, 253, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 244, 252, 255, 255, 255, 255, 255, 255, 255, 255,
+  234, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  253, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 246, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  239, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 248, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  251, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  251, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 254, 253, 255, 254, 255, 255, 255, 255, 255, 255,
+  250, 255, 254, 255, 254, 255, 255, 255, 255, 255, 255,
+  254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  217, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  225, 252, 241, 253, 255, 255, 254, 255, 255, 255, 255,
+  234, 250, 241, 250, 253, 255, 253, 254, 255, 255, 255,
+  255, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  223, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  238, 253, 254, 254, 255, 255, 255, 255, 255, 255, 255,
+  255, 248, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  249, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 253, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  247, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  252, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  253, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 254, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  250, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  186, 251, 250, 255, 255, 255, 255, 255, 255, 255, 255,
+  234, 251, 244, 254, 255, 255, 255, 255, 255, 255, 255,
+  251, 251, 243, 253, 254, 255, 254, 255, 255, 255, 255,
+  255, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  236, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  251, 253, 253, 254, 254, 255, 255, 255, 255, 255, 255,
+  255, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  248, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  250, 254, 252, 254, 255, 255, 255, 255, 255, 255, 255,
+  248, 254, 249, 253, 255, 255, 255, 255, 255, 255, 255,
+  255, 253, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  246, 253, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  252, 254, 251, 254, 254, 255, 255, 255, 255, 255, 255,
+  255, 254, 252, 255, 255, 255, 255, 255, 255, 255, 255,
+  248, 254, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  253, 255, 254, 254, 255, 255, 255, 255, 255, 255, 255,
+  255, 251, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  245, 251, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  253, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 251, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  252, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 252, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  249, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  250, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255
+]);
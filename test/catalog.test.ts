@@ -0,0 +1,23 @@
+/**
+ * Catalog import regressions
+ *
+ * Run with the Node test runner after compiling:
+ *   tsc --outDir build --target es2020 --module commonjs test/*.test.ts && node --test build/test
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { importCatalog } from '../lib/catalog';
+
+test('multi-word feed colors map to palette names', () => {
+  const csv = [
+    'id,title,price,category,color',
+    'c1,Merino crewneck sweater,89.00 USD,Tops,Heather Grey',
+    'c2,Wide-leg trousers,120.00 USD,Bottoms,Navy Blue/Ecru'
+  ].join('\n');
+  const { items, rejected } = importCatalog(csv, 'csv');
+
+  assert.deepEqual(rejected, []);
+  assert.deepEqual(items.find(item => item.id === 'c1')?.colors, ['grey']);
+  assert.deepEqual(items.find(item => item.id === 'c2')?.colors, ['blue', 'navy', 'ecru']);
+});
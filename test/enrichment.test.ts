@@ -0,0 +1,28 @@
+/**
+ * Enrichment regressions
+ *
+ * Run with the Node test runner after compiling:
+ *   tsc --outDir build --target es2020 --module commonjs test/*.test.ts && node --test build/test
+ */
+
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { enrichFashionItem } from '../lib/enrichment';
+import { parseColors } from '../lib/utils';
+
+test('color names match whole words only', () => {
+  assert.deepEqual(parseColors('Tailored wool blazer'), []);
+  assert.deepEqual(parseColors('Tank top'), []);
+  assert.deepEqual(parseColors('Trust me cardigan'), []);
+  assert.deepEqual(parseColors('Black/white striped tee'), ['black', 'white']);
+});
+
+test('titles without a color name infer no colors', () => {
+  ['Tailored wool blazer', 'Tank top', 'Trust me cardigan'].forEach(title => {
+    const item = enrichFashionItem({ id: title, title });
+    assert.deepEqual(item.colors, [], title);
+  });
+  const item = enrichFashionItem({ id: 'red', title: 'Red tailored blazer' });
+  assert.deepEqual(item.colors, ['red']);
+  assert.equal(item.inference?.colors.source, 'title');
+});